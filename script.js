@@ -7,20 +7,122 @@ const CONFIG = {
     TOAST_DURATION: 3000,
     MAX_CACHE_SIZE: 50,
     CHAR_COUNT_UPDATE_DELAY: 100,
-    UNDO_DELETE_TIMEOUT: 5000,
+    UNDO_TOAST_DURATION: 5000,
+    HISTORY_LIMIT: 50,
+    HISTORY_MAX_SIZE: 1000000, // characters of stored history
+    HISTORY_KEY: 'learningDiaryHistory',
+    DRAFTS_KEY: 'learningDiaryDrafts',
+    DRAFT_SAVE_DELAY: 800,
+    COLLECTIONS_KEY: 'learningDiaryCollections',
+    COLLECTION_NAME_MAX_LENGTH: 60,
+    REVISION_LIMIT: 20,
+    LINK_SUGGESTIONS: 8,
+    TRASH_RETENTION_DAYS: 30,
+    RENDER_PAGE_SIZE: 50,
+    SYNC: {
+        SETTINGS_KEY: 'learningDiarySync',
+        STATE_KEY: 'learningDiarySyncState',
+        INTERVAL: 60 * 1000,
+        DEBOUNCE: 2000,
+        TIMEOUT: 15000,
+        BATCH_SIZE: 100
+    },
+    CRYPTO: {
+        META_KEY: 'learningDiaryCrypto',
+        PENDING_KEY: 'learningDiaryCryptoPending',
+        ITERATIONS: 310000,
+        MIN_PASSPHRASE_LENGTH: 8,
+        AUTO_LOCK_MINUTES: 10
+    },
     SCROLL_TO_TOP_THRESHOLD: 300,
     STORAGE_KEY: 'learningEntries',
+    STORAGE_BACKEND: 'auto', // 'auto' (IndexedDB with localStorage fallback) | 'localStorage'
+    DB_NAME: 'learningDiary',
+    DB_VERSION: 2,
+    DB_ENTRIES_STORE: 'entries',
+    DB_ATTACHMENTS_STORE: 'attachments',
+    ATTACHMENTS: {
+        // Only used when IndexedDB is not available
+        STORAGE_KEY: 'learningDiaryAttachments',
+        TYPES: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'],
+        MAX_FILE_SIZE: 20 * 1024 * 1024,
+        MAX_DIMENSION: 1600,
+        QUALITY: 0.82,
+        // Smaller images that need no resizing are kept as they are (GIFs stay animated)
+        KEEP_SIZE: 300 * 1024,
+        // Unreferenced images are only deleted after this long: another tab
+        // may have just attached one to a form
+        PRUNE_AFTER: 24 * 60 * 60 * 1000
+    },
     THEME_KEY: 'learningDiaryTheme',
+    LOCALE_KEY: 'learningDiaryLocale',
     HINT_DISMISSED_KEY: 'keyboardHintDismissed',
+    SEARCH_SORT_KEY: 'learningDiarySearchSort',
     VALIDATION: {
         topic: { minLength: 3, maxLength: 200, required: true },
-        content: { minLength: 10, maxLength: 10000, required: true }
+        content: { minLength: 10, maxLength: 10000, required: true },
+        tags: { maxCount: 10, maxLength: 30 }
+    },
+    SEARCH: {
+        K1: 1.2,
+        B: 0.75,
+        FIELD_WEIGHTS: { topic: 3, tag: 2, content: 1, link: 0.5 },
+        MIN_PREFIX_LENGTH: 2,
+        PREFIX_WEIGHT: 0.7,
+        FUZZY_MIN_LENGTH: 4,
+        FUZZY_WEIGHT: 0.5
+    },
+    REVIEW: {
+        INITIAL_EASE: 2.5,
+        MIN_EASE: 1.3,
+        DAY_MS: 24 * 60 * 60 * 1000
+    },
+    STATS: {
+        WEEKS: 12,
+        MONTHS: 12,
+        TOP_LIMIT: 8,
+        // Common words skipped in the "most frequent words" list, one list per
+        // locale; all of them apply, since entries are not always written in the
+        // language of the interface
+        STOPWORDS: {
+            it: new Set([
+                'alla', 'alle', 'allo', 'anche', 'ancora', 'come', 'cosa', 'dalla', 'dalle', 'dello',
+                'della', 'delle', 'degli', 'dove', 'ogni', 'molto', 'nella', 'nelle', 'negli', 'nello',
+                'perché', 'però', 'quando', 'quale', 'quali', 'quella', 'quelle', 'quello', 'questa',
+                'queste', 'questi', 'questo', 'sono', 'stato', 'stata', 'sulla', 'sulle', 'tutti', 'tutto',
+                'dopo', 'prima', 'fare', 'essere', 'hanno', 'viene', 'solo', 'senza', 'mentre', 'oppure'
+            ]),
+            en: new Set([
+                'that', 'this', 'with', 'from', 'have', 'will', 'your', 'then', 'when', 'which', 'there',
+                'they', 'were', 'what', 'into', 'about', 'also', 'been', 'more', 'some', 'than', 'them',
+                'these', 'those', 'would', 'could', 'should', 'their', 'each', 'only', 'very', 'just',
+                'other', 'because', 'after', 'before', 'where', 'while', 'does'
+            ]),
+            // Leftovers of pasted links
+            any: new Set(['https', 'http'])
+        }
+    },
+    GRAPH: {
+        EDGE_LENGTH: 60,
+        // Entries sharing a link domain are all linked to each other up to this many
+        DOMAIN_CLIQUE: 6,
+        ITERATIONS: 300,
+        // Node pairs × iterations the layout may cost: big diaries get fewer rounds
+        LAYOUT_BUDGET: 12000000,
+        GRAVITY: 0.3,
+        MIN_ZOOM: 0.1,
+        MAX_ZOOM: 4,
+        ZOOM_STEP: 1.25,
+        LABEL_ZOOM: 0.6,
+        LABEL_LENGTH: 28,
+        DRAG_THRESHOLD: 4
     },
     KEYBOARD_SHORTCUTS: {
         SEARCH: { key: 'k', ctrl: true },
         NEW_ENTRY: { key: 'n', ctrl: true },
         EXPORT: { key: 's', ctrl: true },
         MENU: { key: 'm', alt: true },
+        UNDO: { key: 'z', ctrl: true },
         HELP: { key: '?' }
     }
 };
@@ -48,6 +150,116 @@ const OS = {
     }
 };
 
+/* ====================================
+   I18N
+   Message catalogue (MESSAGES, at the end of
+   the file), runtime locale switch and
+   locale-aware dates
+   ==================================== */
+
+const I18n = {
+    LOCALES: {
+        it: { name: 'Italiano', tag: 'it-IT' },
+        // en-GB keeps the day-month order and the Monday-first week of the Italian UI
+        en: { name: 'English', tag: 'en-GB' }
+    },
+    DEFAULT_LOCALE: 'it',
+    locale: 'it',
+    pluralRules: null,
+    listeners: [],
+
+    init() {
+        const saved = localStorage.getItem(CONFIG.LOCALE_KEY);
+        const preferred = (navigator.language || '').slice(0, 2).toLowerCase();
+
+        this.use(this.LOCALES[saved] ? saved : this.LOCALES[preferred] ? preferred : this.DEFAULT_LOCALE);
+        this.initSwitcher();
+    },
+
+    // Language picker in the menu footer; each language is listed in its own name
+    initSwitcher() {
+        const select = document.getElementById('localeSelect');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(this.LOCALES)
+            .map(([locale, { name }]) => `<option value="${locale}">${name}</option>`)
+            .join('');
+        select.value = this.locale;
+        select.addEventListener('change', () => this.setLocale(select.value));
+    },
+
+    use(locale) {
+        this.locale = locale;
+        this.pluralRules = new Intl.PluralRules(this.tag);
+        document.documentElement.lang = locale;
+        this.apply();
+
+        const select = document.getElementById('localeSelect');
+        if (select) select.value = locale;
+    },
+
+    get tag() {
+        return this.LOCALES[this.locale].tag;
+    },
+
+    setLocale(locale) {
+        if (!this.LOCALES[locale] || locale === this.locale) return;
+
+        localStorage.setItem(CONFIG.LOCALE_KEY, locale);
+        this.use(locale);
+        this.listeners.forEach(listener => listener(locale));
+    },
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    },
+
+    // t('form.added'), t('dayView.count', { count: 3 }). A message can be
+    // an object of plural forms ({ one, other }) chosen by `count`
+    t(key, params = {}) {
+        let message = MESSAGES[this.locale][key];
+        if (message === undefined) message = MESSAGES[this.DEFAULT_LOCALE][key];
+
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    },
+
+    formatDate(value, options) {
+        return new Date(value).toLocaleDateString(this.tag, options);
+    },
+
+    formatTime(value, options) {
+        return new Date(value).toLocaleTimeString(this.tag, options);
+    },
+
+    // Static text of index.html: data-i18n sets the text, data-i18n-html
+    // markup from the catalogue, data-i18n-attr="aria-label:key; title:key"
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.getAttribute('data-i18n'));
+        });
+
+        root.querySelectorAll('[data-i18n-html]').forEach(el => {
+            el.innerHTML = this.t(el.getAttribute('data-i18n-html'));
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key) el.setAttribute(attr, this.t(key));
+            });
+        });
+    }
+};
+
 /* ====================================
    RIPPLE EFFECT UTILITY
    ==================================== */
@@ -125,1812 +337,10762 @@ class LRUCache {
 }
 
 /* ====================================
-   STATE MANAGEMENT
+   STORAGE ADAPTERS
+   Every adapter exposes the same async API:
+   open, loadAll, put, remove, writeMany, clear, replaceAll
    ==================================== */
 
-const AppState = (() => {
-    let entries = [];
-    let deletedEntry = null;
-    let deleteTimer = null;
-    const observers = [];
+const LocalStorageAdapter = {
+    name: 'localStorage',
+    entries: [],
 
-    return {
-        getEntries() {
-            return Object.freeze([...entries]);
-        },
+    isSupported() {
+        try {
+            return typeof localStorage !== 'undefined';
+        } catch {
+            return false;
+        }
+    },
 
-        addEntry(entry) {
-            entries.unshift(entry);
-            this.notify('add', entry);
-            this.save();
-        },
+    async open() {},
 
-        updateEntry(id, updatedData) {
-            const index = entries.findIndex(e => e.id === id);
-            if (index === -1) return false;
+    async loadAll() {
+        this.entries = this.read();
+        return [...this.entries];
+    },
 
-            entries[index] = {
-                ...entries[index],
-                ...updatedData,
-                timestamp: entries[index].timestamp
-            };
+    // Writes start from what is stored, not from the copy in memory:
+    // another tab may have saved in the meantime
+    async put(entry) {
+        this.entries = this.read();
+        const index = this.entries.findIndex(e => e.id === entry.id);
+        if (index === -1) {
+            this.entries.unshift(entry);
+        } else {
+            this.entries[index] = entry;
+        }
+        this.write();
+    },
 
-            this.notify('update', entries[index]);
-            this.save();
-            return true;
-        },
+    async remove(id) {
+        this.entries = this.read().filter(e => e.id !== id);
+        this.write();
+    },
 
-        deleteEntry(id) {
-            const index = entries.findIndex(e => e.id === id);
-            if (index === -1) return false;
+    // Puts `entries` and removes `ids` in a single write
+    async writeMany(entries, ids) {
+        const written = new Set([...entries.map(entry => entry.id), ...ids]);
+        this.entries = [...entries, ...this.read().filter(e => !written.has(e.id))];
+        this.write();
+    },
 
-            deletedEntry = { entry: entries[index], index };
-            entries.splice(index, 1);
+    async clear() {
+        this.entries = [];
+        this.write();
+    },
 
-            this.notify('delete', id);
-            this.save();
-            this.startUndoTimer(id);
+    async replaceAll(entries) {
+        this.entries = [...entries];
+        this.write();
+    },
 
-            return true;
-        },
+    read() {
+        const data = localStorage.getItem(CONFIG.STORAGE_KEY);
+        return data ? JSON.parse(data) : [];
+    },
 
-        undoDelete() {
-            if (!deletedEntry || !deleteTimer) return false;
+    write() {
+        localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(this.entries));
+    }
+};
 
-            clearTimeout(deleteTimer);
-            deleteTimer = null;
+const IndexedDBAdapter = {
+    name: 'IndexedDB',
+    db: null,
 
-            entries.splice(deletedEntry.index, 0, deletedEntry.entry);
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    },
 
-            const restored = deletedEntry.entry;
-            deletedEntry = null;
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+            let blockedToast = null;
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CONFIG.DB_ENTRIES_STORE)) {
+                    db.createObjectStore(CONFIG.DB_ENTRIES_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(CONFIG.DB_ATTACHMENTS_STORE)) {
+                    db.createObjectStore(CONFIG.DB_ATTACHMENTS_STORE, { keyPath: 'id' });
+                }
+            };
 
-            this.notify('restore', restored);
-            this.save();
+            request.onsuccess = () => {
+                this.db = request.result;
+                // A newer version opened in another tab can only upgrade once this
+                // connection is closed: this tab stops saving until it is reloaded
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    ToastManager.show(I18n.t('storage.versionChanged'), 'warning', {
+                        actionLabel: I18n.t('storage.reload'),
+                        duration: 0,
+                        onAction: () => window.location.reload()
+                    });
+                };
+
+                if (blockedToast) ToastManager.remove(blockedToast);
+                resolve();
+            };
 
-            return true;
-        },
+            request.onerror = () => reject(request.error);
+            // An older tab still holds the database: wait for it to close (the
+            // request goes on by itself) rather than open an empty localStorage
+            request.onblocked = () => {
+                blockedToast = ToastManager.show(I18n.t('storage.upgradeBlocked'), 'warning', { duration: 0 });
+            };
+        });
+    },
 
-        startUndoTimer(id) {
-            if (deleteTimer) {
-                clearTimeout(deleteTimer);
+    // Runs `work` inside a single transaction and resolves once it commits,
+    // with the result of the request returned by `work` (if any).
+    transaction(mode, work, storeName = CONFIG.DB_ENTRIES_STORE) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('IndexedDB connection closed for an upgrade'));
+                return;
             }
 
-            deleteTimer = setTimeout(() => {
-                deletedEntry = null;
-                deleteTimer = null;
-                this.notify('deleteConfirmed', id);
-            }, CONFIG.UNDO_DELETE_TIMEOUT);
-        },
+            const tx = this.db.transaction(storeName, mode);
+            const request = work(tx.objectStore(storeName));
 
-        clearAll() {
-            entries = [];
-            deletedEntry = null;
-            if (deleteTimer) {
-                clearTimeout(deleteTimer);
-                deleteTimer = null;
-            }
-            this.notify('clear');
-            this.save();
-        },
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
 
-        setEntries(newEntries) {
-            entries = newEntries;
-            this.notify('load');
-            this.save();
-        },
+    loadAll() {
+        return this.transaction('readonly', store => store.getAll());
+    },
 
-        getEntryById(id) {
-            return entries.find(e => e.id === id);
-        },
+    put(entry) {
+        return this.transaction('readwrite', store => {
+            store.put(entry);
+        });
+    },
 
-        subscribe(observer) {
-            observers.push(observer);
-        },
+    remove(id) {
+        return this.transaction('readwrite', store => {
+            store.delete(id);
+        });
+    },
 
-        notify(action, data) {
-            observers.forEach(observer => observer(action, data));
-        },
+    writeMany(entries, ids) {
+        return this.transaction('readwrite', store => {
+            entries.forEach(entry => store.put(entry));
+            ids.forEach(id => store.delete(id));
+        });
+    },
 
-        save() {
-            try {
-                localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(entries));
-            } catch (e) {
-                console.error('Failed to save to localStorage:', e);
-                ToastManager.show('Impossibile salvare i dati. Storage pieno?', 'error');
-            }
-        },
+    clear() {
+        return this.transaction('readwrite', store => {
+            store.clear();
+        });
+    },
+
+    replaceAll(entries) {
+        return this.transaction('readwrite', store => {
+            store.clear();
+            entries.forEach(entry => store.put(entry));
+        });
+    }
+};
+
+const StorageManager = {
+    adapter: null,
 
-        load() {
+    async init() {
+        const backend = await this.openBackend();
+        this.adapter = CryptoManager.isEnabled() ? EncryptedAdapter.wrap(backend) : backend;
+        return this.adapter;
+    },
+
+    async openBackend() {
+        if (CONFIG.STORAGE_BACKEND !== 'localStorage' && IndexedDBAdapter.isSupported()) {
             try {
-                const data = localStorage.getItem(CONFIG.STORAGE_KEY);
-                if (data) {
-                    entries = JSON.parse(data);
-                    this.notify('load');
-                }
+                await IndexedDBAdapter.open();
+                await this.migrateFromLocalStorage(IndexedDBAdapter);
+                return IndexedDBAdapter;
             } catch (e) {
-                console.error('Failed to load from localStorage:', e);
-                ToastManager.show('Errore nel caricamento dei dati', 'error');
+                console.error('IndexedDB unavailable, falling back to localStorage:', e);
             }
         }
-    };
-})();
-
-/* ====================================
-   VALIDATION SYSTEM
-   ==================================== */
 
-const Validator = {
-    validateEntry(data) {
-        const errors = [];
+        await LocalStorageAdapter.open();
+        return LocalStorageAdapter;
+    },
 
-        if (!data.topic || data.topic.length < CONFIG.VALIDATION.topic.minLength) {
-            errors.push(`L'argomento deve avere almeno ${CONFIG.VALIDATION.topic.minLength} caratteri`);
-        }
-        if (data.topic && data.topic.length > CONFIG.VALIDATION.topic.maxLength) {
-            errors.push(`L'argomento non può superare ${CONFIG.VALIDATION.topic.maxLength} caratteri`);
-        }
+    // The adapter actually storing the data, under the encryption layer (if any)
+    get backend() {
+        return this.adapter && this.adapter.inner ? this.adapter.inner : this.adapter;
+    },
 
-        if (!data.content || data.content.length < CONFIG.VALIDATION.content.minLength) {
-            errors.push(`Il contenuto deve avere almeno ${CONFIG.VALIDATION.content.minLength} caratteri`);
-        }
-        if (data.content && data.content.length > CONFIG.VALIDATION.content.maxLength) {
-            errors.push(`Il contenuto non può superare ${CONFIG.VALIDATION.content.maxLength} caratteri`);
-        }
+    // Resolves once every pending write has been stored
+    flush() {
+        return this.adapter && this.adapter.idle ? this.adapter.idle() : Promise.resolve();
+    },
 
-        if (data.link && !this.isValidUrl(data.link)) {
-            errors.push('Il link non è un URL valido');
-        }
-        if (data.link && !this.isHttpUrl(data.link)) {
-            errors.push('Il link deve iniziare con http:// o https://');
-        }
+    // Writes every entry and attachment again, encrypted with the current key or
+    // in clear text. `previousKey` opens the attachments as they are stored now
+    // (the entries are already in memory). Unlike AppState.saveEntries, errors are
+    // passed on so the caller can stop.
+    async rewrite(encrypted, previousKey = CryptoManager.key) {
+        await this.flush();
 
-        if (data.imageUrl && !this.isValidUrl(data.imageUrl)) {
-            errors.push('L\'URL dell\'immagine non è valido');
-        }
-        if (data.imageUrl && !this.isHttpUrl(data.imageUrl)) {
-            errors.push('L\'URL dell\'immagine deve iniziare con http:// o https://');
-        }
+        // The attachments go first, all in one write; the records as they were
+        // are put back if the entries then fail
+        const stored = await AttachmentStore.readAll();
+        await AttachmentStore.replaceAll(await AttachmentStore.reencode(stored, previousKey, encrypted));
 
-        return { valid: errors.length === 0, errors };
-    },
+        const previous = this.adapter;
+        this.adapter = encrypted ? EncryptedAdapter.wrap(this.backend) : this.backend;
 
-    isValidUrl(string) {
         try {
-            new URL(string);
-            return true;
-        } catch {
-            return false;
+            await this.adapter.replaceAll([...AppState.getEntries(), ...AppState.getTrash()]);
+        } catch (e) {
+            this.adapter = previous;
+            await AttachmentStore.replaceAll(stored);
+            throw e;
         }
     },
 
-    isHttpUrl(string) {
+    // Moves entries saved by the localStorage backend into the new adapter.
+    // The old key is only removed once every entry has been written.
+    async migrateFromLocalStorage(target) {
+        if (!LocalStorageAdapter.isSupported()) return;
+
+        const data = localStorage.getItem(CONFIG.STORAGE_KEY);
+        if (!data) return;
+
+        // An unreadable value is left where it is: nothing to migrate, nothing lost
+        let legacyEntries;
         try {
-            const url = new URL(string);
-            return url.protocol === 'http:' || url.protocol === 'https:';
-        } catch {
-            return false;
+            legacyEntries = JSON.parse(data);
+        } catch (e) {
+            console.error('Skipping unreadable localStorage entries:', e);
+            return;
         }
+        if (!Array.isArray(legacyEntries)) return;
+
+        const existing = await target.loadAll();
+        const existingIds = new Set(existing.map(e => e.id));
+        const toMigrate = legacyEntries.filter(e => e && e.id && !existingIds.has(e.id));
+
+        await target.replaceAll([...existing, ...toMigrate]);
+        localStorage.removeItem(CONFIG.STORAGE_KEY);
+
+        console.log(`✅ Migrated ${toMigrate.length} entries from localStorage to ${target.name}`);
     }
 };
 
 /* ====================================
-   SEARCH MANAGER WITH TRUE LRU CACHE
+   ENCRYPTION AT REST (WebCrypto)
+   PBKDF2-SHA256 derives an AES-GCM key from the
+   passphrase; the key only lives in memory
    ==================================== */
 
-const SearchManager = {
-    cache: new LRUCache(CONFIG.MAX_CACHE_SIZE),
+const CryptoManager = {
+    key: null,
+    meta: null,
+    // { previous, key, meta } while a passphrase change is not complete:
+    // until then a record may be under either key
+    switching: null,
+    EXPORT_FORMAT: 'learning-diary-encrypted',
+    CHECK_TEXT: 'learning-diary',
+
+    isSupported() {
+        return Boolean(window.crypto && window.crypto.subtle);
+    },
 
-    search(query, entries) {
-        if (!query.trim()) {
-            this.cache.clear();
-            return entries;
+    // { version, salt, iterations, check }: `check` is a known text encrypted
+    // with the key, so a wrong passphrase is told apart before touching any data
+    readMeta() {
+        try {
+            const meta = JSON.parse(localStorage.getItem(CONFIG.CRYPTO.META_KEY));
+            return meta && meta.salt && this.isCipher(meta.check) ? meta : null;
+        } catch {
+            return null;
         }
+    },
 
-        const cacheKey = query.toLowerCase();
-        const cached = this.cache.get(cacheKey);
-        if (cached) return cached;
+    isEnabled() {
+        return this.readMeta() !== null;
+    },
 
-        const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 0);
-        const results = entries.filter(entry => {
-            const searchText = [
-                entry.topic,
-                entry.content,
-                entry.link || ''
-            ].join(' ').toLowerCase();
+    isUnlocked() {
+        return this.key !== null;
+    },
 
-            return terms.every(term => searchText.includes(term));
-        });
+    // Encrypted and without its key: nothing may be read or written
+    isLocked() {
+        return this.key === null && this.isEnabled();
+    },
 
-        this.cache.set(cacheKey, results);
-        return results;
+    isCipher(value) {
+        return Boolean(value) && typeof value.iv === 'string' && typeof value.data === 'string';
     },
 
-    clearCache() {
-        this.cache.clear();
-    }
-};
+    toBase64(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    },
 
-/* ====================================
-   DEBOUNCE UTILITY
-   ==================================== */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    },
 
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
-}
+    // The same 256 bits deriveKey would use; a passphrase change stores them
+    // encrypted with the other key
+    async deriveBits(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+        );
 
-/* ====================================
-   STATISTICS CALCULATOR WITH RAF
-   ==================================== */
+        return crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.fromBase64(salt), iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+    },
 
-const StatisticsCalculator = {
-    calculate(entries) {
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const weekAgo = new Date(today);
-        weekAgo.setDate(weekAgo.getDate() - 7);
+    importKey(bits) {
+        return crypto.subtle.importKey('raw', bits, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    },
 
-        return {
-            total: entries.length,
-            today: entries.filter(e => {
-                const entryDate = new Date(e.timestamp);
-                return entryDate >= today;
-            }).length,
-            week: entries.filter(e => {
-                const entryDate = new Date(e.timestamp);
-                return entryDate >= weekAgo;
-            }).length
-        };
+    async deriveKey(passphrase, salt, iterations) {
+        return this.importKey(await this.deriveBits(passphrase, salt, iterations));
     },
 
-    animateCounter(element, target) {
-        const current = parseInt(element.textContent) || 0;
-        if (current === target) return;
+    async encrypt(text, key = this.key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), data: this.toBase64(data) };
+    },
 
-        const duration = 400;
-        const startTime = performance.now();
-        const difference = target - current;
+    // Rejects when the key is wrong or the data was altered (GCM authentication).
+    // During a passphrase change, a record the one key does not open is tried with the other
+    async decrypt(payload, key = this.key) {
+        if (!key) throw new Error('Diary is locked');
 
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            const easeOut = 1 - Math.pow(1 - progress, 3);
-            const value = Math.round(current + (difference * easeOut));
+        try {
+            return await this.open(payload, key);
+        } catch (err) {
+            const keys = this.switching ? [this.switching.previous, this.switching.key] : [];
+            if (!keys.includes(key)) throw err;
+            return this.open(payload, keys.find(other => other !== key));
+        }
+    },
 
-            element.textContent = value;
+    async open(payload, key) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data)
+        );
+        return new TextDecoder().decode(data);
+    },
 
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                element.textContent = target;
-            }
-        };
+    // A new salt and key for `passphrase`; nothing is stored until use() and saveMeta()
+    async create(passphrase) {
+        const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const iterations = CONFIG.CRYPTO.ITERATIONS;
+        const bits = await this.deriveBits(passphrase, salt, iterations);
+        const key = await this.importKey(bits);
+        const check = await this.encrypt(this.CHECK_TEXT, key);
 
-        requestAnimationFrame(animate);
+        return { key, bits, meta: { version: 1, salt, iterations, check } };
     },
 
-    update(entries) {
-        const stats = this.calculate(entries);
+    // The key for `passphrase`, or null when it is wrong
+    async verify(passphrase, meta = this.readMeta()) {
+        const key = await this.deriveKey(passphrase, meta.salt, meta.iterations);
 
-        this.animateCounter(document.getElementById('statTotal'), stats.total);
-        this.animateCounter(document.getElementById('statToday'), stats.today);
-        this.animateCounter(document.getElementById('statWeek'), stats.week);
-    }
-};
+        try {
+            return (await this.decrypt(meta.check, key)) === this.CHECK_TEXT ? key : null;
+        } catch {
+            return null;
+        }
+    },
 
-/* ====================================
-   CHARACTER COUNTER WITH DEBOUNCING
-   ==================================== */
+    async unlock(passphrase) {
+        const pending = this.readPending();
+        if (pending) return this.unlockSwitching(passphrase, pending);
 
-const CharacterCounter = {
-    update: debounce(function (textarea, counter) {
-        const current = textarea.value.length;
-        const max = CONFIG.VALIDATION.content.maxLength;
-        const percentage = (current / max) * 100;
+        const meta = this.readMeta();
+        const key = await this.verify(passphrase, meta);
+        if (key) this.use(key, meta);
+        return key !== null;
+    },
 
-        counter.textContent = `${current} / ${max}`;
+    // After an interrupted passphrase change either passphrase opens the diary:
+    // its key opens the other one (SecurityModal.resume completes the change)
+    async unlockSwitching(passphrase, pending) {
+        const unwrap = async (wrapped, key) => this.importKey(this.fromBase64(await this.open(wrapped, key)));
 
-        counter.classList.remove('warning', 'danger');
-        if (percentage >= 100) {
-            counter.classList.add('danger');
-        } else if (percentage >= 90) {
-            counter.classList.add('warning');
+        let key = await this.verify(passphrase, pending.meta);
+        let previous;
+        if (key) {
+            previous = await unwrap(pending.previous, key);
+        } else {
+            previous = await this.verify(passphrase, pending.previousMeta);
+            if (!previous) return false;
+            key = await unwrap(pending.key, previous);
         }
-    }, CONFIG.CHAR_COUNT_UPDATE_DELAY)
-};
 
-/* ====================================
-   TOAST MANAGER
-   ==================================== */
+        this.use(previous, pending.previousMeta);
+        this.switching = { previous, key, meta: pending.meta };
+        return true;
+    },
 
-const ToastManager = {
-    container: null,
+    // { previousMeta, meta, previous, key }: both settings, and each key
+    // encrypted with the other
+    readPending() {
+        try {
+            const pending = JSON.parse(localStorage.getItem(CONFIG.CRYPTO.PENDING_KEY));
+            return pending && pending.previousMeta && pending.meta &&
+                this.isCipher(pending.previous) && this.isCipher(pending.key) ? pending : null;
+        } catch {
+            return null;
+        }
+    },
 
-    init() {
-        this.container = document.getElementById('toastContainer');
+    // Stored before any record is rewritten with the new key; rejects (with
+    // nothing stored) when `previousBits` are not the key of `previousMeta`
+    async beginSwitch(previousBits, previousMeta, bits, meta) {
+        const previous = await this.importKey(previousBits);
+        const key = await this.importKey(bits);
+        await this.open(previousMeta.check, previous);
+
+        localStorage.setItem(CONFIG.CRYPTO.PENDING_KEY, JSON.stringify({
+            previousMeta,
+            meta,
+            previous: await this.encrypt(this.toBase64(previousBits), key),
+            key: await this.encrypt(this.toBase64(bits), previous)
+        }));
+        this.switching = { previous, key, meta };
     },
 
-    show(message, type = 'info', options = {}) {
-        const toast = document.createElement('div');
-        toast.className = `toast ${type}`;
-        toast.setAttribute('role', 'alert');
+    endSwitch() {
+        localStorage.removeItem(CONFIG.CRYPTO.PENDING_KEY);
+        this.switching = null;
+    },
 
-        const icons = {
-            success: '✓',
-            error: '✕',
-            warning: '⚠',
-            info: 'ℹ',
-            undo: '↶'
-        };
+    use(key, meta) {
+        this.key = key;
+        this.meta = meta;
+    },
 
-        let html = `
-            <span class="toast-icon" aria-hidden="true">${icons[type] || icons.info}</span>
-            <div class="toast-content">
-                <div class="toast-message">${this.escapeHtml(message)}</div>
-            </div>
-        `;
+    lock() {
+        this.key = null;
+        this.meta = null;
+        this.switching = null;
+    },
 
-        if (options.showUndo) {
-            html += `
-                <div class="toast-actions">
-                    <button class="btn btn-secondary" data-action="undo">Annulla</button>
-                </div>
-            `;
-        }
+    saveMeta(meta) {
+        localStorage.setItem(CONFIG.CRYPTO.META_KEY, JSON.stringify(meta));
+    },
 
-        html += `<button class="toast-close" aria-label="Chiudi notifica">×</button>`;
+    removeMeta() {
+        localStorage.removeItem(CONFIG.CRYPTO.META_KEY);
+    },
 
-        toast.innerHTML = html;
+    // Only the id stays readable: the adapters need it as the key
+    async encryptRecord(entry) {
+        return { id: entry.id, ...(await this.encrypt(JSON.stringify(entry))) };
+    },
 
-        const closeBtn = toast.querySelector('.toast-close');
-        closeBtn.addEventListener('click', () => this.remove(toast));
+    // Records written before encryption was turned on are still in clear text
+    async decryptRecord(record) {
+        return this.isCipher(record) ? JSON.parse(await this.decrypt(record)) : record;
+    },
 
-        if (options.showUndo) {
-            const undoBtn = toast.querySelector('[data-action="undo"]');
-            undoBtn.addEventListener('click', () => {
-                if (options.onUndo) options.onUndo();
-                this.remove(toast);
-            });
+    isEncryptedExport(text) {
+        try {
+            const file = JSON.parse(text);
+            return Boolean(file) && file.format === this.EXPORT_FORMAT;
+        } catch {
+            return false;
         }
+    },
 
-        this.container.appendChild(toast);
+    // Self-contained: the salt and iteration count travel with the file
+    async encryptExport(text) {
+        const payload = await this.encrypt(text);
+
+        return JSON.stringify({
+            format: this.EXPORT_FORMAT,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: this.meta.salt, iterations: this.meta.iterations },
+            cipher: 'AES-GCM',
+            ...payload
+        }, null, 2);
+    },
 
-        if (!options.showUndo) {
-            setTimeout(() => this.remove(toast), CONFIG.TOAST_DURATION);
-        }
+    // Without a passphrase, only files exported with the current key can be opened
+    async decryptExport(file, passphrase = null) {
+        const { salt, iterations } = file.kdf || {};
+        let key = null;
 
-        return toast;
-    },
+        if (passphrase !== null) {
+            key = await this.deriveKey(passphrase, salt, iterations);
+        } else if (this.meta && this.meta.salt === salt && this.meta.iterations === iterations) {
+            key = this.key;
+        }
 
-    remove(toast) {
-        if (!toast.parentNode) return;
+        return this.decrypt(file, key);
+    }
+};
 
-        toast.style.animation = 'slideIn 200ms reverse';
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.parentNode.removeChild(toast);
-            }
-        }, 200);
-    },
+// Wraps a storage adapter so entries are encrypted on the way in and decrypted
+// on the way out; operations are queued to keep the order they were issued in
+const EncryptedAdapter = {
+    wrap(inner) {
+        let queue = Promise.resolve();
+        const enqueue = (work) => {
+            const result = queue.then(work);
+            queue = result.catch(() => {});
+            return result;
+        };
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return {
+            name: `${inner.name} (encrypted)`,
+            inner,
+            isSupported: () => inner.isSupported(),
+            open: () => enqueue(() => inner.open()),
+            loadAll: () => enqueue(async () => {
+                const records = await inner.loadAll();
+                return Promise.all(records.map(record => CryptoManager.decryptRecord(record)));
+            }),
+            put: (entry) => enqueue(async () => inner.put(await CryptoManager.encryptRecord(entry))),
+            remove: (id) => enqueue(() => inner.remove(id)),
+            writeMany: (entries, ids) => enqueue(async () => {
+                const records = await Promise.all(entries.map(entry => CryptoManager.encryptRecord(entry)));
+                return inner.writeMany(records, ids);
+            }),
+            clear: () => enqueue(() => inner.clear()),
+            replaceAll: (entries) => enqueue(async () => {
+                const records = await Promise.all(entries.map(entry => CryptoManager.encryptRecord(entry)));
+                return inner.replaceAll(records);
+            }),
+            idle: () => queue
+        };
     }
 };
 
 /* ====================================
-   THEME MANAGER
+   IMAGE ATTACHMENTS
+   Images pasted, dropped or picked in the form are
+   resized and stored next to the entries; an entry
+   refers to one with imageUrl "attachment:<id>"
    ==================================== */
 
-const ThemeManager = {
-    init() {
-        const savedTheme = localStorage.getItem(CONFIG.THEME_KEY);
-
-        if (savedTheme) {
-            this.setTheme(savedTheme);
-        } else {
-            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-            this.setTheme(prefersDark ? 'dark' : 'light');
-        }
+// Records are { id, type, width, height, blob }. IndexedDB keeps them as they
+// are; localStorage, backups and encryption need text, so there the blob
+// becomes a data URL: { id, type, width, height, data } (the portable form)
+const AttachmentStore = {
+    usesIndexedDB() {
+        return StorageManager.backend === IndexedDBAdapter;
+    },
 
-        this.updateIcon();
+    // Encrypted whenever the entries are
+    isEncrypted() {
+        return Boolean(StorageManager.adapter && StorageManager.adapter.inner);
     },
 
-    toggle() {
-        const currentTheme = document.body.classList.contains('theme-dark') ? 'dark' : 'light';
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        this.setTheme(newTheme);
+    async toPortable({ blob, ...record }) {
+        const bytes = await blob.arrayBuffer();
+        return { ...record, data: `data:${blob.type};base64,${CryptoManager.toBase64(bytes)}` };
     },
 
-    setTheme(theme) {
-        document.body.classList.remove('theme-dark', 'theme-light');
-        document.body.classList.add(`theme-${theme}`);
-        localStorage.setItem(CONFIG.THEME_KEY, theme);
-        this.updateIcon();
+    // null when `data` is not a base64 data URL
+    fromPortable({ data, ...record }) {
+        const match = /^data:([^;,]+);base64,(.*)$/.exec(typeof data === 'string' ? data : '');
+        if (!match) return null;
+
+        return { ...record, type: match[1], blob: new Blob([CryptoManager.fromBase64(match[2])], { type: match[1] }) };
     },
 
-    updateIcon() {
-        const icon = document.getElementById('themeIcon');
-        if (!icon) return;
+    async encode(record, encrypted = this.isEncrypted()) {
+        if (encrypted) return CryptoManager.encryptRecord(await this.toPortable(record));
+        return this.usesIndexedDB() ? record : this.toPortable(record);
+    },
 
-        const isDark = document.body.classList.contains('theme-dark');
-        icon.textContent = isDark ? '☀️' : '🌙';
-    }
-};
+    async decode(stored, key = CryptoManager.key) {
+        const record = CryptoManager.isCipher(stored) ? JSON.parse(await CryptoManager.decrypt(stored, key)) : stored;
+        return record.blob ? record : this.fromPortable(record);
+    },
 
-/* ====================================
-   SCROLL TO TOP MANAGER
-   ==================================== */
+    readFallback() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.ATTACHMENTS.STORAGE_KEY)) || {};
+        } catch {
+            return {};
+        }
+    },
 
-const ScrollToTopManager = {
-    button: null,
+    writeFallback(records) {
+        localStorage.setItem(CONFIG.ATTACHMENTS.STORAGE_KEY, JSON.stringify(records));
+    },
 
-    init() {
-        this.button = document.getElementById('scrollToTop');
-        if (!this.button) return;
+    // Rejects when the record cannot be opened (locked diary, wrong key)
+    async get(id) {
+        const stored = this.usesIndexedDB()
+            ? await IndexedDBAdapter.transaction('readonly', store => store.get(id), CONFIG.DB_ATTACHMENTS_STORE)
+            : this.readFallback()[id];
 
-        window.addEventListener('scroll', () => this.handleScroll());
+        return stored ? this.decode(stored) : null;
     },
 
-    handleScroll() {
-        const scrolled = window.pageYOffset || document.documentElement.scrollTop;
+    async put(record) {
+        const stored = await this.encode(record);
 
-        if (scrolled > CONFIG.SCROLL_TO_TOP_THRESHOLD) {
-            this.show();
+        if (this.usesIndexedDB()) {
+            await IndexedDBAdapter.transaction('readwrite', store => {
+                store.put(stored);
+            }, CONFIG.DB_ATTACHMENTS_STORE);
         } else {
-            this.hide();
+            this.writeFallback({ ...this.readFallback(), [stored.id]: stored });
         }
     },
 
-    show() {
-        if (this.button) {
-            this.button.classList.add('visible');
-            this.button.removeAttribute('hidden');
+    async remove(ids) {
+        if (this.usesIndexedDB()) {
+            await IndexedDBAdapter.transaction('readwrite', store => {
+                ids.forEach(id => store.delete(id));
+            }, CONFIG.DB_ATTACHMENTS_STORE);
+        } else {
+            const records = this.readFallback();
+            ids.forEach(id => delete records[id]);
+            this.writeFallback(records);
         }
     },
 
-    hide() {
-        if (this.button) {
-            this.button.classList.remove('visible');
+    async keys() {
+        return this.usesIndexedDB()
+            ? IndexedDBAdapter.transaction('readonly', store => store.getAllKeys(), CONFIG.DB_ATTACHMENTS_STORE)
+            : Object.keys(this.readFallback());
+    },
+
+    // As stored, without opening them
+    async readAll() {
+        return this.usesIndexedDB()
+            ? IndexedDBAdapter.transaction('readonly', store => store.getAll(), CONFIG.DB_ATTACHMENTS_STORE)
+            : Object.values(this.readFallback());
+    },
+
+    async replaceAll(records) {
+        if (this.usesIndexedDB()) {
+            await IndexedDBAdapter.transaction('readwrite', store => {
+                store.clear();
+                records.forEach(record => store.put(record));
+            }, CONFIG.DB_ATTACHMENTS_STORE);
+        } else {
+            this.writeFallback(Object.fromEntries(records.map(record => [record.id, record])));
         }
     },
 
-    scrollToTop() {
-        window.scrollTo({
-            top: 0,
-            behavior: 'smooth'
-        });
+    // Stored records opened with `key` and encoded for the new setting;
+    // those that cannot be opened stay as they are
+    reencode(stored, key, encrypted) {
+        return Promise.all(stored.map(async record => {
+            try {
+                const opened = await this.decode(record, key);
+                return opened ? await this.encode(opened, encrypted) : record;
+            } catch (e) {
+                console.error(`Attachment ${record.id} could not be re-encoded:`, e);
+                return record;
+            }
+        }));
     }
 };
 
-/* ====================================
-   FORM MANAGER (Collapsible)
-   ==================================== */
-
-const FormManager = {
-    formSection: null,
-    form: null,
-    editId: null,
+const Attachments = {
+    REFERENCE: /^attachment:([\w-]+)$/,
+    // id -> promise of an object URL, null when the image is missing
+    urls: new Map(),
 
     init() {
-        this.formSection = document.getElementById('formSection');
-        this.form = document.getElementById('addForm');
+        // Purging entries from the trash can leave images nothing refers to
+        AppState.subscribe((action) => {
+            if (action === 'trash') this.prune();
+        });
     },
 
-    open() {
-        if (!this.formSection) return;
+    isReference(url) {
+        return this.REFERENCE.test(String(url || ''));
+    },
 
-        this.formSection.removeAttribute('hidden');
-        this.formSection.style.display = '';
+    idOf(url) {
+        const match = this.REFERENCE.exec(String(url || ''));
+        return match ? match[1] : null;
+    },
 
-        const toggleBtn = document.getElementById('toggleFormBtn');
-        if (toggleBtn) {
-            toggleBtn.setAttribute('aria-expanded', 'true');
-        }
+    // Creation time first, like entry ids: prune() reads the age from it
+    createId() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    },
 
-        setTimeout(() => {
-            const topicField = document.getElementById('topic');
-            if (topicField) {
-                topicField.focus();
-            }
-        }, 100);
+    // The I18n key of the reason `file` cannot be attached, or null
+    check(file) {
+        if (!CONFIG.ATTACHMENTS.TYPES.includes(file.type)) return 'attachments.badType';
+        if (file.size > CONFIG.ATTACHMENTS.MAX_FILE_SIZE) return 'attachments.tooLarge';
+        return null;
+    },
 
-        this.formSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    // Stores `file` resized and compressed; resolves with the value for imageUrl
+    async add(file) {
+        const { blob, width, height } = await this.compress(file);
+        const id = this.createId();
+
+        await AttachmentStore.put({ id, type: blob.type, width, height, blob });
+        return `attachment:${id}`;
     },
 
-    close() {
-        if (!this.formSection) return;
+    load(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
 
-        this.formSection.setAttribute('hidden', '');
-        this.formSection.style.display = 'none';
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Unreadable image'));
+            };
+            image.src = url;
+        });
+    },
 
-        const toggleBtn = document.getElementById('toggleFormBtn');
-        if (toggleBtn) {
-            toggleBtn.setAttribute('aria-expanded', 'false');
+    toBlob(canvas, type) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, CONFIG.ATTACHMENTS.QUALITY));
+    },
+
+    // Scaled down to CONFIG.ATTACHMENTS.MAX_DIMENSION and re-encoded
+    async compress(file) {
+        const image = await this.load(file);
+        const { naturalWidth, naturalHeight } = image;
+        const scale = Math.min(1, CONFIG.ATTACHMENTS.MAX_DIMENSION / Math.max(naturalWidth, naturalHeight));
+
+        if (scale === 1 && file.size <= CONFIG.ATTACHMENTS.KEEP_SIZE) {
+            return { blob: file, width: naturalWidth, height: naturalHeight };
         }
 
-        this.resetForm();
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(naturalHeight * scale));
+
+        const context = canvas.getContext('2d');
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        // WebP keeps transparency; browsers that cannot write it hand back a
+        // PNG, so those get a JPEG on a white background
+        let blob = await this.toBlob(canvas, 'image/webp');
+        if (!blob || blob.type !== 'image/webp') {
+            context.globalCompositeOperation = 'destination-over';
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            blob = await this.toBlob(canvas, 'image/jpeg');
+        }
+        if (!blob) throw new Error('Image could not be encoded');
+
+        // Re-encoding an image that was not resized can make it bigger
+        if (scale === 1 && file.size <= blob.size) blob = file;
+
+        return { blob, width: canvas.width, height: canvas.height };
     },
 
-    toggle() {
-        if (this.formSection && this.formSection.hasAttribute('hidden')) {
-            this.open();
-        } else {
-            this.close();
+    url(id) {
+        if (!this.urls.has(id)) {
+            this.urls.set(id, AttachmentStore.get(id)
+                .then(record => record ? URL.createObjectURL(record.blob) : null)
+                .catch(err => {
+                    console.error(`Attachment ${id} could not be read:`, err);
+                    return null;
+                }));
         }
+        return this.urls.get(id);
     },
 
-    openForEdit(entry) {
-        this.open();
+    // Remote images load as usual, local ones as soon as they are read
+    setSource(img, imageUrl) {
+        const id = this.idOf(imageUrl);
+        img.dataset.attachment = id || '';
+        img.classList.remove('is-missing');
+        img.removeAttribute('title');
 
-        document.getElementById('topic').value = entry.topic;
-        document.getElementById('content').value = entry.content;
-        document.getElementById('link').value = entry.link || '';
-        document.getElementById('imageUrl').value = entry.imageUrl || '';
-        document.getElementById('editId').value = entry.id;
-
-        document.getElementById('formTitle').textContent = 'Modifica apprendimento';
-
-        const submitBtn = document.getElementById('submitBtn');
-        if (submitBtn) {
-            submitBtn.innerHTML = '<span aria-hidden="true">💾</span> <span id="submitText">Salva modifiche</span>';
-            submitBtn.classList.remove('btn-primary');
-            submitBtn.classList.add('btn-success');
+        if (!id) {
+            img.src = imageUrl;
+            return;
         }
 
-        const contentTextarea = document.getElementById('content');
-        const contentCounter = document.getElementById('contentCounter');
-        if (contentTextarea && contentCounter) {
-            CharacterCounter.update(contentTextarea, contentCounter);
-        }
+        img.removeAttribute('src');
+        this.url(id).then(url => {
+            // The same <img> may show another image by now (form preview)
+            if (img.dataset.attachment !== id) return;
 
-        this.editId = entry.id;
+            if (url) {
+                img.src = url;
+            } else {
+                // Attachments are not synced: an entry from another device
+                // arrives without its image
+                img.classList.add('is-missing');
+                img.title = I18n.t('attachments.missing');
+            }
+        });
     },
 
-    resetForm() {
-        if (this.form) {
-            this.form.reset();
+    // Ids of the attachments referred to anywhere in `data`: entries with their
+    // revisions, drafts, plain imageUrl values…
+    referencesIn(data) {
+        const ids = new Set();
+        for (const match of JSON.stringify(data).matchAll(/"attachment:([\w-]+)"/g)) {
+            ids.add(match[1]);
         }
+        return ids;
+    },
 
-        document.getElementById('editId').value = '';
+    // Portable records for the export, by id; missing images are left out
+    async collect(ids) {
+        const records = new Map();
 
-        const contentCounter = document.getElementById('contentCounter');
-        if (contentCounter) {
-            contentCounter.textContent = '0 / 10000';
-            contentCounter.classList.remove('warning', 'danger');
+        for (const id of ids) {
+            const record = await AttachmentStore.get(id).catch(() => null);
+            if (record) records.set(id, await AttachmentStore.toPortable(record));
         }
+        return records;
+    },
 
-        document.getElementById('formTitle').textContent = 'Aggiungi nuovo apprendimento';
+    // Stores the images of a backup that are not here yet; returns how many
+    async importAll(records) {
+        const known = new Set(await AttachmentStore.keys());
+        let count = 0;
 
-        const submitBtn = document.getElementById('submitBtn');
-        if (submitBtn) {
-            submitBtn.innerHTML = '<span aria-hidden="true">➕</span> <span id="submitText">Aggiungi</span>';
-            submitBtn.classList.remove('btn-success');
-            submitBtn.classList.add('btn-primary');
+        for (const portable of records) {
+            if (!portable || typeof portable.id !== 'string' || !/^[\w-]+$/.test(portable.id) || known.has(portable.id)) continue;
+
+            const record = AttachmentStore.fromPortable(portable);
+            if (!record || !record.type.startsWith('image/')) continue;
+
+            await AttachmentStore.put(record);
+            known.add(record.id);
+            this.urls.delete(record.id);
+            count++;
         }
+        return count;
+    },
 
-        this.editId = null;
+    // Locking: the images shown so far were decrypted with the key
+    release() {
+        this.urls.forEach(url => url.then(objectUrl => objectUrl && URL.revokeObjectURL(objectUrl)));
+        this.urls.clear();
+    },
+
+    // Deletes the images nothing refers to any more: entries and trash with their
+    // revisions, the undo history, the drafts and the form being filled in.
+    // Only those older than `grace`: another tab may be using a new one
+    async prune(grace = CONFIG.ATTACHMENTS.PRUNE_AFTER) {
+        // Locked, nothing seems to refer to any image
+        if (CryptoManager.isLocked()) return;
+
+        const imageField = document.getElementById('imageUrl');
+        const used = this.referencesIn([AppState.getRetained(), DraftManager.drafts, imageField ? imageField.value : '']);
+        const limit = Date.now() - grace;
+
+        try {
+            const ids = (await AttachmentStore.keys()).filter(id => !used.has(id) && parseInt(id, 10) <= limit);
+            if (ids.length === 0) return;
+
+            await AttachmentStore.remove(ids);
+            ids.forEach(id => {
+                const url = this.urls.get(id);
+                if (url) url.then(objectUrl => objectUrl && URL.revokeObjectURL(objectUrl));
+                this.urls.delete(id);
+            });
+        } catch (e) {
+            console.error('Failed to remove unused attachments:', e);
+        }
     }
 };
 
 /* ====================================
-   KEYBOARD MANAGER WITH MAC SUPPORT
+   STATE MANAGEMENT
    ==================================== */
 
-const KeyboardManager = {
-    init() {
-        document.addEventListener('keydown', (e) => this.handleKeydown(e));
-        this.updateModalForOS();
-    },
+// Every write stamps the entry with `modifiedAt` (ms): sync compares it with the
+// version last seen on the server to find what changed locally
+const AppState = (() => {
+    let entries = [];
+    // Soft-deleted entries (they carry `deletedAt`), most recently deleted first.
+    // They share the storage adapter with the live entries.
+    let trash = [];
+    // Undo/redo stacks of { label, changes: [{ id, before, after }] }; a null
+    // before/after means the entry did not exist on that side of the change
+    let undoStack = [];
+    let redoStack = [];
+    // Encrypting is async: history writes are chained so they land in order
+    let historyWrite = Promise.resolve();
+    // Storage writes not finished yet
+    const inflight = new Set();
+    // False until the stored entries have been read (and again while locked):
+    // an empty list then says nothing about what is stored
+    let loaded = false;
+    const observers = [];
 
-    handleKeydown(e) {
-        // Ctrl/Cmd + K: Focus search
-        if (OS.checkModifier(e) && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.SEARCH.key) {
-            e.preventDefault();
-            const searchInput = document.getElementById('searchInput');
-            if (searchInput) searchInput.focus();
-            return;
+    // Newest first, like the list; keeps restored entries in their original place
+    const insertSorted = (entry) => {
+        const index = entries.findIndex(e => e.timestamp < entry.timestamp);
+        if (index === -1) {
+            entries.push(entry);
+        } else {
+            entries.splice(index, 0, entry);
         }
+    };
 
-        // Ctrl/Cmd + N: Toggle form
-        if (OS.checkModifier(e) && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.NEW_ENTRY.key) {
-            e.preventDefault();
-            FormManager.toggle();
-            return;
+    // Removes an entry from the list or from the trash, wherever it is
+    const take = (id) => {
+        for (const list of [entries, trash]) {
+            const index = list.findIndex(e => e.id === id);
+            if (index !== -1) return list.splice(index, 1)[0];
         }
+        return null;
+    };
 
-        // Ctrl/Cmd + S: Export data
-        if (OS.checkModifier(e) && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.EXPORT.key) {
-            e.preventDefault();
-            DataManager.export();
-            return;
-        }
+    const stamp = (entry, now = Date.now()) => ({ ...entry, modifiedAt: now });
 
-        // Cmd+M (Mac) or Alt+M (Windows/Linux): Toggle menu (NEW)
-        const isMenuShortcut = OS.isMac 
-            ? (e.metaKey && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.MENU.key)
-            : (e.altKey && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.MENU.key);
-        
-        if (isMenuShortcut) {
-            e.preventDefault();
-            MenuManager.toggle();
-            return;
-        }
+    // The edited copy of an entry; the replaced version joins its revisions
+    const edited = (previous, data, now) => {
+        const next = {
+            ...previous,
+            ...data,
+            timestamp: previous.timestamp,
+            updatedAt: now,
+            modifiedAt: now
+        };
+        next.revisions = RevisionHistory.append(previous, next);
+        return next;
+    };
 
-        // ?: Show help modal
-        if (e.key === CONFIG.KEYBOARD_SHORTCUTS.HELP.key) {
-            e.preventDefault();
-            ModalManager.toggle();
-            return;
-        }
+    // Renaming an entry carries the [[wiki-links]] to it along, unless another
+    // entry still answers to the old topic. The linking entries are not edited
+    // by their author: no revision, same updatedAt; a self-link is left alone
+    const relink = (renamed, previousTopic, now) => {
+        if (!WikiLinks.isRename(previousTopic, renamed.topic)) return [];
+        if (entries.some(e => e.id !== renamed.id && !WikiLinks.isRename(e.topic, previousTopic))) return [];
 
-        // Escape: Close modals/menu/form
-        if (e.key === 'Escape') {
-            if (MenuManager.isOpen()) {
-                MenuManager.close();
-            } else if (DayViewModal.isOpen()) {
-                DayViewModal.close();
-            } else if (ModalManager.isOpen()) {
-                ModalManager.close();
-            } else if (FormManager.formSection && !FormManager.formSection.hasAttribute('hidden')) {
-                FormManager.close();
-            } else if (e.target.matches('input, textarea')) {
-                e.target.blur();
-            }
+        const changes = [];
+        entries.forEach((entry, index) => {
+            if (entry.id === renamed.id) return;
+
+            const content = WikiLinks.rename(entry.content, previousTopic, renamed.topic);
+            if (content === entry.content) return;
+
+            entries[index] = { ...entry, content, modifiedAt: now };
+            changes.push({ id: entry.id, before: entry, after: entries[index] });
+        });
+        return changes;
+    };
+
+    const place = (entry) => {
+        if (entry.deletedAt) {
+            trash.push(entry);
+            trash.sort((a, b) => b.deletedAt - a.deletedAt);
+        } else {
+            insertSorted(entry);
         }
-    },
+    };
 
-    updateModalForOS() {
-        const modal = document.getElementById('keyboardModal');
-        if (!modal) return;
+    // Drops every change about the given ids from the undo/redo history,
+    // so that a permanently deleted entry cannot come back
+    const forget = (ids) => {
+        const strip = (stack) => stack
+            .map(step => {
+                const changes = step.changes.filter(change => !ids.has(change.id));
+                return changes.length === step.changes.length ? step : { ...step, changes };
+            })
+            .filter(step => step.changes.length > 0);
+
+        undoStack = strip(undoStack);
+        redoStack = strip(redoStack);
+    };
 
-        const rows = modal.querySelectorAll('tbody tr');
-        const modifierKey = OS.modifierKey();
-        const menuKey = OS.isMac ? 'Cmd' : 'Alt';
+    // Entries gone for good, not just trashed: the sync pushes a deletion only
+    // for the ids it is told about here
+    const tombstone = (ids) => {
+        if (ids.length > 0) SyncManager.recordDeletions(ids);
+    };
 
-        rows.forEach(row => {
-            const keyCell = row.querySelector('td:first-child');
-            if (keyCell) {
-                let html = keyCell.innerHTML;
-                
-                // Replace Ctrl with Cmd/Ctrl based on OS
-                if (html.includes('Ctrl')) {
-                    html = html.replace(/Ctrl/g, modifierKey);
-                }
-                
-                // Replace Alt with Cmd/Alt based on OS for menu shortcut
-                if (html.includes('Alt')) {
-                    html = html.replace(/Alt/g, menuKey);
-                }
-                
-                keyCell.innerHTML = html;
+    // Histories saved by older versions hold labels already translated
+    const describe = (step) => (typeof step.label === 'string'
+        ? step.label
+        : I18n.t(step.label.key, step.label.params));
+
+    // A stored change keeps `before` whole and, of `after`, only the fields it changed
+    const packChange = (change) => {
+        if (!change.before || !change.after) return change;
+
+        const patch = {};
+        const unset = [];
+        new Set([...Object.keys(change.before), ...Object.keys(change.after)]).forEach(field => {
+            if (!(field in change.after)) {
+                unset.push(field);
+            } else if (JSON.stringify(change.before[field]) !== JSON.stringify(change.after[field])) {
+                patch[field] = change.after[field];
             }
         });
 
-        // Update menu footer hints
-        const menuHints = document.querySelectorAll('.menu-hint');
-        menuHints.forEach(hint => {
-            if (hint.textContent.includes('Alt')) {
-                hint.innerHTML = hint.innerHTML.replace(/Alt/g, menuKey);
-            }
-        });
-    }
-};
+        return { id: change.id, before: change.before, patch, unset };
+    };
 
-/* ====================================
-   MODAL MANAGER WITH FOCUS TRAP (KEYBOARD SHORTCUTS)
-   ==================================== */
+    // Histories saved by older versions hold `after` whole
+    const unpackChange = (change) => {
+        if (!change.patch) return change;
 
-const ModalManager = {
-    modal: null,
-    focusableElements: [],
-    firstFocusable: null,
-    lastFocusable: null,
-    previousFocus: null,
+        const after = { ...change.before, ...change.patch };
+        (change.unset || []).forEach(field => delete after[field]);
+        return { id: change.id, before: change.before, after };
+    };
 
-    init() {
-        this.modal = document.getElementById('keyboardModal');
-        if (!this.modal) return;
+    // Packs both stacks for storage within CONFIG.HISTORY_MAX_SIZE; the oldest
+    // steps that do not fit leave the stacks too, so undo goes no further back
+    // than a reload would
+    const fitHistory = () => {
+        const pack = (step) => ({
+            step,
+            json: JSON.stringify({ label: step.label, changes: step.changes.map(packChange) })
+        });
+        const undo = undoStack.map(pack);
+        const redo = redoStack.map(pack);
 
-        this.modal.addEventListener('keydown', (e) => this.handleFocusTrap(e));
-    },
+        let size = [...undo, ...redo].reduce((total, packed) => total + packed.json.length, 0);
+        while (size > CONFIG.HISTORY_MAX_SIZE && (undo.length > 0 || redo.length > 0)) {
+            size -= (undo.length > 0 ? undo.shift() : redo.shift()).json.length;
+        }
 
-    open() {
-        if (!this.modal) return;
+        undoStack = undo.map(packed => packed.step);
+        redoStack = redo.map(packed => packed.step);
+        return { undo, redo };
+    };
 
-        this.previousFocus = document.activeElement;
+    return {
+        getEntries() {
+            return Object.freeze([...entries]);
+        },
 
-        this.modal.removeAttribute('hidden');
-        this.modal.style.display = 'flex';
-        this.modal.setAttribute('aria-hidden', 'false');
+        isLoaded() {
+            return loaded;
+        },
 
-        this.updateFocusableElements();
+        addEntry(data) {
+            const entry = stamp(data);
+            entries.unshift(entry);
+            this.record({ key: 'history.add', params: { topic: entry.topic } }, [{ id: entry.id, before: null, after: entry }]);
+            this.notify('add', entry);
+            this.persist('put', entry);
+        },
 
-        if (this.firstFocusable) {
-            this.firstFocusable.focus();
-        }
+        updateEntry(id, updatedData) {
+            const index = entries.findIndex(e => e.id === id);
+            if (index === -1) return false;
 
-        document.body.style.overflow = 'hidden';
-    },
+            const previous = entries[index];
+            const now = Date.now();
+            entries[index] = edited(previous, updatedData, now);
 
-    close() {
-        if (!this.modal) return;
+            const relinked = relink(entries[index], previous.topic, now);
+            this.record({ key: 'history.edit', params: { topic: previous.topic } }, [{ id, before: previous, after: entries[index] }, ...relinked]);
 
-        this.modal.setAttribute('hidden', '');
-        this.modal.style.display = 'none';
-        this.modal.setAttribute('aria-hidden', 'true');
+            // Entries whose links followed the rename change too: one re-render for all of them
+            if (relinked.length > 0) {
+                this.notify('load');
+                this.saveEntries([id, ...relinked.map(change => change.id)]);
+            } else {
+                this.notify('update', entries[index]);
+                this.persist('put', entries[index]);
+            }
+            return true;
+        },
 
-        document.body.style.overflow = '';
+        // Review scheduling is not an edit: it is not recorded in the undo history
+        setReview(id, review) {
+            const index = entries.findIndex(e => e.id === id);
+            if (index === -1) return false;
 
-        if (this.previousFocus) {
-            this.previousFocus.focus();
-        }
-    },
+            entries[index] = { ...entries[index], review, modifiedAt: Date.now() };
 
-    toggle() {
-        if (this.isOpen()) {
-            this.close();
-        } else {
-            this.open();
-        }
-    },
+            this.notify('review', entries[index]);
+            this.persist('put', entries[index]);
+            return true;
+        },
 
-    isOpen() {
-        return this.modal && !this.modal.hasAttribute('hidden');
-    },
+        // Soft delete: the entry moves to the trash until it is restored or purged
+        deleteEntry(id) {
+            const index = entries.findIndex(e => e.id === id);
+            if (index === -1) return false;
 
-    updateFocusableElements() {
-        const focusableSelectors = [
-            'button:not([disabled])',
-            'a[href]',
-            'input:not([disabled])',
-            'select:not([disabled])',
-            'textarea:not([disabled])',
-            '[tabindex]:not([tabindex="-1"])'
-        ].join(', ');
+            const [deleted] = entries.splice(index, 1);
+            const now = Date.now();
+            const trashed = { ...deleted, deletedAt: now, modifiedAt: now };
+            place(trashed);
 
-        this.focusableElements = Array.from(
-            this.modal.querySelectorAll(focusableSelectors)
-        ).filter(el => {
-            return el.closest('.modal-content');
-        });
+            this.record({ key: 'history.delete', params: { topic: deleted.topic } }, [{ id, before: deleted, after: trashed }]);
+            this.notify('delete', id);
+            this.persist('put', trashed);
 
-        this.firstFocusable = this.focusableElements[0];
-        this.lastFocusable = this.focusableElements[this.focusableElements.length - 1];
-    },
+            return true;
+        },
 
-    handleFocusTrap(e) {
-        if (e.key !== 'Tab') return;
+        // Moves every entry to the trash
+        clearAll() {
+            const deletedAt = Date.now();
+            const changes = entries.map(entry => ({
+                id: entry.id,
+                before: entry,
+                after: { ...entry, deletedAt, modifiedAt: deletedAt }
+            }));
+            changes.forEach(change => trash.push(change.after));
+            trash.sort((a, b) => b.deletedAt - a.deletedAt);
+            entries = [];
 
-        if (e.shiftKey) {
-            if (document.activeElement === this.firstFocusable) {
-                e.preventDefault();
-                if (this.lastFocusable) this.lastFocusable.focus();
-            }
-        } else {
-            if (document.activeElement === this.lastFocusable) {
-                e.preventDefault();
-                if (this.firstFocusable) this.firstFocusable.focus();
-            }
-        }
-    }
-};
+            this.record({ key: 'history.clear' }, changes);
+            this.notify('clear');
+            this.saveEntries(changes.map(change => change.id));
+        },
 
-/* ====================================
-   DAY VIEW MODAL - FIX AUTOOPEN BUG
-   ==================================== */
-
-const DayViewModal = {
-    modal: null,
-    modalBody: null,
-    closeBtn: null,
-    backdrop: null,
-    previousFocus: null,
-    currentDate: null,
+        // Edits and soft-deletes several entries as one undo step and a single
+        // 'load' notification, so observers re-render once for the whole batch.
+        // Returns how many entries changed
+        batch(label, { updates = [], deletes = [] }) {
+            const now = Date.now();
+            const changes = [];
 
-    init() {
-        this.modal = document.getElementById('dayViewModal');
-        this.modalBody = document.getElementById('dayViewBody');
-        this.closeBtn = document.getElementById('closeDayView');
-        this.backdrop = this.modal?.querySelector('.modal-backdrop');
+            updates.forEach(({ id, data }) => {
+                const index = entries.findIndex(e => e.id === id);
+                if (index === -1) return;
 
-        if (this.modal) {
-            this.modal.setAttribute('hidden', '');
-            this.modal.style.display = 'none';
-        }
+                const previous = entries[index];
+                entries[index] = edited(previous, data, now);
+                changes.push({ id, before: previous, after: entries[index] });
+            });
 
-        if (this.closeBtn) {
-            this.closeBtn.addEventListener('click', () => this.close());
-        }
+            deletes.forEach(id => {
+                const index = entries.findIndex(e => e.id === id);
+                if (index === -1) return;
 
-        if (this.backdrop) {
-            this.backdrop.addEventListener('click', () => this.close());
-        }
-    },
+                const [deleted] = entries.splice(index, 1);
+                const trashed = { ...deleted, deletedAt: now, modifiedAt: now };
+                place(trashed);
+                changes.push({ id, before: deleted, after: trashed });
+            });
 
-    open(date, entries) {
-        if (!appInitialized) {
-            console.log('DayViewModal: Blocked open during app initialization');
-            return;
-        }
+            if (changes.length === 0) return 0;
 
-        if (!this.modal || !this.modalBody) return;
+            this.record(label, changes);
+            this.notify('load');
+            this.saveEntries(changes.map(change => change.id));
 
-        this.currentDate = date;
-        this.previousFocus = document.activeElement;
+            return changes.length;
+        },
 
-        this.modal.removeAttribute('hidden');
-        this.modal.style.display = 'flex';
-        this.modal.setAttribute('aria-hidden', 'false');
+        getTrash() {
+            return Object.freeze([...trash]);
+        },
 
-        document.body.style.overflow = 'hidden';
+        restoreFromTrash(id) {
+            const index = trash.findIndex(e => e.id === id);
+            if (index === -1) return false;
 
-        this.renderDayView(date, entries);
+            const [trashed] = trash.splice(index, 1);
+            const { deletedAt, ...data } = trashed;
+            const restored = stamp(data);
+            insertSorted(restored);
 
-        if (this.closeBtn) {
-            this.closeBtn.focus();
-        }
-    },
+            this.record({ key: 'history.restore', params: { topic: restored.topic } }, [{ id, before: trashed, after: restored }]);
+            this.notify('restore', restored);
+            this.persist('put', restored);
 
-    close() {
-        if (!this.modal) return;
+            return true;
+        },
 
-        this.modal.setAttribute('hidden', '');
-        this.modal.style.display = 'none';
-        this.modal.setAttribute('aria-hidden', 'true');
+        // Permanent: the entries leave the trash and the undo history.
+        // Returns how many were purged
+        purge(ids) {
+            const purged = new Set(ids);
+            const count = trash.length;
+            trash = trash.filter(entry => !purged.has(entry.id));
+            if (trash.length === count) return 0;
+
+            tombstone([...purged]);
+            forget(purged);
+            this.saveHistory();
+            this.notify('trash');
+
+            if (purged.size === 1) {
+                this.persist('remove', ids[0]);
+            } else {
+                this.saveEntries([...purged]);
+            }
 
-        document.body.style.overflow = '';
+            return count - trash.length;
+        },
 
-        this.modalBody.innerHTML = '';
-        this.currentDate = null;
+        emptyTrash() {
+            return this.purge(trash.map(entry => entry.id));
+        },
 
-        if (this.previousFocus) {
-            this.previousFocus.focus();
-        }
-    },
+        // Everything that may still bring an entry version back: live and
+        // trashed entries (revisions included) and the undo/redo steps
+        getRetained() {
+            return { entries, trash, undo: undoStack, redo: redoStack };
+        },
 
-    isOpen() {
-        return this.modal && !this.modal.hasAttribute('hidden');
-    },
+        purgeExpired(now = Date.now()) {
+            const limit = now - CONFIG.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            return this.purge(trash.filter(entry => entry.deletedAt <= limit).map(entry => entry.id));
+        },
 
-    renderDayView(date, entries) {
-        const title = document.getElementById('dayViewTitle');
-        if (title) {
-            title.textContent = RenderManager.formatDate(entries[0].timestamp);
-        }
+        // Locking: forgets what was decrypted, leaving the storage as it is
+        unload() {
+            loaded = false;
+            entries = [];
+            trash = [];
+            undoStack = [];
+            redoStack = [];
 
-        const fragment = document.createDocumentFragment();
+            this.notify('load');
+            this.notify('history');
+        },
 
-        const stats = document.createElement('div');
-        stats.className = 'day-view-stats';
-        stats.innerHTML = `
-            <p style="text-align: center; color: var(--color-text-light); margin-bottom: var(--spacing-lg);">
-                <strong>${entries.length}</strong> apprendiment${entries.length === 1 ? 'o' : 'i'} in questo giorno
-            </p>
-        `;
-        fragment.appendChild(stats);
+        // Permanently deletes entries, trash and undo history
+        wipeAll() {
+            tombstone([...entries, ...trash].map(entry => entry.id));
+            entries = [];
+            trash = [];
+            undoStack = [];
+            redoStack = [];
 
-        entries.forEach((entry, index) => {
-            const entryDiv = document.createElement('div');
-            entryDiv.className = 'entry';
-            entryDiv.style.borderBottom = index < entries.length - 1 ? '1px solid var(--color-border-light)' : 'none';
-            entryDiv.style.paddingBottom = 'var(--spacing-lg)';
-            entryDiv.style.marginBottom = 'var(--spacing-lg)';
+            this.saveHistory();
+            this.notify('clear');
+            this.persist('clear');
+        },
 
-            const header = document.createElement('div');
-            header.className = 'entry-header';
+        // Replaces the whole list (imports); only entries that actually changed go into the history
+        setEntries(newEntries, label = { key: 'history.import' }) {
+            const previous = new Map(entries.map(entry => [entry.id, entry]));
+            const trashed = new Map(trash.map(entry => [entry.id, entry]));
+            const changes = [];
+            const now = Date.now();
+
+            const next = newEntries.map(entry => {
+                const before = previous.get(entry.id) || trashed.get(entry.id) || null;
+                previous.delete(entry.id);
+                if (before === entry) return entry;
+
+                const after = stamp(entry, now);
+                changes.push({ id: entry.id, before, after });
+                return after;
+            });
+            previous.forEach((entry, id) => changes.push({ id, before: entry, after: null }));
+            tombstone([...previous.keys()]);
 
-            const title = document.createElement('h3');
-            title.className = 'entry-title';
-            title.textContent = entry.topic;
+            // An entry brought back by the import leaves the trash
+            const ids = new Set(newEntries.map(entry => entry.id));
+            entries = next;
+            trash = trash.filter(entry => !ids.has(entry.id));
 
-            const time = document.createElement('time');
-            time.className = 'entry-time';
-            time.setAttribute('datetime', new Date(entry.timestamp).toISOString());
-            time.textContent = RenderManager.formatTime(entry.timestamp);
+            this.record(label, changes);
+            this.notify('load');
+            this.saveEntries(changes.map(change => change.id));
+        },
 
-            header.appendChild(title);
-            header.appendChild(time);
-            entryDiv.appendChild(header);
+        getEntryById(id) {
+            return entries.find(e => e.id === id);
+        },
 
-            const content = document.createElement('div');
-            content.className = 'entry-content';
-            content.textContent = entry.content;
-            entryDiv.appendChild(content);
+        // Versions pulled from the sync server, applied as they are (they keep
+        // their modifiedAt) and kept out of the undo history; `entry: null`
+        // deletes for good. A single 'load' for the whole batch
+        applyRemote(changes) {
+            if (changes.length === 0) return 0;
+
+            const incoming = new Map(changes.map(change => [change.id, change.entry]));
+            const removed = new Set();
+            entries = entries.filter(entry => !incoming.has(entry.id));
+            trash = trash.filter(entry => !incoming.has(entry.id));
+
+            incoming.forEach((entry, id) => {
+                if (!entry) {
+                    removed.add(id);
+                } else if (entry.deletedAt) {
+                    trash.push(entry);
+                } else {
+                    entries.push(entry);
+                }
+            });
+            entries.sort((a, b) => b.timestamp - a.timestamp);
+            trash.sort((a, b) => b.deletedAt - a.deletedAt);
 
-            if (entry.link) {
-                const link = document.createElement('a');
-                link.href = entry.link;
-                link.className = 'entry-link';
-                link.target = '_blank';
-                link.rel = 'noopener noreferrer';
-                link.innerHTML = `
-                    <span aria-hidden="true">🔗</span>
-                    <span>${RenderManager.escapeHtml(entry.link)}</span>
-                `;
-                entryDiv.appendChild(link);
+            if (removed.size > 0) {
+                forget(removed);
+                this.saveHistory();
             }
 
-            if (entry.imageUrl) {
-                const img = document.createElement('img');
-                img.src = entry.imageUrl;
-                img.alt = `Immagine per ${entry.topic}`;
-                img.className = 'entry-image';
-                img.loading = 'lazy';
-                entryDiv.appendChild(img);
+            this.notify('load');
+            this.saveEntries([...incoming.keys()]);
+
+            return changes.length;
+        },
+
+        // `label` is a catalogue key with its params, translated when shown so a
+        // saved history follows a later change of language
+        record(label, changes) {
+            if (changes.length === 0) return;
+
+            undoStack.push({ label, changes });
+            if (undoStack.length > CONFIG.HISTORY_LIMIT) {
+                undoStack.splice(0, undoStack.length - CONFIG.HISTORY_LIMIT);
             }
+            redoStack = [];
 
-            const actions = document.createElement('div');
-            actions.className = 'entry-actions';
+            this.saveHistory();
+        },
 
-            const editBtn = document.createElement('button');
-            editBtn.className = 'btn btn-secondary';
-            editBtn.setAttribute('data-action', 'edit');
-            editBtn.setAttribute('data-id', entry.id);
-            editBtn.innerHTML = '<span aria-hidden="true">✏️</span> Modifica';
+        canUndo() {
+            return undoStack.length > 0;
+        },
 
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'btn btn-danger';
-            deleteBtn.setAttribute('data-action', 'delete');
-            deleteBtn.setAttribute('data-id', entry.id);
-            deleteBtn.innerHTML = '<span aria-hidden="true">🗑</span> Elimina';
+        canRedo() {
+            return redoStack.length > 0;
+        },
 
-            actions.appendChild(editBtn);
-            actions.appendChild(deleteBtn);
-            entryDiv.appendChild(actions);
+        getUndoLabel() {
+            return undoStack.length ? describe(undoStack[undoStack.length - 1]) : null;
+        },
 
-            fragment.appendChild(entryDiv);
-        });
+        // Opaque handle of the most recent step, to tell whether it is still on top
+        getUndoStep() {
+            return undoStack[undoStack.length - 1] || null;
+        },
 
-        this.modalBody.innerHTML = '';
-        this.modalBody.appendChild(fragment);
-    }
-};
+        getRedoLabel() {
+            return redoStack.length ? describe(redoStack[redoStack.length - 1]) : null;
+        },
 
-/* ====================================
-   MENU MANAGER (NEW - Hamburger Menu)
-   Pattern identical to ModalManager
-   ==================================== */
+        // Returns the label of the undone step, or null if there was nothing to undo
+        undo() {
+            const step = undoStack.pop();
+            if (!step) return null;
 
-const MenuManager = {
-    menu: null,
-    overlay: null,
-    closeBtn: null,
-    hamburgerBtn: null,
-    focusableElements: [],
-    firstFocusable: null,
-    lastFocusable: null,
-    previousFocus: null,
-    currentFocusIndex: 0,
+            this.applyChanges(step.changes, 'before');
+            redoStack.push(step);
+            this.saveHistory();
 
-    init() {
-        this.menu = document.getElementById('hamburgerMenu');
-        this.overlay = this.menu?.querySelector('.menu-overlay');
-        this.closeBtn = document.getElementById('closeMenu');
-        this.hamburgerBtn = document.getElementById('hamburgerBtn');
+            return describe(step);
+        },
 
-        if (!this.menu) {
-            console.error('MenuManager: hamburgerMenu element not found');
-            return;
-        }
+        redo() {
+            const step = redoStack.pop();
+            if (!step) return null;
 
-        // Ensure menu is hidden on init
-        this.menu.setAttribute('hidden', '');
-        this.menu.style.display = 'none';
+            this.applyChanges(step.changes, 'after');
+            undoStack.push(step);
+            this.saveHistory();
 
-        // Event listeners
-        if (this.closeBtn) {
-            this.closeBtn.addEventListener('click', () => this.close());
-        }
+            return describe(step);
+        },
 
-        if (this.overlay) {
-            this.overlay.addEventListener('click', () => this.close());
-        }
+        // Moves every entry of a step to its `side` ('before' | 'after') state:
+        // in the list, in the trash (`deletedAt` set) or gone (null)
+        applyChanges(changes, side) {
+            let current = null;
+            let restored = null;
+            const removed = [];
 
-        if (this.hamburgerBtn) {
-            this.hamburgerBtn.addEventListener('click', () => this.toggle());
-        }
+            changes.forEach(change => {
+                const target = change[side];
 
-        // Keyboard navigation (Tab + Arrow keys)
-        if (this.menu) {
-            this.menu.addEventListener('keydown', (e) => {
-                if (e.key === 'Tab') {
-                    this.handleFocusTrap(e);
-                } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
-                    this.handleArrowNavigation(e);
+                current = take(change.id);
+                restored = null;
+                if (!target) {
+                    if (current) removed.push(change.id);
+                    return;
                 }
+
+                // Keep the current review schedule: it is not part of the history
+                restored = stamp(current && current.review ? { ...target, review: current.review } : target);
+                place(restored);
             });
-        }
+            tombstone(removed);
 
-        console.log('✅ MenuManager initialized');
-    },
+            if (changes.length > 1) {
+                this.notify('load');
+                this.saveEntries(changes.map(change => change.id));
+                return;
+            }
 
-    open() {
-        if (!this.menu) return;
+            const wasLive = current && !current.deletedAt;
+            if (restored && !restored.deletedAt) {
+                this.notify(wasLive ? 'update' : 'restore', restored);
+            } else if (wasLive) {
+                this.notify('delete', changes[0].id);
+            } else {
+                this.notify('trash');
+            }
 
-        this.previousFocus = document.activeElement;
+            if (restored) {
+                this.persist('put', restored);
+            } else {
+                this.persist('remove', changes[0].id);
+            }
+        },
 
-        this.menu.removeAttribute('hidden');
-        this.menu.style.display = 'flex';
-        this.menu.setAttribute('aria-hidden', 'false');
+        subscribe(observer) {
+            observers.push(observer);
+        },
 
-        // Update hamburger button state
-        if (this.hamburgerBtn) {
-            this.hamburgerBtn.setAttribute('aria-expanded', 'true');
-        }
+        notify(action, data) {
+            observers.forEach(observer => observer(action, data));
+        },
 
-        this.updateFocusableElements();
+        persist(method, ...args) {
+            const adapter = StorageManager.adapter;
+            if (!adapter) return Promise.resolve();
 
-        // Focus first menu item
-        if (this.firstFocusable) {
-            this.firstFocusable.focus();
-            this.currentFocusIndex = 0;
-        }
+            let write;
+            try {
+                write = adapter[method](...args).then(
+                    () => TabSync.announce(),
+                    e => this.handleSaveError(adapter, e)
+                );
+            } catch (e) {
+                this.handleSaveError(adapter, e);
+                return Promise.resolve();
+            }
 
-        document.body.style.overflow = 'hidden';
+            inflight.add(write);
+            write.finally(() => inflight.delete(write));
+            return write;
+        },
 
-        console.log('📂 Menu opened');
-    },
+        // Resolves once every write issued so far is stored
+        idle() {
+            return Promise.all([...inflight, historyWrite]);
+        },
 
-    close() {
-        if (!this.menu) return;
+        handleSaveError(adapter, e) {
+            console.error(`Failed to save to ${adapter.name}:`, e);
+            ToastManager.show(I18n.t('storage.saveFailed'), 'error');
+        },
 
-        this.menu.setAttribute('hidden', '');
-        this.menu.style.display = 'none';
-        this.menu.setAttribute('aria-hidden', 'true');
+        // Writes just these entries, or their removal where they are gone: the
+        // rest of the storage may hold what another tab saved since this one loaded
+        saveEntries(ids) {
+            const current = new Map([...entries, ...trash].map(entry => [entry.id, entry]));
+            const unique = [...new Set(ids)];
 
-        // Update hamburger button state
-        if (this.hamburgerBtn) {
-            this.hamburgerBtn.setAttribute('aria-expanded', 'false');
+            return this.persist('writeMany',
+                unique.filter(id => current.has(id)).map(id => current.get(id)),
+                unique.filter(id => !current.has(id)));
+        },
+
+        saveHistory() {
+            const history = fitHistory();
+            historyWrite = historyWrite.then(() => this.writeHistory(history)).then(() => TabSync.announce());
+
+            this.notify('history');
+            return historyWrite;
+        },
+
+        // The history lives in localStorage (encrypted, like the entries, when the
+        // diary is); when it still does not fit, the oldest half of the steps goes,
+        // from the storage and from the stacks, until it does
+        async writeHistory(history) {
+            if (CryptoManager.isLocked()) return;
+
+            let { undo, redo } = history;
+            while (true) {
+                try {
+                    const list = (steps) => steps.map(packed => packed.json).join(',');
+                    const json = `{"undo":[${list(undo)}],"redo":[${list(redo)}]}`;
+                    const value = CryptoManager.isUnlocked()
+                        ? JSON.stringify(await CryptoManager.encrypt(json))
+                        : json;
+                    localStorage.setItem(CONFIG.HISTORY_KEY, value);
+                    return;
+                } catch (e) {
+                    const steps = [...undo, ...redo];
+                    if (steps.length === 0) {
+                        console.error('Failed to save undo history:', e);
+                        return;
+                    }
+
+                    const dropped = new Set(steps.slice(0, Math.ceil(steps.length / 2)).map(packed => packed.step));
+                    undo = undo.filter(packed => !dropped.has(packed.step));
+                    redo = redo.filter(packed => !dropped.has(packed.step));
+                    undoStack = undoStack.filter(step => !dropped.has(step));
+                    redoStack = redoStack.filter(step => !dropped.has(step));
+                    this.notify('history');
+                }
+            }
+        },
+
+        async loadHistory() {
+            try {
+                let saved = JSON.parse(localStorage.getItem(CONFIG.HISTORY_KEY));
+                if (CryptoManager.isCipher(saved)) {
+                    saved = JSON.parse(await CryptoManager.decrypt(saved));
+                }
+                const isStep = (step) => step && (typeof step.label === 'string' || typeof step.label?.key === 'string') &&
+                    Array.isArray(step.changes);
+
+                const unpack = (step) => ({ ...step, changes: step.changes.map(unpackChange) });
+
+                if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+                    undoStack = saved.undo.filter(isStep).slice(-CONFIG.HISTORY_LIMIT).map(unpack);
+                    redoStack = saved.redo.filter(isStep).map(unpack);
+                }
+            } catch (e) {
+                console.error('Failed to load undo history:', e);
+            }
+
+            this.notify('history');
+        },
+
+        async load() {
+            try {
+                const adapter = await StorageManager.init();
+                const data = await adapter.loadAll();
+                loaded = true;
+                if (data.length > 0) {
+                    entries = data.filter(entry => !entry.deletedAt).sort((a, b) => b.timestamp - a.timestamp);
+                    trash = data.filter(entry => entry.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+                    this.notify('load');
+                }
+            } catch (e) {
+                console.error('Failed to load entries:', e);
+                ToastManager.show(I18n.t('storage.loadFailed'), 'error');
+            }
+
+            await this.loadHistory();
+            this.purgeExpired();
+        },
+
+        // Another tab saved: what is stored becomes the state of this tab.
+        // Returns false (nothing changed) if this tab wrote meanwhile,
+        // so the caller can try again once that write is stored too
+        async reload() {
+            const adapter = StorageManager.adapter;
+            if (!adapter || CryptoManager.isLocked()) return true;
+
+            await this.idle();
+
+            let data;
+            try {
+                data = await adapter.loadAll();
+            } catch (e) {
+                console.error('Failed to reload entries:', e);
+                return true;
+            }
+
+            if (inflight.size > 0) return false;
+
+            loaded = true;
+            entries = data.filter(entry => !entry.deletedAt).sort((a, b) => b.timestamp - a.timestamp);
+            trash = data.filter(entry => entry.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+
+            await this.loadHistory();
+            this.notify('load');
+            return true;
         }
+    };
+})();
 
-        document.body.style.overflow = '';
+/* ====================================
+   VALIDATION SYSTEM
+   ==================================== */
 
-        if (this.previousFocus) {
-            this.previousFocus.focus();
+const Validator = {
+    validateEntry(data) {
+        const errors = [];
+
+        if (!data.topic || data.topic.length < CONFIG.VALIDATION.topic.minLength) {
+            errors.push(I18n.t('validation.topicMin', { count: CONFIG.VALIDATION.topic.minLength }));
+        }
+        if (data.topic && data.topic.length > CONFIG.VALIDATION.topic.maxLength) {
+            errors.push(I18n.t('validation.topicMax', { count: CONFIG.VALIDATION.topic.maxLength }));
         }
 
-        console.log('📁 Menu closed');
-    },
+        if (!data.content || data.content.length < CONFIG.VALIDATION.content.minLength) {
+            errors.push(I18n.t('validation.contentMin', { count: CONFIG.VALIDATION.content.minLength }));
+        }
+        if (data.content && data.content.length > CONFIG.VALIDATION.content.maxLength) {
+            errors.push(I18n.t('validation.contentMax', { count: CONFIG.VALIDATION.content.maxLength }));
+        }
 
-    toggle() {
-        if (this.isOpen()) {
-            this.close();
-        } else {
-            this.open();
+        if (data.link && !this.isValidUrl(data.link)) {
+            errors.push(I18n.t('validation.linkInvalid'));
+        }
+        if (data.link && !this.isHttpUrl(data.link)) {
+            errors.push(I18n.t('validation.linkProtocol'));
+        }
+
+        // Images stored with the diary are referred to as "attachment:<id>"
+        const remoteImage = data.imageUrl && !Attachments.isReference(data.imageUrl);
+        if (remoteImage && !this.isValidUrl(data.imageUrl)) {
+            errors.push(I18n.t('validation.imageInvalid'));
+        }
+        if (remoteImage && !this.isHttpUrl(data.imageUrl)) {
+            errors.push(I18n.t('validation.imageProtocol'));
+        }
+
+        if (data.tags !== undefined && !Array.isArray(data.tags)) {
+            errors.push(I18n.t('validation.tagsInvalid'));
+        } else if (data.tags) {
+            if (data.tags.length > CONFIG.VALIDATION.tags.maxCount) {
+                errors.push(I18n.t('validation.tagsMax', { count: CONFIG.VALIDATION.tags.maxCount }));
+            }
+            if (data.tags.some(tag => typeof tag !== 'string' || tag.length > CONFIG.VALIDATION.tags.maxLength)) {
+                errors.push(I18n.t('validation.tagLength', { count: CONFIG.VALIDATION.tags.maxLength }));
+            }
         }
+
+        return { valid: errors.length === 0, errors };
     },
 
-    isOpen() {
-        return this.menu && !this.menu.hasAttribute('hidden');
+    isValidUrl(string) {
+        try {
+            new URL(string);
+            return true;
+        } catch {
+            return false;
+        }
     },
 
-    updateFocusableElements() {
-        const focusableSelectors = [
-            '.menu-item',
-            'button:not([disabled])',
-            'a[href]'
-        ].join(', ');
+    isHttpUrl(string) {
+        try {
+            const url = new URL(string);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+};
 
-        this.focusableElements = Array.from(
-            this.menu.querySelectorAll(focusableSelectors)
-        ).filter(el => {
-            return el.closest('.menu-content');
+/* ====================================
+   SEARCH QUERY PARSER
+   Syntax: terms, "phrases", -exclusion, OR,
+   topic: content: link: tag:, after: before:
+   (YYYY-MM-DD) and has:link / has:image / has:tag
+   ==================================== */
+
+const QueryParser = {
+    TEXT_FIELDS: { topic: 'topic', title: 'topic', content: 'content', link: 'link', tag: 'tag', tags: 'tag' },
+    DATE_FIELDS: ['after', 'before'],
+    HAS_VALUES: { link: 'link', image: 'image', tag: 'tag', tags: 'tag' },
+    lastQuery: null,
+    lastParsed: null,
+
+    // Returns { groups }: a list of OR-ed groups, each a list of AND-ed clauses
+    parse(query) {
+        if (query === this.lastQuery) return this.lastParsed;
+
+        const groups = [[]];
+
+        this.tokenize(query).forEach(token => {
+            if (token.raw === 'OR' && !token.quoted && !token.negated) {
+                groups.push([]);
+                return;
+            }
+
+            const clause = this.createClause(token);
+            if (clause) groups[groups.length - 1].push(clause);
         });
 
-        this.firstFocusable = this.focusableElements[0];
-        this.lastFocusable = this.focusableElements[this.focusableElements.length - 1];
+        this.lastQuery = query;
+        this.lastParsed = { groups: groups.filter(group => group.length > 0) };
+        return this.lastParsed;
     },
 
-    handleFocusTrap(e) {
-        if (e.shiftKey) {
-            // Shift + Tab: backward
-            if (document.activeElement === this.firstFocusable) {
-                e.preventDefault();
-                if (this.lastFocusable) {
-                    this.lastFocusable.focus();
-                    this.currentFocusIndex = this.focusableElements.length - 1;
-                }
-            }
-        } else {
-            // Tab: forward
-            if (document.activeElement === this.lastFocusable) {
-                e.preventDefault();
-                if (this.firstFocusable) {
-                    this.firstFocusable.focus();
-                    this.currentFocusIndex = 0;
-                }
+    tokenize(query) {
+        const tokens = [];
+        const regex = /(-)?(?:([a-zA-Z]+):)?(?:"([^"]*)"?|([^\s"]+))/g;
+        let match;
+
+        while ((match = regex.exec(query)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
             }
+
+            const [raw, minus, field, phrase, word] = match;
+            tokens.push({
+                raw,
+                negated: Boolean(minus),
+                field: field ? field.toLowerCase() : null,
+                fieldRaw: field || '',
+                value: phrase !== undefined ? phrase : (word || ''),
+                quoted: phrase !== undefined
+            });
         }
+
+        return tokens;
     },
 
-    handleArrowNavigation(e) {
-        e.preventDefault();
+    createClause(token) {
+        const { negated, field, quoted } = token;
+        let value = token.value.trim().toLowerCase();
 
-        const menuItems = this.focusableElements.filter(el => el.classList.contains('menu-item'));
+        if (field && this.DATE_FIELDS.includes(field)) {
+            const date = this.parseDate(value);
+            if (date !== null) return { type: 'date', op: field, value: date, negated };
+        }
 
-        if (menuItems.length === 0) return;
+        if (field === 'has' && this.HAS_VALUES[value]) {
+            return { type: 'has', value: this.HAS_VALUES[value], negated };
+        }
 
-        if (e.key === 'ArrowDown') {
-            this.currentFocusIndex = (this.currentFocusIndex + 1) % menuItems.length;
-        } else if (e.key === 'ArrowUp') {
-            this.currentFocusIndex = (this.currentFocusIndex - 1 + menuItems.length) % menuItems.length;
+        if (field && this.TEXT_FIELDS[field] === 'tag') {
+            value = value.replace(/^#+/, '');
+            return value ? { type: 'term', field: 'tag', value, negated, phrase: quoted } : null;
         }
 
-        menuItems[this.currentFocusIndex].focus();
+        let termField = null;
+        if (field && this.TEXT_FIELDS[field]) {
+            termField = this.TEXT_FIELDS[field];
+        } else if (field) {
+            // Unknown qualifiers (e.g. "https://...") are plain text
+            value = `${token.fieldRaw}:${token.value}`.trim().toLowerCase();
+        }
+
+        const tokens = SearchIndex.tokenize(value);
+        if (tokens.length === 0) return null;
+
+        return { type: 'term', field: termField, value, tokens, negated, phrase: quoted };
+    },
+
+    // Tag qualifiers compare whole tags; every other term goes through the index
+    isIndexed(clause) {
+        return clause.type === 'term' && clause.field !== 'tag';
+    },
+
+    parseDate(value) {
+        const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (!match) return null;
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(date.getTime()) ? null : date.getTime();
+    },
+
+    getFieldText(entry, field) {
+        switch (field) {
+            case 'topic':
+                return (entry.topic || '').toLowerCase();
+            case 'content':
+                return (entry.content || '').toLowerCase();
+            case 'link':
+                return (entry.link || '').toLowerCase();
+            case 'tag':
+                return (entry.tags || []).join(' ');
+            default:
+                return [
+                    entry.topic,
+                    entry.content,
+                    entry.link || '',
+                    (entry.tags || []).join(' ')
+                ].join(' ').toLowerCase();
+        }
+    },
+
+    clauseMatches(clause, entry) {
+        switch (clause.type) {
+            case 'date':
+                return clause.op === 'after'
+                    ? entry.timestamp >= clause.value
+                    : entry.timestamp < clause.value;
+            case 'has':
+                if (clause.value === 'link') return Boolean(entry.link);
+                if (clause.value === 'image') return Boolean(entry.imageUrl);
+                return Boolean(entry.tags && entry.tags.length > 0);
+            default:
+                if (clause.field === 'tag') {
+                    return (entry.tags || []).includes(clause.value);
+                }
+                return SearchIndex.termMatches(clause, entry);
+        }
+    },
+
+    groupMatches(group, entry) {
+        return group.every(clause => this.clauseMatches(clause, entry) !== clause.negated);
+    },
+
+    matches(parsed, entry) {
+        if (parsed.groups.length === 0) return true;
+        return parsed.groups.some(group => this.groupMatches(group, entry));
+    },
+
+    // Indexed tokens matched by positive terms, from the OR branches this
+    // entry satisfies, that occur in `field` ('topic' or 'content')
+    getMatchedTerms(parsed, entry, field) {
+        const terms = new Set();
+
+        parsed.groups
+            .filter(group => this.groupMatches(group, entry))
+            .forEach(group => {
+                group.forEach(clause => {
+                    if (!this.isIndexed(clause) || clause.negated) return;
+                    if (clause.field !== null && clause.field !== field) return;
+                    SearchIndex.matchedTokens(clause, entry, field).forEach(token => terms.add(token));
+                });
+            });
+
+        return [...terms];
     }
 };
 
 /* ====================================
-   RENDERING MANAGER
+   FULL-TEXT SEARCH INDEX (BM25F)
+   Inverted index kept in sync through
+   AppState.subscribe; accent-insensitive,
+   with prefix and typo-tolerant lookups
    ==================================== */
 
-const RenderManager = {
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    },
+const SearchIndex = {
+    FIELDS: ['topic', 'content', 'tag', 'link'],
+    postings: new Map(),   // token -> Map(entryId -> { topic, content, tag, link } term frequencies)
+    documents: new Map(),  // entryId -> { entry, lengths, tokens }
+    totalLengths: { topic: 0, content: 0, tag: 0, link: 0 },
+    expansionCache: new Map(),
 
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    init() {
+        this.rebuild(AppState.getEntries());
+
+        AppState.subscribe((action, data) => {
+            switch (action) {
+                case 'add':
+                case 'update':
+                case 'review':
+                case 'restore':
+                    this.update(data);
+                    break;
+                case 'delete':
+                    this.remove(data);
+                    break;
+                case 'clear':
+                case 'load':
+                    this.rebuild(AppState.getEntries());
+                    break;
+            }
+        });
     },
 
-    highlightText(text, query) {
-        if (!query.trim()) return this.escapeHtml(text);
+    // Lowercase, strip diacritics ("perché" -> "perche") and split on non-alphanumerics
+    fold(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    },
 
-        const terms = query.toLowerCase().split(/\s+/).filter(t => t.length > 0);
-        let escaped = this.escapeHtml(text);
+    tokenize(text) {
+        return this.fold(text).split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 0);
+    },
 
-        terms.forEach(term => {
-            const regex = new RegExp(`(${this.escapeRegex(term)})`, 'gi');
-            escaped = escaped.replace(regex, '<mark class="highlight">$1</mark>');
-        });
+    getFieldValues(entry) {
+        return {
+            topic: entry.topic,
+            content: entry.content,
+            tag: (entry.tags || []).join(' '),
+            link: entry.link || ''
+        };
+    },
 
-        return escaped;
+    rebuild(entries) {
+        this.postings.clear();
+        this.documents.clear();
+        this.FIELDS.forEach(field => { this.totalLengths[field] = 0; });
+        entries.forEach(entry => this.add(entry));
     },
 
-    formatDate(timestamp) {
-        const date = new Date(timestamp);
-        const today = new Date();
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
+    add(entry) {
+        const values = this.getFieldValues(entry);
+        const lengths = {};
+        const tokens = new Set();
 
-        const isToday = date.toDateString() === today.toDateString();
-        const isYesterday = date.toDateString() === yesterday.toDateString();
+        this.FIELDS.forEach(field => {
+            const fieldTokens = this.tokenize(values[field]);
+            lengths[field] = fieldTokens.length;
+            this.totalLengths[field] += fieldTokens.length;
 
-        if (isToday) return 'Oggi';
-        if (isYesterday) return 'Ieri';
+            fieldTokens.forEach(token => {
+                tokens.add(token);
 
-        return date.toLocaleDateString('it-IT', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                }
+                const docs = this.postings.get(token);
+                if (!docs.has(entry.id)) {
+                    docs.set(entry.id, { topic: 0, content: 0, tag: 0, link: 0 });
+                }
+                docs.get(entry.id)[field]++;
+            });
         });
+
+        this.documents.set(entry.id, { entry, lengths, tokens });
+        this.expansionCache.clear();
     },
 
-    formatTime(timestamp) {
-        return new Date(timestamp).toLocaleTimeString('it-IT', {
-            hour: '2-digit',
-            minute: '2-digit'
+    remove(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+
+        doc.tokens.forEach(token => {
+            const docs = this.postings.get(token);
+            if (!docs) return;
+            docs.delete(id);
+            if (docs.size === 0) this.postings.delete(token);
         });
+
+        this.FIELDS.forEach(field => { this.totalLengths[field] -= doc.lengths[field]; });
+        this.documents.delete(id);
+        this.expansionCache.clear();
     },
 
-    showSkeleton() {
-        const loadingState = document.getElementById('loadingState');
-        if (loadingState) {
-            loadingState.removeAttribute('hidden');
-        }
+    update(entry) {
+        this.remove(entry.id);
+        this.add(entry);
     },
 
-    hideSkeleton() {
-        const loadingState = document.getElementById('loadingState');
-        if (loadingState) {
-            loadingState.setAttribute('hidden', '');
-        }
+    getEntry(id) {
+        const doc = this.documents.get(id);
+        return doc ? doc.entry : undefined;
     },
 
-    render(entries, query = '') {
-        const container = document.getElementById('entriesContainer');
-        const emptyState = document.getElementById('emptyState');
+    // Bounded Damerau-Levenshtein (adjacent swaps count as one typo):
+    // returns maxDistance + 1 as soon as it is exceeded
+    editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
 
-        this.hideSkeleton();
+        let beforePrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
 
-        if (entries.length === 0) {
-            if (emptyState) emptyState.removeAttribute('hidden');
-            this.clearEntries();
-            return;
-        }
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
 
-        if (emptyState) emptyState.setAttribute('hidden', '');
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
 
-        const groupedByDate = this.groupByDate(entries);
-        const fragment = document.createDocumentFragment();
+                if (beforePrevious && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                }
 
-        for (const [date, dateEntries] of Object.entries(groupedByDate)) {
-            const card = document.createElement('div');
-            card.className = 'entry-card';
-            card.setAttribute('role', 'article');
-
-            const dateHeader = document.createElement('div');
-            dateHeader.className = 'date-header';
-            dateHeader.textContent = this.formatDate(dateEntries[0].timestamp);
-            dateHeader.setAttribute('data-date', date);
-            dateHeader.setAttribute('title', 'Clicca per visualizzare la giornata');
-            card.appendChild(dateHeader);
-
-            dateEntries.forEach(entry => {
-                const entryDiv = this.createEntryElement(entry, query);
-                card.appendChild(entryDiv);
-            });
+                rowMin = Math.min(rowMin, current[j]);
+            }
 
-            fragment.appendChild(card);
+            if (rowMin > maxDistance) return maxDistance + 1;
+            beforePrevious = previous;
+            previous = current;
         }
 
-        this.clearEntries();
-        container.appendChild(fragment);
+        return previous[b.length];
     },
 
-    createEntryElement(entry, query) {
-        const entryDiv = document.createElement('div');
-        entryDiv.className = 'entry';
-        entryDiv.setAttribute('data-id', entry.id);
+    // Maps a query token to indexed tokens with a weight: exact and prefix
+    // matches first; typo-tolerant matches only when those find nothing
+    expand(token, allowFuzzy = true) {
+        const cacheKey = `${allowFuzzy ? '~' : '='}${token}`;
+        if (this.expansionCache.has(cacheKey)) return this.expansionCache.get(cacheKey);
 
-        const header = document.createElement('div');
-        header.className = 'entry-header';
+        const { MIN_PREFIX_LENGTH, PREFIX_WEIGHT, FUZZY_MIN_LENGTH, FUZZY_WEIGHT } = CONFIG.SEARCH;
+        const expansions = new Map();
 
-        const title = document.createElement('h3');
-        title.className = 'entry-title';
-        title.innerHTML = this.highlightText(entry.topic, query);
+        if (this.postings.has(token)) {
+            expansions.set(token, 1);
+        }
 
-        const time = document.createElement('time');
-        time.className = 'entry-time';
-        time.setAttribute('datetime', new Date(entry.timestamp).toISOString());
-        time.textContent = this.formatTime(entry.timestamp);
+        if (token.length >= MIN_PREFIX_LENGTH) {
+            for (const candidate of this.postings.keys()) {
+                if (candidate !== token && candidate.startsWith(token)) {
+                    expansions.set(candidate, PREFIX_WEIGHT);
+                }
+            }
+        }
 
-        header.appendChild(title);
+        if (expansions.size === 0 && allowFuzzy && token.length >= FUZZY_MIN_LENGTH) {
+            const maxDistance = token.length >= 8 ? 2 : 1;
+            for (const candidate of this.postings.keys()) {
+                const distance = this.editDistance(token, candidate, maxDistance);
+                if (distance <= maxDistance) {
+                    expansions.set(candidate, FUZZY_WEIGHT / distance);
+                }
+            }
+        }
+
+        this.expansionCache.set(cacheKey, expansions);
+        return expansions;
+    },
+
+    // Ids of entries where every token of the clause matches in the given field (null = any)
+    lookup(clause) {
+        let result = null;
+
+        for (const token of clause.tokens) {
+            const ids = new Set();
+
+            this.expand(token, !clause.negated).forEach((weight, expanded) => {
+                this.postings.get(expanded).forEach((frequencies, id) => {
+                    if (clause.field === null || frequencies[clause.field] > 0) ids.add(id);
+                });
+            });
+
+            result = result === null ? ids : new Set([...result].filter(id => ids.has(id)));
+            if (result.size === 0) break;
+        }
+
+        return result || new Set();
+    },
+
+    termMatches(clause, entry) {
+        const matches = clause.tokens.every(token => {
+            for (const expanded of this.expand(token, !clause.negated).keys()) {
+                const frequencies = this.postings.get(expanded).get(entry.id);
+                if (frequencies && (clause.field === null || frequencies[clause.field] > 0)) return true;
+            }
+            return false;
+        });
+
+        if (!matches || !clause.phrase) return matches;
+
+        // Whole tokens in a row: "java script" does not match "java scripting"
+        const words = this.tokenize(QueryParser.getFieldText(entry, clause.field));
+        const phrase = clause.tokens;
+        for (let start = 0; start + phrase.length <= words.length; start++) {
+            if (phrase.every((token, i) => words[start + i] === token)) return true;
+        }
+        return false;
+    },
+
+    // Indexed tokens of `field` that matched the clause for this entry (used for highlighting)
+    matchedTokens(clause, entry, field) {
+        const tokens = [];
+
+        clause.tokens.forEach(token => {
+            this.expand(token, true).forEach((weight, expanded) => {
+                const frequencies = this.postings.get(expanded).get(entry.id);
+                if (frequencies && frequencies[field] > 0) tokens.push(expanded);
+            });
+        });
+
+        return tokens;
+    },
+
+    // BM25F: field term frequencies are weighted and length-normalised, then saturated once
+    score(clause, id) {
+        const doc = this.documents.get(id);
+        if (!doc) return 0;
+
+        const { K1, B, FIELD_WEIGHTS } = CONFIG.SEARCH;
+        const totalDocs = this.documents.size;
+        const fields = clause.field === null ? this.FIELDS : [clause.field];
+        let score = 0;
+
+        clause.tokens.forEach(token => {
+            this.expand(token, true).forEach((weight, expanded) => {
+                const docs = this.postings.get(expanded);
+                const frequencies = docs.get(id);
+                if (!frequencies) return;
+
+                let weightedTf = 0;
+                fields.forEach(field => {
+                    if (!frequencies[field]) return;
+                    const averageLength = this.totalLengths[field] / totalDocs || 1;
+                    const norm = 1 - B + B * (doc.lengths[field] / averageLength);
+                    weightedTf += FIELD_WEIGHTS[field] * frequencies[field] / norm;
+                });
+
+                const idf = Math.log(1 + (totalDocs - docs.size + 0.5) / (docs.size + 0.5));
+                score += weight * idf * (weightedTf / (K1 + weightedTf));
+            });
+        });
+
+        return score;
+    }
+};
+
+/* ====================================
+   SEARCH MANAGER WITH TRUE LRU CACHE
+   ==================================== */
+
+const SearchManager = {
+    cache: new LRUCache(CONFIG.MAX_CACHE_SIZE),
+    sortMode: 'relevance',
+
+    init() {
+        const savedSort = localStorage.getItem(CONFIG.SEARCH_SORT_KEY);
+        if (savedSort === 'relevance' || savedSort === 'date') {
+            this.sortMode = savedSort;
+        }
+    },
+
+    setSortMode(mode) {
+        this.sortMode = mode === 'date' ? 'date' : 'relevance';
+        localStorage.setItem(CONFIG.SEARCH_SORT_KEY, this.sortMode);
+        this.cache.clear();
+    },
+
+    isRanked(query) {
+        return this.sortMode === 'relevance' && query.trim().length > 0;
+    },
+
+    search(query, entries) {
+        if (!query.trim()) return entries;
+
+        // Not lowercased: the OR operator is case-sensitive
+        const cacheKey = `${this.sortMode}|${query.trim()}`;
+        const cached = this.cache.get(cacheKey);
+        if (cached) return cached;
+
+        const parsed = QueryParser.parse(query);
+        if (parsed.groups.length === 0) return entries;
+
+        const scored = new Map();
+
+        parsed.groups.forEach(group => {
+            this.getCandidates(group, entries).forEach(entry => {
+                if (!QueryParser.groupMatches(group, entry)) return;
+
+                const score = group
+                    .filter(clause => QueryParser.isIndexed(clause) && !clause.negated)
+                    .reduce((sum, clause) => sum + SearchIndex.score(clause, entry.id), 0);
+
+                const existing = scored.get(entry.id);
+                if (!existing || existing.score < score) {
+                    scored.set(entry.id, { entry, score });
+                }
+            });
+        });
+
+        const results = [...scored.values()]
+            .sort((a, b) => {
+                if (this.sortMode === 'relevance' && b.score !== a.score) return b.score - a.score;
+                return b.entry.timestamp - a.entry.timestamp;
+            })
+            .map(result => result.entry);
+
+        this.cache.set(cacheKey, results);
+        return results;
+    },
+
+    // Positive indexed terms narrow the group down through the index;
+    // groups made only of filters (dates, has:, exclusions) scan every entry
+    getCandidates(group, entries) {
+        const indexed = group.filter(clause => QueryParser.isIndexed(clause) && !clause.negated);
+        if (indexed.length === 0) return entries;
+
+        let ids = null;
+        for (const clause of indexed) {
+            const matches = SearchIndex.lookup(clause);
+            ids = ids === null ? matches : new Set([...ids].filter(id => matches.has(id)));
+            if (ids.size === 0) return [];
+        }
+
+        return [...ids].map(id => SearchIndex.getEntry(id)).filter(Boolean);
+    },
+
+    clearCache() {
+        this.cache.clear();
+    }
+};
+
+/* ====================================
+   TAG MANAGER (Normalization + Filter)
+   ==================================== */
+
+const TagManager = {
+    activeTag: null,
+
+    normalize(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const seen = new Set();
+
+        return list
+            .filter(tag => typeof tag === 'string')
+            .map(tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase())
+            .filter(tag => {
+                if (!tag || seen.has(tag)) return false;
+                seen.add(tag);
+                return true;
+            });
+    },
+
+    getAllTags(entries) {
+        const counts = new Map();
+
+        entries.forEach(entry => {
+            (entry.tags || []).forEach(tag => {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            });
+        });
+
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([tag]) => tag);
+    },
+
+    filter(entries) {
+        if (!this.activeTag) return entries;
+        return entries.filter(entry => (entry.tags || []).includes(this.activeTag));
+    },
+
+    setFilter(tag) {
+        this.activeTag = tag || null;
+        this.updateFilterIndicator();
+        SearchHandler.performSearch(SearchHandler.currentQuery);
+    },
+
+    clearFilter() {
+        this.setFilter(null);
+    },
+
+    updateFilterIndicator() {
+        const indicator = document.getElementById('activeTagFilter');
+        const label = document.getElementById('activeTagLabel');
+        if (!indicator || !label) return;
+
+        if (this.activeTag) {
+            label.textContent = `#${this.activeTag}`;
+            indicator.removeAttribute('hidden');
+        } else {
+            indicator.setAttribute('hidden', '');
+        }
+    },
+
+    // Datalist options can only complete the whole value, so each suggestion
+    // repeats the tags already typed before the one being completed.
+    updateSuggestions(input) {
+        const datalist = document.getElementById('tagSuggestions');
+        if (!datalist) return;
+
+        const parts = input.value.split(',');
+        const current = parts.pop().trim().replace(/^#+/, '').toLowerCase();
+        const typed = this.normalize(parts);
+        const prefix = typed.length > 0 ? typed.join(', ') + ', ' : '';
+
+        const suggestions = this.getAllTags(AppState.getEntries())
+            .filter(tag => !typed.includes(tag) && tag.startsWith(current))
+            .slice(0, 10);
+
+        datalist.innerHTML = '';
+        suggestions.forEach(tag => {
+            const option = document.createElement('option');
+            option.value = prefix + tag;
+            datalist.appendChild(option);
+        });
+    },
+
+    createChips(tags) {
+        const container = document.createElement('div');
+        container.className = 'entry-tags';
+
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip';
+            if (tag === this.activeTag) chip.classList.add('active');
+            chip.setAttribute('data-action', 'filter-tag');
+            chip.setAttribute('data-tag', tag);
+            chip.setAttribute('aria-label', I18n.t('tags.filterBy', { tag }));
+            chip.textContent = `#${tag}`;
+            container.appendChild(chip);
+        });
+
+        return container;
+    }
+};
+
+/* ====================================
+   DEBOUNCE UTILITY
+   ==================================== */
+
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/* ====================================
+   STATISTICS CALCULATOR WITH RAF
+   ==================================== */
+
+const StatisticsCalculator = {
+    calculate(entries) {
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const weekAgo = new Date(today);
+        weekAgo.setDate(weekAgo.getDate() - 7);
+
+        return {
+            total: entries.length,
+            today: entries.filter(e => {
+                const entryDate = new Date(e.timestamp);
+                return entryDate >= today;
+            }).length,
+            week: entries.filter(e => {
+                const entryDate = new Date(e.timestamp);
+                return entryDate >= weekAgo;
+            }).length,
+            due: ReviewScheduler.getDueEntries(entries, now.getTime()).length,
+            streak: this.calculateStreaks(entries, now.getTime()).current
+        };
+    },
+
+    // A streak is a run of consecutive days with at least one entry; the current
+    // streak is still alive if the last entry was written yesterday
+    calculateStreaks(entries, now = Date.now()) {
+        const days = [...new Set(entries.map(e => ReviewScheduler.startOfDay(e.timestamp)))].sort((a, b) => a - b);
+        if (days.length === 0) return { current: 0, longest: 0 };
+
+        let longest = 1;
+        let run = 1;
+        for (let i = 1; i < days.length; i++) {
+            run = days[i] === ReviewScheduler.addDays(days[i - 1], 1) ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        }
+
+        const today = ReviewScheduler.startOfDay(now);
+        const last = days[days.length - 1];
+        const alive = last === today || last === ReviewScheduler.addDays(today, -1);
+
+        return { current: alive ? run : 0, longest };
+    },
+
+    // Buckets for the last `count` weeks (Monday-based) or months, oldest first
+    countByPeriod(entries, period, count, now = Date.now()) {
+        const buckets = [];
+        const today = new Date(ReviewScheduler.startOfDay(now));
+
+        for (let i = count - 1; i >= 0; i--) {
+            let start;
+            let end;
+            let label;
+
+            if (period === 'week') {
+                const monday = new Date(today);
+                monday.setDate(today.getDate() - ((today.getDay() + 6) % 7) - i * 7);
+                start = monday.getTime();
+                end = ReviewScheduler.addDays(start, 7);
+                label = I18n.formatDate(monday, { day: 'numeric', month: 'short' });
+            } else {
+                const first = new Date(today.getFullYear(), today.getMonth() - i, 1);
+                start = first.getTime();
+                end = new Date(first.getFullYear(), first.getMonth() + 1, 1).getTime();
+                label = I18n.formatDate(first, { month: 'short' });
+            }
+
+            buckets.push({ label, start, count: 0 });
+            entries.forEach(e => {
+                if (e.timestamp >= start && e.timestamp < end) buckets[buckets.length - 1].count++;
+            });
+        }
+
+        return buckets;
+    },
+
+    // Case-insensitive tally; each item keeps the spelling it was first seen with
+    topCounts(values, limit) {
+        const counts = new Map();
+        values.forEach(value => {
+            const key = value.toLowerCase();
+            const item = counts.get(key) || { label: value, count: 0 };
+            item.count++;
+            counts.set(key, item);
+        });
+
+        return [...counts.values()]
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+            .slice(0, limit);
+    },
+
+    // Full breakdown for the statistics dashboard
+    calculateDetailed(entries, now = Date.now()) {
+        const stopwords = Object.values(CONFIG.STATS.STOPWORDS);
+        const words = [];
+        entries.forEach(e => {
+            (String(e.content).toLowerCase().match(/[\p{L}]{4,}/gu) || []).forEach(word => {
+                if (!stopwords.some(list => list.has(word))) words.push(word);
+            });
+        });
+
+        const hours = new Array(24).fill(0);
+        entries.forEach(e => { hours[new Date(e.timestamp).getHours()]++; });
+
+        const totalLength = entries.reduce((sum, e) => sum + String(e.content).length, 0);
+        const withLink = entries.filter(e => e.link).length;
+        const withImage = entries.filter(e => e.imageUrl).length;
+
+        return {
+            total: entries.length,
+            streaks: this.calculateStreaks(entries, now),
+            perWeek: this.countByPeriod(entries, 'week', CONFIG.STATS.WEEKS, now),
+            perMonth: this.countByPeriod(entries, 'month', CONFIG.STATS.MONTHS, now),
+            topTopics: this.topCounts(entries.map(e => e.topic.trim()), CONFIG.STATS.TOP_LIMIT),
+            topWords: this.topCounts(words, CONFIG.STATS.TOP_LIMIT),
+            averageLength: entries.length ? Math.round(totalLength / entries.length) : 0,
+            withLink,
+            withImage,
+            hours
+        };
+    },
+
+    animateCounter(element, target) {
+        const current = parseInt(element.textContent) || 0;
+        if (current === target) return;
+
+        const duration = 400;
+        const startTime = performance.now();
+        const difference = target - current;
+
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+
+            const easeOut = 1 - Math.pow(1 - progress, 3);
+            const value = Math.round(current + (difference * easeOut));
+
+            element.textContent = value;
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                element.textContent = target;
+            }
+        };
+
+        requestAnimationFrame(animate);
+    },
+
+    update(entries) {
+        const stats = this.calculate(entries);
+
+        this.animateCounter(document.getElementById('statTotal'), stats.total);
+        this.animateCounter(document.getElementById('statToday'), stats.today);
+        this.animateCounter(document.getElementById('statWeek'), stats.week);
+        this.animateCounter(document.getElementById('statDue'), stats.due);
+        this.animateCounter(document.getElementById('statStreak'), stats.streak);
+
+        StatsDashboard.refresh(entries);
+    }
+};
+
+/* ====================================
+   SPACED REPETITION SCHEDULER (SM-2)
+   ==================================== */
+
+const ReviewScheduler = {
+    // Grades shown in the review card, mapped to SM-2 quality (0-5)
+    GRADES: [
+        { quality: 1, labelKey: 'review.gradeAgain', key: '1' },
+        { quality: 3, labelKey: 'review.gradeHard', key: '2' },
+        { quality: 4, labelKey: 'review.gradeGood', key: '3' },
+        { quality: 5, labelKey: 'review.gradeEasy', key: '4' }
+    ],
+
+    startOfDay(timestamp) {
+        const date = new Date(timestamp);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+    },
+
+    addDays(timestamp, days) {
+        const date = new Date(timestamp);
+        date.setDate(date.getDate() + days);
+        return date.getTime();
+    },
+
+    // Entries never reviewed become due the day after they were written
+    getDueAt(entry) {
+        if (entry.review && entry.review.dueAt) return entry.review.dueAt;
+        return this.addDays(this.startOfDay(entry.timestamp), 1);
+    },
+
+    isDue(entry, now = Date.now()) {
+        return this.getDueAt(entry) <= now;
+    },
+
+    getDueEntries(entries, now = Date.now()) {
+        return entries
+            .filter(entry => this.isDue(entry, now))
+            .sort((a, b) => this.getDueAt(a) - this.getDueAt(b));
+    },
+
+    schedule(review, quality, now = Date.now()) {
+        const previous = review || {
+            repetitions: 0,
+            interval: 0,
+            easeFactor: CONFIG.REVIEW.INITIAL_EASE
+        };
+
+        let { repetitions, interval, easeFactor } = previous;
+
+        if (quality < 3) {
+            repetitions = 0;
+            interval = 1;
+        } else {
+            repetitions += 1;
+            if (repetitions === 1) {
+                interval = 1;
+            } else if (repetitions === 2) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * easeFactor);
+            }
+        }
+
+        easeFactor = Math.max(
+            CONFIG.REVIEW.MIN_EASE,
+            easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+
+        return {
+            repetitions,
+            interval,
+            easeFactor: Math.round(easeFactor * 100) / 100,
+            dueAt: this.addDays(this.startOfDay(now), interval),
+            lastReviewedAt: now
+        };
+    },
+
+    // Keeps imported scheduling data only when every field is usable
+    normalize(review) {
+        if (!review || typeof review !== 'object') return undefined;
+
+        const { repetitions, interval, easeFactor, dueAt, lastReviewedAt } = review;
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+        if (![repetitions, interval, easeFactor, dueAt].every(isNumber)) return undefined;
+
+        return {
+            repetitions,
+            interval,
+            easeFactor: Math.max(CONFIG.REVIEW.MIN_EASE, easeFactor),
+            dueAt,
+            lastReviewedAt: isNumber(lastReviewedAt) ? lastReviewedAt : undefined
+        };
+    }
+};
+
+/* ====================================
+   CHARACTER COUNTER WITH DEBOUNCING
+   ==================================== */
+
+const CharacterCounter = {
+    update: debounce(function (textarea, counter) {
+        const current = textarea.value.length;
+        const max = CONFIG.VALIDATION.content.maxLength;
+        const percentage = (current / max) * 100;
+
+        counter.textContent = `${current} / ${max}`;
+
+        counter.classList.remove('warning', 'danger');
+        if (percentage >= 100) {
+            counter.classList.add('danger');
+        } else if (percentage >= 90) {
+            counter.classList.add('warning');
+        }
+    }, CONFIG.CHAR_COUNT_UPDATE_DELAY)
+};
+
+/* ====================================
+   TOAST MANAGER
+   ==================================== */
+
+const ToastManager = {
+    container: null,
+
+    init() {
+        this.container = document.getElementById('toastContainer');
+    },
+
+    show(message, type = 'info', options = {}) {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.setAttribute('role', 'alert');
+
+        const icons = {
+            success: '✓',
+            error: '✕',
+            warning: '⚠',
+            info: 'ℹ',
+            undo: '↶'
+        };
+
+        let html = `
+            <span class="toast-icon" aria-hidden="true">${icons[type] || icons.info}</span>
+            <div class="toast-content">
+                <div class="toast-message">${this.escapeHtml(message)}</div>
+            </div>
+        `;
+
+        if (options.showUndo) {
+            html += `
+                <div class="toast-actions">
+                    <button class="btn btn-secondary" data-action="undo">${I18n.t('common.undo')}</button>
+                </div>
+            `;
+        } else if (options.actionLabel) {
+            html += `
+                <div class="toast-actions">
+                    <button class="btn btn-secondary" data-action="toast-action">${this.escapeHtml(options.actionLabel)}</button>
+                </div>
+            `;
+        }
+
+        html += `<button class="toast-close" aria-label="${I18n.t('toast.close')}">×</button>`;
+
+        toast.innerHTML = html;
+
+        const closeBtn = toast.querySelector('.toast-close');
+        closeBtn.addEventListener('click', () => this.remove(toast));
+
+        if (options.showUndo) {
+            const undoBtn = toast.querySelector('[data-action="undo"]');
+            undoBtn.addEventListener('click', () => {
+                if (options.onUndo) options.onUndo();
+                this.remove(toast);
+            });
+        } else if (options.actionLabel) {
+            const actionBtn = toast.querySelector('[data-action="toast-action"]');
+            actionBtn.addEventListener('click', () => {
+                if (options.onAction) options.onAction();
+                this.remove(toast);
+            });
+        }
+
+        this.container.appendChild(toast);
+
+        // Toasts with a button stay longer; duration 0 keeps them until closed
+        const duration = options.duration ?? (options.showUndo || options.actionLabel
+            ? CONFIG.UNDO_TOAST_DURATION
+            : CONFIG.TOAST_DURATION);
+
+        if (duration) {
+            setTimeout(() => this.remove(toast), duration);
+        }
+
+        return toast;
+    },
+
+    remove(toast) {
+        if (!toast.parentNode) return;
+
+        toast.style.animation = 'slideIn 200ms reverse';
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, 200);
+    },
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
+
+/* ====================================
+   THEME MANAGER
+   ==================================== */
+
+const ThemeManager = {
+    init() {
+        const savedTheme = localStorage.getItem(CONFIG.THEME_KEY);
+
+        if (savedTheme) {
+            this.setTheme(savedTheme);
+        } else {
+            const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+            this.setTheme(prefersDark ? 'dark' : 'light');
+        }
+
+        this.updateIcon();
+    },
+
+    toggle() {
+        const currentTheme = document.body.classList.contains('theme-dark') ? 'dark' : 'light';
+        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+        this.setTheme(newTheme);
+    },
+
+    setTheme(theme) {
+        document.body.classList.remove('theme-dark', 'theme-light');
+        document.body.classList.add(`theme-${theme}`);
+        localStorage.setItem(CONFIG.THEME_KEY, theme);
+        this.updateIcon();
+    },
+
+    updateIcon() {
+        const icon = document.getElementById('themeIcon');
+        if (!icon) return;
+
+        const isDark = document.body.classList.contains('theme-dark');
+        icon.textContent = isDark ? '☀️' : '🌙';
+    }
+};
+
+/* ====================================
+   SCROLL TO TOP MANAGER
+   ==================================== */
+
+const ScrollToTopManager = {
+    button: null,
+
+    init() {
+        this.button = document.getElementById('scrollToTop');
+        if (!this.button) return;
+
+        window.addEventListener('scroll', () => this.handleScroll());
+    },
+
+    handleScroll() {
+        const scrolled = window.pageYOffset || document.documentElement.scrollTop;
+
+        if (scrolled > CONFIG.SCROLL_TO_TOP_THRESHOLD) {
+            this.show();
+        } else {
+            this.hide();
+        }
+    },
+
+    show() {
+        if (this.button) {
+            this.button.classList.add('visible');
+            this.button.removeAttribute('hidden');
+        }
+    },
+
+    hide() {
+        if (this.button) {
+            this.button.classList.remove('visible');
+        }
+    },
+
+    scrollToTop() {
+        window.scrollTo({
+            top: 0,
+            behavior: 'smooth'
+        });
+    }
+};
+
+/* ====================================
+   FORM MANAGER (Collapsible)
+   ==================================== */
+
+const FormManager = {
+    formSection: null,
+    form: null,
+    editId: null,
+    // The version of the entry the edit started from
+    editBase: null,
+
+    init() {
+        this.formSection = document.getElementById('formSection');
+        this.form = document.getElementById('addForm');
+    },
+
+    open() {
+        if (!this.formSection) return;
+
+        this.formSection.removeAttribute('hidden');
+        this.formSection.style.display = '';
+
+        const toggleBtn = document.getElementById('toggleFormBtn');
+        if (toggleBtn) {
+            toggleBtn.setAttribute('aria-expanded', 'true');
+        }
+
+        setTimeout(() => {
+            const topicField = document.getElementById('topic');
+            if (topicField) {
+                topicField.focus();
+            }
+        }, 100);
+
+        this.formSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        if (this.editId === null) DraftManager.offer('new');
+    },
+
+    // What was typed stays in the drafts
+    close() {
+        if (!this.formSection) return;
+
+        DraftManager.capture();
+
+        this.formSection.setAttribute('hidden', '');
+        this.formSection.style.display = 'none';
+
+        const toggleBtn = document.getElementById('toggleFormBtn');
+        if (toggleBtn) {
+            toggleBtn.setAttribute('aria-expanded', 'false');
+        }
+
+        this.resetForm();
+    },
+
+    toggle() {
+        if (this.formSection && this.formSection.hasAttribute('hidden')) {
+            this.open();
+        } else {
+            this.close();
+        }
+    },
+
+    // What was typed in the form, if open, stays in the drafts
+    openForEdit(entry) {
+        DraftManager.capture();
+        this.open();
+
+        document.getElementById('topic').value = entry.topic;
+        document.getElementById('content').value = entry.content;
+        document.getElementById('link').value = entry.link || '';
+        document.getElementById('imageUrl').value = entry.imageUrl || '';
+        document.getElementById('tags').value = (entry.tags || []).join(', ');
+        document.getElementById('editId').value = entry.id;
+        ImageInput.update();
+
+        const contentTextarea = document.getElementById('content');
+        const contentCounter = document.getElementById('contentCounter');
+        if (contentTextarea && contentCounter) {
+            CharacterCounter.update(contentTextarea, contentCounter);
+        }
+
+        this.editId = entry.id;
+        this.editBase = entry;
+        this.updateLabels();
+
+        DraftManager.offer(DraftManager.keyFor(entry.id));
+    },
+
+    // Warns when the entry being edited was changed or deleted somewhere else;
+    // `where` ends the message (I18n 'tabs.where', 'sync.where')
+    checkEditedEntry(where) {
+        if (this.editId === null || !this.editBase) return;
+
+        const current = AppState.getEntryById(this.editId);
+        if (current && current.modifiedAt === this.editBase.modifiedAt) return;
+
+        const topic = this.editBase.topic;
+        this.editBase = current || null;
+
+        if (!current) {
+            ToastManager.show(I18n.t('form.deletedElsewhere', { topic, where }), 'warning', {
+                duration: 0
+            });
+            return;
+        }
+
+        ToastManager.show(I18n.t('form.changedElsewhere', { topic, where }), 'warning', {
+            actionLabel: I18n.t('form.loadNewVersion'),
+            onAction: () => this.openForEdit(AppState.getEntryById(current.id) || current),
+            duration: 0
+        });
+    },
+
+    setContentMode(mode) {
+        const group = document.getElementById('contentGroup');
+        const preview = document.getElementById('contentPreview');
+        const writeTab = document.getElementById('contentWriteTab');
+        const previewTab = document.getElementById('contentPreviewTab');
+        if (!group || !preview) return;
+
+        const isPreview = mode === 'preview';
+
+        if (isPreview) {
+            const content = document.getElementById('content').value;
+            preview.innerHTML = content.trim()
+                ? MarkdownRenderer.render(content)
+                : `<p class="preview-empty">${I18n.t('form.previewEmpty')}</p>`;
+            preview.removeAttribute('hidden');
+        } else {
+            preview.setAttribute('hidden', '');
+            preview.innerHTML = '';
+        }
+
+        group.classList.toggle('is-previewing', isPreview);
+
+        [[writeTab, !isPreview], [previewTab, isPreview]].forEach(([tab, selected]) => {
+            if (!tab) return;
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', String(selected));
+        });
+    },
+
+    resetForm() {
+        if (this.form) {
+            this.form.reset();
+        }
+
+        this.setContentMode('write');
+
+        document.getElementById('editId').value = '';
+
+        const contentCounter = document.getElementById('contentCounter');
+        if (contentCounter) {
+            contentCounter.textContent = '0 / 10000';
+            contentCounter.classList.remove('warning', 'danger');
+        }
+
+        this.editId = null;
+        this.editBase = null;
+        this.updateLabels();
+        DraftManager.hideNotice();
+        LinkAutocomplete.close();
+        ImageInput.update();
+    },
+
+    // Title and submit button follow the mode (and the locale)
+    updateLabels() {
+        const isEdit = this.editId !== null;
+
+        document.getElementById('formTitle').textContent = I18n.t(isEdit ? 'form.titleEdit' : 'form.titleNew');
+
+        const submitBtn = document.getElementById('submitBtn');
+        if (submitBtn) {
+            submitBtn.innerHTML = isEdit
+                ? `<span aria-hidden="true">💾</span> <span id="submitText">${I18n.t('form.saveChanges')}</span>`
+                : `<span aria-hidden="true">➕</span> <span id="submitText">${I18n.t('form.add')}</span>`;
+            submitBtn.classList.toggle('btn-success', isEdit);
+            submitBtn.classList.toggle('btn-primary', !isEdit);
+        }
+    }
+};
+
+/* ====================================
+   FORM IMAGE INPUT
+   Paste, drop or pick an image: it is stored as an
+   attachment and its reference goes in the image field
+   ==================================== */
+
+const ImageInput = {
+    field: null,
+    fileInput: null,
+    preview: null,
+    previewImg: null,
+    status: null,
+    busy: false,
+
+    init() {
+        this.field = document.getElementById('imageUrl');
+        this.fileInput = document.getElementById('imageFile');
+        this.preview = document.getElementById('imagePreview');
+        this.previewImg = document.getElementById('imagePreviewImg');
+        this.status = document.getElementById('imageStatus');
+
+        const formSection = document.getElementById('formSection');
+        if (!this.field || !formSection) return;
+
+        this.field.addEventListener('input', debounce(() => this.update(), CONFIG.DEBOUNCE_DELAY));
+
+        document.getElementById('pickImageBtn')?.addEventListener('click', () => this.fileInput?.click());
+        document.getElementById('removeImageBtn')?.addEventListener('click', () => this.setValue(''));
+
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                this.fileInput.value = '';
+                if (file) this.attach(file);
+            });
+        }
+
+        formSection.addEventListener('paste', (e) => {
+            const file = this.imageIn(e.clipboardData);
+            if (!file) return;
+
+            e.preventDefault();
+            this.attach(file);
+        });
+
+        formSection.addEventListener('dragover', (e) => {
+            if (!this.hasFiles(e.dataTransfer)) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            formSection.classList.add('is-dropping');
+        });
+
+        formSection.addEventListener('dragleave', (e) => {
+            if (!formSection.contains(e.relatedTarget)) formSection.classList.remove('is-dropping');
+        });
+
+        formSection.addEventListener('drop', (e) => {
+            formSection.classList.remove('is-dropping');
+            if (!this.hasFiles(e.dataTransfer)) return;
+
+            e.preventDefault();
+            const file = this.imageIn(e.dataTransfer);
+            if (file) {
+                this.attach(file);
+            } else {
+                ToastManager.show(I18n.t('attachments.badType'), 'error');
+            }
+        });
+    },
+
+    hasFiles(dataTransfer) {
+        return Boolean(dataTransfer) && [...dataTransfer.types].includes('Files');
+    },
+
+    // The first image among the files being pasted or dropped
+    imageIn(dataTransfer) {
+        if (!dataTransfer) return null;
+        return [...dataTransfer.files].find(file => file.type.startsWith('image/')) || null;
+    },
+
+    async attach(file) {
+        if (this.busy) return;
+
+        const problem = Attachments.check(file);
+        if (problem) {
+            ToastManager.show(I18n.t(problem, { size: Math.round(CONFIG.ATTACHMENTS.MAX_FILE_SIZE / (1024 * 1024)) }), 'error');
+            return;
+        }
+
+        this.setBusy(true);
+        try {
+            this.setValue(await Attachments.add(file));
+            ToastManager.show(I18n.t('attachments.added'), 'success');
+        } catch (err) {
+            console.error('Attachment error:', err);
+            // Without IndexedDB the images share the few MB of localStorage
+            const full = err && err.name === 'QuotaExceededError';
+            ToastManager.show(I18n.t(full ? 'attachments.storageFull' : 'attachments.failed'), 'error');
+        } finally {
+            this.setBusy(false);
+        }
+    },
+
+    // Goes through the input event, so the draft is saved as for typing
+    setValue(value) {
+        this.field.value = value;
+        this.field.dispatchEvent(new Event('input', { bubbles: true }));
+        this.update();
+    },
+
+    setBusy(busy) {
+        this.busy = busy;
+        if (this.status) this.status.textContent = busy ? I18n.t('attachments.processing') : '';
+    },
+
+    // Shows what the image field points to; called whenever its value is set from code
+    update() {
+        if (!this.field || !this.preview) return;
+
+        const value = this.field.value.trim();
+        const visible = Attachments.isReference(value) || Validator.isHttpUrl(value);
+
+        this.preview.toggleAttribute('hidden', !visible);
+        if (visible) {
+            Attachments.setSource(this.previewImg, value);
+        } else {
+            this.previewImg.removeAttribute('src');
+            this.previewImg.dataset.attachment = '';
+        }
+    }
+};
+
+/* ====================================
+   FORM DRAFTS
+   Autosave of the add/edit form: one draft for a new
+   entry ('new') and one per edited entry ('edit-<id>')
+   ==================================== */
+
+const DraftManager = {
+    FIELDS: ['topic', 'content', 'link', 'imageUrl', 'tags'],
+    // key -> { key, editId, topic, content, link, imageUrl, tags, savedAt }
+    drafts: {},
+    writing: Promise.resolve(),
+    // The drafts last handed to save(): an older write still encrypting
+    // does not overwrite them
+    latest: null,
+    // What the storage holds for `latest` once sealed (encrypted when the
+    // diary is), ready for the synchronous write on pagehide
+    sealed: undefined,
+    notice: null,
+    // The draft the notice above the form offers to restore
+    offered: null,
+
+    init() {
+        this.notice = document.getElementById('draftNotice');
+
+        const form = document.getElementById('addForm');
+        const autosave = debounce(() => this.capture(), CONFIG.DRAFT_SAVE_DELAY);
+
+        if (form) {
+            // Typing over an offered draft means it was not wanted
+            form.addEventListener('input', () => {
+                this.hideNotice();
+                autosave();
+            });
+        }
+
+        // Switching away or closing the tab: the page still runs here, so the
+        // encrypted write has time to finish
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.capture();
+        });
+
+        // Reload or tab closed mid-edit: only synchronous work is left
+        window.addEventListener('pagehide', () => this.flushNow());
+    },
+
+    keyFor(editId) {
+        return editId === null || editId === undefined ? 'new' : `edit-${editId}`;
+    },
+
+    get(key) {
+        return this.drafts[key] || null;
+    },
+
+    list() {
+        return Object.values(this.drafts).sort((a, b) => b.savedAt - a.savedAt);
+    },
+
+    // Drafts are encrypted like the history when the diary is
+    async load() {
+        try {
+            let saved = JSON.parse(localStorage.getItem(CONFIG.DRAFTS_KEY));
+            if (CryptoManager.isCipher(saved)) {
+                saved = JSON.parse(await CryptoManager.decrypt(saved));
+            }
+
+            const drafts = {};
+            Object.values(saved || {}).forEach(draft => {
+                if (draft && typeof draft.key === 'string' && this.FIELDS.every(field => typeof draft[field] === 'string')) {
+                    drafts[draft.key] = draft;
+                }
+            });
+            this.drafts = drafts;
+        } catch (e) {
+            console.error('Failed to load drafts:', e);
+            this.drafts = {};
+        }
+
+        this.renderMenu();
+    },
+
+    // Locking: the decrypted drafts go until the next load(); the form keeps
+    // what is typed in it
+    unload() {
+        this.drafts = {};
+        this.latest = null;
+        this.sealed = undefined;
+        this.hideNotice();
+        this.renderMenu();
+    },
+
+    save() {
+        const drafts = { ...this.drafts };
+        this.latest = drafts;
+        this.writing = this.writing.then(() => this.write(drafts));
+
+        this.renderMenu();
+        return this.writing;
+    },
+
+    async write(drafts) {
+        try {
+            const value = await this.seal(drafts);
+            if (drafts !== this.latest) return;
+
+            this.sealed = value;
+            this.store(value);
+        } catch (e) {
+            console.error('Failed to save drafts:', e);
+        }
+    },
+
+    // null when there is nothing to keep
+    async seal(drafts) {
+        if (Object.keys(drafts).length === 0) return null;
+
+        const json = JSON.stringify(drafts);
+        return CryptoManager.isUnlocked()
+            ? JSON.stringify(await CryptoManager.encrypt(json))
+            : json;
+    },
+
+    store(value) {
+        if (value === null) {
+            localStorage.removeItem(CONFIG.DRAFTS_KEY);
+        } else {
+            localStorage.setItem(CONFIG.DRAFTS_KEY, value);
+        }
+    },
+
+    // On pagehide an encryption started now would never finish: a clear-text
+    // diary stores what the form holds, an encrypted one what the autosave
+    // (or the flush when the tab was hidden) has already sealed
+    flushNow() {
+        if (CryptoManager.isLocked()) return;
+
+        try {
+            if (CryptoManager.isUnlocked()) {
+                if (this.sealed !== undefined) this.store(this.sealed);
+                return;
+            }
+
+            this.capture(false);
+            this.latest = { ...this.drafts };
+            this.sealed = Object.keys(this.latest).length === 0 ? null : JSON.stringify(this.latest);
+            this.store(this.sealed);
+        } catch (e) {
+            console.error('Failed to save drafts:', e);
+        }
+    },
+
+    readForm() {
+        const values = {};
+        this.FIELDS.forEach(field => {
+            values[field] = document.getElementById(field).value;
+        });
+        return values;
+    },
+
+    // The form values an entry opens with
+    valuesOf(entry) {
+        return {
+            topic: entry.topic || '',
+            content: entry.content || '',
+            link: entry.link || '',
+            imageUrl: entry.imageUrl || '',
+            tags: (entry.tags || []).join(', ')
+        };
+    },
+
+    // Stores what the form holds (or only updates `drafts` when `persist` is
+    // false). An empty new-entry form, or an edit that still matches the
+    // entry, leaves no draft behind
+    capture(persist = true) {
+        const section = FormManager.formSection;
+        if (!section || section.hasAttribute('hidden') || CryptoManager.isLocked()) return;
+
+        const editId = FormManager.editId;
+        const key = this.keyFor(editId);
+        const values = this.readForm();
+        const base = editId === null ? null : AppState.getEntryById(editId) || FormManager.editBase;
+
+        const unchanged = base
+            ? this.FIELDS.every(field => values[field] === this.valuesOf(base)[field])
+            : this.FIELDS.every(field => values[field].trim() === '');
+
+        if (unchanged) {
+            // Nothing typed yet: keep the draft the notice is still offering
+            if (this.offered === key || !this.drafts[key]) return;
+            delete this.drafts[key];
+        } else {
+            this.drafts[key] = { key, editId, ...values, savedAt: Date.now() };
+        }
+
+        if (persist) this.save();
+    },
+
+    discard(key) {
+        if (this.offered === key) this.hideNotice();
+        if (!this.drafts[key]) return Promise.resolve();
+
+        delete this.drafts[key];
+        return this.save();
+    },
+
+    // Called once the form is open for `key`
+    offer(key) {
+        const draft = this.get(key);
+        if (!draft || !this.notice) {
+            this.hideNotice();
+            return;
+        }
+
+        const text = this.notice.querySelector('.draft-notice-text');
+        if (text) {
+            text.textContent = I18n.t('drafts.notice', { when: `${RenderManager.formatDate(draft.savedAt)}, ${RenderManager.formatTime(draft.savedAt)}` });
+        }
+
+        this.offered = key;
+        this.notice.removeAttribute('hidden');
+    },
+
+    hideNotice() {
+        this.offered = null;
+        if (this.notice) this.notice.setAttribute('hidden', '');
+    },
+
+    restore() {
+        const draft = this.get(this.offered);
+        if (!draft) return;
+
+        this.FIELDS.forEach(field => {
+            document.getElementById(field).value = draft[field];
+        });
+        this.hideNotice();
+        ImageInput.update();
+
+        const contentTextarea = document.getElementById('content');
+        const contentCounter = document.getElementById('contentCounter');
+        if (contentTextarea && contentCounter) {
+            CharacterCounter.update(contentTextarea, contentCounter);
+        }
+
+        ToastManager.show(I18n.t('drafts.restored'), 'info');
+    },
+
+    discardOffered() {
+        if (!this.offered) return;
+
+        this.discard(this.offered);
+        ToastManager.show(I18n.t('drafts.discarded'), 'info');
+    },
+
+    // From the menu: reopens the form the draft belongs to
+    open(key) {
+        const draft = this.get(key);
+        if (!draft) return;
+
+        if (draft.editId === null) {
+            FormManager.close();
+            FormManager.open();
+            this.restore();
+            return;
+        }
+
+        const entry = AppState.getEntryById(draft.editId);
+        if (entry) {
+            FormManager.close();
+            FormManager.openForEdit(entry);
+            this.restore();
+            return;
+        }
+
+        // The entry is gone: the text is not, it can still become a new entry
+        if (this.drafts.new) {
+            ToastManager.show(I18n.t('drafts.newDraftPending'), 'warning');
+            return;
+        }
+
+        delete this.drafts[key];
+        this.drafts.new = { ...draft, key: 'new', editId: null };
+        this.save();
+
+        FormManager.close();
+        FormManager.open();
+        this.restore();
+        ToastManager.show(I18n.t('drafts.openedAsNew'), 'info');
+    },
+
+    renderMenu() {
+        const container = document.getElementById('menuDrafts');
+        if (!container) return;
+
+        const drafts = this.list();
+
+        if (drafts.length === 0) {
+            container.setAttribute('hidden', '');
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = drafts.map(draft => {
+            const title = draft.topic.trim() || I18n.t('drafts.untitled');
+            const kind = I18n.t(draft.editId === null ? 'drafts.kindNew' : 'drafts.kindEdit');
+            const when = `${RenderManager.formatDate(draft.savedAt)}, ${RenderManager.formatTime(draft.savedAt)}`;
+
+            return `
+                <button class="menu-item" role="menuitem" tabindex="-1" data-action="open-draft" data-draft="${RenderManager.escapeHtml(draft.key)}">
+                    <span class="menu-item-icon" aria-hidden="true">📝</span>
+                    <div class="menu-item-content">
+                        <span class="menu-item-title">${RenderManager.escapeHtml(I18n.t('drafts.menuTitle', { title }))}</span>
+                        <span class="menu-item-description">${kind} · ${when}</span>
+                    </div>
+                </button>
+            `;
+        }).join('');
+        container.removeAttribute('hidden');
+    }
+};
+
+/* ====================================
+   UNDO / REDO HISTORY
+   UI side of AppState.undo / AppState.redo
+   ==================================== */
+
+const HistoryManager = {
+    init() {
+        AppState.subscribe((action) => {
+            if (action === 'history') this.updateMenu();
+        });
+
+        this.updateMenu();
+    },
+
+    undo() {
+        const label = AppState.undo();
+        if (!label) {
+            ToastManager.show(I18n.t('history.nothingToUndo'), 'info');
+            return;
+        }
+
+        ToastManager.show(I18n.t('history.undone', { label }), 'undo', {
+            actionLabel: I18n.t('history.redo'),
+            onAction: () => this.redo()
+        });
+    },
+
+    redo() {
+        const label = AppState.redo();
+        if (!label) {
+            ToastManager.show(I18n.t('history.nothingToRedo'), 'info');
+            return;
+        }
+
+        ToastManager.show(I18n.t('history.redone', { label }), 'undo', {
+            actionLabel: I18n.t('common.undo'),
+            onAction: () => this.undo()
+        });
+    },
+
+    // Toast options for a mutation that was just recorded: "Annulla" only
+    // undoes it while it is still the most recent step
+    undoOptions() {
+        const step = AppState.getUndoStep();
+
+        return {
+            showUndo: true,
+            onUndo: () => {
+                if (step && AppState.getUndoStep() === step) {
+                    this.undo();
+                } else {
+                    ToastManager.show(I18n.t('history.notLatest', { key: OS.modifierKey() }), 'warning');
+                }
+            }
+        };
+    },
+
+    updateMenu() {
+        const items = [
+            { id: 'menuUndoBtn', label: AppState.getUndoLabel(), action: 'history.undoStep', empty: 'history.nothingToUndo' },
+            { id: 'menuRedoBtn', label: AppState.getRedoLabel(), action: 'history.redoStep', empty: 'history.nothingToRedo' }
+        ];
+
+        items.forEach(({ id, label, action, empty }) => {
+            const item = document.getElementById(id);
+            if (!item) return;
+
+            // aria-disabled rather than disabled, so the arrow-key menu navigation still reaches it
+            item.setAttribute('aria-disabled', String(!label));
+
+            const description = item.querySelector('.menu-item-description');
+            if (description) description.textContent = label ? I18n.t(action, { label }) : I18n.t(empty);
+        });
+    }
+};
+
+/* ====================================
+   KEYBOARD MANAGER WITH MAC SUPPORT
+   ==================================== */
+
+const KeyboardManager = {
+    init() {
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.updateModalForOS();
+    },
+
+    handleKeydown(e) {
+        // Nothing but the passphrase field works behind the lock screen, nor
+        // while the diary stays locked
+        if (LockScreen.isOpen() || LockScreen.locked) return;
+
+        // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z: Redo (text fields keep their own undo)
+        if (OS.checkModifier(e) && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.UNDO.key &&
+            !e.target.matches('input, textarea, select')) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                HistoryManager.redo();
+            } else {
+                HistoryManager.undo();
+            }
+            return;
+        }
+
+        // Ctrl/Cmd + K: Focus search
+        if (OS.checkModifier(e) && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.SEARCH.key) {
+            e.preventDefault();
+            const searchInput = document.getElementById('searchInput');
+            if (searchInput) searchInput.focus();
+            return;
+        }
+
+        // Ctrl/Cmd + N: Toggle form
+        if (OS.checkModifier(e) && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.NEW_ENTRY.key) {
+            e.preventDefault();
+            FormManager.toggle();
+            return;
+        }
+
+        // Ctrl/Cmd + S: Export data
+        if (OS.checkModifier(e) && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.EXPORT.key) {
+            e.preventDefault();
+            DataManager.export('json', AppState.getEntries(), { encrypted: CryptoManager.isUnlocked(), full: true });
+            return;
+        }
+
+        // Cmd+M (Mac) or Alt+M (Windows/Linux): Toggle menu (NEW)
+        const isMenuShortcut = OS.isMac 
+            ? (e.metaKey && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.MENU.key)
+            : (e.altKey && e.key.toLowerCase() === CONFIG.KEYBOARD_SHORTCUTS.MENU.key);
+        
+        if (isMenuShortcut) {
+            e.preventDefault();
+            MenuManager.toggle();
+            return;
+        }
+
+        // ?: Show help modal
+        if (e.key === CONFIG.KEYBOARD_SHORTCUTS.HELP.key) {
+            e.preventDefault();
+            ModalManager.toggle();
+            return;
+        }
+
+        // Escape: Close modals/menu/form
+        if (e.key === 'Escape') {
+            if (MenuManager.isOpen()) {
+                MenuManager.close();
+            } else if (DayViewModal.isOpen()) {
+                DayViewModal.close();
+            } else if (ReviewModal.isOpen()) {
+                ReviewModal.close();
+            } else if (CalendarModal.isOpen()) {
+                CalendarModal.close();
+            } else if (GraphModal.isOpen()) {
+                GraphModal.close();
+            } else if (StatsDashboard.isOpen()) {
+                StatsDashboard.close();
+            } else if (TrashModal.isOpen()) {
+                TrashModal.close();
+            } else if (SecurityModal.isOpen()) {
+                SecurityModal.close();
+            } else if (SyncModal.isOpen()) {
+                SyncModal.close();
+            } else if (ImportModal.isOpen()) {
+                ImportModal.close();
+            } else if (ExportModal.isOpen()) {
+                ExportModal.close();
+            } else if (ModalManager.isOpen()) {
+                ModalManager.close();
+            } else if (CollectionManager.isFormOpen()) {
+                CollectionManager.hideForm();
+            } else if (FormManager.formSection && !FormManager.formSection.hasAttribute('hidden')) {
+                FormManager.close();
+            } else if (SelectionManager.active) {
+                SelectionManager.exit();
+            } else if (e.target.matches('input, textarea')) {
+                e.target.blur();
+            }
+        }
+    },
+
+    updateModalForOS() {
+        const modal = document.getElementById('keyboardModal');
+        if (!modal) return;
+
+        const rows = modal.querySelectorAll('tbody tr');
+        const modifierKey = OS.modifierKey();
+        const menuKey = OS.isMac ? 'Cmd' : 'Alt';
+
+        rows.forEach(row => {
+            const keyCell = row.querySelector('td:first-child');
+            if (keyCell) {
+                let html = keyCell.innerHTML;
+                
+                // Replace Ctrl with Cmd/Ctrl based on OS
+                if (html.includes('Ctrl')) {
+                    html = html.replace(/Ctrl/g, modifierKey);
+                }
+                
+                // Replace Alt with Cmd/Alt based on OS for menu shortcut
+                if (html.includes('Alt')) {
+                    html = html.replace(/Alt/g, menuKey);
+                }
+                
+                keyCell.innerHTML = html;
+            }
+        });
+
+        // Update menu footer hints
+        const menuHints = document.querySelectorAll('.menu-hint');
+        menuHints.forEach(hint => {
+            if (hint.textContent.includes('Alt')) {
+                hint.innerHTML = hint.innerHTML.replace(/Alt/g, menuKey);
+            }
+        });
+    }
+};
+
+/* ====================================
+   MODAL MANAGER WITH FOCUS TRAP (KEYBOARD SHORTCUTS)
+   ==================================== */
+
+const ModalManager = {
+    modal: null,
+    focusableElements: [],
+    firstFocusable: null,
+    lastFocusable: null,
+    previousFocus: null,
+
+    init() {
+        this.modal = document.getElementById('keyboardModal');
+        if (!this.modal) return;
+
+        this.modal.addEventListener('keydown', (e) => this.handleFocusTrap(e));
+    },
+
+    open() {
+        if (!this.modal) return;
+
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        this.updateFocusableElements();
+
+        if (this.firstFocusable) {
+            this.firstFocusable.focus();
+        }
+
+        document.body.style.overflow = 'hidden';
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    updateFocusableElements() {
+        const focusableSelectors = [
+            'button:not([disabled])',
+            'a[href]',
+            'input:not([disabled])',
+            'select:not([disabled])',
+            'textarea:not([disabled])',
+            '[tabindex]:not([tabindex="-1"])'
+        ].join(', ');
+
+        this.focusableElements = Array.from(
+            this.modal.querySelectorAll(focusableSelectors)
+        ).filter(el => {
+            return el.closest('.modal-content');
+        });
+
+        this.firstFocusable = this.focusableElements[0];
+        this.lastFocusable = this.focusableElements[this.focusableElements.length - 1];
+    },
+
+    handleFocusTrap(e) {
+        if (e.key !== 'Tab') return;
+
+        if (e.shiftKey) {
+            if (document.activeElement === this.firstFocusable) {
+                e.preventDefault();
+                if (this.lastFocusable) this.lastFocusable.focus();
+            }
+        } else {
+            if (document.activeElement === this.lastFocusable) {
+                e.preventDefault();
+                if (this.firstFocusable) this.firstFocusable.focus();
+            }
+        }
+    }
+};
+
+/* ====================================
+   DAY VIEW MODAL - FIX AUTOOPEN BUG
+   ==================================== */
+
+const DayViewModal = {
+    modal: null,
+    modalBody: null,
+    closeBtn: null,
+    backdrop: null,
+    previousFocus: null,
+    currentDate: null,
+    // Entry whose "Cronologia" panel is open and the two versions being compared
+    // (indexes into RevisionHistory.getVersions, 0 = current)
+    revisionsId: null,
+    compare: { from: 1, to: 0 },
+
+    init() {
+        this.modal = document.getElementById('dayViewModal');
+        this.modalBody = document.getElementById('dayViewBody');
+        this.closeBtn = document.getElementById('closeDayView');
+        this.backdrop = this.modal?.querySelector('.modal-backdrop');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+
+        if (this.backdrop) {
+            this.backdrop.addEventListener('click', () => this.close());
+        }
+
+        if (this.modalBody) {
+            this.modalBody.addEventListener('change', (e) => {
+                const select = e.target.closest('[data-revision-compare]');
+                if (!select) return;
+
+                this.compare[select.getAttribute('data-revision-compare')] = parseInt(select.value);
+                this.renderRevisionDiff();
+            });
+        }
+    },
+
+    open(date, entries) {
+        if (!appInitialized) {
+            console.log('DayViewModal: Blocked open during app initialization');
+            return;
+        }
+
+        if (!this.modal || !this.modalBody) return;
+
+        this.currentDate = date;
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.renderDayView(date, entries);
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        // The calendar or the graph stays open underneath the day view
+        document.body.style.overflow = CalendarModal.isOpen() || GraphModal.isOpen() ? 'hidden' : '';
+
+        this.modalBody.innerHTML = '';
+        this.currentDate = null;
+        this.revisionsId = null;
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    // Re-renders the open day after a change (edit, restore, undo)
+    refresh() {
+        if (!this.isOpen()) return;
+
+        const entries = AppState.getEntries().filter(entry => {
+            return new Date(entry.timestamp).toDateString() === this.currentDate;
+        });
+
+        if (entries.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.renderDayView(this.currentDate, entries);
+    },
+
+    // Shows the day of an entry and brings the entry into view (wiki-links, backlinks)
+    openEntry(id) {
+        const entry = AppState.getEntryById(id);
+        if (!entry) return false;
+
+        const date = new Date(entry.timestamp).toDateString();
+        const entries = AppState.getEntries().filter(e => new Date(e.timestamp).toDateString() === date);
+
+        if (this.isOpen()) {
+            this.currentDate = date;
+            this.revisionsId = null;
+            this.renderDayView(date, entries);
+        } else {
+            this.open(date, entries);
+        }
+
+        const element = this.modalBody?.querySelector(`.entry[data-id="${id}"]`);
+        if (element) {
+            element.classList.add('entry-linked');
+            element.setAttribute('tabindex', '-1');
+            element.scrollIntoView({ block: 'start' });
+            element.focus();
+        }
+        return true;
+    },
+
+    toggleRevisions(id) {
+        this.revisionsId = this.revisionsId === id ? null : id;
+        this.compare = { from: 1, to: 0 };
+        this.refresh();
+
+        const toggle = this.modalBody.querySelector(`[data-action="toggle-revisions"][data-id="${id}"]`);
+        if (toggle) toggle.focus();
+    },
+
+    restoreRevision(id, index) {
+        const entry = AppState.getEntryById(id);
+        const version = entry && RevisionHistory.getVersions(entry)[index];
+        if (!version) return;
+
+        if (RevisionHistory.changedFields(entry, version).length === 0) {
+            ToastManager.show(I18n.t('revisions.sameAsCurrent'), 'info');
+            return;
+        }
+
+        // The subscriber re-renders the day view: compare the restored version with the one it replaced
+        this.compare = { from: 1, to: 0 };
+        const { topic, content, link, imageUrl, tags } = version;
+        AppState.updateEntry(id, { topic, content, link, imageUrl, tags: [...tags] });
+
+        const toggle = this.modalBody.querySelector(`[data-action="toggle-revisions"][data-id="${id}"]`);
+        if (toggle) toggle.focus();
+
+        ToastManager.show(I18n.t('revisions.restored', { when: RevisionHistory.describe(version) }), 'success', HistoryManager.undoOptions());
+    },
+
+    renderRevisions(entry) {
+        const panel = document.createElement('section');
+        panel.className = 'revision-panel';
+        panel.id = `revisions-${entry.id}`;
+        panel.setAttribute('aria-label', I18n.t('revisions.panelLabel', { topic: entry.topic }));
+
+        const versions = RevisionHistory.getVersions(entry);
+
+        if (versions.length === 1) {
+            panel.innerHTML = `<p class="revision-empty">${I18n.t('revisions.none')}</p>`;
+            return panel;
+        }
+
+        const options = (selected) => versions.map((version, i) => `
+            <option value="${i}" ${i === selected ? 'selected' : ''}>${RenderManager.escapeHtml(RevisionHistory.describe(version))}</option>
+        `).join('');
+
+        panel.innerHTML = `
+            <ol class="revision-list">
+                ${versions.map((version, i) => `
+                    <li class="revision-item">
+                        <div>
+                            <strong>${RenderManager.escapeHtml(version.topic)}</strong>
+                            <span>${RenderManager.escapeHtml(RevisionHistory.describe(version))}</span>
+                        </div>
+                        ${version.current ? '' : `
+                            <button type="button" class="btn btn-secondary" data-action="restore-revision" data-id="${entry.id}" data-version="${i}">
+                                <span aria-hidden="true">↺</span> ${I18n.t('revisions.restore')}
+                            </button>
+                        `}
+                    </li>
+                `).join('')}
+            </ol>
+            <div class="revision-compare">
+                <label>
+                    <span>${I18n.t('revisions.from')}</span>
+                    <select data-revision-compare="from">${options(this.compare.from)}</select>
+                </label>
+                <label>
+                    <span>${I18n.t('revisions.to')}</span>
+                    <select data-revision-compare="to">${options(this.compare.to)}</select>
+                </label>
+            </div>
+            <div class="revision-diff" aria-live="polite"></div>
+        `;
+
+        return panel;
+    },
+
+    // Word-level diff between the two selected versions of the open panel
+    renderRevisionDiff() {
+        const container = this.modalBody?.querySelector('.revision-diff');
+        const entry = AppState.getEntryById(this.revisionsId);
+        if (!container || !entry) return;
+
+        const versions = RevisionHistory.getVersions(entry);
+        const from = versions[this.compare.from] || versions[versions.length - 1];
+        const to = versions[this.compare.to] || versions[0];
+        const fields = RevisionHistory.changedFields(from, to);
+
+        if (fields.length === 0) {
+            container.innerHTML = `<p class="revision-empty">${I18n.t('revisions.identical')}</p>`;
+            return;
+        }
+
+        const side = (version, name) => `
+            <div class="import-diff-side">
+                <h4>${RenderManager.escapeHtml(RevisionHistory.describe(version))}</h4>
+                ${fields.map(field => {
+                    const ops = TextDiff.diff(RevisionHistory.formatField(from, field), RevisionHistory.formatField(to, field));
+                    return `
+                        <div class="diff-field">
+                            <span class="diff-field-label">${I18n.t(RevisionHistory.FIELDS[field])}</span>
+                            <div class="diff-text">${TextDiff.renderSide(ops, name) || `<em>${I18n.t('revisions.emptyField')}</em>`}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        container.innerHTML = `<div class="import-diff">${side(from, 'before')}${side(to, 'after')}</div>`;
+    },
+
+    renderDayView(date, entries) {
+        const title = document.getElementById('dayViewTitle');
+        if (title) {
+            title.textContent = RenderManager.formatDate(entries[0].timestamp);
+        }
+
+        const fragment = document.createDocumentFragment();
+
+        const stats = document.createElement('div');
+        stats.className = 'day-view-stats';
+        stats.innerHTML = `
+            <p style="text-align: center; color: var(--color-text-light); margin-bottom: var(--spacing-lg);">
+                ${I18n.t('dayView.count', { count: entries.length })}
+            </p>
+        `;
+        fragment.appendChild(stats);
+
+        entries.forEach((entry, index) => {
+            const entryDiv = document.createElement('div');
+            entryDiv.className = 'entry';
+            entryDiv.setAttribute('data-id', entry.id);
+            entryDiv.style.borderBottom = index < entries.length - 1 ? '1px solid var(--color-border-light)' : 'none';
+            entryDiv.style.paddingBottom = 'var(--spacing-lg)';
+            entryDiv.style.marginBottom = 'var(--spacing-lg)';
+
+            const header = document.createElement('div');
+            header.className = 'entry-header';
+
+            const title = document.createElement('h3');
+            title.className = 'entry-title';
+            title.textContent = entry.topic;
+
+            const time = document.createElement('time');
+            time.className = 'entry-time';
+            time.setAttribute('datetime', new Date(entry.timestamp).toISOString());
+            time.textContent = RenderManager.formatTime(entry.timestamp);
+
+            header.appendChild(title);
+            header.appendChild(time);
+            entryDiv.appendChild(header);
+
+            const content = document.createElement('div');
+            content.className = 'entry-content markdown-body';
+            content.innerHTML = MarkdownRenderer.render(entry.content);
+            entryDiv.appendChild(content);
+
+            if (entry.tags && entry.tags.length > 0) {
+                entryDiv.appendChild(TagManager.createChips(entry.tags));
+            }
+
+            if (entry.link) {
+                const link = document.createElement('a');
+                link.href = entry.link;
+                link.className = 'entry-link';
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.innerHTML = `
+                    <span aria-hidden="true">🔗</span>
+                    <span>${RenderManager.escapeHtml(entry.link)}</span>
+                `;
+                entryDiv.appendChild(link);
+            }
+
+            if (entry.imageUrl) {
+                const img = document.createElement('img');
+                Attachments.setSource(img, entry.imageUrl);
+                img.alt = I18n.t('entry.imageAlt', { topic: entry.topic });
+                img.className = 'entry-image';
+                img.loading = 'lazy';
+                entryDiv.appendChild(img);
+            }
+
+            const backlinks = WikiLinks.createBacklinks(entry);
+            if (backlinks) entryDiv.appendChild(backlinks);
+
+            const actions = document.createElement('div');
+            actions.className = 'entry-actions';
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-secondary';
+            editBtn.setAttribute('data-action', 'edit');
+            editBtn.setAttribute('data-id', entry.id);
+            editBtn.innerHTML = `<span aria-hidden="true">✏️</span> ${I18n.t('entry.edit')}`;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger';
+            deleteBtn.setAttribute('data-action', 'delete');
+            deleteBtn.setAttribute('data-id', entry.id);
+            deleteBtn.innerHTML = `<span aria-hidden="true">🗑</span> ${I18n.t('entry.delete')}`;
+
+            const revisionCount = (entry.revisions || []).length;
+            const historyBtn = document.createElement('button');
+            historyBtn.className = 'btn btn-secondary';
+            historyBtn.setAttribute('data-action', 'toggle-revisions');
+            historyBtn.setAttribute('data-id', entry.id);
+            historyBtn.setAttribute('aria-expanded', String(this.revisionsId === entry.id));
+            historyBtn.setAttribute('aria-controls', `revisions-${entry.id}`);
+            historyBtn.innerHTML = `<span aria-hidden="true">🕘</span> ${I18n.t('revisions.button')}${revisionCount ? ` (${revisionCount})` : ''}`;
+
+            actions.appendChild(editBtn);
+            actions.appendChild(historyBtn);
+            actions.appendChild(deleteBtn);
+            entryDiv.appendChild(actions);
+
+            if (this.revisionsId === entry.id) {
+                entryDiv.appendChild(this.renderRevisions(entry));
+            }
+
+            fragment.appendChild(entryDiv);
+        });
+
+        this.modalBody.innerHTML = '';
+        this.modalBody.appendChild(fragment);
+        this.renderRevisionDiff();
+    }
+};
+
+/* ====================================
+   REVIEW MODAL (Spaced Repetition Flashcards)
+   ==================================== */
+
+const ReviewModal = {
+    modal: null,
+    modalBody: null,
+    progress: null,
+    closeBtn: null,
+    previousFocus: null,
+    queue: [],
+    position: 0,
+    // Grades given in this session: cards deleted meanwhile are in the queue but not here
+    graded: 0,
+    revealed: false,
+
+    init() {
+        this.modal = document.getElementById('reviewModal');
+        this.modalBody = document.getElementById('reviewBody');
+        this.progress = document.getElementById('reviewProgress');
+        this.closeBtn = document.getElementById('closeReview');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+            this.modal.addEventListener('keydown', (e) => this.handleKeydown(e));
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+    },
+
+    open() {
+        if (!this.modal || !this.modalBody) return;
+
+        this.queue = ReviewScheduler.getDueEntries(AppState.getEntries()).map(entry => entry.id);
+        this.position = 0;
+        this.graded = 0;
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.renderCard();
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.modalBody.innerHTML = '';
+        this.queue = [];
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    currentEntry() {
+        // Skip cards deleted while the session is open
+        while (this.position < this.queue.length) {
+            const entry = AppState.getEntryById(this.queue[this.position]);
+            if (entry) return entry;
+            this.position++;
+        }
+        return null;
+    },
+
+    renderCard() {
+        const entry = this.currentEntry();
+        this.revealed = false;
+
+        if (!entry) {
+            this.renderFinished();
+            return;
+        }
+
+        if (this.progress) {
+            this.progress.textContent = `${this.position + 1} / ${this.queue.length}`;
+        }
+
+        const card = document.createElement('div');
+        card.className = 'review-card';
+
+        const topic = document.createElement('h3');
+        topic.className = 'review-topic';
+        topic.textContent = entry.topic;
+        card.appendChild(topic);
+
+        const date = document.createElement('p');
+        date.className = 'review-date';
+        date.textContent = `${RenderManager.formatDate(entry.timestamp)}, ${RenderManager.formatTime(entry.timestamp)}`;
+        card.appendChild(date);
+
+        if (entry.tags && entry.tags.length > 0) {
+            card.appendChild(TagManager.createChips(entry.tags));
+        }
+
+        const answer = document.createElement('div');
+        answer.className = 'review-answer';
+        answer.id = 'reviewAnswer';
+        answer.setAttribute('hidden', '');
+
+        const content = document.createElement('div');
+        content.className = 'entry-content markdown-body';
+        content.innerHTML = MarkdownRenderer.render(entry.content);
+        answer.appendChild(content);
+        card.appendChild(answer);
+
+        const actions = document.createElement('div');
+        actions.className = 'review-actions';
+
+        const revealBtn = document.createElement('button');
+        revealBtn.className = 'btn btn-primary';
+        revealBtn.id = 'revealAnswer';
+        revealBtn.innerHTML = `<span aria-hidden="true">👁</span> ${I18n.t('review.reveal')} <kbd>${I18n.t('keys.space')}</kbd>`;
+        actions.appendChild(revealBtn);
+
+        const grades = document.createElement('div');
+        grades.className = 'review-grades';
+        grades.id = 'reviewGrades';
+        grades.setAttribute('hidden', '');
+
+        ReviewScheduler.GRADES.forEach(grade => {
+            const btn = document.createElement('button');
+            btn.className = `btn btn-secondary review-grade grade-${grade.quality}`;
+            btn.setAttribute('data-action', 'review-grade');
+            btn.setAttribute('data-grade', grade.quality);
+            btn.innerHTML = `${I18n.t(grade.labelKey)} <kbd>${grade.key}</kbd>`;
+            grades.appendChild(btn);
+        });
+
+        actions.appendChild(grades);
+        card.appendChild(actions);
+
+        this.modalBody.innerHTML = '';
+        this.modalBody.appendChild(card);
+
+        revealBtn.focus();
+    },
+
+    renderFinished() {
+        if (this.progress) {
+            this.progress.textContent = '';
+        }
+
+        const reviewed = this.graded;
+        this.modalBody.innerHTML = `
+            <div class="review-done">
+                <span class="empty-icon" aria-hidden="true">🎉</span>
+                <h3>${I18n.t(reviewed > 0 ? 'review.done' : 'review.nothingDue')}</h3>
+                <p>${reviewed > 0
+                    ? I18n.t('review.reviewed', { count: reviewed })
+                    : I18n.t('review.comeBack')}</p>
+            </div>
+        `;
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    reveal() {
+        if (this.revealed) return;
+
+        const answer = document.getElementById('reviewAnswer');
+        const revealBtn = document.getElementById('revealAnswer');
+        const grades = document.getElementById('reviewGrades');
+        if (!answer || !grades) return;
+
+        this.revealed = true;
+        answer.removeAttribute('hidden');
+        grades.removeAttribute('hidden');
+        if (revealBtn) revealBtn.setAttribute('hidden', '');
+
+        const firstGrade = grades.querySelector('button');
+        if (firstGrade) firstGrade.focus();
+    },
+
+    grade(quality) {
+        const entry = this.currentEntry();
+        if (!entry || !this.revealed) return;
+
+        AppState.setReview(entry.id, ReviewScheduler.schedule(entry.review, quality));
+
+        this.graded++;
+        this.position++;
+        this.renderCard();
+    },
+
+    handleKeydown(e) {
+        if (e.target.matches('input, textarea')) return;
+
+        if (!this.revealed && (e.key === ' ' || e.key === 'Enter') && this.currentEntry()) {
+            e.preventDefault();
+            this.reveal();
+            return;
+        }
+
+        const grade = ReviewScheduler.GRADES.find(g => g.key === e.key);
+        if (grade && this.revealed) {
+            e.preventDefault();
+            this.grade(grade.quality);
+        }
+    }
+};
+
+/* ====================================
+   CALENDAR MODAL (Month View + Yearly Heatmap)
+   ==================================== */
+
+const CalendarModal = {
+    modal: null,
+    modalBody: null,
+    closeBtn: null,
+    previousFocus: null,
+    focusedDate: null,
+    groups: {},
+
+
+    init() {
+        this.modal = document.getElementById('calendarModal');
+        this.modalBody = document.getElementById('calendarBody');
+        this.closeBtn = document.getElementById('closeCalendar');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+            this.modal.addEventListener('keydown', (e) => this.handleKeydown(e));
+        }
+
+        if (this.modalBody) {
+            this.modalBody.addEventListener('click', (e) => this.handleClick(e));
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+    },
+
+    open(date = new Date()) {
+        if (!this.modal || !this.modalBody) return;
+
+        this.focusedDate = this.startOfDay(date);
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.render();
+        this.focusDay();
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.modalBody.innerHTML = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    refresh() {
+        if (!this.isOpen()) return;
+
+        const hadFocus = this.modalBody.contains(document.activeElement);
+        this.render();
+        if (hadFocus) this.focusDay();
+    },
+
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+
+    addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    },
+
+    // Monday-based weekday index (0 = Monday ... 6 = Sunday)
+    weekdayIndex(date) {
+        return (date.getDay() + 6) % 7;
+    },
+
+    countFor(date) {
+        const entries = this.groups[date.toDateString()];
+        return entries ? entries.length : 0;
+    },
+
+    // Intensity 0-4 relative to the busiest day, like GitHub's contribution graph
+    levelFor(count, max) {
+        if (count === 0 || max === 0) return 0;
+        return Math.max(1, Math.ceil((count / max) * 4));
+    },
+
+    describeDay(date, count) {
+        const label = I18n.formatDate(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+        return `${label}: ${I18n.t('entries.count', { count })}`;
+    },
+
+    // Short weekday names of the locale, Monday first
+    weekdayNames() {
+        const monday = new Date(2024, 0, 1);
+
+        return Array.from({ length: 7 }, (_, i) => {
+            const name = I18n.formatDate(this.addDays(monday, i), { weekday: 'short' });
+            return name.charAt(0).toUpperCase() + name.slice(1);
+        });
+    },
+
+    render() {
+        this.groups = RenderManager.groupByDate(AppState.getEntries());
+        const max = Math.max(0, ...Object.values(this.groups).map(entries => entries.length));
+
+        this.modalBody.innerHTML = '';
+        this.modalBody.appendChild(this.renderHeatmap(this.focusedDate.getFullYear(), max));
+        this.modalBody.appendChild(this.renderMonth(max));
+    },
+
+    renderHeatmap(year, max) {
+        const section = document.createElement('section');
+        section.className = 'calendar-heatmap';
+        section.setAttribute('aria-label', I18n.t('calendar.activityIn', { year }));
+
+        const firstDay = new Date(year, 0, 1);
+        const lastDay = new Date(year, 11, 31);
+        const start = this.addDays(firstDay, -this.weekdayIndex(firstDay));
+        const weeks = Math.ceil((this.weekdayIndex(firstDay) + (lastDay - firstDay) / 86400000 + 1) / 7);
+
+        let total = 0;
+        let monthLabels = '';
+        let cells = '';
+
+        for (let week = 0; week < weeks; week++) {
+            for (let day = 0; day < 7; day++) {
+                const date = this.addDays(start, week * 7 + day);
+                const inYear = date.getFullYear() === year;
+
+                if (inYear && date.getDate() === 1) {
+                    const month = I18n.formatDate(date, { month: 'short' });
+                    monthLabels += `<span style="grid-column: ${week + 1}">${RenderManager.escapeHtml(month)}</span>`;
+                }
+
+                if (!inYear) {
+                    cells += '<span class="heatmap-cell empty" aria-hidden="true"></span>';
+                    continue;
+                }
+
+                const count = this.countFor(date);
+                total += count;
+                const label = RenderManager.escapeHtml(this.describeDay(date, count));
+                cells += `<button type="button" class="heatmap-cell level-${this.levelFor(count, max)}" ` +
+                    `data-calendar-date="${date.toDateString()}" tabindex="-1" title="${label}" aria-label="${label}"></button>`;
+            }
+        }
+
+        section.innerHTML = `
+            <div class="heatmap-header">
+                <h3>${year}</h3>
+                <span class="heatmap-total">${I18n.t('entries.count', { count: total })}</span>
+            </div>
+            <div class="heatmap-scroll">
+                <div class="heatmap-months" style="grid-template-columns: repeat(${weeks}, var(--heatmap-cell))">${monthLabels}</div>
+                <div class="heatmap-grid" style="grid-template-columns: repeat(${weeks}, var(--heatmap-cell))">${cells}</div>
+            </div>
+            <div class="heatmap-legend" aria-hidden="true">
+                ${I18n.t('calendar.less')}
+                <span class="heatmap-cell level-0"></span>
+                <span class="heatmap-cell level-1"></span>
+                <span class="heatmap-cell level-2"></span>
+                <span class="heatmap-cell level-3"></span>
+                <span class="heatmap-cell level-4"></span>
+                ${I18n.t('calendar.more')}
+            </div>
+        `;
+
+        return section;
+    },
+
+    renderMonth(max) {
+        const section = document.createElement('section');
+        section.className = 'calendar-month';
+
+        const year = this.focusedDate.getFullYear();
+        const month = this.focusedDate.getMonth();
+        const firstOfMonth = new Date(year, month, 1);
+        const start = this.addDays(firstOfMonth, -this.weekdayIndex(firstOfMonth));
+        const today = this.startOfDay(new Date()).getTime();
+        const title = I18n.formatDate(firstOfMonth, { month: 'long', year: 'numeric' });
+
+        let days = '';
+        for (let i = 0; i < 42; i++) {
+            const date = this.addDays(start, i);
+            const count = this.countFor(date);
+            const isFocused = date.getTime() === this.focusedDate.getTime();
+            const classes = ['calendar-day', `level-${this.levelFor(count, max)}`];
+
+            if (date.getMonth() !== month) classes.push('outside');
+            if (date.getTime() === today) classes.push('today');
+            if (isFocused) classes.push('focused');
+
+            const label = RenderManager.escapeHtml(this.describeDay(date, count));
+            const badge = count > 0 ? `<span class="calendar-count" aria-hidden="true">${count}</span>` : '';
+
+            days += `<button type="button" class="${classes.join(' ')}" role="gridcell" ` +
+                `data-calendar-date="${date.toDateString()}" tabindex="${isFocused ? 0 : -1}" ` +
+                `aria-label="${label}"${isFocused ? ' aria-selected="true"' : ''}>` +
+                `<span class="calendar-day-number" aria-hidden="true">${date.getDate()}</span>${badge}</button>`;
+        }
+
+        section.innerHTML = `
+            <div class="calendar-nav">
+                <button type="button" class="btn-icon-small" data-calendar-nav="-1" aria-label="${I18n.t('calendar.previousMonth')}">‹</button>
+                <h3 class="calendar-title" aria-live="polite">${RenderManager.escapeHtml(title)}</h3>
+                <button type="button" class="btn-icon-small" data-calendar-nav="1" aria-label="${I18n.t('calendar.nextMonth')}">›</button>
+                <button type="button" class="btn btn-secondary calendar-today" data-calendar-nav="today">${I18n.t('dates.today')}</button>
+            </div>
+            <div class="calendar-weekdays" aria-hidden="true">
+                ${this.weekdayNames().map(day => `<span>${day}</span>`).join('')}
+            </div>
+            <div class="calendar-grid" role="grid" aria-label="${RenderManager.escapeHtml(title)}">${days}</div>
+        `;
+
+        return section;
+    },
+
+    focusDay() {
+        const cell = this.modalBody.querySelector(`.calendar-day[data-calendar-date="${this.focusedDate.toDateString()}"]`);
+        if (cell) cell.focus();
+    },
+
+    setFocusedDate(date) {
+        const previous = this.focusedDate;
+        this.focusedDate = this.startOfDay(date);
+
+        const sameMonth = previous &&
+            previous.getFullYear() === this.focusedDate.getFullYear() &&
+            previous.getMonth() === this.focusedDate.getMonth();
+
+        if (sameMonth) {
+            this.modalBody.querySelectorAll('.calendar-day').forEach(cell => {
+                const isFocused = cell.getAttribute('data-calendar-date') === this.focusedDate.toDateString();
+                cell.classList.toggle('focused', isFocused);
+                cell.setAttribute('tabindex', isFocused ? '0' : '-1');
+                if (isFocused) {
+                    cell.setAttribute('aria-selected', 'true');
+                } else {
+                    cell.removeAttribute('aria-selected');
+                }
+            });
+        } else {
+            this.render();
+        }
+
+        this.focusDay();
+    },
+
+    moveMonths(months) {
+        const date = this.focusedDate;
+        const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+        const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+        target.setDate(Math.min(date.getDate(), lastDay));
+        this.setFocusedDate(target);
+    },
+
+    openDay(dateString) {
+        this.setFocusedDate(new Date(dateString));
+
+        if (this.groups[dateString]) {
+            EventHandler.handleDateClick(dateString);
+        }
+    },
+
+    handleClick(e) {
+        const nav = e.target.closest('[data-calendar-nav]');
+        if (nav) {
+            const value = nav.getAttribute('data-calendar-nav');
+            if (value === 'today') {
+                this.setFocusedDate(new Date());
+            } else {
+                this.moveMonths(parseInt(value));
+            }
+            return;
+        }
+
+        const day = e.target.closest('[data-calendar-date]');
+        if (day) {
+            this.openDay(day.getAttribute('data-calendar-date'));
+        }
+    },
+
+    // Arrow keys move by day/week, PageUp/PageDown by month (Shift: year),
+    // Home/End to the start/end of the week, T jumps back to today
+    handleKeydown(e) {
+        if (!e.target.classList || !e.target.classList.contains('calendar-day')) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const date = this.focusedDate;
+        const moves = {
+            ArrowLeft: () => this.setFocusedDate(this.addDays(date, -1)),
+            ArrowRight: () => this.setFocusedDate(this.addDays(date, 1)),
+            ArrowUp: () => this.setFocusedDate(this.addDays(date, -7)),
+            ArrowDown: () => this.setFocusedDate(this.addDays(date, 7)),
+            PageUp: () => this.moveMonths(e.shiftKey ? -12 : -1),
+            PageDown: () => this.moveMonths(e.shiftKey ? 12 : 1),
+            Home: () => this.setFocusedDate(this.addDays(date, -this.weekdayIndex(date))),
+            End: () => this.setFocusedDate(this.addDays(date, 6 - this.weekdayIndex(date))),
+            t: () => this.setFocusedDate(new Date()),
+            T: () => this.setFocusedDate(new Date())
+        };
+
+        if (moves[e.key]) {
+            e.preventDefault();
+            moves[e.key]();
+        }
+    }
+};
+
+/* ====================================
+   STATISTICS DASHBOARD
+   Re-rendered from StatisticsCalculator.update
+   while open, so it follows AppState changes
+   ==================================== */
+
+const StatsDashboard = {
+    modal: null,
+    modalBody: null,
+    closeBtn: null,
+    previousFocus: null,
+
+    init() {
+        this.modal = document.getElementById('statsModal');
+        this.modalBody = document.getElementById('statsBody');
+        this.closeBtn = document.getElementById('closeStats');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+    },
+
+    open() {
+        if (!this.modal || !this.modalBody) return;
+
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.render(AppState.getEntries());
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.modalBody.innerHTML = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    refresh(entries) {
+        if (this.isOpen()) this.render(entries);
+    },
+
+    percent(count, total) {
+        return total ? Math.round((count / total) * 100) : 0;
+    },
+
+    renderSummary(stats) {
+        const tiles = [
+            { label: I18n.t('stats.currentStreak'), value: stats.streaks.current, unit: I18n.t('stats.days', { count: stats.streaks.current }) },
+            { label: I18n.t('stats.longestStreak'), value: stats.streaks.longest, unit: I18n.t('stats.days', { count: stats.streaks.longest }) },
+            { label: I18n.t('stats.averageLength'), value: stats.averageLength, unit: I18n.t('stats.characters') },
+            { label: I18n.t('stats.withLink'), value: `${this.percent(stats.withLink, stats.total)}%`, unit: I18n.t('stats.outOf', { count: stats.withLink, total: stats.total }) },
+            { label: I18n.t('stats.withImage'), value: `${this.percent(stats.withImage, stats.total)}%`, unit: I18n.t('stats.outOf', { count: stats.withImage, total: stats.total }) }
+        ];
+
+        return `
+            <div class="stats-summary">
+                ${tiles.map(tile => `
+                    <div class="stats-tile">
+                        <span class="stat-label">${tile.label}</span>
+                        <span class="stats-tile-value">${tile.value}</span>
+                        <span class="stats-tile-unit">${tile.unit}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    // Vertical bar chart drawn with plain elements; bar height is relative to the busiest bucket
+    renderBarChart(title, buckets) {
+        const max = Math.max(1, ...buckets.map(bucket => bucket.count));
+
+        return `
+            <section class="stats-chart-section">
+                <h3>${title}</h3>
+                <div class="stats-chart" role="img" aria-label="${RenderManager.escapeHtml(
+                    `${title}: ${buckets.map(bucket => `${bucket.label} ${bucket.count}`).join(', ')}`
+                )}">
+                    ${buckets.map(bucket => `
+                        <div class="chart-column" title="${RenderManager.escapeHtml(`${bucket.label}: ${bucket.count}`)}">
+                            <span class="chart-value">${bucket.count || ''}</span>
+                            <span class="chart-track"><span class="chart-bar" style="height: ${(bucket.count / max) * 100}%"></span></span>
+                            <span class="chart-label">${RenderManager.escapeHtml(bucket.label)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </section>
+        `;
+    },
+
+    renderRanking(title, items) {
+        if (items.length === 0) {
+            return `
+                <section class="stats-ranking">
+                    <h3>${title}</h3>
+                    <p class="stats-empty">${I18n.t('stats.noData')}</p>
+                </section>
+            `;
+        }
+
+        const max = items[0].count;
+
+        return `
+            <section class="stats-ranking">
+                <h3>${title}</h3>
+                <ol>
+                    ${items.map(item => `
+                        <li>
+                            <span class="stats-ranking-label">${RenderManager.escapeHtml(item.label)}</span>
+                            <span class="stats-ranking-meter" aria-hidden="true">
+                                <span style="width: ${(item.count / max) * 100}%"></span>
+                            </span>
+                            <span class="stats-ranking-count">${item.count}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </section>
+        `;
+    },
+
+    render(entries) {
+        const stats = StatisticsCalculator.calculateDetailed(entries);
+
+        if (stats.total === 0) {
+            this.modalBody.innerHTML = `
+                <div class="empty-state">
+                    <p>${I18n.t('stats.empty')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const hours = stats.hours.map((count, hour) => ({ label: String(hour).padStart(2, '0'), count }));
+
+        this.modalBody.innerHTML = `
+            ${this.renderSummary(stats)}
+            ${this.renderBarChart(I18n.t('stats.perWeek', { count: CONFIG.STATS.WEEKS }), stats.perWeek)}
+            ${this.renderBarChart(I18n.t('stats.perMonth', { count: CONFIG.STATS.MONTHS }), stats.perMonth)}
+            ${this.renderBarChart(I18n.t('stats.perHour'), hours)}
+            <div class="stats-rankings">
+                ${this.renderRanking(I18n.t('stats.topTopics'), stats.topTopics)}
+                ${this.renderRanking(I18n.t('stats.topWords'), stats.topWords)}
+            </div>
+        `;
+    }
+};
+
+/* ====================================
+   KNOWLEDGE GRAPH
+   Entries and tags as nodes; edges from shared tags,
+   shared link domains and [[wiki-links]]. Drawn in SVG
+   with a force-directed layout computed in the page
+   ==================================== */
+
+const KnowledgeGraph = {
+    URL_PATTERN: /\bhttps?:\/\/[^\s<>()"'\]]+/g,
+
+    // Hostnames of the entry link and of the URLs in its content, without "www."
+    domainsOf(entry) {
+        const urls = [entry.link || '', ...(String(entry.content || '').match(this.URL_PATTERN) || [])];
+        const domains = new Set();
+
+        urls.forEach(url => {
+            if (!url) return;
+            try {
+                const hostname = new URL(url).hostname.replace(/^www\./, '');
+                if (hostname) domains.add(hostname);
+            } catch (err) {
+                // Not a valid URL: it just doesn't connect anything
+            }
+        });
+
+        return [...domains];
+    },
+
+    // { nodes, edges }: node ids are "e:<entryId>" and "t:<tag>", edge types
+    // are 'tag', 'domain' and 'link'
+    build(entries) {
+        const nodes = [];
+        const edges = [];
+        const degree = new Map();
+        const seen = new Set();
+
+        const connect = (source, target, type, label = '') => {
+            const key = source < target ? `${type}|${source}|${target}` : `${type}|${target}|${source}`;
+            if (source === target || seen.has(key)) return;
+
+            seen.add(key);
+            edges.push({ source, target, type, label });
+            degree.set(source, (degree.get(source) || 0) + 1);
+            degree.set(target, (degree.get(target) || 0) + 1);
+        };
+
+        const tags = new Map();
+        const domains = new Map();
+
+        entries.forEach(entry => {
+            nodes.push({ id: `e:${entry.id}`, type: 'entry', entryId: entry.id, label: entry.topic });
+
+            (entry.tags || []).forEach(tag => {
+                if (!tags.has(tag)) tags.set(tag, []);
+                tags.get(tag).push(entry);
+            });
+
+            this.domainsOf(entry).forEach(domain => {
+                if (!domains.has(domain)) domains.set(domain, []);
+                domains.get(domain).push(entry);
+            });
+        });
+
+        // Shared tags meet at the tag node
+        [...tags.keys()].sort().forEach(tag => {
+            nodes.push({ id: `t:${tag}`, type: 'tag', tag, label: `#${tag}` });
+            tags.get(tag).forEach(entry => connect(`e:${entry.id}`, `t:${tag}`, 'tag', tag));
+        });
+
+        // Small groups are fully connected; a popular domain would add too
+        // many edges that way, so its entries are chained instead
+        domains.forEach((group, domain) => {
+            if (group.length < 2) return;
+
+            if (group.length <= CONFIG.GRAPH.DOMAIN_CLIQUE) {
+                group.forEach((entry, i) => group.slice(i + 1).forEach(other => {
+                    connect(`e:${entry.id}`, `e:${other.id}`, 'domain', domain);
+                }));
+            } else {
+                group.slice(1).forEach((entry, i) => connect(`e:${group[i].id}`, `e:${entry.id}`, 'domain', domain));
+            }
+        });
+
+        const { targets } = WikiLinks.index();
+        entries.forEach(entry => {
+            (targets.get(entry.id) || []).forEach(target => {
+                connect(`e:${entry.id}`, `e:${target.id}`, 'link');
+            });
+        });
+
+        nodes.forEach(node => {
+            node.degree = degree.get(node.id) || 0;
+        });
+
+        return { nodes, edges };
+    },
+
+    // Fruchterman-Reingold with gravity toward the origin. Nodes listed in
+    // `previous` keep their position as a starting point, so a refresh
+    // settles the new nodes without reshuffling the whole graph
+    layout(graph, previous = new Map()) {
+        const { nodes, edges } = graph;
+        const count = nodes.length;
+        const positions = new Map();
+        if (count === 0) return positions;
+
+        const length = CONFIG.GRAPH.EDGE_LENGTH;
+        const x = new Float64Array(count);
+        const y = new Float64Array(count);
+        const index = new Map();
+        let warm = 0;
+
+        nodes.forEach((node, i) => {
+            index.set(node.id, i);
+            const known = previous.get(node.id);
+            if (known) {
+                x[i] = known.x;
+                y[i] = known.y;
+                warm++;
+            } else {
+                // Sunflower spiral: deterministic and evenly spread
+                const angle = i * 2.399963;
+                const radius = length * Math.sqrt(i + 0.5);
+                x[i] = Math.cos(angle) * radius;
+                y[i] = Math.sin(angle) * radius;
+            }
+        });
+
+        const links = edges
+            .map(edge => [index.get(edge.source), index.get(edge.target)])
+            .filter(([a, b]) => a !== undefined && b !== undefined);
+
+        // Repulsion is quadratic in the nodes: big diaries get fewer rounds, and
+        // past the budget the starting positions are kept as they are
+        const budget = Math.floor(CONFIG.GRAPH.LAYOUT_BUDGET / (count * count));
+        const rounds = Math.min(CONFIG.GRAPH.ITERATIONS, budget);
+        const iterations = warm === count ? Math.ceil(rounds / 4) : rounds;
+        const dx = new Float64Array(count);
+        const dy = new Float64Array(count);
+        let temperature = warm === count ? length / 2 : length * 2;
+        const cooling = temperature / (iterations + 1);
+
+        for (let round = 0; round < iterations; round++) {
+            dx.fill(0);
+            dy.fill(0);
+
+            for (let i = 0; i < count; i++) {
+                for (let j = i + 1; j < count; j++) {
+                    let ddx = x[i] - x[j];
+                    let ddy = y[i] - y[j];
+                    let distance = Math.sqrt(ddx * ddx + ddy * ddy);
+                    if (distance < 0.01) {
+                        // Same spot: nudge them apart in a fixed direction
+                        ddx = 0.01 * ((i % 7) - 3 || 1);
+                        ddy = 0.01;
+                        distance = Math.sqrt(ddx * ddx + ddy * ddy);
+                    }
+                    const force = (length * length) / distance;
+                    dx[i] += (ddx / distance) * force;
+                    dy[i] += (ddy / distance) * force;
+                    dx[j] -= (ddx / distance) * force;
+                    dy[j] -= (ddy / distance) * force;
+                }
+            }
+
+            links.forEach(([a, b]) => {
+                const ddx = x[a] - x[b];
+                const ddy = y[a] - y[b];
+                const distance = Math.sqrt(ddx * ddx + ddy * ddy) || 0.01;
+                const force = (distance * distance) / length;
+                dx[a] -= (ddx / distance) * force;
+                dy[a] -= (ddy / distance) * force;
+                dx[b] += (ddx / distance) * force;
+                dy[b] += (ddy / distance) * force;
+            });
+
+            for (let i = 0; i < count; i++) {
+                // Gravity keeps unconnected nodes from drifting off
+                dx[i] -= x[i] * CONFIG.GRAPH.GRAVITY;
+                dy[i] -= y[i] * CONFIG.GRAPH.GRAVITY;
+
+                const displacement = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]);
+                if (displacement > 0) {
+                    const step = Math.min(displacement, temperature);
+                    x[i] += (dx[i] / displacement) * step;
+                    y[i] += (dy[i] / displacement) * step;
+                }
+            }
+
+            temperature -= cooling;
+        }
+
+        nodes.forEach((node, i) => positions.set(node.id, { x: x[i], y: y[i] }));
+        return positions;
+    }
+};
+
+const GraphModal = {
+    modal: null,
+    closeBtn: null,
+    canvas: null,
+    searchInput: null,
+    matchesLabel: null,
+    emptyState: null,
+    previousFocus: null,
+    graph: null,
+    positions: new Map(),
+    // Pan and zoom: screen = world * k + (x, y)
+    view: { x: 0, y: 0, k: 1 },
+    drag: null,
+    // Set in init(): a burst of changes lays the graph out once
+    scheduleRender: null,
+
+    init() {
+        this.scheduleRender = debounce(() => {
+            if (this.isOpen()) this.render();
+        }, CONFIG.DEBOUNCE_DELAY);
+
+        this.modal = document.getElementById('graphModal');
+        this.closeBtn = document.getElementById('closeGraph');
+        this.canvas = document.getElementById('graphCanvas');
+        this.searchInput = document.getElementById('graphSearch');
+        this.matchesLabel = document.getElementById('graphMatches');
+        this.emptyState = document.getElementById('graphEmpty');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+
+        document.getElementById('graphZoomIn')?.addEventListener('click', () => this.zoomBy(CONFIG.GRAPH.ZOOM_STEP));
+        document.getElementById('graphZoomOut')?.addEventListener('click', () => this.zoomBy(1 / CONFIG.GRAPH.ZOOM_STEP));
+        document.getElementById('graphFit')?.addEventListener('click', () => this.fit());
+
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', debounce(() => this.highlight(), CONFIG.DEBOUNCE_DELAY));
+        }
+
+        if (this.canvas) {
+            this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+            this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+            this.canvas.addEventListener('pointercancel', () => {
+                this.drag = null;
+            });
+            this.canvas.addEventListener('keydown', (e) => this.handleKeydown(e));
+        }
+    },
+
+    open() {
+        if (!this.modal || !this.canvas) return;
+
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.render();
+        this.fit();
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.canvas.innerHTML = '';
+        this.graph = null;
+        this.drag = null;
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    // Keeps the positions already on screen and the current pan and zoom
+    refresh() {
+        if (this.isOpen() && this.scheduleRender) this.scheduleRender();
+    },
+
+    size() {
+        const rect = this.canvas.getBoundingClientRect();
+        // Zero before layout (and outside a browser): assume the CSS size
+        return { width: rect.width || 800, height: rect.height || 600 };
+    },
+
+    radius(node) {
+        return node.type === 'entry'
+            ? 6 + Math.min(node.degree, 8)
+            : 4 + Math.min(node.degree, 10) / 2;
+    },
+
+    truncate(text) {
+        const max = CONFIG.GRAPH.LABEL_LENGTH;
+        return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+    },
+
+    render() {
+        const entries = AppState.getEntries();
+        const empty = entries.length === 0;
+
+        this.canvas.toggleAttribute('hidden', empty);
+        if (this.emptyState) this.emptyState.toggleAttribute('hidden', !empty);
+
+        if (empty) {
+            this.canvas.innerHTML = '';
+            this.graph = null;
+            this.positions = new Map();
+            this.updateMatches(null);
+            return;
+        }
+
+        this.graph = KnowledgeGraph.build(entries);
+        this.positions = KnowledgeGraph.layout(this.graph, this.positions);
+
+        const escape = RenderManager.escapeHtml;
+
+        const edges = this.graph.edges.map(edge => {
+            const a = this.positions.get(edge.source);
+            const b = this.positions.get(edge.target);
+            const title = edge.type === 'domain' ? `<title>${escape(edge.label)}</title>` : '';
+            return `<line class="graph-edge graph-edge-${edge.type}" data-source="${escape(edge.source)}" data-target="${escape(edge.target)}"
+                x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}">${title}</line>`;
+        }).join('');
+
+        const nodes = this.graph.nodes.map(node => {
+            const { x, y } = this.positions.get(node.id);
+            const r = this.radius(node);
+            const label = node.type === 'entry'
+                ? I18n.t('graph.entryNode', { topic: node.label, count: node.degree })
+                : I18n.t('graph.tagNode', { tag: node.tag, count: node.degree });
+            const shape = node.type === 'entry'
+                ? `<circle r="${r}"></circle>`
+                : `<rect x="${-r}" y="${-r}" width="${r * 2}" height="${r * 2}" rx="2"></rect>`;
+
+            return `<g class="graph-node graph-node-${node.type}" data-node="${escape(node.id)}" transform="translate(${x.toFixed(1)} ${y.toFixed(1)})"
+                tabindex="0" role="button" aria-label="${escape(label)}">
+                ${shape}
+                <text y="${r + 12}">${escape(this.truncate(node.label))}</text>
+                <title>${escape(node.label)}</title>
+            </g>`;
+        }).join('');
+
+        this.canvas.innerHTML = `<g class="graph-viewport"><g class="graph-edges">${edges}</g><g class="graph-nodes">${nodes}</g></g>`;
+        this.applyView();
+        this.highlight();
+    },
+
+    applyView() {
+        const viewport = this.canvas.querySelector('.graph-viewport');
+        if (!viewport) return;
+
+        const { x, y, k } = this.view;
+        viewport.setAttribute('transform', `translate(${x.toFixed(1)} ${y.toFixed(1)}) scale(${k.toFixed(3)})`);
+        // Labels only get in the way once the graph is zoomed out
+        this.canvas.classList.toggle('graph-zoomed-out', k < CONFIG.GRAPH.LABEL_ZOOM);
+    },
+
+    // Zooms keeping the screen point (px, py) still
+    zoomAt(factor, px, py) {
+        const { x, y, k } = this.view;
+        const next = Math.min(CONFIG.GRAPH.MAX_ZOOM, Math.max(CONFIG.GRAPH.MIN_ZOOM, k * factor));
+
+        this.view = {
+            x: px - (px - x) * (next / k),
+            y: py - (py - y) * (next / k),
+            k: next
+        };
+        this.applyView();
+    },
+
+    zoomBy(factor) {
+        const { width, height } = this.size();
+        this.zoomAt(factor, width / 2, height / 2);
+    },
+
+    // Centres the whole graph, never zooming in past 1:1
+    fit() {
+        if (this.positions.size === 0) return;
+
+        const { width, height } = this.size();
+        const points = [...this.positions.values()];
+        const margin = CONFIG.GRAPH.EDGE_LENGTH / 2;
+        const minX = Math.min(...points.map(p => p.x)) - margin;
+        const maxX = Math.max(...points.map(p => p.x)) + margin;
+        const minY = Math.min(...points.map(p => p.y)) - margin;
+        const maxY = Math.max(...points.map(p => p.y)) + margin;
+        const k = Math.min(1, Math.max(CONFIG.GRAPH.MIN_ZOOM, Math.min(width / (maxX - minX), height / (maxY - minY))));
+
+        this.view = {
+            x: width / 2 - ((minX + maxX) / 2) * k,
+            y: height / 2 - ((minY + maxY) / 2) * k,
+            k
+        };
+        this.applyView();
+    },
+
+    // Same syntax as the main search for entries; tags match on their name
+    highlight() {
+        if (!this.graph) return;
+
+        const query = this.searchInput ? this.searchInput.value.trim() : '';
+        const nodes = this.canvas.querySelectorAll('.graph-node');
+
+        if (!query) {
+            this.canvas.classList.remove('graph-searching');
+            nodes.forEach(node => node.classList.remove('is-match'));
+            this.canvas.querySelectorAll('.graph-edge.is-match').forEach(edge => edge.classList.remove('is-match'));
+            this.updateMatches(null);
+            return;
+        }
+
+        const matched = new Set(
+            SearchManager.search(query, AppState.getEntries()).map(entry => `e:${entry.id}`)
+        );
+        const term = SearchIndex.fold(query.replace(/^(tag:|#)/i, ''));
+        this.graph.nodes.forEach(node => {
+            if (node.type === 'tag' && term && SearchIndex.fold(node.tag).includes(term)) matched.add(node.id);
+        });
+
+        this.canvas.classList.add('graph-searching');
+        nodes.forEach(node => node.classList.toggle('is-match', matched.has(node.getAttribute('data-node'))));
+        this.canvas.querySelectorAll('.graph-edge').forEach(edge => {
+            edge.classList.toggle('is-match',
+                matched.has(edge.getAttribute('data-source')) && matched.has(edge.getAttribute('data-target')));
+        });
+
+        this.updateMatches(matched.size);
+    },
+
+    updateMatches(count) {
+        if (!this.matchesLabel) return;
+        this.matchesLabel.textContent = count === null ? '' : I18n.t('graph.matches', { count });
+    },
+
+    openNode(nodeId) {
+        const node = this.graph && this.graph.nodes.find(item => item.id === nodeId);
+        if (!node) return;
+
+        if (node.type === 'entry') {
+            if (!DayViewModal.openEntry(node.entryId)) {
+                ToastManager.show(I18n.t('entry.notFound'), 'error');
+            }
+            return;
+        }
+
+        // A tag highlights its entries instead of opening anything
+        if (this.searchInput) {
+            this.searchInput.value = `tag:${node.tag}`;
+            this.highlight();
+        }
+    },
+
+    handleWheel(e) {
+        if (!this.graph) return;
+        e.preventDefault();
+
+        const rect = this.canvas.getBoundingClientRect();
+        const factor = e.deltaY < 0 ? CONFIG.GRAPH.ZOOM_STEP : 1 / CONFIG.GRAPH.ZOOM_STEP;
+        this.zoomAt(factor, e.clientX - rect.left, e.clientY - rect.top);
+    },
+
+    handlePointerDown(e) {
+        if (e.button !== 0 || !this.graph) return;
+
+        const node = e.target.closest('[data-node]');
+        this.drag = {
+            startX: e.clientX,
+            startY: e.clientY,
+            viewX: this.view.x,
+            viewY: this.view.y,
+            node: node ? node.getAttribute('data-node') : null,
+            moved: false
+        };
+        this.canvas.setPointerCapture?.(e.pointerId);
+    },
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const dx = e.clientX - this.drag.startX;
+        const dy = e.clientY - this.drag.startY;
+        // A few pixels of jitter still count as a click
+        if (!this.drag.moved && Math.hypot(dx, dy) < CONFIG.GRAPH.DRAG_THRESHOLD) return;
+
+        this.drag.moved = true;
+        this.canvas.classList.add('is-panning');
+        this.view.x = this.drag.viewX + dx;
+        this.view.y = this.drag.viewY + dy;
+        this.applyView();
+    },
+
+    handlePointerUp() {
+        const drag = this.drag;
+        this.drag = null;
+        this.canvas.classList.remove('is-panning');
+
+        if (drag && !drag.moved && drag.node) this.openNode(drag.node);
+    },
+
+    handleKeydown(e) {
+        const node = e.target.closest('[data-node]');
+        const pan = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] }[e.key];
+
+        if (node && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            this.openNode(node.getAttribute('data-node'));
+        } else if (e.key === '+' || e.key === '=') {
+            e.preventDefault();
+            this.zoomBy(CONFIG.GRAPH.ZOOM_STEP);
+        } else if (e.key === '-') {
+            e.preventDefault();
+            this.zoomBy(1 / CONFIG.GRAPH.ZOOM_STEP);
+        } else if (pan) {
+            e.preventDefault();
+            this.view.x += pan[0] * CONFIG.GRAPH.EDGE_LENGTH;
+            this.view.y += pan[1] * CONFIG.GRAPH.EDGE_LENGTH;
+            this.applyView();
+        }
+    }
+};
+
+/* ====================================
+   MENU MANAGER (NEW - Hamburger Menu)
+   Pattern identical to ModalManager
+   ==================================== */
+
+const MenuManager = {
+    menu: null,
+    overlay: null,
+    closeBtn: null,
+    hamburgerBtn: null,
+    focusableElements: [],
+    firstFocusable: null,
+    lastFocusable: null,
+    previousFocus: null,
+    currentFocusIndex: 0,
+
+    init() {
+        this.menu = document.getElementById('hamburgerMenu');
+        this.overlay = this.menu?.querySelector('.menu-overlay');
+        this.closeBtn = document.getElementById('closeMenu');
+        this.hamburgerBtn = document.getElementById('hamburgerBtn');
+
+        if (!this.menu) {
+            console.error('MenuManager: hamburgerMenu element not found');
+            return;
+        }
+
+        // Ensure menu is hidden on init
+        this.menu.setAttribute('hidden', '');
+        this.menu.style.display = 'none';
+
+        // Event listeners
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+
+        if (this.overlay) {
+            this.overlay.addEventListener('click', () => this.close());
+        }
+
+        if (this.hamburgerBtn) {
+            this.hamburgerBtn.addEventListener('click', () => this.toggle());
+        }
+
+        // Keyboard navigation (Tab + Arrow keys)
+        if (this.menu) {
+            this.menu.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab') {
+                    this.handleFocusTrap(e);
+                } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    this.handleArrowNavigation(e);
+                }
+            });
+        }
+
+        console.log('✅ MenuManager initialized');
+    },
+
+    open() {
+        if (!this.menu) return;
+
+        this.previousFocus = document.activeElement;
+
+        this.menu.removeAttribute('hidden');
+        this.menu.style.display = 'flex';
+        this.menu.setAttribute('aria-hidden', 'false');
+
+        // Update hamburger button state
+        if (this.hamburgerBtn) {
+            this.hamburgerBtn.setAttribute('aria-expanded', 'true');
+        }
+
+        this.updateFocusableElements();
+
+        // Focus first menu item
+        if (this.firstFocusable) {
+            this.firstFocusable.focus();
+            this.currentFocusIndex = 0;
+        }
+
+        document.body.style.overflow = 'hidden';
+
+        console.log('📂 Menu opened');
+    },
+
+    close() {
+        if (!this.menu) return;
+
+        this.menu.setAttribute('hidden', '');
+        this.menu.style.display = 'none';
+        this.menu.setAttribute('aria-hidden', 'true');
+
+        // Update hamburger button state
+        if (this.hamburgerBtn) {
+            this.hamburgerBtn.setAttribute('aria-expanded', 'false');
+        }
+
+        document.body.style.overflow = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+
+        console.log('📁 Menu closed');
+    },
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    },
+
+    isOpen() {
+        return this.menu && !this.menu.hasAttribute('hidden');
+    },
+
+    updateFocusableElements() {
+        const focusableSelectors = [
+            '.menu-item',
+            'button:not([disabled])',
+            'a[href]'
+        ].join(', ');
+
+        this.focusableElements = Array.from(
+            this.menu.querySelectorAll(focusableSelectors)
+        ).filter(el => {
+            return el.closest('.menu-content');
+        });
+
+        this.firstFocusable = this.focusableElements[0];
+        this.lastFocusable = this.focusableElements[this.focusableElements.length - 1];
+    },
+
+    handleFocusTrap(e) {
+        if (e.shiftKey) {
+            // Shift + Tab: backward
+            if (document.activeElement === this.firstFocusable) {
+                e.preventDefault();
+                if (this.lastFocusable) {
+                    this.lastFocusable.focus();
+                    this.currentFocusIndex = this.focusableElements.length - 1;
+                }
+            }
+        } else {
+            // Tab: forward
+            if (document.activeElement === this.lastFocusable) {
+                e.preventDefault();
+                if (this.firstFocusable) {
+                    this.firstFocusable.focus();
+                    this.currentFocusIndex = 0;
+                }
+            }
+        }
+    },
+
+    handleArrowNavigation(e) {
+        e.preventDefault();
+
+        const menuItems = this.focusableElements.filter(el => el.classList.contains('menu-item'));
+
+        if (menuItems.length === 0) return;
+
+        if (e.key === 'ArrowDown') {
+            this.currentFocusIndex = (this.currentFocusIndex + 1) % menuItems.length;
+        } else if (e.key === 'ArrowUp') {
+            this.currentFocusIndex = (this.currentFocusIndex - 1 + menuItems.length) % menuItems.length;
+        }
+
+        menuItems[this.currentFocusIndex].focus();
+    }
+};
+
+/* ====================================
+   CODE HIGHLIGHTER (Fenced code blocks)
+   ==================================== */
+
+const CodeHighlighter = {
+    KEYWORDS: {
+        js: 'async await break case catch class const continue default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while yield interface type enum implements',
+        python: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+        clike: 'break case catch char class const continue default do double else enum extends final finally float for func go if impl import int interface let long match mod namespace new package private protected public return static string struct super switch this throw try use using var void while fn pub mut',
+        sql: 'select from where insert into values update set delete create table alter drop join left right inner outer on group by order having limit as and or not null is in',
+        bash: 'if then else elif fi for while do done case esac function return in export local echo cd'
+    },
+
+    LANGUAGE_ALIASES: {
+        javascript: 'js', ts: 'js', typescript: 'js', jsx: 'js', tsx: 'js', json: 'js',
+        py: 'python',
+        java: 'clike', c: 'clike', cpp: 'clike', 'c++': 'clike', cs: 'clike', csharp: 'clike',
+        go: 'clike', rust: 'clike', rs: 'clike', php: 'clike', kotlin: 'clike', swift: 'clike',
+        sh: 'bash', shell: 'bash', zsh: 'bash',
+        html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+        scss: 'css', less: 'css'
+    },
+
+    patterns: {},
+
+    resolveLanguage(lang) {
+        const key = (lang || '').toLowerCase();
+        return this.LANGUAGE_ALIASES[key] || key;
+    },
+
+    // Each rule is [tokenClass, regexSource]; sources must not contain capturing groups
+    getRules(language) {
+        const cComment = String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`;
+        const hashComment = String.raw`#[^\n]*`;
+        const strings = String.raw`"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'`;
+        const number = String.raw`\b\d+(?:\.\d+)?\b`;
+        const literal = String.raw`\b(?:true|false|null|undefined|None|True|False|nil)\b`;
+        const keywords = (list) => `\\b(?:${list.split(' ').join('|')})\\b`;
+
+        switch (language) {
+            case 'js':
+                return [
+                    ['comment', cComment],
+                    ['string', strings + '|`(?:\\\\.|[^`\\\\])*`'],
+                    ['literal', literal],
+                    ['keyword', keywords(this.KEYWORDS.js)],
+                    ['number', number]
+                ];
+            case 'python':
+                return [
+                    ['comment', hashComment],
+                    ['string', String.raw`"""[\s\S]*?"""|'''[\s\S]*?'''|` + strings],
+                    ['literal', literal],
+                    ['keyword', keywords(this.KEYWORDS.python)],
+                    ['number', number]
+                ];
+            case 'clike':
+                return [
+                    ['comment', cComment],
+                    ['string', strings],
+                    ['literal', literal],
+                    ['keyword', keywords(this.KEYWORDS.clike)],
+                    ['number', number]
+                ];
+            case 'sql':
+                return [
+                    ['comment', String.raw`--[^\n]*`],
+                    ['string', strings],
+                    ['literal', literal],
+                    ['keyword', keywords(this.KEYWORDS.sql)],
+                    ['number', number]
+                ];
+            case 'bash':
+                return [
+                    ['comment', hashComment],
+                    ['string', strings],
+                    ['keyword', keywords(this.KEYWORDS.bash)],
+                    ['literal', String.raw`\$\{?[\w@#?]+\}?`],
+                    ['number', number]
+                ];
+            case 'css':
+                return [
+                    ['comment', String.raw`\/\*[\s\S]*?\*\/`],
+                    ['string', strings],
+                    ['keyword', String.raw`@[\w-]+|!important`],
+                    ['literal', String.raw`#[0-9a-fA-F]{3,8}\b`],
+                    ['number', String.raw`-?\b\d+(?:\.\d+)?(?:px|r?em|%|vh|vw|s|ms|deg|fr)?`]
+                ];
+            case 'markup':
+                return [
+                    ['comment', String.raw`<!--[\s\S]*?-->`],
+                    ['keyword', String.raw`<\/?[\w:-]+|\/?>`],
+                    ['string', strings],
+                    ['literal', String.raw`[\w:-]+(?==)`]
+                ];
+            default:
+                return [
+                    ['comment', cComment + '|' + hashComment],
+                    ['string', strings],
+                    ['number', number]
+                ];
+        }
+    },
+
+    getPattern(language) {
+        if (!this.patterns[language]) {
+            const rules = this.getRules(language);
+            this.patterns[language] = {
+                classes: rules.map(([tokenClass]) => tokenClass),
+                regex: new RegExp(rules.map(([, source]) => `(${source})`).join('|'), 'g')
+            };
+        }
+        return this.patterns[language];
+    },
+
+    highlight(code, lang) {
+        const { classes, regex } = this.getPattern(this.resolveLanguage(lang));
+        let html = '';
+        let lastIndex = 0;
+        let match;
+
+        regex.lastIndex = 0;
+        while ((match = regex.exec(code)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+
+            const groupIndex = match.slice(1).findIndex(group => group !== undefined);
+            html += RenderManager.escapeHtml(code.slice(lastIndex, match.index));
+            html += `<span class="tok-${classes[groupIndex]}">${RenderManager.escapeHtml(match[0])}</span>`;
+            lastIndex = match.index + match[0].length;
+        }
+
+        return html + RenderManager.escapeHtml(code.slice(lastIndex));
+    }
+};
+
+/* ====================================
+   MARKDOWN RENDERER (Safe subset)
+   Everything is escaped first; only the tags
+   generated here ever reach innerHTML.
+   ==================================== */
+
+const MarkdownRenderer = {
+    SAFE_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+    // Entry titles are <h3>, so Markdown headings start one level below
+    HEADING_OFFSET: 3,
+    FENCE: /^\s*(```|~~~)\s*([\w+#-]*).*$/,
+
+    render(source) {
+        const text = String(source || '').replace(/\r\n?/g, '\n').replace(/\u0000/g, '');
+        return this.renderBlocks(text.split('\n'));
+    },
+
+    renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(this.FENCE);
+            if (fence) {
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                i++;
+                html.push(this.renderCodeBlock(codeLines.join('\n'), fence[2]));
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+            if (heading) {
+                const level = Math.min(heading[1].length + this.HEADING_OFFSET, 6);
+                html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (/^\s*>/.test(line)) {
+                const quoteLines = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoteLines.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quoteLines)}</blockquote>`);
+                continue;
+            }
+
+            if (this.getListMarker(line)) {
+                i = this.renderList(lines, i, html);
+                continue;
+            }
+
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines[i])) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            html.push(`<p>${paragraph.map(l => this.renderInline(l)).join('<br>')}</p>`);
+        }
+
+        return html.join('');
+    },
+
+    startsBlock(line) {
+        return this.FENCE.test(line) ||
+            /^#{1,6}\s/.test(line) ||
+            /^\s*>/.test(line) ||
+            /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+            this.getListMarker(line) !== null;
+    },
+
+    getListMarker(line) {
+        const match = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (!match) return null;
+
+        return {
+            indent: match[1].length,
+            ordered: /\d/.test(match[2]),
+            start: parseInt(match[2], 10),
+            text: match[3]
+        };
+    },
+
+    renderList(lines, start, html) {
+        const first = this.getListMarker(lines[start]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const marker = this.getListMarker(lines[i]);
+
+            if (marker && marker.indent <= first.indent) {
+                if (marker.ordered !== first.ordered) break;
+                items.push([marker.text]);
+                i++;
+                continue;
+            }
+
+            // A blank line only ends the list if the next line doesn't continue it
+            if (!lines[i].trim()) {
+                const next = lines[i + 1];
+                const nextMarker = next !== undefined ? this.getListMarker(next) : null;
+                const continues = nextMarker
+                    ? nextMarker.indent > first.indent || nextMarker.ordered === first.ordered
+                    : next !== undefined && /^\s{2,}\S/.test(next);
+                if (!continues) break;
+                i++;
+                continue;
+            }
+
+            // Indented lines (including nested list items) belong to the current item
+            if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length > 0) {
+                items[items.length - 1].push(lines[i].replace(new RegExp(`^\\s{0,${first.indent + 4}}`), ''));
+                i++;
+                continue;
+            }
+
+            break;
+        }
+
+        const body = items.map(([head, ...rest]) => {
+            const nested = rest.length > 0 ? this.renderBlocks(rest) : '';
+            return `<li>${this.renderInline(head)}${nested}</li>`;
+        }).join('');
+
+        if (first.ordered) {
+            const startAttr = first.start !== 1 ? ` start="${first.start}"` : '';
+            html.push(`<ol${startAttr}>${body}</ol>`);
+        } else {
+            html.push(`<ul>${body}</ul>`);
+        }
+
+        return i;
+    },
+
+    renderCodeBlock(code, lang) {
+        const language = lang ? this.escapeAttribute(lang.toLowerCase()) : '';
+        const classAttr = language ? ` class="language-${language}"` : '';
+        const label = language ? `<span class="code-lang" aria-hidden="true">${language}</span>` : '';
+        return `<pre class="code-block">${label}<code${classAttr}>${CodeHighlighter.highlight(code, lang)}</code></pre>`;
+    },
+
+    // Code spans and links (wiki-links included) are swapped for placeholders so that emphasis
+    // rules never run inside them, then restored after escaping.
+    renderInline(text) {
+        const tokens = [];
+        const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+        let result = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+            return stash(`<code>${RenderManager.escapeHtml(code.trim())}</code>`);
+        });
+
+        result = result.replace(WikiLinks.PATTERN, (match, topic) => stash(WikiLinks.renderLink(topic)));
+
+        result = result.replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => {
+            return stash(this.renderLink(url, this.renderEmphasis(RenderManager.escapeHtml(label)), title));
+        });
+
+        result = result.replace(/<(https?:\/\/[^\s>]+)>|\bhttps?:\/\/[^\s<]+[^\s<.,:;"')\]]/g, (match, bracketed) => {
+            const url = bracketed || match;
+            return stash(this.renderLink(url, RenderManager.escapeHtml(url)));
+        });
+
+        result = this.renderEmphasis(RenderManager.escapeHtml(result));
+
+        // A stashed link label can hold stashed code spans: restore until none are left
+        while (/\u0000\d+\u0000/.test(result)) {
+            result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+        }
+        return result;
+    },
+
+    renderEmphasis(escaped) {
+        return escaped
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^\w*])(\*|_)(?=\S)([\s\S]*?\S)\2(?![\w*])/g, '$1<em>$3</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    },
+
+    renderLink(url, labelHtml, title) {
+        if (!this.isSafeUrl(url)) return labelHtml;
+
+        const titleAttr = title ? ` title="${this.escapeAttribute(title)}"` : '';
+        return `<a href="${this.escapeAttribute(url)}" target="_blank" rel="noopener noreferrer"${titleAttr}>${labelHtml}</a>`;
+    },
+
+    escapeAttribute(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    isSafeUrl(url) {
+        try {
+            return this.SAFE_PROTOCOLS.includes(new URL(url).protocol);
+        } catch {
+            return false;
+        }
+    }
+};
+
+/* ====================================
+   WIKI-LINKS & BACKLINKS
+   [[Topic]] in the content links to the entry
+   with that topic (case and accents ignored)
+   ==================================== */
+
+const WikiLinks = {
+    PATTERN: /\[\[([^[\]\n]+)\]\]/g,
+    // Fenced blocks and code spans: links are not looked for inside them
+    CODE: /(```[\s\S]*?```|~~~[\s\S]*?~~~|`[^`\n]+`)/,
+    // { byTopic, targets, backlinks }, rebuilt lazily after any change
+    cache: null,
+
+    init() {
+        AppState.subscribe(() => {
+            this.cache = null;
+        });
+    },
+
+    key(topic) {
+        return SearchIndex.fold(String(topic).trim().replace(/\s+/g, ' '));
+    },
+
+    // Runs `replace` on the text outside code, leaving code as it is
+    mapText(content, replace) {
+        return String(content || '').split(this.CODE)
+            .map((part, index) => index % 2 === 1 ? part : replace(part))
+            .join('');
+    },
+
+    // Topic keys linked from `content`, without repeats
+    extract(content) {
+        const keys = new Set();
+        this.mapText(content, text => {
+            for (const match of text.matchAll(this.PATTERN)) keys.add(this.key(match[1]));
+            return text;
+        });
+        return [...keys];
+    },
+
+    isRename(from, to) {
+        return this.key(from) !== this.key(to);
+    },
+
+    // The content with every link to `from` pointing to `to` instead
+    rename(content, from, to) {
+        const key = this.key(from);
+        return this.mapText(content, text => text.replace(this.PATTERN, (match, topic) => {
+            return this.key(topic) === key ? `[[${to.trim()}]]` : match;
+        }));
+    },
+
+    index() {
+        if (this.cache) return this.cache;
+
+        const entries = AppState.getEntries();
+        // Two entries with the same topic: links go to the newest
+        const byTopic = new Map();
+        entries.forEach(entry => {
+            const key = this.key(entry.topic);
+            const current = byTopic.get(key);
+            if (!current || entry.timestamp > current.timestamp) byTopic.set(key, entry);
+        });
+
+        const targets = new Map();   // entryId -> entries its content links to
+        const backlinks = new Map(); // entryId -> entries linking to it
+        entries.forEach(entry => {
+            const linked = [];
+            this.extract(entry.content).forEach(key => {
+                const target = byTopic.get(key);
+                if (!target || target.id === entry.id || linked.includes(target)) return;
+
+                linked.push(target);
+                if (!backlinks.has(target.id)) backlinks.set(target.id, []);
+                backlinks.get(target.id).push(entry);
+            });
+            targets.set(entry.id, linked);
+        });
+
+        this.cache = { byTopic, targets, backlinks };
+        return this.cache;
+    },
+
+    resolve(topic) {
+        return this.index().byTopic.get(this.key(topic)) || null;
+    },
+
+    getBacklinks(id) {
+        return this.index().backlinks.get(id) || [];
+    },
+
+    // Changes whenever what the links of an entry look like does: RenderManager
+    // uses it to tell when a cached entry element is out of date
+    renderKey(entry) {
+        const { targets } = this.index();
+        return [
+            ...(targets.get(entry.id) || []).map(target => target.id),
+            '|',
+            ...this.getBacklinks(entry.id).map(source => `${source.id}:${source.topic}`)
+        ].join(' ');
+    },
+
+    // Topics to offer while `[[query` is being typed: those starting with it first
+    suggest(query, excludeId = null) {
+        const key = this.key(query);
+        const seen = new Set();
+        const matches = [];
+
+        AppState.getEntries().forEach(entry => {
+            const topicKey = this.key(entry.topic);
+            const position = topicKey.indexOf(key);
+            if (entry.id === excludeId || position === -1 || seen.has(topicKey)) return;
+
+            seen.add(topicKey);
+            matches.push({ entry, position });
+        });
+
+        return matches
+            .sort((a, b) => (a.position > 0) - (b.position > 0) || a.entry.topic.localeCompare(b.entry.topic))
+            .slice(0, CONFIG.LINK_SUGGESTIONS)
+            .map(match => match.entry);
+    },
+
+    // The href also works in HTML exports, where every entry is an #entry-<id> article
+    renderAnchor(entry, labelHtml) {
+        return `<a href="#entry-${entry.id}" class="wiki-link" data-action="open-link" data-id="${entry.id}">${labelHtml}</a>`;
+    },
+
+    // Called by MarkdownRenderer for every [[...]]
+    renderLink(topic) {
+        const label = RenderManager.escapeHtml(topic.trim());
+        const target = this.resolve(topic);
+
+        return target
+            ? this.renderAnchor(target, label)
+            : `<span class="wiki-link wiki-link-missing" title="${MarkdownRenderer.escapeAttribute(I18n.t('links.missing'))}">${label}</span>`;
+    },
+
+    createBacklinks(entry) {
+        const sources = this.getBacklinks(entry.id);
+        if (sources.length === 0) return null;
+
+        const section = document.createElement('div');
+        section.className = 'entry-backlinks';
+        section.innerHTML = `
+            <span class="entry-backlinks-label">${I18n.t('links.referencedBy')}</span>
+            ${sources.map(source => this.renderAnchor(source, RenderManager.escapeHtml(source.topic))).join(', ')}
+        `;
+        return section;
+    },
+
+    open(id) {
+        if (ReviewModal.isOpen()) {
+            ReviewModal.close();
+        }
+
+        if (!DayViewModal.openEntry(id)) {
+            ToastManager.show(I18n.t('links.notFound'), 'warning');
+        }
+    }
+};
+
+// Suggestions under the content field while a [[link is being typed
+const LinkAutocomplete = {
+    textarea: null,
+    list: null,
+    // { start, query } of the "[[" before the caret
+    pending: null,
+    options: [],
+    activeIndex: 0,
+
+    init() {
+        this.textarea = document.getElementById('content');
+        this.list = document.getElementById('linkSuggestions');
+        if (!this.textarea || !this.list) return;
+
+        this.textarea.addEventListener('input', () => this.update());
+        this.textarea.addEventListener('click', () => this.update());
+        this.textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.textarea.addEventListener('blur', () => this.close());
+
+        // mousedown rather than click, so the textarea keeps the focus
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+
+            e.preventDefault();
+            this.insert(parseInt(option.getAttribute('data-index')));
+        });
+    },
+
+    // A "[[" before the caret that is not closed yet
+    findPending() {
+        const { value, selectionStart, selectionEnd } = this.textarea;
+        if (selectionStart !== selectionEnd) return null;
+
+        const match = value.slice(0, selectionStart).match(/\[\[([^[\]\n]*)$/);
+        return match ? { start: match.index, query: match[1] } : null;
+    },
+
+    isOpen() {
+        return this.options.length > 0;
+    },
+
+    update() {
+        this.pending = this.findPending();
+        this.options = this.pending ? WikiLinks.suggest(this.pending.query, FormManager.editId) : [];
+
+        if (this.options.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.activeIndex = 0;
+        this.render();
+    },
+
+    render() {
+        this.list.innerHTML = this.options.map((entry, i) => `
+            <li id="linkSuggestion-${i}" class="link-suggestion${i === this.activeIndex ? ' active' : ''}" role="option"
+                aria-selected="${i === this.activeIndex}" data-index="${i}">${RenderManager.escapeHtml(entry.topic)}</li>
+        `).join('');
+
+        this.list.style.top = `${this.textarea.offsetTop + this.textarea.offsetHeight}px`;
+        this.list.removeAttribute('hidden');
+        this.textarea.setAttribute('aria-expanded', 'true');
+        this.textarea.setAttribute('aria-activedescendant', `linkSuggestion-${this.activeIndex}`);
+    },
+
+    close() {
+        this.pending = null;
+        this.options = [];
+        if (!this.list) return;
+
+        this.list.setAttribute('hidden', '');
+        this.list.innerHTML = '';
+        this.textarea.setAttribute('aria-expanded', 'false');
+        this.textarea.removeAttribute('aria-activedescendant');
+    },
+
+    handleKeydown(e) {
+        if (!this.isOpen()) return;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + step + this.options.length) % this.options.length;
+                this.render();
+                break;
+            }
+
+            case 'Enter':
+            case 'Tab':
+                e.preventDefault();
+                this.insert(this.activeIndex);
+                break;
+
+            case 'Escape':
+                // Closes the suggestions, not the form
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+                break;
+        }
+    },
+
+    // Completes the link; inside an existing [[link]] the old target is replaced
+    insert(index) {
+        const entry = this.options[index];
+        if (!entry || !this.pending) return;
+
+        const { value, selectionStart } = this.textarea;
+        const link = `[[${entry.topic}]]`;
+        const rest = value.slice(selectionStart).replace(/^[^[\]\n]*\]\]/, '');
+
+        this.textarea.value = value.slice(0, this.pending.start) + link + rest;
+        const caret = this.pending.start + link.length;
+        this.textarea.setSelectionRange(caret, caret);
+
+        this.close();
+        this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+};
+
+/* ====================================
+   RENDERING MANAGER
+   ==================================== */
+
+const RenderManager = {
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    },
+
+    escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    },
+
+    getHighlightTerms(query, entry, field) {
+        if (!query || !query.trim()) return [];
+        return QueryParser.getMatchedTerms(QueryParser.parse(query), entry, field);
+    },
+
+    // Splitting with a capture group leaves words at odd indexes
+    WORD_SPLIT: /([\p{L}\p{M}\p{N}]+)/u,
+
+    // `terms` are folded index tokens, so whole words are compared after folding
+    isHighlighted(word, terms) {
+        return terms.includes(SearchIndex.fold(word));
+    },
+
+    highlightText(text, terms) {
+        if (terms.length === 0) return this.escapeHtml(text);
+
+        return text.split(this.WORD_SPLIT).map((part, index) => {
+            const escaped = this.escapeHtml(part);
+            return index % 2 === 1 && this.isHighlighted(part, terms)
+                ? `<mark class="highlight">${escaped}</mark>`
+                : escaped;
+        }).join('');
+    },
+
+    // Highlights inside already-rendered HTML (e.g. Markdown) by touching text nodes only
+    highlightElement(root, terms) {
+        if (terms.length === 0) return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const parts = node.nodeValue.split(this.WORD_SPLIT);
+            if (!parts.some((part, index) => index % 2 === 1 && this.isHighlighted(part, terms))) return;
+
+            const fragment = document.createDocumentFragment();
+            parts.forEach((part, index) => {
+                if (!part) return;
+                if (index % 2 === 1 && this.isHighlighted(part, terms)) {
+                    const mark = document.createElement('mark');
+                    mark.className = 'highlight';
+                    mark.textContent = part;
+                    fragment.appendChild(mark);
+                } else {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.parentNode.replaceChild(fragment, node);
+        });
+    },
+
+    // `inline` gives the mid-sentence form ("oggi" rather than "Oggi")
+    formatDate(timestamp, { inline = false } = {}) {
+        const date = new Date(timestamp);
+        const today = new Date();
+        const yesterday = new Date(today);
+        yesterday.setDate(yesterday.getDate() - 1);
+
+        const isToday = date.toDateString() === today.toDateString();
+        const isYesterday = date.toDateString() === yesterday.toDateString();
+
+        if (isToday) return I18n.t(inline ? 'dates.todayInline' : 'dates.today');
+        if (isYesterday) return I18n.t(inline ? 'dates.yesterdayInline' : 'dates.yesterday');
+
+        return I18n.formatDate(date, {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    },
+
+    formatTime(timestamp) {
+        return I18n.formatTime(timestamp, {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    },
+
+    showSkeleton() {
+        const loadingState = document.getElementById('loadingState');
+        if (loadingState) {
+            loadingState.removeAttribute('hidden');
+        }
+    },
+
+    hideSkeleton() {
+        const loadingState = document.getElementById('loadingState');
+        if (loadingState) {
+            loadingState.setAttribute('hidden', '');
+        }
+    },
+
+    // Windowed, keyed rendering: only the first `limit` results are in the DOM
+    // (the next page is appended when the end of the list scrolls into view) and
+    // an entry element is reused as long as its entry object and the render
+    // options are the same, so a change only touches the entries it affects
+    limit: CONFIG.RENDER_PAGE_SIZE,
+    filterKey: null,
+    rendered: new Map(), // entryId -> { entry, signature, links, element }
+    lastRender: null,
+    observer: null,
+
+    render(entries, query = '', options = {}) {
+        const container = document.getElementById('entriesContainer');
+        const emptyState = document.getElementById('emptyState');
+
+        this.hideSkeleton();
+        this.lastRender = { entries, query, options };
+
+        // A different search or filter starts again from the first page; data changes keep the window
+        const filterKey = options.filterKey ?? query;
+        if (filterKey !== this.filterKey) {
+            this.filterKey = filterKey;
+            this.limit = CONFIG.RENDER_PAGE_SIZE;
+        }
+
+        if (entries.length === 0) {
+            if (emptyState) emptyState.removeAttribute('hidden');
+            this.clearEntries();
+            return;
+        }
+
+        if (emptyState) emptyState.setAttribute('hidden', '');
+
+        const focus = this.saveFocus(container);
+        const visible = entries.slice(0, this.limit);
+        // The active tag marks its chips, and "today"/"yesterday" labels change at midnight
+        const signature = [
+            query,
+            Boolean(options.ranked),
+            SelectionManager.active,
+            TagManager.activeTag,
+            new Date().toDateString()
+        ].join('\n');
+        const previous = this.rendered;
+        this.rendered = new Map();
+
+        // Links and backlinks depend on the other entries too
+        const elementFor = (entry) => {
+            const cached = previous.get(entry.id);
+            const links = WikiLinks.renderKey(entry);
+            if (cached && cached.entry === entry && cached.signature === signature && cached.links === links) {
+                this.rendered.set(entry.id, cached);
+                return cached.element;
+            }
+
+            const element = this.createEntryElement(entry, query, { showDate: options.ranked });
+            this.rendered.set(entry.id, { entry, signature, links, element });
+            return element;
+        };
+
+        // Relevance order would be lost if results were split into date cards
+        const groups = options.ranked
+            ? [['ranked', visible]]
+            : Object.entries(this.groupByDate(visible));
+
+        const cards = new Map([...container.querySelectorAll(':scope > .entry-card')]
+            .map(card => [card.getAttribute('data-key'), card]));
+        let previousCard = null;
+
+        groups.forEach(([key, groupEntries]) => {
+            const card = cards.get(key) || (key === 'ranked' ? this.createRankedCard() : this.createDateCard(key));
+            cards.delete(key);
+
+            const header = card.firstElementChild;
+            const title = key === 'ranked'
+                ? I18n.t('search.rankedResults', { count: entries.length })
+                : this.formatDate(groupEntries[0].timestamp);
+            if (header.textContent !== title) header.textContent = title;
+
+            this.placeAfter(container, card, previousCard);
+            this.reconcile(card, groupEntries.map(elementFor));
+            previousCard = card;
+        });
+
+        cards.forEach(card => card.remove());
+
+        this.updateLoadMore(container, entries.length - visible.length);
+        this.restoreFocus(focus);
+
+        if (SelectionManager.active) SelectionManager.sync();
+    },
+
+    loadMore() {
+        if (!this.lastRender) return;
+
+        const { entries, query, options } = this.lastRender;
+        this.limit += CONFIG.RENDER_PAGE_SIZE;
+        this.render(entries, query, options);
+    },
+
+    createDateCard(date) {
+        const card = document.createElement('div');
+        card.className = 'entry-card';
+        card.setAttribute('role', 'article');
+        card.setAttribute('data-key', date);
+
+        const dateHeader = document.createElement('div');
+        dateHeader.className = 'date-header';
+        dateHeader.setAttribute('data-date', date);
+        dateHeader.setAttribute('title', I18n.t('entries.openDay'));
+        card.appendChild(dateHeader);
+
+        return card;
+    },
+
+    createRankedCard() {
+        const card = document.createElement('div');
+        card.className = 'entry-card ranked-results';
+        card.setAttribute('role', 'article');
+        card.setAttribute('data-key', 'ranked');
+
+        const header = document.createElement('div');
+        header.className = 'results-header';
+        card.appendChild(header);
+
+        return card;
+    },
+
+    // Moves `node` right after `previous` (or before the first card) only if it is
+    // not there already: moving a node would drop the focus inside it
+    placeAfter(container, node, previous) {
+        const reference = previous
+            ? previous.nextElementSibling
+            : container.querySelector(':scope > .entry-card, :scope > .entries-more');
+
+        if (reference !== node) container.insertBefore(node, reference);
+    },
+
+    // Makes the card's entries exactly `elements`, in order, after its header
+    reconcile(card, elements) {
+        const wanted = new Set(elements);
+        card.querySelectorAll(':scope > .entry').forEach(element => {
+            if (!wanted.has(element)) element.remove();
+        });
+
+        let previous = card.firstElementChild;
+        elements.forEach(element => {
+            if (previous.nextElementSibling !== element) {
+                card.insertBefore(element, previous.nextElementSibling);
+            }
+            previous = element;
+        });
+    },
+
+    // "Show more" button at the end of the list, clicked automatically when it scrolls into view
+    updateLoadMore(container, remaining) {
+        let more = container.querySelector(':scope > .entries-more');
+
+        if (remaining <= 0) {
+            if (more) {
+                if (this.observer) this.observer.unobserve(more);
+                more.remove();
+            }
+            return;
+        }
+
+        if (!more) {
+            more = document.createElement('div');
+            more.className = 'entries-more';
+            more.innerHTML = '<button type="button" class="btn btn-secondary" data-action="load-more"></button>';
+        }
+
+        more.firstElementChild.textContent =
+            I18n.t('entries.showMore', { next: Math.min(remaining, CONFIG.RENDER_PAGE_SIZE), count: remaining });
+
+        if (container.lastElementChild !== more) container.appendChild(more);
+
+        if ('IntersectionObserver' in window) {
+            this.observer = this.observer || new IntersectionObserver((items) => {
+                if (items.some(item => item.isIntersecting)) this.loadMore();
+            }, { rootMargin: '600px 0px' });
+
+            // Observing again reports the current state, so a page that still
+            // leaves the button in view loads the next one too
+            this.observer.unobserve(more);
+            this.observer.observe(more);
+        }
+    },
+
+    // A changed entry gets a new element: remember which control had the focus
+    saveFocus(container) {
+        const active = document.activeElement;
+        if (!active || active === document.body || !container.contains(active)) return null;
+
+        const entry = active.closest('.entry');
+        return {
+            element: active,
+            id: entry ? entry.getAttribute('data-id') : null,
+            action: active.getAttribute('data-action')
+        };
+    },
+
+    restoreFocus(focus) {
+        if (!focus || document.activeElement === focus.element) return;
+
+        let target = focus.element.isConnected ? focus.element : null;
+
+        if (!target && focus.id) {
+            const entry = document.querySelector(`#entriesContainer .entry[data-id="${focus.id}"]`);
+            target = entry && focus.action
+                ? entry.querySelector(`[data-action="${focus.action}"]`)
+                : null;
+        }
+
+        if (target) target.focus({ preventScroll: true });
+    },
+
+    createEntryElement(entry, query, options = {}) {
+        const entryDiv = document.createElement('div');
+        entryDiv.className = 'entry';
+        entryDiv.setAttribute('data-id', entry.id);
+
+        const header = document.createElement('div');
+        header.className = 'entry-header';
+
+        const title = document.createElement('h3');
+        title.className = 'entry-title';
+        title.innerHTML = this.highlightText(entry.topic, this.getHighlightTerms(query, entry, 'topic'));
+
+        const time = document.createElement('time');
+        time.className = 'entry-time';
+        time.setAttribute('datetime', new Date(entry.timestamp).toISOString());
+        time.textContent = options.showDate
+            ? `${this.formatDate(entry.timestamp)}, ${this.formatTime(entry.timestamp)}`
+            : this.formatTime(entry.timestamp);
+
+        if (SelectionManager.active) {
+            const selected = SelectionManager.isSelected(entry.id);
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'entry-select';
+            checkbox.checked = selected;
+            checkbox.setAttribute('data-action', 'select-entry');
+            checkbox.setAttribute('data-id', entry.id);
+            checkbox.setAttribute('aria-label', I18n.t('selection.selectEntry', { topic: entry.topic }));
+            header.appendChild(checkbox);
+            entryDiv.classList.toggle('selected', selected);
+        }
+
+        header.appendChild(title);
         header.appendChild(time);
         entryDiv.appendChild(header);
 
-        const content = document.createElement('div');
-        content.className = 'entry-content';
-        content.innerHTML = this.highlightText(entry.content, query);
-        entryDiv.appendChild(content);
+        const content = document.createElement('div');
+        content.className = 'entry-content markdown-body';
+        content.innerHTML = MarkdownRenderer.render(entry.content);
+        this.highlightElement(content, this.getHighlightTerms(query, entry, 'content'));
+        entryDiv.appendChild(content);
+
+        if (entry.tags && entry.tags.length > 0) {
+            entryDiv.appendChild(TagManager.createChips(entry.tags));
+        }
+
+        if (entry.link) {
+            const link = document.createElement('a');
+            link.href = entry.link;
+            link.className = 'entry-link';
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.innerHTML = `
+                <span aria-hidden="true">🔗</span>
+                <span>${this.escapeHtml(entry.link)}</span>
+            `;
+            entryDiv.appendChild(link);
+        }
+
+        if (entry.imageUrl) {
+            const img = document.createElement('img');
+            Attachments.setSource(img, entry.imageUrl);
+            img.alt = I18n.t('entry.imageAlt', { topic: entry.topic });
+            img.className = 'entry-image';
+            img.loading = 'lazy';
+            entryDiv.appendChild(img);
+        }
+
+        const backlinks = WikiLinks.createBacklinks(entry);
+        if (backlinks) entryDiv.appendChild(backlinks);
+
+        const actions = document.createElement('div');
+        actions.className = 'entry-actions';
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-secondary';
+        editBtn.setAttribute('data-action', 'edit');
+        editBtn.setAttribute('data-id', entry.id);
+        editBtn.setAttribute('aria-label', I18n.t('entry.editLabel', { topic: entry.topic }));
+        editBtn.innerHTML = `<span aria-hidden="true">✏️</span> ${I18n.t('entry.edit')}`;
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.setAttribute('data-action', 'delete');
+        deleteBtn.setAttribute('data-id', entry.id);
+        deleteBtn.setAttribute('aria-label', I18n.t('entry.deleteLabel', { topic: entry.topic }));
+        deleteBtn.innerHTML = `<span aria-hidden="true">🗑</span> ${I18n.t('entry.delete')}`;
+
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+        entryDiv.appendChild(actions);
+
+        return entryDiv;
+    },
+
+    groupByDate(entries) {
+        const groups = {};
+
+        entries.forEach(entry => {
+            const date = new Date(entry.timestamp).toDateString();
+            if (!groups[date]) {
+                groups[date] = [];
+            }
+            groups[date].push(entry);
+        });
+
+        return groups;
+    },
+
+    clearEntries() {
+        const container = document.getElementById('entriesContainer');
+        container.querySelectorAll(':scope > .entry-card, :scope > .entries-more').forEach(node => node.remove());
+        this.rendered = new Map();
+    }
+};
+
+/* ====================================
+   TEXT DIFF (word-level LCS)
+   ==================================== */
+
+const TextDiff = {
+    // Above this many LCS cells the changed middle is shown as one removal + one addition
+    MAX_CELLS: 4000000,
+
+    // Words and the whitespace between them, so joining the tokens gives back the text
+    tokenize(text) {
+        return String(text || '').split(/(\s+)/).filter(token => token !== '');
+    },
+
+    // Returns runs of { type: 'equal' | 'remove' | 'add', text } turning `before` into `after`
+    diff(before, after) {
+        const a = this.tokenize(before);
+        const b = this.tokenize(after);
+        const ops = [];
+
+        const push = (type, text) => {
+            const last = ops[ops.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                ops.push({ type, text });
+            }
+        };
+
+        // The common prefix and suffix never need the LCS table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        a.slice(0, start).forEach(token => push('equal', token));
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+
+        if (midA.length * midB.length > this.MAX_CELLS) {
+            push('remove', midA.join(''));
+            push('add', midB.join(''));
+        } else {
+            const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+
+            for (let i = midA.length - 1; i >= 0; i--) {
+                for (let j = midB.length - 1; j >= 0; j--) {
+                    lcs[i][j] = midA[i] === midB[j]
+                        ? lcs[i + 1][j + 1] + 1
+                        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < midA.length && j < midB.length) {
+                if (midA[i] === midB[j]) {
+                    push('equal', midA[i]);
+                    i++;
+                    j++;
+                } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                    push('remove', midA[i++]);
+                } else {
+                    push('add', midB[j++]);
+                }
+            }
+            while (i < midA.length) push('remove', midA[i++]);
+            while (j < midB.length) push('add', midB[j++]);
+        }
+
+        a.slice(endA).forEach(token => push('equal', token));
+
+        // Whitespace alone between two changes reads better as part of the change
+        return ops.filter(op => op.text !== '').flatMap((op, i, all) => {
+            const isGap = op.type === 'equal' && op.text.trim() === '' &&
+                i > 0 && i < all.length - 1 && all[i - 1].type !== 'equal' && all[i + 1].type !== 'equal';
+
+            return isGap ? [{ type: 'remove', text: op.text }, { type: 'add', text: op.text }] : [op];
+        });
+    },
+
+    // One column of a side-by-side view: 'before' shows removals, 'after' shows additions
+    renderSide(ops, side) {
+        const changed = side === 'before' ? 'remove' : 'add';
+        const tag = side === 'before' ? 'del' : 'ins';
+
+        return ops
+            .filter(op => op.type === 'equal' || op.type === changed)
+            .reduce((runs, op) => {
+                const last = runs[runs.length - 1];
+                if (last && last.type === op.type) {
+                    last.text += op.text;
+                } else {
+                    runs.push({ ...op });
+                }
+                return runs;
+            }, [])
+            .map(op => {
+                const text = RenderManager.escapeHtml(op.text);
+                return op.type === 'equal' ? text : `<${tag}>${text}</${tag}>`;
+            })
+            .join('');
+    }
+};
+
+/* ====================================
+   ENTRY REVISIONS
+   Earlier versions of an entry, kept on every edit
+   ==================================== */
+
+const RevisionHistory = {
+    // Fields a revision keeps, with the message keys of their labels in the diff view
+    FIELDS: {
+        topic: 'fields.topic',
+        content: 'fields.content',
+        link: 'fields.link',
+        imageUrl: 'fields.image',
+        tags: 'fields.tags'
+    },
+
+    snapshot(entry) {
+        return {
+            savedAt: entry.updatedAt || entry.timestamp,
+            topic: entry.topic,
+            content: entry.content,
+            link: entry.link || '',
+            imageUrl: entry.imageUrl || '',
+            tags: [...(entry.tags || [])]
+        };
+    },
+
+    formatField(version, field) {
+        if (field === 'tags') {
+            return (version.tags || []).map(tag => `#${tag}`).join(' ');
+        }
+        return version[field] || '';
+    },
+
+    changedFields(a, b) {
+        return Object.keys(this.FIELDS).filter(field => this.formatField(a, field) !== this.formatField(b, field));
+    },
+
+    // Revisions of `previous` once it is replaced by `next`: the old version
+    // is kept only if one of the tracked fields actually changed
+    append(previous, next) {
+        const revisions = previous.revisions || [];
+        if (this.changedFields(previous, next).length === 0) return revisions;
+
+        return [...revisions, this.snapshot(previous)].slice(-CONFIG.REVISION_LIMIT);
+    },
+
+    // Newest first, starting from the current version
+    getVersions(entry) {
+        return [
+            { ...this.snapshot(entry), current: true },
+            ...[...(entry.revisions || [])].reverse()
+        ];
+    },
+
+    describe(version) {
+        const when = `${RenderManager.formatDate(version.savedAt)}, ${RenderManager.formatTime(version.savedAt)}`;
+        return version.current ? I18n.t('revisions.current', { when }) : when;
+    },
+
+    // Keeps the imported revisions that have a date, a topic and a content
+    normalize(revisions) {
+        if (!Array.isArray(revisions)) return undefined;
+
+        const valid = revisions
+            .filter(revision => revision && typeof revision === 'object' &&
+                Number.isFinite(revision.savedAt) &&
+                typeof revision.topic === 'string' && typeof revision.content === 'string')
+            .map(revision => ({
+                savedAt: revision.savedAt,
+                topic: revision.topic,
+                content: revision.content,
+                link: typeof revision.link === 'string' ? revision.link : '',
+                imageUrl: typeof revision.imageUrl === 'string' ? revision.imageUrl : '',
+                tags: TagManager.normalize(revision.tags)
+            }))
+            .sort((a, b) => a.savedAt - b.savedAt);
+
+        return valid.length > 0 ? valid.slice(-CONFIG.REVISION_LIMIT) : undefined;
+    },
+
+    // Union of two revision lists, oldest first; the same version saved on both sides counts once
+    merge(a = [], b = []) {
+        const seen = new Set();
+
+        return [...a, ...b]
+            .sort((x, y) => x.savedAt - y.savedAt)
+            .filter(revision => {
+                const key = `${revision.savedAt}\n${revision.topic}\n${revision.content}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(-CONFIG.REVISION_LIMIT);
+    }
+};
+
+/* ====================================
+   DATA FORMATS (JSON / Markdown / CSV / HTML)
+   Serialisers for export and the CSV parser
+   used by the import preview
+   ==================================== */
+
+const DataFormats = {
+    TYPES: {
+        json: { extension: 'json', mime: 'application/json' },
+        markdown: { extension: 'md', mime: 'text/markdown' },
+        csv: { extension: 'csv', mime: 'text/csv' },
+        html: { extension: 'html', mime: 'text/html' }
+    },
+
+    // JSON backups: { format, version, entries, collections, attachments }
+    BACKUP_FORMAT: 'learning-diary-backup',
+    BACKUP_VERSION: 3,
+
+    CSV_COLUMNS: ['id', 'date', 'topic', 'content', 'link', 'imageUrl', 'tags', 'updatedAt'],
+    CSV_FORMULA: /^[=+\-@\t\r]/,
+
+    // Header names recognised when guessing the CSV column mapping
+    CSV_ALIASES: {
+        id: ['id'],
+        date: ['date', 'data', 'timestamp', 'created', 'creato'],
+        topic: ['topic', 'argomento', 'titolo', 'title'],
+        content: ['content', 'contenuto', 'testo', 'text', 'note', 'notes', 'body'],
+        link: ['link', 'url'],
+        imageUrl: ['imageurl', 'image', 'immagine'],
+        tags: ['tags', 'tag', 'etichette'],
+        updatedAt: ['updatedat', 'updated', 'modified', 'modificato']
+    },
+
+    // `attachments`: portable records of the local images, by id (Attachments.collect);
+    // `collections`: the saved searches, only carried by a full JSON backup
+    serialize(format, entries, attachments = new Map(), collections = []) {
+        switch (format) {
+            case 'markdown': return this.toMarkdown(entries, attachments);
+            case 'csv': return this.toCSV(entries);
+            case 'html': return this.toHTML(entries, attachments);
+            default: return this.toJSON(entries, attachments, collections);
+        }
+    },
+
+    // Local images the export carries: a backup also keeps those of the revisions
+    attachmentsFor(format, entries) {
+        if (format === 'csv') return new Set();
+        return Attachments.referencesIn(format === 'json' ? entries : entries.map(entry => entry.imageUrl));
+    },
+
+    // The saved searches and the local images travel with the entries. Without
+    // either, the backup stays a bare array that older versions can import too
+    toJSON(entries, attachments = new Map(), collections = []) {
+        if (attachments.size === 0 && collections.length === 0) {
+            return JSON.stringify(entries, null, 2);
+        }
+
+        return JSON.stringify({
+            format: this.BACKUP_FORMAT,
+            version: this.BACKUP_VERSION,
+            entries,
+            collections,
+            attachments: [...attachments.values()]
+        }, null, 2);
+    },
+
+    // Backups made before collections existed are a bare array of entries
+    parseBackup(text) {
+        const backup = JSON.parse(text);
+
+        if (Array.isArray(backup)) {
+            return { entries: backup, collections: [], attachments: [] };
+        }
+        if (!backup || backup.format !== this.BACKUP_FORMAT || !Array.isArray(backup.entries)) {
+            throw new Error(I18n.t('import.badFormat'));
+        }
+
+        return {
+            entries: backup.entries,
+            collections: Array.isArray(backup.collections) ? backup.collections : [],
+            attachments: Array.isArray(backup.attachments) ? backup.attachments : []
+        };
+    },
+
+    // Local images are embedded as data URLs; '' when one is missing
+    imageSource(entry, attachments) {
+        const id = Attachments.idOf(entry.imageUrl);
+        if (!id) return entry.imageUrl || '';
+
+        const record = attachments.get(id);
+        return record && /^data:image\//.test(record.data) ? record.data : '';
+    },
+
+    formatLongDate(timestamp) {
+        return I18n.formatDate(timestamp, {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    },
+
+    // Same grouping as the entry list: one section per day, newest first
+    groupSorted(entries) {
+        const sorted = [...entries].sort((a, b) => b.timestamp - a.timestamp);
+        return Object.entries(RenderManager.groupByDate(sorted));
+    },
+
+    toMarkdown(entries, attachments = new Map()) {
+        const lines = [
+            '# Learning Diary',
+            '',
+            `_${I18n.t('export.documentSubtitle', { date: this.formatLongDate(Date.now()), count: entries.length })}_`,
+            ''
+        ];
+
+        this.groupSorted(entries).forEach(([, dayEntries]) => {
+            lines.push(`## ${this.formatLongDate(dayEntries[0].timestamp)}`, '');
+
+            dayEntries.forEach(entry => {
+                lines.push(`### ${entry.topic}`, '');
+
+                const meta = [RenderManager.formatTime(entry.timestamp)];
+                if (entry.tags && entry.tags.length) {
+                    meta.push(entry.tags.map(tag => `#${tag}`).join(' '));
+                }
+                lines.push(`_${meta.join(' · ')}_`, '');
+
+                lines.push(this.shiftHeadings(entry.content), '');
+
+                const image = this.imageSource(entry, attachments);
+                if (image) lines.push(`![${entry.topic}](${image})`, '');
+                if (entry.link) lines.push(`🔗 <${entry.link}>`, '');
+            });
+        });
+
+        return lines.join('\n');
+    },
+
+    // Entry titles are "###" here, so headings inside the content move three
+    // levels down (as MarkdownRenderer does on screen); code fences are left alone
+    shiftHeadings(markdown) {
+        let fence = null;
+
+        return String(markdown).split(/\r?\n/).map(line => {
+            const match = line.match(MarkdownRenderer.FENCE);
+            if (match) {
+                if (fence === null) fence = match[1];
+                else if (match[1] === fence) fence = null;
+                return line;
+            }
+            if (fence !== null) return line;
+
+            return line.replace(/^(\s{0,3})(#{1,6})(?=\s|$)/, (all, indent, hashes) => {
+                return indent + '#'.repeat(Math.min(6, hashes.length + MarkdownRenderer.HEADING_OFFSET));
+            });
+        }).join('\n');
+    },
+
+    // Spreadsheets run text cells starting with = + - @ (or a tab) as formulas: a leading
+    // apostrophe keeps them as text, and fromCSVRows takes it off again
+    escapeCSV(value) {
+        let text = String(value ?? '');
+        if (typeof value === 'string' && this.CSV_FORMULA.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    toCSV(entries) {
+        const rows = entries.map(entry => [
+            entry.id,
+            new Date(entry.timestamp).toISOString(),
+            entry.topic,
+            entry.content,
+            entry.link || '',
+            entry.imageUrl || '',
+            (entry.tags || []).join(' '),
+            entry.updatedAt ? new Date(entry.updatedAt).toISOString() : ''
+        ]);
+
+        return [this.CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\r\n');
+    },
+
+    toHTML(entries, attachments = new Map()) {
+        const escape = (value) => MarkdownRenderer.escapeAttribute(value);
+        const image = (entry) => {
+            const src = this.imageSource(entry, attachments);
+            return src && (src.startsWith('data:image/') || MarkdownRenderer.isSafeUrl(src))
+                ? `<img src="${escape(src)}" alt="${escape(entry.topic)}">`
+                : '';
+        };
+        const sections = this.groupSorted(entries).map(([, dayEntries]) => `
+    <section>
+        <h2>${escape(this.formatLongDate(dayEntries[0].timestamp))}</h2>
+        ${dayEntries.map(entry => `
+        <article id="entry-${entry.id}">
+            <h3>${escape(entry.topic)}</h3>
+            <p class="meta">${escape(RenderManager.formatTime(entry.timestamp))}${(entry.tags || []).map(tag => ` <span class="tag">#${escape(tag)}</span>`).join('')}</p>
+            <div class="content">${MarkdownRenderer.render(entry.content)}</div>
+            ${image(entry)}
+            ${entry.link && MarkdownRenderer.isSafeUrl(entry.link) ? `<p class="link"><a href="${escape(entry.link)}">${escape(entry.link)}</a></p>` : ''}
+        </article>`).join('')}
+    </section>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="${I18n.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Learning Diary</title>
+    <style>
+        body { font-family: system-ui, sans-serif; line-height: 1.6; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+        h1 { margin-bottom: 0.25rem; }
+        h2 { border-bottom: 2px solid #667eea; padding-bottom: 0.25rem; margin-top: 2.5rem; text-transform: capitalize; }
+        article { border: 1px solid #e5e7eb; border-radius: 8px; padding: 1rem 1.25rem; margin: 1rem 0; break-inside: avoid; }
+        article h3 { margin: 0; }
+        .meta, .subtitle { color: #6b7280; font-size: 0.875rem; margin: 0.25rem 0 0.75rem; }
+        .tag { color: #4f46e5; }
+        pre { background: #f3f4f6; padding: 0.75rem; border-radius: 6px; overflow-x: auto; }
+        code { font-family: ui-monospace, monospace; font-size: 0.9em; }
+        blockquote { border-left: 4px solid #e5e7eb; margin: 0; padding-left: 1rem; color: #4b5563; }
+        img { max-width: 100%; border-radius: 6px; }
+        a { color: #4f46e5; word-break: break-all; }
+        @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+    </style>
+</head>
+<body>
+    <h1>Learning Diary</h1>
+    <p class="subtitle">${escape(I18n.t('export.documentSubtitle', { date: this.formatLongDate(Date.now()), count: entries.length }))}</p>
+${sections}
+</body>
+</html>
+`;
+    },
+
+    // RFC 4180 parser; the delimiter (comma, semicolon or tab) is taken from the header line
+    parseCSV(text) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+        return { headers: (nonEmpty[0] || []).map(h => h.trim()), rows: nonEmpty.slice(1) };
+    },
+
+    // field -> column index (-1 = not imported)
+    guessMapping(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/[\s_-]/g, ''));
+        const mapping = {};
+
+        this.CSV_COLUMNS.forEach(field => {
+            mapping[field] = normalized.findIndex(header => this.CSV_ALIASES[field].includes(header));
+        });
+
+        return mapping;
+    },
+
+    // Accepts ISO strings, epoch milliseconds and Italian dd/mm/yyyy [hh:mm]
+    parseDate(value) {
+        const text = String(value || '').trim();
+        if (!text) return null;
+
+        if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+        const italian = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?:[ T,]+(\d{1,2}):(\d{2}))?$/);
+        if (italian) {
+            const [, day, month, year, hours = 0, minutes = 0] = italian;
+            const date = new Date(year, month - 1, day, hours, minutes);
+            return date.getDate() === parseInt(day, 10) ? date.getTime() : null;
+        }
+
+        const parsed = Date.parse(text);
+        return Number.isNaN(parsed) ? null : parsed;
+    },
+
+    // Turns CSV rows into entry candidates; rows that cannot be read carry an `error`.
+    // Rows without an id get fresh ones above `existingIds` and the ids in the file
+    fromCSVRows(rows, mapping, existingIds = [], now = Date.now()) {
+        const read = (row, field) => (mapping[field] >= 0
+            ? (row[mapping[field]] || '').replace(/^'(?=[=+\-@\t\r])/, '').trim()
+            : '');
+        const fileIds = rows.map(row => read(row, 'id')).filter(id => /^\d+$/.test(id)).map(Number);
+        let nextId = [...existingIds, ...fileIds]
+            .filter(Number.isSafeInteger)
+            .reduce((max, id) => Math.max(max, id), now);
+
+        return rows.map((row, index) => {
+            const timestamp = mapping.date >= 0 ? this.parseDate(read(row, 'date')) : now - index;
+            const id = read(row, 'id');
+            const entry = {
+                // Entry ids are numeric everywhere else (Date.now() at creation)
+                id: /^\d+$/.test(id) ? parseInt(id, 10) : ++nextId,
+                timestamp,
+                topic: read(row, 'topic'),
+                content: read(row, 'content'),
+                link: read(row, 'link'),
+                imageUrl: read(row, 'imageUrl'),
+                tags: TagManager.normalize(read(row, 'tags').split(/[\s,;]+/))
+            };
+
+            const updatedAt = this.parseDate(read(row, 'updatedAt'));
+            if (updatedAt) entry.updatedAt = updatedAt;
+
+            return timestamp === null
+                ? { entry, error: I18n.t('import.badDate', { value: read(row, 'date') }) }
+                : { entry };
+        });
+    }
+};
+
+/* ====================================
+   DATA MANAGER
+   ==================================== */
+
+const DataManager = {
+    // `encrypted` only applies to JSON backups and needs an unlocked diary;
+    // `full` marks a backup of the whole diary, which keeps the saved searches too
+    async export(format = 'json', entries = AppState.getEntries(), { encrypted = false, full = false } = {}) {
+        const type = DataFormats.TYPES[format] || DataFormats.TYPES.json;
+        const encrypt = encrypted && format === 'json' && CryptoManager.isUnlocked();
+        const attachments = await Attachments.collect(DataFormats.attachmentsFor(format, entries));
+        let text = DataFormats.serialize(format, entries, attachments, full ? CollectionManager.collections : []);
+
+        if (encrypt) {
+            try {
+                text = await CryptoManager.encryptExport(text);
+            } catch (err) {
+                console.error('Export encryption error:', err);
+                ToastManager.show(I18n.t('export.encryptFailed'), 'error');
+                return;
+            }
+        }
+
+        const blob = new Blob([text], { type: `${type.mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const timestamp = new Date().toISOString().split('T')[0];
+        const suffix = encrypt ? `-${I18n.t('export.encryptedSuffix')}` : '';
+        const filename = `learning-diary-${timestamp}${suffix}.${type.extension}`;
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        ToastManager.show(I18n.t(encrypt ? 'export.doneEncrypted' : 'export.done', { count: entries.length }), 'success');
+    },
+
+    isCSV(file, text) {
+        if (/\.csv$/i.test(file.name)) return true;
+        if (/\.json$/i.test(file.name)) return false;
+        return !/^\s*[[{]/.test(text);
+    },
+
+    // Reads the file and hands it to the import preview; nothing is merged here
+    import(file) {
+        const reader = new FileReader();
+
+        reader.onload = (e) => {
+            const text = e.target.result;
+
+            if (CryptoManager.isEncryptedExport(text)) {
+                this.importEncrypted(file, JSON.parse(text));
+            } else {
+                this.readImport(file, text);
+            }
+        };
+
+        reader.onerror = () => {
+            ToastManager.show(I18n.t('import.readFailed'), 'error');
+        };
+
+        reader.readAsText(file);
+    },
+
+    // Backups made with the current key open directly; any other one
+    // (older passphrase, another device) asks for its passphrase
+    async importEncrypted(file, payload) {
+        if (!CryptoManager.isSupported()) {
+            ToastManager.show(I18n.t('import.decryptUnsupported'), 'error');
+            return;
+        }
+
+        let text = await CryptoManager.decryptExport(payload).catch(() => null);
+
+        if (text === null) {
+            const passphrase = await LockScreen.ask({
+                title: I18n.t('import.encryptedTitle'),
+                message: I18n.t('import.encryptedMessage', { name: file.name }),
+                submitLabel: I18n.t('import.decrypt'),
+                cancellable: true,
+                verify: async (candidate) => {
+                    text = await CryptoManager.decryptExport(payload, candidate).catch(() => null);
+                    return text !== null;
+                }
+            });
+            if (passphrase === null) return;
+        }
+
+        this.readImport(file, text);
+    },
+
+    readImport(file, text) {
+        try {
+            if (this.isCSV(file, text)) {
+                const csv = DataFormats.parseCSV(text);
+
+                if (csv.headers.length === 0 || csv.rows.length === 0) {
+                    throw new Error(I18n.t('import.emptyCSV'));
+                }
+
+                ImportModal.open({
+                    fileName: file.name,
+                    csv,
+                    mapping: DataFormats.guessMapping(csv.headers)
+                });
+                return;
+            }
+
+            const { entries, collections, attachments } = DataFormats.parseBackup(text);
+
+            ImportModal.open({
+                fileName: file.name,
+                candidates: entries.map(entry => ({ entry })),
+                collections,
+                attachments
+            });
+        } catch (err) {
+            console.error('Import error:', err);
+            ToastManager.show(I18n.t('import.failed'), 'error');
+        }
+    },
+
+    // Fields compared when the same id exists on both sides
+    COMPARED_FIELDS: ['topic', 'content', 'link', 'imageUrl', 'tags', 'timestamp'],
+
+    // Same topic and content counts as the same entry even under a different id
+    fingerprint(entry) {
+        return `${entry.topic.trim().toLowerCase()}\n${entry.content.trim()}`;
+    },
+
+    // Last time an entry was written: edits set updatedAt, new entries only have timestamp
+    modifiedAt(entry) {
+        return entry.updatedAt || entry.timestamp;
+    },
+
+    differingFields(local, imported) {
+        return this.COMPARED_FIELDS.filter(field => {
+            const a = field === 'tags' ? (local.tags || []).join(' ') : (local[field] || '');
+            const b = field === 'tags' ? (imported.tags || []).join(' ') : (imported[field] || '');
+            return a !== b;
+        });
+    },
+
+    // Splits import candidates into new entries, duplicates (identical to a local
+    // entry or repeated in the file), conflicts (same id, different content) and
+    // entries rejected by validation
+    analyzeImport(candidates) {
+        const currentEntries = AppState.getEntries();
+        const byId = new Map(currentEntries.map(e => [String(e.id), e]));
+        const seenIds = new Set();
+        const fingerprints = new Set(currentEntries.map(e => this.fingerprint(e)));
+        const result = { fresh: [], duplicates: [], conflicts: [], invalid: [] };
+
+        candidates.forEach(({ entry, error }, index) => {
+            if (error) {
+                result.invalid.push({ index, entry, reason: error });
+                return;
+            }
+
+            if (!entry || typeof entry !== 'object' || typeof entry.topic !== 'string' ||
+                typeof entry.content !== 'string' || !entry.id || !entry.timestamp) {
+                result.invalid.push({ index, entry, reason: I18n.t('import.missingFields') });
+                return;
+            }
+
+            const id = /^\d+$/.test(String(entry.id)) ? Number(entry.id) : NaN;
+            if (!Number.isSafeInteger(id)) {
+                result.invalid.push({ index, entry, reason: I18n.t('import.badId', { id: entry.id }) });
+                return;
+            }
+
+            const normalized = {
+                ...entry,
+                id,
+                tags: TagManager.normalize(entry.tags),
+                review: ReviewScheduler.normalize(entry.review),
+                revisions: RevisionHistory.normalize(entry.revisions),
+                deletedAt: undefined
+            };
+
+            const validation = Validator.validateEntry(normalized);
+            if (!validation.valid) {
+                result.invalid.push({ index, entry, reason: validation.errors.join('; ') });
+                return;
+            }
+
+            if (seenIds.has(String(id))) {
+                result.duplicates.push({ index, entry: normalized });
+                return;
+            }
+            seenIds.add(String(id));
+
+            const local = byId.get(String(id));
+            if (local) {
+                const fields = this.differingFields(local, normalized);
+                if (fields.length === 0) {
+                    result.duplicates.push({ index, entry: normalized });
+                } else {
+                    result.conflicts.push({ index, local, imported: normalized, fields });
+                }
+                return;
+            }
+
+            const fingerprint = this.fingerprint(normalized);
+            if (fingerprints.has(fingerprint)) {
+                result.duplicates.push({ index, entry: normalized });
+                return;
+            }
+
+            fingerprints.add(fingerprint);
+            result.fresh.push(normalized);
+        });
+
+        return result;
+    },
+
+    // Picks the winner of every conflict for the chosen strategy;
+    // 'review' uses the per-conflict choices ('local' | 'imported').
+    // A replaced local version is not lost: it joins the entry's revisions
+    resolveConflicts(conflicts, strategy, choices = {}) {
+        return conflicts.filter((conflict, i) => {
+            switch (strategy) {
+                case 'imported':
+                    return true;
+                case 'newest':
+                    return this.modifiedAt(conflict.imported) > this.modifiedAt(conflict.local);
+                case 'review':
+                    return choices[i] === 'imported';
+                default:
+                    return false;
+            }
+        }).map(({ local, imported }) => ({
+            ...imported,
+            revisions: RevisionHistory.merge(RevisionHistory.append(local, imported), imported.revisions)
+        }));
+    },
+
+    // `collections` are saved searches not known yet (CollectionManager.findNew);
+    // they are not part of the undo history
+    merge(newEntries, replacements = [], collections = []) {
+        if (newEntries.length === 0 && replacements.length === 0 && collections.length === 0) {
+            ToastManager.show(I18n.t('import.nothingNew'), 'warning');
+            return;
+        }
+
+        CollectionManager.addAll(collections);
+
+        const parts = [];
+        if (newEntries.length > 0) parts.push(I18n.t('import.doneNew', { count: newEntries.length }));
+        if (replacements.length > 0) parts.push(I18n.t('import.doneUpdated', { count: replacements.length }));
+        if (collections.length > 0) parts.push(I18n.t('import.doneCollections', { count: collections.length }));
+
+        if (newEntries.length === 0 && replacements.length === 0) {
+            ToastManager.show(I18n.t('import.done', { parts: parts.join(', ') }), 'success');
+            return;
+        }
+
+        const replaced = new Map(replacements.map(entry => [entry.id, entry]));
+        const merged = [...AppState.getEntries().map(entry => replaced.get(entry.id) || entry), ...newEntries]
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        AppState.setEntries(merged);
+
+        ToastManager.show(I18n.t('import.done', { parts: parts.join(', ') }), 'success', HistoryManager.undoOptions());
+    },
+
+    // Moves everything to the trash; `permanent` also empties the trash and the undo history
+    clearAll({ permanent = false } = {}) {
+        if (permanent) {
+            const confirmed = confirm(I18n.t('clear.confirmPermanent'));
+
+            if (confirmed) {
+                AppState.wipeAll();
+                Attachments.prune(0);
+                ToastManager.show(I18n.t('clear.donePermanent'), 'info');
+            }
+            return;
+        }
+
+        const count = AppState.getEntries().length;
+        if (count === 0) {
+            ToastManager.show(I18n.t('clear.nothing'), 'info');
+            return;
+        }
+
+        const confirmed = confirm(I18n.t('clear.confirm', {
+            count,
+            days: CONFIG.TRASH_RETENTION_DAYS,
+            key: OS.modifierKey()
+        }));
+
+        if (confirmed) {
+            AppState.clearAll();
+            ToastManager.show(I18n.t('clear.done'), 'info', HistoryManager.undoOptions());
+        }
+    }
+};
+
+/* ====================================
+   TRASH BIN ("Cestino")
+   Soft-deleted entries, purged automatically
+   after CONFIG.TRASH_RETENTION_DAYS
+   ==================================== */
+
+const TrashModal = {
+    modal: null,
+    modalBody: null,
+    closeBtn: null,
+    previousFocus: null,
+
+    init() {
+        this.modal = document.getElementById('trashModal');
+        this.modalBody = document.getElementById('trashBody');
+        this.closeBtn = document.getElementById('closeTrash');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+
+        // 'trash' alone means only the trash changed (purge); the others can move entries in or out of it
+        AppState.subscribe((action) => {
+            if (['trash', 'delete', 'restore', 'clear', 'load'].includes(action)) this.refresh();
+        });
+    },
+
+    open() {
+        if (!this.modal || !this.modalBody) return;
+
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.render();
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.modalBody.innerHTML = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    refresh() {
+        if (this.isOpen()) this.render();
+    },
+
+    daysLeft(entry, now = Date.now()) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const expiresAt = entry.deletedAt + CONFIG.TRASH_RETENTION_DAYS * dayMs;
+        return Math.max(0, Math.ceil((expiresAt - now) / dayMs));
+    },
+
+    describeExpiry(entry) {
+        const days = this.daysLeft(entry);
+        if (days === 0) return I18n.t('trash.expiresToday');
+        return I18n.t('trash.expiresIn', { count: days });
+    },
+
+    render() {
+        const trash = AppState.getTrash();
+
+        if (trash.length === 0) {
+            this.modalBody.innerHTML = `
+                <div class="trash-empty">
+                    <span aria-hidden="true">🗑</span>
+                    <p>${I18n.t('trash.empty')}</p>
+                </div>
+                <div class="trash-footer">
+                    <button type="button" id="wipeAllBtn" class="btn btn-danger">${I18n.t('trash.wipeAll')}</button>
+                </div>
+            `;
+            return;
+        }
+
+        this.modalBody.innerHTML = `
+            <p class="trash-hint">${I18n.t('trash.hint', { count: CONFIG.TRASH_RETENTION_DAYS })}</p>
+            <ul class="trash-list">
+                ${trash.map(entry => `
+                    <li class="trash-item">
+                        <div class="trash-item-info">
+                            <strong>${RenderManager.escapeHtml(entry.topic)}</strong>
+                            <span>
+                                ${I18n.t('trash.deletedAt', { when: `${RenderManager.formatDate(entry.deletedAt, { inline: true })}, ${RenderManager.formatTime(entry.deletedAt)}` })}
+                                · ${this.describeExpiry(entry)}
+                            </span>
+                        </div>
+                        <div class="trash-item-actions">
+                            <button type="button" class="btn btn-secondary" data-action="trash-restore" data-id="${entry.id}">
+                                <span aria-hidden="true">↺</span> ${I18n.t('trash.restore')}
+                            </button>
+                            <button type="button" class="btn btn-danger" data-action="trash-purge" data-id="${entry.id}">
+                                ${I18n.t('trash.purge')}
+                            </button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="trash-footer">
+                <button type="button" id="emptyTrashBtn" class="btn btn-danger">${I18n.t('trash.emptyTrash', { count: trash.length })}</button>
+                <button type="button" id="wipeAllBtn" class="btn btn-danger">${I18n.t('trash.wipeAll')}</button>
+            </div>
+        `;
+    },
+
+    // The list is re-rendered after every change: keep the focus inside the dialog
+    restoreFocus() {
+        const next = this.modalBody.querySelector('[data-action="trash-restore"]') || this.closeBtn;
+        if (next) next.focus();
+    },
+
+    restore(id) {
+        if (AppState.restoreFromTrash(id)) {
+            ToastManager.show(I18n.t('trash.restored'), 'success', HistoryManager.undoOptions());
+            this.restoreFocus();
+        }
+    },
+
+    purge(id) {
+        const entry = AppState.getTrash().find(e => e.id === id);
+        if (!entry) return;
+
+        const confirmed = confirm(I18n.t('trash.confirmPurge', { topic: entry.topic }));
+
+        if (confirmed) {
+            AppState.purge([id]);
+            ToastManager.show(I18n.t('trash.purged'), 'info');
+            this.restoreFocus();
+        }
+    },
+
+    empty() {
+        const count = AppState.getTrash().length;
+        if (count === 0) return;
+
+        const confirmed = confirm(I18n.t('trash.confirmEmpty', { count }));
+
+        if (confirmed) {
+            AppState.emptyTrash();
+            ToastManager.show(I18n.t('trash.emptied'), 'info');
+            this.restoreFocus();
+        }
+    }
+};
+
+/* ====================================
+   LOCK SCREEN & ENCRYPTION SETTINGS
+   Passphrase prompt (startup unlock, encrypted
+   backups) and auto-lock after inactivity
+   ==================================== */
+
+const LockScreen = {
+    screen: null,
+    form: null,
+    input: null,
+    error: null,
+    submitBtn: null,
+    cancelBtn: null,
+    // { verify, cancellable, resolve } of the prompt being shown
+    pending: null,
+    previousFocus: null,
+    lastActivity: Date.now(),
+    autoLockTimer: null,
+    // Encrypted diary without its key: the page is inert behind the notice
+    locked: false,
+    lockedNotice: null,
+    // Resolves the promise of unlock() once the passphrase is given
+    unlocked: null,
+
+    init() {
+        this.screen = document.getElementById('lockScreen');
+        this.lockedNotice = document.getElementById('lockedNotice');
+        this.form = document.getElementById('lockForm');
+        this.input = document.getElementById('lockPassphrase');
+        this.error = document.getElementById('lockError');
+        this.submitBtn = document.getElementById('lockSubmit');
+        this.cancelBtn = document.getElementById('lockCancel');
+
+        if (this.screen) {
+            this.screen.setAttribute('hidden', '');
+            this.screen.style.display = 'none';
+
+            // KeyboardManager ignores keys while the screen is open
+            this.screen.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.pending && this.pending.cancellable) {
+                    e.preventDefault();
+                    this.finish(null);
+                }
+            });
+        }
+
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit();
+            });
+        }
+
+        if (this.cancelBtn) {
+            this.cancelBtn.addEventListener('click', () => this.finish(null));
+        }
+
+        document.getElementById('lockedUnlockBtn')?.addEventListener('click', () => this.promptUnlock());
+
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { capture: true, passive: true });
+        });
+
+        // Timers are throttled in background tabs: check as soon as the tab is back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.checkIdle();
+        });
+    },
+
+    isOpen() {
+        return this.screen && !this.screen.hasAttribute('hidden');
+    },
+
+    // Resolves with the accepted passphrase, or null when cancelled;
+    // `verify` decides whether a passphrase is accepted
+    ask({ title, message, submitLabel = I18n.t('lock.unlock'), cancellable = false, verify }) {
+        if (!this.screen) return Promise.resolve(null);
+        if (this.pending) this.finish(null);
+
+        return new Promise(resolve => {
+            this.pending = { verify, cancellable, resolve };
+            this.previousFocus = document.activeElement;
+
+            document.getElementById('lockTitle').textContent = title;
+            document.getElementById('lockMessage').textContent = message;
+            this.submitBtn.textContent = submitLabel;
+            if (cancellable) {
+                this.cancelBtn.removeAttribute('hidden');
+            } else {
+                this.cancelBtn.setAttribute('hidden', '');
+            }
+            this.error.setAttribute('hidden', '');
+            this.input.value = '';
+
+            this.screen.removeAttribute('hidden');
+            this.screen.style.display = 'flex';
+            this.screen.setAttribute('aria-hidden', 'false');
+
+            document.body.style.overflow = 'hidden';
+
+            this.input.focus();
+        });
+    },
+
+    async submit() {
+        const passphrase = this.input.value;
+        if (!passphrase || !this.pending || this.submitBtn.disabled) return;
+
+        this.submitBtn.disabled = true;
+        this.error.setAttribute('hidden', '');
+
+        const accepted = await this.pending.verify(passphrase).catch(() => false);
+        this.submitBtn.disabled = false;
+
+        if (accepted) {
+            this.finish(passphrase);
+            return;
+        }
+
+        this.error.removeAttribute('hidden');
+        this.input.select();
+    },
+
+    finish(passphrase) {
+        if (!this.pending) return;
+
+        const { resolve } = this.pending;
+        this.pending = null;
+
+        this.screen.setAttribute('hidden', '');
+        this.screen.style.display = 'none';
+        this.screen.setAttribute('aria-hidden', 'true');
+        this.input.value = '';
+
+        document.body.style.overflow = '';
+
+        if (this.previousFocus && this.previousFocus !== document.body) {
+            this.previousFocus.focus();
+        }
+
+        resolve(passphrase);
+    },
+
+    // Resolves once the entries can be read: right away when the diary is not encrypted
+    unlockAtStartup() {
+        if (!CryptoManager.isEnabled()) return Promise.resolve();
+
+        return this.unlock().then(() => this.startAutoLock());
+    },
+
+    // Resolves once the passphrase is given. Cancelling the prompt leaves the
+    // page locked, with a notice that brings the prompt back
+    unlock() {
+        this.setLocked(true);
+
+        return new Promise(resolve => {
+            this.unlocked = resolve;
+            this.promptUnlock();
+        });
+    },
+
+    promptUnlock() {
+        this.ask({
+            title: I18n.t('lock.title'),
+            message: I18n.t(CryptoManager.isSupported() ? 'lock.message' : 'lock.unsupported'),
+            cancellable: true,
+            verify: (passphrase) => CryptoManager.unlock(passphrase)
+        }).then(passphrase => {
+            if (passphrase === null || !this.unlocked) return;
+
+            const resolve = this.unlocked;
+            this.unlocked = null;
+            this.setLocked(false);
+            resolve();
+        });
+    },
+
+    // Everything but the notice, the toasts and the lock screen itself
+    setLocked(locked) {
+        this.locked = locked;
+        if (this.lockedNotice) this.lockedNotice.toggleAttribute('hidden', !locked);
+
+        [...document.body.children]
+            .filter(element => ![this.screen, this.lockedNotice].includes(element) &&
+                element.id !== 'toastContainer' && element.tagName !== 'SCRIPT')
+            .forEach(element => element.toggleAttribute('inert', locked));
+    },
+
+    startAutoLock() {
+        if (this.autoLockTimer) return;
+
+        this.lastActivity = Date.now();
+        this.autoLockTimer = setInterval(() => this.checkIdle(), 30 * 1000);
+    },
+
+    stopAutoLock() {
+        clearInterval(this.autoLockTimer);
+        this.autoLockTimer = null;
+    },
+
+    checkIdle(now = Date.now()) {
+        if (!this.autoLockTimer) return;
+
+        if (now - this.lastActivity >= CONFIG.CRYPTO.AUTO_LOCK_MINUTES * 60 * 1000) {
+            this.lock();
+        }
+    },
+
+    // Forgets the key and everything decrypted with it, without a reload: what
+    // is typed in the form stays there. Pending writes are stored first
+    async lock() {
+        if (this.locked) return;
+        this.stopAutoLock();
+
+        DraftManager.capture();
+        await Promise.all([DraftManager.writing, CollectionManager.writing, AppState.idle()]);
+        await StorageManager.flush();
+
+        CryptoManager.lock();
+        AppState.unload();
+        DraftManager.unload();
+        CollectionManager.unload();
+        Attachments.release();
+
+        await this.unlock();
+
+        await AppState.reload();
+        await DraftManager.load();
+        await CollectionManager.load();
+        await SecurityModal.resume();
+        ImageInput.update();
+        this.startAutoLock();
+    }
+};
+
+const SecurityModal = {
+    modal: null,
+    modalBody: null,
+    closeBtn: null,
+    previousFocus: null,
+
+    init() {
+        this.modal = document.getElementById('securityModal');
+        this.modalBody = document.getElementById('securityBody');
+        this.closeBtn = document.getElementById('closeSecurity');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+
+        if (this.modalBody) {
+            this.modalBody.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit(e.target);
+            });
+        }
+    },
+
+    open() {
+        if (!this.modal || !this.modalBody) return;
+
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.render();
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.modalBody.innerHTML = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    passphraseField(name, label, autocomplete) {
+        return `
+            <label class="passphrase-field">
+                <span>${label}</span>
+                <input type="password" name="${name}" autocomplete="${autocomplete}" required>
+            </label>
+        `;
+    },
+
+    render() {
+        const min = CONFIG.CRYPTO.MIN_PASSPHRASE_LENGTH;
+
+        if (!CryptoManager.isSupported()) {
+            this.modalBody.innerHTML = `
+                <p class="security-hint">${I18n.t('security.unsupported')}</p>
+            `;
+            return;
+        }
+
+        if (!CryptoManager.isEnabled()) {
+            this.modalBody.innerHTML = `
+                <p class="security-hint">${I18n.t('security.intro')}</p>
+                ${SyncManager.settings ? `<p class="security-hint">${I18n.t('security.syncOff')}</p>` : ''}
+                <form class="security-form" data-security-form="enable">
+                    ${this.passphraseField('passphrase', I18n.t('security.passphraseMin', { count: min }), 'new-password')}
+                    ${this.passphraseField('confirmation', I18n.t('security.repeatPassphrase'), 'new-password')}
+                    <p class="security-error" role="alert" hidden></p>
+                    <div class="form-actions">
+                        <button type="submit" class="btn btn-primary">${I18n.t('security.enable')}</button>
+                    </div>
+                </form>
+            `;
+            return;
+        }
+
+        this.modalBody.innerHTML = `
+            <div class="security-status">
+                <p>
+                    <span aria-hidden="true">🔒</span> ${I18n.t('security.status', { count: CONFIG.CRYPTO.AUTO_LOCK_MINUTES })}
+                </p>
+                <button type="button" id="lockNowBtn" class="btn btn-secondary">${I18n.t('security.lockNow')}</button>
+            </div>
+            <form class="security-form" data-security-form="change">
+                <h3>${I18n.t('security.change')}</h3>
+                ${this.passphraseField('current', I18n.t('security.currentPassphrase'), 'current-password')}
+                ${this.passphraseField('passphrase', I18n.t('security.newPassphraseMin', { count: min }), 'new-password')}
+                ${this.passphraseField('confirmation', I18n.t('security.repeatNewPassphrase'), 'new-password')}
+                <p class="security-error" role="alert" hidden></p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">${I18n.t('security.change')}</button>
+                </div>
+            </form>
+            <form class="security-form" data-security-form="disable">
+                <h3>${I18n.t('security.disable')}</h3>
+                <p class="security-hint">${I18n.t('security.disableHint')}</p>
+                ${this.passphraseField('current', I18n.t('security.currentPassphrase'), 'current-password')}
+                <p class="security-error" role="alert" hidden></p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-danger">${I18n.t('security.disable')}</button>
+                </div>
+            </form>
+        `;
+    },
+
+    checkNewPassphrase(passphrase, confirmation) {
+        if (passphrase.length < CONFIG.CRYPTO.MIN_PASSPHRASE_LENGTH) {
+            return I18n.t('security.tooShort', { count: CONFIG.CRYPTO.MIN_PASSPHRASE_LENGTH });
+        }
+        if (passphrase !== confirmation) {
+            return I18n.t('security.mismatch');
+        }
+        return null;
+    },
+
+    showError(form, message) {
+        const error = form.querySelector('.security-error');
+        error.textContent = message;
+        error.removeAttribute('hidden');
+    },
+
+    setBusy(form, busy) {
+        form.querySelectorAll('input, button').forEach(control => {
+            control.disabled = busy;
+        });
+    },
+
+    async submit(form) {
+        const action = form.dataset.securityForm;
+        const { current = '', passphrase = '', confirmation = '' } = Object.fromEntries(new FormData(form));
+
+        if (action !== 'disable') {
+            const error = this.checkNewPassphrase(passphrase, confirmation);
+            if (error) {
+                this.showError(form, error);
+                return;
+            }
+        }
+
+        this.setBusy(form, true);
+        form.querySelector('.security-error').setAttribute('hidden', '');
+
+        try {
+            if (action !== 'enable' && !(await CryptoManager.verify(current))) {
+                this.setBusy(form, false);
+                this.showError(form, I18n.t('security.wrongCurrent'));
+                return;
+            }
+
+            if (action === 'enable') {
+                await this.enable(passphrase);
+            } else if (action === 'change') {
+                await this.change(passphrase, current);
+            } else {
+                await this.disable();
+            }
+
+            if (this.isOpen()) this.render();
+        } catch (err) {
+            console.error('Encryption settings error:', err);
+            this.setBusy(form, false);
+            this.showError(form, I18n.t('security.failed'));
+        }
+    },
+
+    // The settings are stored before the entries are rewritten: records still in
+    // clear text can be read with them, encrypted records without them could not
+    async enable(passphrase) {
+        const { key, meta } = await CryptoManager.create(passphrase);
+        await StorageManager.flush();
+
+        CryptoManager.use(key, meta);
+        CryptoManager.saveMeta(meta);
+
+        try {
+            await StorageManager.rewrite(true);
+        } catch (err) {
+            CryptoManager.removeMeta();
+            CryptoManager.lock();
+            throw err;
+        }
+
+        await AppState.saveHistory();
+        await DraftManager.save();
+        await CollectionManager.save();
+        // Sync would send the entries (and keep the token) in clear text
+        if (SyncManager.settings) SyncManager.disconnect();
+        LockScreen.startAutoLock();
+        ToastManager.show(I18n.t('security.enabled'), 'success');
+    },
+
+    // Both keys are stored, each encrypted with the other, before any record is
+    // rewritten: if the tab closes halfway, either passphrase still opens every
+    // record and the change is completed after the next unlock (resume)
+    async change(passphrase, current) {
+        const previous = CryptoManager.meta;
+        const next = await CryptoManager.create(passphrase);
+        const previousBits = await CryptoManager.deriveBits(current, previous.salt, previous.iterations);
+        await StorageManager.flush();
+
+        await CryptoManager.beginSwitch(previousBits, previous, next.bits, next.meta);
+
+        try {
+            await this.completeChange();
+        } catch (err) {
+            // The rewrite put the records back as they were: the old passphrase stays
+            CryptoManager.endSwitch();
+            throw err;
+        }
+
+        ToastManager.show(I18n.t('security.changed'), 'success');
+    },
+
+    // Here the entries go first: until the new settings are saved, the old
+    // passphrase keeps opening the diary
+    async completeChange() {
+        const { previous, key, meta } = CryptoManager.switching;
+        const previousMeta = CryptoManager.meta;
+
+        CryptoManager.use(key, meta);
+
+        try {
+            await StorageManager.rewrite(true, previous);
+        } catch (err) {
+            CryptoManager.use(previous, previousMeta);
+            throw err;
+        }
+
+        CryptoManager.saveMeta(meta);
+        await AppState.saveHistory();
+        await DraftManager.save();
+        await CollectionManager.save();
+        CryptoManager.endSwitch();
+    },
+
+    // A change interrupted by a closed tab, picked up once the diary is loaded
+    // again (a failed load would leave nothing to rewrite)
+    async resume() {
+        if (!CryptoManager.switching || !AppState.isLoaded()) return;
+
+        try {
+            await this.completeChange();
+            ToastManager.show(I18n.t('security.changed'), 'success');
+        } catch (err) {
+            console.error('Encryption settings error:', err);
+            ToastManager.show(I18n.t('security.failed'), 'error');
+        }
+    },
+
+    async disable() {
+        await StorageManager.rewrite(false);
+
+        CryptoManager.removeMeta();
+        CryptoManager.lock();
+        LockScreen.stopAutoLock();
+
+        await AppState.saveHistory();
+        await DraftManager.save();
+        await CollectionManager.save();
+        ToastManager.show(I18n.t('security.disabled'), 'success');
+    }
+};
+
+/* ====================================
+   SYNC (self-hosted REST backend)
+   Protocol, relative to the configured endpoint
+   (JSON bodies, optional "Authorization: Bearer <token>"):
+
+   GET  /changes?since=<cursor>
+        -> { changes: [Change], cursor, more }
+        Every change stored after `cursor` (omitted on the first
+        sync), oldest first; `more: true` means "ask again from
+        the returned cursor". The cursor is opaque to the client.
+   POST /changes  { deviceId, changes: [Change + { base }] }
+        -> { accepted: [id], conflicts: [Change] }
+        A change is accepted when `base` is the modifiedAt the
+        server currently holds for that id (null for a new id);
+        otherwise the server keeps its version and returns it
+        in `conflicts`.
+
+   Change = { id, modifiedAt, entry }: the whole entry as stored
+   (trashed ones carry `deletedAt`), or `entry: null` once it is
+   deleted for good.
+
+   Local changes are found by comparing each entry's modifiedAt
+   with the version last seen on the server, so changes made
+   offline are simply pushed on the next successful sync.
+   Deletions are only pushed for the ids AppState reports as
+   deleted for good (tombstones): an entry that is merely missing
+   here, after a failed load say, is never deleted on the server.
+   Conflicts: the newest version wins and the other one joins its
+   revisions; a permanent deletion never wins over an edit.
+   See sync-mock-server.js for a reference server.
+   ==================================== */
+
+const SyncManager = {
+    // { endpoint, token } or null while sync is off
+    settings: null,
+    // { deviceId, cursor, known: { [id]: { modifiedAt, deleted } },
+    //   deleted: { [id]: deletedAt } (tombstones not pushed yet), lastSyncAt }
+    state: null,
+    status: 'off', // 'off' | 'idle' | 'syncing' | 'offline' | 'error'
+    error: null,
+    running: null,
+    again: false,
+    started: false,
+    // Tombstones removed since the state was last saved: id -> deletedAt
+    cleared: new Map(),
+    // True while pulled changes are applied, so they do not schedule a push
+    applying: false,
+    debounceTimer: null,
+    interval: null,
+    button: null,
+
+    init() {
+        this.button = document.getElementById('syncStatusBtn');
+        this.settings = this.readSettings();
+        this.state = this.readState();
+
+        AppState.subscribe((action) => {
+            if (action === 'history' || this.applying || !this.settings || !this.started) return;
+            this.schedule();
+            this.render();
+        });
+
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => this.setStatus('offline'));
+
+        // Settings left from before the diary was encrypted: the token goes too
+        if (this.settings && CryptoManager.isEnabled()) this.disconnect();
+
+        this.setStatus(this.settings ? 'idle' : 'off');
+    },
+
+    readSettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(CONFIG.SYNC.SETTINGS_KEY));
+            return settings && typeof settings.endpoint === 'string' && settings.endpoint ? settings : null;
+        } catch {
+            return null;
+        }
+    },
+
+    readState() {
+        try {
+            const state = JSON.parse(localStorage.getItem(CONFIG.SYNC.STATE_KEY));
+            if (state && state.deviceId && state.known && typeof state.known === 'object') {
+                return { ...state, deleted: state.deleted && typeof state.deleted === 'object' ? state.deleted : {} };
+            }
+        } catch {
+            // Unreadable state: start over, the first sync reconciles everything
+        }
+
+        return { deviceId: `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, cursor: null, known: {}, deleted: {}, lastSyncAt: null };
+    },
+
+    // Other tabs save the state too, while this one waits on the server:
+    // their tombstones (unless removed here) and the newer versions they
+    // learnt of are merged in rather than overwritten
+    saveState() {
+        const stored = this.readState();
+
+        if (stored.deviceId === this.state.deviceId) {
+            Object.entries(stored.deleted).forEach(([id, deletedAt]) => {
+                if (this.state.deleted[id] === undefined && this.cleared.get(id) !== deletedAt) {
+                    this.state.deleted[id] = deletedAt;
+                }
+            });
+            Object.entries(stored.known).forEach(([id, version]) => {
+                const own = this.state.known[id];
+                if (!own || version.modifiedAt > own.modifiedAt) this.state.known[id] = version;
+            });
+        }
+
+        this.cleared.clear();
+        localStorage.setItem(CONFIG.SYNC.STATE_KEY, JSON.stringify(this.state));
+    },
+
+    clearTombstone(id) {
+        if (this.state.deleted[id] === undefined) return;
+
+        this.cleared.set(String(id), this.state.deleted[id]);
+        delete this.state.deleted[id];
+    },
+
+    // Called once the entries are loaded (and the diary unlocked)
+    start() {
+        this.started = true;
+        if (!this.settings) return;
+
+        clearInterval(this.interval);
+        this.interval = setInterval(() => this.sync(), CONFIG.SYNC.INTERVAL);
+        this.sync();
+    },
+
+    // A new endpoint starts from scratch: nothing is known about that server yet
+    configure(endpoint, token) {
+        const changed = !this.settings || this.settings.endpoint !== endpoint;
+
+        this.settings = { endpoint, token };
+        localStorage.setItem(CONFIG.SYNC.SETTINGS_KEY, JSON.stringify(this.settings));
+
+        // The stored state goes first, so nothing of the old server is merged back
+        if (changed) {
+            const { deviceId } = this.readState();
+            localStorage.removeItem(CONFIG.SYNC.STATE_KEY);
+            this.state = { deviceId, cursor: null, known: {}, deleted: {}, lastSyncAt: null };
+            this.saveState();
+        }
+
+        this.start();
+    },
+
+    disconnect() {
+        clearInterval(this.interval);
+        clearTimeout(this.debounceTimer);
+        this.interval = null;
+        this.settings = null;
+
+        localStorage.removeItem(CONFIG.SYNC.SETTINGS_KEY);
+        localStorage.removeItem(CONFIG.SYNC.STATE_KEY);
+        this.state = this.readState();
+
+        this.setStatus('off');
+    },
+
+    schedule() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.sync(), CONFIG.SYNC.DEBOUNCE);
+    },
+
+    // One run at a time; a sync asked for meanwhile runs right after
+    // Not before the entries have been read: a failed load or a locked diary
+    // looks like an empty one. Never for an encrypted diary: the server
+    // would get the entries in clear text
+    sync() {
+        if (!this.settings || !this.started || !AppState.isLoaded() || CryptoManager.isEnabled()) return Promise.resolve();
+
+        if (this.running) {
+            this.again = true;
+            return this.running;
+        }
+
+        clearTimeout(this.debounceTimer);
+        this.running = this.run().finally(() => {
+            this.running = null;
+            if (this.again) {
+                this.again = false;
+                this.sync();
+            }
+        });
+
+        return this.running;
+    },
+
+    async run() {
+        // Other tabs sync too: start from what they stored
+        this.settings = this.readSettings();
+        this.state = this.readState();
+        if (!this.settings || CryptoManager.isEnabled()) {
+            this.setStatus('off');
+            return;
+        }
+
+        if (navigator.onLine === false) {
+            this.setStatus('offline');
+            return;
+        }
+
+        this.setStatus('syncing');
+
+        try {
+            await this.pull();
+            await this.push();
+
+            this.state.lastSyncAt = Date.now();
+            this.saveState();
+            this.error = null;
+            this.setStatus('idle');
+        } catch (err) {
+            // fetch rejects with a TypeError when the server cannot be reached
+            const unreachable = err.name === 'TypeError' || err.name === 'AbortError';
+
+            if (unreachable) {
+                console.warn('Sync server unreachable, changes stay queued:', err.message);
+                this.error = null;
+                this.setStatus('offline');
+            } else {
+                console.error('Sync failed:', err);
+                this.error = err.message;
+                this.setStatus('error');
+            }
+        }
+    },
+
+    async request(method, path, body) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), CONFIG.SYNC.TIMEOUT);
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.settings.token) headers.Authorization = `Bearer ${this.settings.token}`;
+
+        try {
+            const response = await fetch(`${this.settings.endpoint.replace(/\/+$/, '')}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                cache: 'no-store',
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(response.status === 401 || response.status === 403
+                    ? I18n.t('sync.badToken')
+                    : I18n.t('sync.serverStatus', { status: response.status }));
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timeout);
+        }
+    },
+
+    async pull() {
+        let more = true;
+
+        while (more) {
+            const since = this.state.cursor !== null ? `?since=${encodeURIComponent(this.state.cursor)}` : '';
+            const response = await this.request('GET', `/changes${since}`);
+            this.receive(response.changes || []);
+
+            if (response.cursor !== undefined && response.cursor !== null) this.state.cursor = response.cursor;
+            more = Boolean(response.more) && (response.changes || []).length > 0;
+            this.saveState();
+        }
+    },
+
+    async push() {
+        const changes = this.pendingChanges();
+
+        for (let i = 0; i < changes.length; i += CONFIG.SYNC.BATCH_SIZE) {
+            const batch = changes.slice(i, i + CONFIG.SYNC.BATCH_SIZE);
+            const response = await this.request('POST', '/changes', { deviceId: this.state.deviceId, changes: batch });
+            const sent = new Map(batch.map(change => [String(change.id), change]));
+
+            (response.accepted || []).forEach(id => {
+                const change = sent.get(String(id));
+                if (!change) return;
+
+                this.state.known[change.id] = { modifiedAt: change.modifiedAt, deleted: !change.entry };
+                this.clearTombstone(change.id);
+            });
+
+            const conflicts = response.conflicts || [];
+            if (conflicts.length > 0) {
+                this.receive(conflicts);
+                // Local versions that won still have to reach the server
+                this.again = true;
+            }
+
+            this.saveState();
+        }
+    },
+
+    // Versions from the server get the checks and the normalisation of an import:
+    // the invalid ones are left out and reported
+    receive(changes) {
+        const local = this.localIndex();
+        const valid = changes.map(change => this.checkChange(change)).filter(Boolean);
+
+        if (valid.length < changes.length) {
+            ToastManager.show(I18n.t('sync.invalidChanges', { count: changes.length - valid.length }), 'warning');
+        }
+
+        this.apply(valid.map(remote => this.reconcile(remote, local)));
+    },
+
+    apply(changes) {
+        this.applying = true;
+        try {
+            if (AppState.applyRemote(changes.filter(Boolean)) > 0) {
+                FormManager.checkEditedEntry(I18n.t('sync.where'));
+            }
+        } finally {
+            this.applying = false;
+        }
+    },
+
+    localIndex() {
+        return new Map([...AppState.getEntries(), ...AppState.getTrash()].map(entry => [entry.id, entry]));
+    },
+
+    // Entries saved before modifiedAt existed fall back to their last edit
+    versionOf(entry) {
+        return entry.modifiedAt || entry.updatedAt || entry.timestamp;
+    },
+
+    // Missing here only counts as a change for a tombstone
+    hasLocalChange(id, local) {
+        const known = this.state.known[id];
+        if (!local) return Boolean(known && !known.deleted && this.state.deleted[id]);
+        return !known || known.deleted || known.modifiedAt !== this.versionOf(local);
+    },
+
+    // Entries deleted for good here (AppState tombstones); only those the
+    // server has are worth telling it about
+    recordDeletions(ids) {
+        if (!this.settings) return;
+
+        const now = Date.now();
+        let recorded = false;
+        ids.forEach(id => {
+            const known = this.state.known[id];
+            if (!known || known.deleted) return;
+
+            this.state.deleted[id] = now;
+            recorded = true;
+        });
+
+        if (recorded) this.saveState();
+    },
+
+    // Every entry whose version differs from the one last seen on the server,
+    // plus a deletion for each tombstone of an entry the server still has
+    pendingChanges() {
+        const known = this.state.known;
+        const present = new Set();
+        const changes = [];
+
+        [...AppState.getEntries(), ...AppState.getTrash()].forEach(entry => {
+            present.add(String(entry.id));
+
+            const base = known[entry.id];
+            if (!this.hasLocalChange(entry.id, entry)) return;
+
+            changes.push({ id: entry.id, modifiedAt: this.versionOf(entry), entry, base: base ? base.modifiedAt : null });
+        });
+
+        Object.entries(this.state.deleted).forEach(([id, deletedAt]) => {
+            const base = known[id];
+            if (base && !base.deleted && !present.has(id)) {
+                changes.push({ id: Number(id), modifiedAt: deletedAt, entry: null, base: base.modifiedAt });
+            }
+        });
+
+        return changes;
+    },
+
+    // The change with its entry normalised, or null when it cannot be applied
+    checkChange(change) {
+        if (!change || !Number.isSafeInteger(change.id) || !Number.isFinite(change.modifiedAt)) {
+            console.warn('Sync: ignoring malformed change', change);
+            return null;
+        }
+        if (change.entry === null) return change;
+
+        const entry = change.entry;
+        if (!entry || typeof entry !== 'object' || entry.id !== change.id || typeof entry.topic !== 'string' ||
+            typeof entry.content !== 'string' || !Number.isFinite(entry.timestamp)) {
+            console.warn('Sync: ignoring malformed change', change);
+            return null;
+        }
+
+        const { deletedAt, ...data } = entry;
+        const normalized = {
+            ...data,
+            tags: TagManager.normalize(entry.tags),
+            review: ReviewScheduler.normalize(entry.review),
+            revisions: RevisionHistory.normalize(entry.revisions),
+            ...(Number.isFinite(deletedAt) ? { deletedAt } : {})
+        };
+
+        const validation = Validator.validateEntry(normalized);
+        if (!validation.valid) {
+            console.warn('Sync: ignoring invalid entry', change.id, validation.errors);
+            return null;
+        }
+
+        return { ...change, entry: normalized };
+    },
+
+    // How a version from the server lands locally: the { id, entry } to apply,
+    // or null when the local version stays
+    reconcile(remote, local) {
+        const id = remote.id;
+        const current = local.get(id) || null;
+
+        // A version the server already had when this device deleted the entry
+        // for good: the deletion still has to be pushed
+        const known = this.state.known[id];
+        if (!current && this.state.deleted[id] && known && known.modifiedAt === remote.modifiedAt) return null;
+
+        const changed = this.hasLocalChange(id, current);
+        const incoming = remote.entry ? { ...remote.entry, modifiedAt: remote.modifiedAt } : null;
+
+        // Either both sides deleted it or the remote edit brings it back
+        this.state.known[id] = { modifiedAt: remote.modifiedAt, deleted: !incoming };
+        this.clearTombstone(id);
+
+        // Already there (typically our own change coming back)
+        if (!current && !incoming) return null;
+        if (current && incoming && this.versionOf(current) === remote.modifiedAt) return null;
+
+        if (!changed) return { id, entry: incoming };
+
+        // Both sides changed since the last sync
+        if (!incoming) return null;
+        if (!current) return { id, entry: incoming };
+
+        const [winner, loser] = remote.modifiedAt > this.versionOf(current) ? [incoming, current] : [current, incoming];
+        const merged = {
+            ...winner,
+            revisions: RevisionHistory.merge(RevisionHistory.append(loser, winner), winner.revisions),
+            modifiedAt: Date.now()
+        };
+
+        return { id, entry: merged };
+    },
+
+    setStatus(status) {
+        this.status = status;
+        this.render();
+        SyncModal.refresh();
+    },
+
+    describe() {
+        const pending = this.settings ? this.pendingChanges().length : 0;
+        const waiting = pending > 0 ? I18n.t('sync.waiting', { count: pending }) : '';
+        const last = this.state.lastSyncAt
+            ? I18n.t('sync.lastSync', {
+                date: RenderManager.formatDate(this.state.lastSyncAt, { inline: true }),
+                time: RenderManager.formatTime(this.state.lastSyncAt)
+            })
+            : I18n.t('sync.neverSynced');
+        const pendingLabel = I18n.t('sync.pending', { count: pending });
+
+        switch (this.status) {
+            case 'syncing':
+                return { icon: '🔄', label: I18n.t('sync.syncingLabel'), title: I18n.t('sync.syncing') };
+            case 'offline':
+                return { icon: '📴', label: pending > 0 ? pendingLabel : I18n.t('sync.offlineLabel'), title: I18n.t('sync.offline', { waiting, last }) };
+            case 'error':
+                return { icon: '⚠️', label: I18n.t('sync.errorLabel'), title: I18n.t('sync.error', { error: this.error, waiting }) };
+            default:
+                return {
+                    icon: '☁️',
+                    label: pending > 0 ? pendingLabel : I18n.t('sync.syncedLabel'),
+                    title: I18n.t('sync.active', { waiting, last })
+                };
+        }
+    },
+
+    // Header indicator: hidden while sync is off
+    render() {
+        if (!this.button) return;
+
+        if (this.status === 'off') {
+            this.button.setAttribute('hidden', '');
+            return;
+        }
+
+        const { icon, label, title } = this.describe();
+        this.button.removeAttribute('hidden');
+        this.button.dataset.status = this.status;
+        this.button.title = title;
+        this.button.setAttribute('aria-label', title);
+        this.button.querySelector('.sync-status-icon').textContent = icon;
+        this.button.querySelector('.sync-status-label').textContent = label;
+    }
+};
+
+const SyncModal = {
+    modal: null,
+    modalBody: null,
+    closeBtn: null,
+    previousFocus: null,
+
+    init() {
+        this.modal = document.getElementById('syncModal');
+        this.modalBody = document.getElementById('syncBody');
+        this.closeBtn = document.getElementById('closeSync');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+
+        if (this.modalBody) {
+            this.modalBody.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.connect(e.target);
+            });
+        }
+    },
+
+    open() {
+        if (!this.modal || !this.modalBody) return;
+
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.render();
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.modalBody.innerHTML = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    // Only the status line: re-rendering the form would lose what is being typed
+    refresh() {
+        if (!this.isOpen()) return;
+
+        const status = this.modalBody.querySelector('.sync-summary');
+        if (status) status.textContent = SyncManager.describe().title;
+    },
+
+    render() {
+        const settings = SyncManager.settings || { endpoint: '', token: '' };
+        const escape = (value) => MarkdownRenderer.escapeAttribute(value);
+
+        if (CryptoManager.isEnabled()) {
+            this.modalBody.innerHTML = `
+                <p class="sync-hint">${I18n.t('sync.intro')}</p>
+                <p class="sync-hint">${I18n.t('sync.encrypted')}</p>
+            `;
+            return;
+        }
+
+        this.modalBody.innerHTML = `
+            <p class="sync-hint">${I18n.t('sync.intro')}</p>
+            <p class="sync-hint">${I18n.t('sync.attachmentsLocal')}</p>
+            ${SyncManager.settings ? `
+                <div class="sync-status-row">
+                    <p class="sync-summary">${escape(SyncManager.describe().title)}</p>
+                    <button type="button" id="syncNowBtn" class="btn btn-secondary">${I18n.t('sync.now')}</button>
+                </div>
+            ` : ''}
+            <form class="sync-form" id="syncForm">
+                <label class="passphrase-field sync-field">
+                    <span>${I18n.t('sync.endpoint')}</span>
+                    <input type="url" name="endpoint" value="${escape(settings.endpoint)}" placeholder="${escape(I18n.t('sync.endpointPlaceholder'))}" required>
+                </label>
+                <label class="passphrase-field sync-field">
+                    <span>${I18n.t('sync.token')}</span>
+                    <input type="password" name="token" value="${escape(settings.token || '')}" autocomplete="off">
+                </label>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">${I18n.t(SyncManager.settings ? 'common.save' : 'sync.connect')}</button>
+                    ${SyncManager.settings ? `<button type="button" id="syncDisconnectBtn" class="btn btn-danger">${I18n.t('sync.disconnect')}</button>` : ''}
+                </div>
+            </form>
+        `;
+    },
+
+    connect(form) {
+        const data = new FormData(form);
+        const endpoint = String(data.get('endpoint') || '').trim();
+        const token = String(data.get('token') || '').trim();
+
+        if (CryptoManager.isEnabled()) return;
+
+        if (!/^https?:\/\/\S+$/i.test(endpoint)) {
+            ToastManager.show(I18n.t('sync.badEndpoint'), 'error');
+            return;
+        }
+
+        SyncManager.configure(endpoint, token);
+        this.render();
+        ToastManager.show(I18n.t('sync.enabled'), 'success');
+    },
+
+    disconnect() {
+        if (!confirm(I18n.t('sync.confirmDisconnect'))) return;
+
+        SyncManager.disconnect();
+        this.render();
+        ToastManager.show(I18n.t('sync.disabled'), 'info');
+    }
+};
+
+/* ====================================
+   CROSS-TAB SYNC
+   Tabs tell each other when they save (BroadcastChannel);
+   the others reload the stored state through notify('load')
+   ==================================== */
+
+const TabSync = {
+    CHANNEL: 'learning-diary',
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    channel: null,
+    // Set once this tab has loaded (and unlocked) the diary
+    ready: false,
+    reloadTimer: null,
+
+    init() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(this.CHANNEL);
+            this.channel.addEventListener('message', (e) => {
+                const message = e.data || {};
+                if (message.type === 'saved' && message.from !== this.id) this.scheduleReload();
+            });
+        }
+
+        // Only the other tabs get storage events
+        window.addEventListener('storage', (e) => this.handleStorage(e));
+    },
+
+    start() {
+        this.ready = true;
+    },
+
+    announce() {
+        if (this.channel) this.channel.postMessage({ type: 'saved', from: this.id });
+    },
+
+    handleStorage(e) {
+        // Encryption turned on or off, or a new passphrase: start again from the lock screen
+        if (e.key === CONFIG.CRYPTO.META_KEY) {
+            window.location.reload();
+            return;
+        }
+
+        // Without BroadcastChannel, localStorage writes are the only signal
+        if (!this.channel && (e.key === CONFIG.STORAGE_KEY || e.key === CONFIG.HISTORY_KEY)) {
+            this.scheduleReload();
+        }
+
+        // Language picked in another tab
+        if (e.key === CONFIG.LOCALE_KEY && e.newValue) {
+            I18n.setLocale(e.newValue);
+        }
+
+        // Keeps the menu current, and this tab from writing back stale drafts
+        if (e.key === CONFIG.DRAFTS_KEY && this.ready) {
+            DraftManager.load();
+        }
+
+        if (e.key === CONFIG.COLLECTIONS_KEY && this.ready) {
+            CollectionManager.load();
+        }
+    },
+
+    // One action can mean several writes: reload once they have settled
+    scheduleReload() {
+        if (!this.ready) return;
+
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.reload(), 100);
+    },
+
+    async reload() {
+        if (!(await AppState.reload())) {
+            this.scheduleReload();
+            return;
+        }
+
+        FormManager.checkEditedEntry(I18n.t('tabs.where'));
+    }
+};
+
+/* ====================================
+   EXPORT & IMPORT DIALOGS
+   ==================================== */
+
+const ExportModal = {
+    modal: null,
+    form: null,
+    onlyResults: null,
+    onlySelected: null,
+    encrypted: null,
+    // Entries picked in selection mode, when the dialog was opened from the bulk toolbar
+    selection: null,
+    previousFocus: null,
+
+    init() {
+        this.modal = document.getElementById('exportModal');
+        this.form = document.getElementById('exportForm');
+        this.onlyResults = document.getElementById('exportOnlyResults');
+        this.onlySelected = document.getElementById('exportOnlySelected');
+        this.encrypted = document.getElementById('exportEncrypted');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.confirm();
+            });
+
+            this.form.addEventListener('change', (e) => {
+                if (e.target.name === 'exportFormat') this.updateEncryptionOption();
+            });
+        }
+
+        document.getElementById('closeExport')?.addEventListener('click', () => this.close());
+        document.getElementById('cancelExport')?.addEventListener('click', () => this.close());
+    },
+
+    open(selection = null) {
+        if (!this.modal || !this.form) return;
+
+        this.previousFocus = document.activeElement;
+        this.selection = selection;
+        this.updateResultsOption();
+        this.updateSelectionOption();
+        this.updateEncryptionOption(true);
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        const checked = this.form.querySelector('input[name="exportFormat"]:checked');
+        if (checked) checked.focus();
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    // The "current results" option only makes sense while a search or tag filter is active
+    updateResultsOption() {
+        const count = document.getElementById('exportResultsCount');
+        const filtered = SearchHandler.isFiltered();
+
+        this.onlyResults.disabled = !filtered;
+        if (!filtered) this.onlyResults.checked = false;
+
+        if (count) {
+            count.textContent = filtered
+                ? `(${I18n.t('entries.count', { count: SearchHandler.currentResults.length })})`
+                : I18n.t('export.noSearch');
+        }
+    },
+
+    updateSelectionOption() {
+        const option = this.onlySelected?.closest('.export-option');
+        if (!option) return;
+
+        if (this.selection) {
+            option.removeAttribute('hidden');
+            this.onlySelected.checked = true;
+        } else {
+            option.setAttribute('hidden', '');
+            this.onlySelected.checked = false;
+        }
+
+        const count = document.getElementById('exportSelectedCount');
+        if (count && this.selection) count.textContent = `(${I18n.t('entries.count', { count: this.selection.length })})`;
+    },
+
+    // Offered only for an encrypted diary, where it is on by default;
+    // the other formats are meant to be read as they are
+    updateEncryptionOption(reset = false) {
+        const option = this.encrypted?.closest('.export-option');
+        if (!option) return;
+
+        const available = CryptoManager.isUnlocked();
+        const isJSON = (new FormData(this.form).get('exportFormat') || 'json') === 'json';
+
+        if (available) {
+            option.removeAttribute('hidden');
+        } else {
+            option.setAttribute('hidden', '');
+        }
+        this.encrypted.disabled = !available || !isJSON;
+        if (reset) this.encrypted.checked = available;
+    },
+
+    confirm() {
+        const format = new FormData(this.form).get('exportFormat') || 'json';
+        let entries = AppState.getEntries();
+        let full = true;
+
+        if (this.selection && this.onlySelected.checked) {
+            entries = this.selection;
+            full = false;
+        } else if (this.onlyResults.checked && !this.onlyResults.disabled) {
+            entries = SearchHandler.currentResults;
+            full = false;
+        }
+
+        this.close();
+        DataManager.export(format, entries, { encrypted: this.encrypted.checked && !this.encrypted.disabled, full });
+    }
+};
+
+const ImportModal = {
+    modal: null,
+    modalBody: null,
+    closeBtn: null,
+    previousFocus: null,
+    source: null,
+    analysis: null,
+    strategy: 'newest',
+    choices: {},
+
+    FIELD_LABELS: {
+        topic: 'fields.topic',
+        content: 'fields.content',
+        date: 'fields.date',
+        link: 'fields.link',
+        imageUrl: 'fields.image',
+        tags: 'fields.tags',
+        id: 'fields.id',
+        updatedAt: 'fields.updatedAt'
+    },
+
+    init() {
+        this.modal = document.getElementById('importModal');
+        this.modalBody = document.getElementById('importBody');
+        this.closeBtn = document.getElementById('closeImport');
+
+        if (this.modal) {
+            this.modal.setAttribute('hidden', '');
+            this.modal.style.display = 'none';
+        }
+
+        if (this.modalBody) {
+            this.modalBody.addEventListener('change', (e) => {
+                const field = e.target.getAttribute('data-import-field');
+                const conflictIndex = e.target.getAttribute('data-conflict-index');
+
+                if (field) {
+                    this.source.mapping[field] = parseInt(e.target.value, 10);
+                    this.analyze();
+                    this.renderSummary();
+                } else if (e.target.name === 'importStrategy') {
+                    this.strategy = e.target.value;
+                    this.renderConflicts();
+                    this.updateConfirm();
+                } else if (conflictIndex !== null) {
+                    this.choices[conflictIndex] = e.target.value;
+                    this.updateConfirm();
+                }
+            });
+
+            this.modalBody.addEventListener('click', (e) => {
+                if (e.target.closest('#confirmImport')) {
+                    this.confirm();
+                } else if (e.target.closest('#cancelImport')) {
+                    this.close();
+                }
+            });
+        }
+
+        if (this.closeBtn) {
+            this.closeBtn.addEventListener('click', () => this.close());
+        }
+    },
+
+    // source: { fileName, candidates, collections, attachments } for JSON, { fileName, csv, mapping } for CSV
+    open(source) {
+        if (!this.modal || !this.modalBody) return;
+
+        this.source = source;
+        this.previousFocus = document.activeElement;
+
+        this.modal.removeAttribute('hidden');
+        this.modal.style.display = 'flex';
+        this.modal.setAttribute('aria-hidden', 'false');
+
+        document.body.style.overflow = 'hidden';
+
+        this.analyze();
+        this.render();
+
+        if (this.closeBtn) {
+            this.closeBtn.focus();
+        }
+    },
+
+    close() {
+        if (!this.modal) return;
+
+        this.modal.setAttribute('hidden', '');
+        this.modal.style.display = 'none';
+        this.modal.setAttribute('aria-hidden', 'true');
+
+        document.body.style.overflow = '';
+
+        this.modalBody.innerHTML = '';
+        this.source = null;
+        this.analysis = null;
+        this.choices = {};
+
+        if (this.previousFocus) {
+            this.previousFocus.focus();
+        }
+    },
+
+    isOpen() {
+        return this.modal && !this.modal.hasAttribute('hidden');
+    },
+
+    analyze() {
+        const candidates = this.source.csv
+            ? DataFormats.fromCSVRows(this.source.csv.rows, this.source.mapping,
+                [...AppState.getEntries(), ...AppState.getTrash()].map(entry => entry.id))
+            : this.source.candidates;
+
+        this.analysis = DataManager.analyzeImport(candidates);
+        this.analysis.collections = CollectionManager.findNew(this.source.collections || []);
+        this.resetChoices();
+    },
+
+    // CSV rows are numbered as in a spreadsheet (the header is row 1)
+    describePosition(index) {
+        return this.source.csv
+            ? I18n.t('import.row', { number: index + 2 })
+            : I18n.t('import.item', { number: index + 1 });
+    },
+
+    renderMapping() {
+        const { headers } = this.source.csv;
+        const options = (selected) => [
+            `<option value="-1"${selected === -1 ? ' selected' : ''}>${I18n.t('import.skipColumn')}</option>`,
+            ...headers.map((header, i) => `<option value="${i}"${selected === i ? ' selected' : ''}>${RenderManager.escapeHtml(header || I18n.t('import.column', { number: i + 1 }))}</option>`)
+        ].join('');
+
+        return `
+            <fieldset class="import-mapping">
+                <legend>${I18n.t('import.mapping')}</legend>
+                ${Object.keys(this.FIELD_LABELS).map(field => `
+                    <label class="import-mapping-row">
+                        <span>${I18n.t(this.FIELD_LABELS[field])}${field === 'topic' || field === 'content' ? ' *' : ''}</span>
+                        <select data-import-field="${field}">${options(this.source.mapping[field])}</select>
+                    </label>
+                `).join('')}
+            </fieldset>
+        `;
+    },
+
+    render() {
+        this.modalBody.innerHTML = `
+            <p class="import-file">📄 ${RenderManager.escapeHtml(this.source.fileName)}</p>
+            ${this.source.csv ? this.renderMapping() : ''}
+            <div id="importSummary" aria-live="polite"></div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" id="confirmImport"></button>
+                <button type="button" class="btn btn-secondary" id="cancelImport">${I18n.t('common.cancel')}</button>
+            </div>
+        `;
+
+        this.renderSummary();
+    },
+
+    renderSummary() {
+        const summary = document.getElementById('importSummary');
+        const { fresh, duplicates, conflicts, invalid, collections } = this.analysis;
+
+        summary.innerHTML = `
+            <div class="import-counts">
+                <div class="import-count import-count-new">${I18n.t('import.countNew', { count: fresh.length })}</div>
+                <div class="import-count import-count-duplicate">${I18n.t('import.countDuplicate', { count: duplicates.length })}</div>
+                <div class="import-count import-count-conflict">${I18n.t('import.countConflict', { count: conflicts.length })}</div>
+                <div class="import-count import-count-invalid">${I18n.t('import.countInvalid', { count: invalid.length })}</div>
+            </div>
+            ${fresh.length > 0 ? `
+                <p class="import-sample">
+                    ${I18n.t('import.sample')} ${fresh.slice(0, 3).map(entry => `<em>${RenderManager.escapeHtml(entry.topic)}</em>`).join(', ')}${fresh.length > 3 ? '…' : ''}
+                </p>
+            ` : ''}
+            ${collections.length > 0 ? `
+                <p class="import-sample">
+                    ${I18n.t('import.collections', { count: collections.length })} ${collections.map(collection => `<em>${RenderManager.escapeHtml(collection.name)}</em>`).join(', ')}
+                </p>
+            ` : ''}
+            ${conflicts.length > 0 ? this.renderStrategy() : ''}
+            ${invalid.length > 0 ? this.renderRejected() : ''}
+        `;
+
+        this.renderConflicts();
+        this.updateConfirm();
+    },
+
+    renderStrategy() {
+        const options = [
+            { value: 'local', label: I18n.t('import.keepLocal'), hint: I18n.t('import.keepLocalHint') },
+            { value: 'imported', label: I18n.t('import.keepImported'), hint: I18n.t('import.keepImportedHint') },
+            { value: 'newest', label: I18n.t('import.keepNewest'), hint: I18n.t('import.keepNewestHint') },
+            { value: 'review', label: I18n.t('import.review'), hint: I18n.t('import.reviewHint') }
+        ];
+
+        return `
+            <fieldset class="import-strategy">
+                <legend>${I18n.t('import.strategy')}</legend>
+                ${options.map(option => `
+                    <label class="export-option">
+                        <input type="radio" name="importStrategy" value="${option.value}"${this.strategy === option.value ? ' checked' : ''}>
+                        <span><strong>${option.label}</strong> — ${option.hint}</span>
+                    </label>
+                `).join('')}
+            </fieldset>
+            <div id="importConflicts"></div>
+        `;
+    },
+
+    renderRejected() {
+        const { invalid } = this.analysis;
+
+        return `
+            <details class="import-rejected" open>
+                <summary>${I18n.t('import.rejected', { count: invalid.length })}</summary>
+                <ul class="import-errors">
+                    ${invalid.map(item => {
+                        const topic = item.entry && typeof item.entry.topic === 'string' && item.entry.topic
+                            ? ` · «${RenderManager.escapeHtml(item.entry.topic)}»`
+                            : '';
+                        return `<li><strong>${this.describePosition(item.index)}${topic}:</strong> ${RenderManager.escapeHtml(item.reason)}</li>`;
+                    }).join('')}
+                </ul>
+            </details>
+        `;
+    },
+
+    formatField(entry, field) {
+        if (field === 'timestamp') {
+            return `${RenderManager.formatDate(entry.timestamp)}, ${RenderManager.formatTime(entry.timestamp)}`;
+        }
+        if (field === 'tags') {
+            return (entry.tags || []).map(tag => `#${tag}`).join(' ');
+        }
+        return entry[field] || '';
+    },
+
+    renderConflictSide(conflict, side) {
+        const entry = side === 'before' ? conflict.local : conflict.imported;
+        const modified = DataManager.modifiedAt(entry);
+        const title = I18n.t(side === 'before' ? 'import.local' : 'import.imported');
+
+        return `
+            <div class="import-diff-side">
+                <h4>${title} <span>· ${I18n.t('import.modified', { date: RenderManager.formatDate(modified, { inline: true }), time: RenderManager.formatTime(modified) })}</span></h4>
+                ${conflict.fields.map(field => {
+                    const ops = TextDiff.diff(this.formatField(conflict.local, field), this.formatField(conflict.imported, field));
+                    return `
+                        <div class="diff-field">
+                            <span class="diff-field-label">${I18n.t(this.FIELD_LABELS[field === 'timestamp' ? 'date' : field])}</span>
+                            <div class="diff-text">${TextDiff.renderSide(ops, side) || `<em>${I18n.t('import.empty')}</em>`}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    },
+
+    // Side-by-side diff of every conflict, only while the "review" strategy is selected
+    renderConflicts() {
+        const container = document.getElementById('importConflicts');
+        if (!container) return;
+
+        if (this.strategy !== 'review') {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = this.analysis.conflicts.map((conflict, i) => `
+            <div class="import-conflict">
+                <div class="import-conflict-header">
+                    <strong>${RenderManager.escapeHtml(conflict.local.topic)}</strong>
+                    <span>${this.describePosition(conflict.index)}</span>
+                </div>
+                <div class="import-diff">
+                    ${this.renderConflictSide(conflict, 'before')}
+                    ${this.renderConflictSide(conflict, 'after')}
+                </div>
+                <div class="import-conflict-choice" role="radiogroup" aria-label="${I18n.t('import.versionToKeep')}">
+                    <label class="export-option">
+                        <input type="radio" name="conflict-${i}" value="local" data-conflict-index="${i}"${this.choices[i] === 'local' ? ' checked' : ''}>
+                        <span>${I18n.t('import.keepLocal')}</span>
+                    </label>
+                    <label class="export-option">
+                        <input type="radio" name="conflict-${i}" value="imported" data-conflict-index="${i}"${this.choices[i] === 'imported' ? ' checked' : ''}>
+                        <span>${I18n.t('import.keepImported')}</span>
+                    </label>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    // Per-conflict choices start from "keep newest"
+    resetChoices() {
+        this.choices = {};
+        this.analysis.conflicts.forEach((conflict, i) => {
+            this.choices[i] = DataManager.modifiedAt(conflict.imported) > DataManager.modifiedAt(conflict.local)
+                ? 'imported'
+                : 'local';
+        });
+    },
+
+    getReplacements() {
+        return DataManager.resolveConflicts(this.analysis.conflicts, this.strategy, this.choices);
+    },
+
+    updateConfirm() {
+        const confirmBtn = document.getElementById('confirmImport');
+        const added = this.analysis.fresh.length;
+        const updated = this.getReplacements().length;
+        const collections = this.analysis.collections.length;
+
+        const parts = [I18n.t('import.added', { count: added })];
+        if (updated > 0) parts.push(I18n.t('import.updated', { count: updated }));
+        if (collections > 0) parts.push(I18n.t('import.addedCollections', { count: collections }));
+
+        confirmBtn.disabled = added === 0 && updated === 0 && collections === 0;
+        confirmBtn.textContent = I18n.t('import.confirm', { parts: parts.join(', ') });
+    },
+
+    // The images go in first so the merged entries show them straight away
+    async confirm() {
+        if (!this.analysis) return;
+
+        const fresh = this.analysis.fresh;
+        const replacements = this.getReplacements();
+        const collections = this.analysis.collections;
+        const used = Attachments.referencesIn([...fresh, ...replacements]);
+        const attachments = (this.source.attachments || []).filter(record => record && used.has(record.id));
+
+        this.close();
+
+        try {
+            await Attachments.importAll(attachments);
+        } catch (err) {
+            console.error('Attachment import error:', err);
+            ToastManager.show(I18n.t('attachments.importFailed'), 'warning');
+        }
+
+        DataManager.merge(fresh, replacements, collections);
+    }
+};
+
+/* ====================================
+   FORM HANDLER
+   ==================================== */
+
+const FormHandler = {
+    init() {
+        const form = document.getElementById('addForm');
+        const contentTextarea = document.getElementById('content');
+        const contentCounter = document.getElementById('contentCounter');
+        const tagsInput = document.getElementById('tags');
+
+        if (form) {
+            form.addEventListener('submit', (e) => this.handleSubmit(e));
+        }
+
+        if (tagsInput) {
+            tagsInput.addEventListener('input', () => TagManager.updateSuggestions(tagsInput));
+            tagsInput.addEventListener('focus', () => TagManager.updateSuggestions(tagsInput));
+        }
+
+        if (contentTextarea && contentCounter) {
+            contentTextarea.addEventListener('input', () => {
+                CharacterCounter.update(contentTextarea, contentCounter);
+            });
+        }
+    },
+
+    handleSubmit(e) {
+        e.preventDefault();
+
+        const editId = document.getElementById('editId').value;
+        const isEditMode = editId !== '';
+
+        const formData = {
+            topic: document.getElementById('topic').value.trim(),
+            content: document.getElementById('content').value.trim(),
+            link: document.getElementById('link').value.trim(),
+            imageUrl: document.getElementById('imageUrl').value.trim(),
+            tags: TagManager.normalize(document.getElementById('tags').value)
+        };
+
+        const validation = Validator.validateEntry(formData);
+
+        if (!validation.valid) {
+            validation.errors.forEach(error => {
+                ToastManager.show(error, 'error');
+            });
+            return;
+        }
+
+        if (isEditMode) {
+            const success = AppState.updateEntry(parseInt(editId), formData);
+
+            if (success) {
+                ToastManager.show(I18n.t('form.edited'), 'success', HistoryManager.undoOptions());
+                FormManager.close();
+                DraftManager.discard(DraftManager.keyFor(parseInt(editId)));
+            } else {
+                ToastManager.show(I18n.t('form.editFailed'), 'error');
+            }
+        } else {
+            const entry = {
+                id: Date.now(),
+                timestamp: Date.now(),
+                ...formData
+            };
+
+            AppState.addEntry(entry);
+            ToastManager.show(I18n.t('form.added'), 'success', HistoryManager.undoOptions());
+            FormManager.close();
+            DraftManager.discard('new');
+        }
+    }
+};
+
+/* ====================================
+   EVENT HANDLER - WITH MENU SUPPORT
+   ==================================== */
+
+const EventHandler = {
+    init() {
+        document.addEventListener('click', (e) => {
+            this.handleClick(e);
+        }, true);
+
+        const importFile = document.getElementById('importFile');
+        if (importFile) {
+            importFile.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    DataManager.import(e.target.files[0]);
+                    e.target.value = '';
+                }
+            });
+        }
+    },
+
+    handleClick(e) {
+        const target = e.target;
+
+        let element = target;
+        let attempts = 0;
+        const maxAttempts = 5;
+
+        while (element && attempts < maxAttempts) {
+            const id = element.id;
+            const action = element.getAttribute('data-action');
+
+            // Handle date-header click
+            if (element.classList && element.classList.contains('date-header')) {
+                const date = element.getAttribute('data-date');
+                if (date) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.handleDateClick(date);
+                    return;
+                }
+            }
+
+            if (action === 'filter-tag') {
+                const tag = element.getAttribute('data-tag');
+                if (tag) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.handleTagFilter(tag);
+                    return;
+                }
+            }
+
+            if (action === 'review-grade') {
+                const grade = element.getAttribute('data-grade');
+                if (grade) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    ReviewModal.grade(parseInt(grade));
+                    return;
+                }
+            }
+
+            if (action === 'load-more') {
+                e.preventDefault();
+                e.stopPropagation();
+                RenderManager.loadMore();
+                return;
+            }
+
+            if (action === 'sort-results') {
+                const mode = element.getAttribute('data-sort');
+                if (mode) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    SearchHandler.setSortMode(mode);
+                    return;
+                }
+            }
+
+            if (action === 'open-link') {
+                const entryId = element.getAttribute('data-id');
+                if (entryId) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    WikiLinks.open(parseInt(entryId));
+                    return;
+                }
+            }
+
+            if (action === 'open-collection' || action === 'pin-collection' || action === 'remove-collection') {
+                const collectionId = element.getAttribute('data-collection');
+                if (collectionId) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (action === 'pin-collection') {
+                        CollectionManager.togglePin(parseInt(collectionId));
+                    } else if (action === 'remove-collection') {
+                        CollectionManager.remove(parseInt(collectionId));
+                    } else {
+                        if (MenuManager.isOpen()) MenuManager.close();
+                        CollectionManager.apply(parseInt(collectionId));
+                    }
+                    return;
+                }
+            }
+
+            if (action === 'open-draft') {
+                const key = element.getAttribute('data-draft');
+                if (key) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    MenuManager.close();
+                    DraftManager.open(key);
+                    return;
+                }
+            }
+
+            if (action === 'delete') {
+                const entryId = element.getAttribute('data-id');
+                if (entryId) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.handleDelete(parseInt(entryId));
+                    return;
+                }
+            }
+
+            if (action === 'toggle-revisions') {
+                const entryId = element.getAttribute('data-id');
+                if (entryId) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    DayViewModal.toggleRevisions(parseInt(entryId));
+                    return;
+                }
+            }
+
+            if (action === 'restore-revision') {
+                const entryId = element.getAttribute('data-id');
+                const version = element.getAttribute('data-version');
+                if (entryId && version) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    DayViewModal.restoreRevision(parseInt(entryId), parseInt(version));
+                    return;
+                }
+            }
+
+            // No preventDefault: the checkbox keeps its native toggle
+            if (action === 'select-entry') {
+                const entryId = element.getAttribute('data-id');
+                if (entryId) {
+                    e.stopPropagation();
+                    SelectionManager.toggle(parseInt(entryId), element.checked, e.shiftKey);
+                    return;
+                }
+            }
+
+            if (action === 'trash-restore' || action === 'trash-purge') {
+                const entryId = element.getAttribute('data-id');
+                if (entryId) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (action === 'trash-restore') {
+                        TrashModal.restore(parseInt(entryId));
+                    } else {
+                        TrashModal.purge(parseInt(entryId));
+                    }
+                    return;
+                }
+            }
+
+            if (action === 'edit') {
+                const entryId = element.getAttribute('data-id');
+                if (entryId) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.handleEdit(parseInt(entryId));
+                    return;
+                }
+            }
+
+            if (id) {
+                let handled = false;
+
+                switch (id) {
+                    case 'dismissHint':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.dismissKeyboardHint();
+                        handled = true;
+                        break;
+
+                    case 'closeModal':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        ModalManager.close();
+                        handled = true;
+                        break;
+
+                    case 'closeFormBtn':
+                    case 'cancelBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        FormManager.close();
+                        handled = true;
+                        break;
+
+                    case 'restoreDraftBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        DraftManager.restore();
+                        handled = true;
+                        break;
+
+                    case 'discardDraftBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        DraftManager.discardOffered();
+                        handled = true;
+                        break;
+
+                    case 'contentWriteTab':
+                    case 'contentPreviewTab':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        FormManager.setContentMode(id === 'contentPreviewTab' ? 'preview' : 'write');
+                        handled = true;
+                        break;
+
+                    case 'menuUndoBtn':
+                    case 'menuRedoBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        MenuManager.close();
+                        if (id === 'menuUndoBtn') {
+                            HistoryManager.undo();
+                        } else {
+                            HistoryManager.redo();
+                        }
+                        handled = true;
+                        break;
+
+                    case 'calendarBtn':
+                    case 'menuCalendarBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        if (id === 'menuCalendarBtn') MenuManager.close();
+                        CalendarModal.open();
+                        handled = true;
+                        break;
+
+                    case 'statStreakBtn':
+                    case 'menuStatsBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        if (id === 'menuStatsBtn') MenuManager.close();
+                        StatsDashboard.open();
+                        handled = true;
+                        break;
+
+                    case 'menuGraphBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        MenuManager.close();
+                        GraphModal.open();
+                        handled = true;
+                        break;
+
+                    case 'startReviewBtn':
+                    case 'menuReviewBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        if (id === 'menuReviewBtn') MenuManager.close();
+                        ReviewModal.open();
+                        handled = true;
+                        break;
+
+                    case 'revealAnswer':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        ReviewModal.reveal();
+                        handled = true;
+                        break;
+
+                    case 'toggleFormBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        FormManager.toggle();
+                        handled = true;
+                        break;
+
+                    case 'exportBtn':
+                    case 'menuExportBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        if (id === 'menuExportBtn') MenuManager.close();
+                        ExportModal.open();
+                        handled = true;
+                        break;
+
+                    case 'importBtn':
+                    case 'menuImportBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        const importFile = document.getElementById('importFile');
+                        if (importFile) importFile.click();
+                        if (id === 'menuImportBtn') MenuManager.close();
+                        handled = true;
+                        break;
+
+                    case 'selectModeBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.toggleMode();
+                        handled = true;
+                        break;
+
+                    case 'bulkSelectAllBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.selectAll();
+                        handled = true;
+                        break;
+
+                    case 'bulkClearBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.clear();
+                        handled = true;
+                        break;
+
+                    case 'bulkAddTagBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.addTags();
+                        handled = true;
+                        break;
+
+                    case 'bulkRemoveTagBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.removeTags();
+                        handled = true;
+                        break;
+
+                    case 'bulkMergeBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.mergeSelected();
+                        handled = true;
+                        break;
+
+                    case 'bulkExportBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.exportSelected();
+                        handled = true;
+                        break;
+
+                    case 'bulkDeleteBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SelectionManager.deleteSelected();
+                        handled = true;
+                        break;
+
+                    case 'menuTrashBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        MenuManager.close();
+                        TrashModal.open();
+                        handled = true;
+                        break;
+
+                    case 'menuSecurityBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        MenuManager.close();
+                        SecurityModal.open();
+                        handled = true;
+                        break;
+
+                    case 'menuSyncBtn':
+                    case 'syncStatusBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        MenuManager.close();
+                        SyncModal.open();
+                        handled = true;
+                        break;
+
+                    case 'syncNowBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SyncManager.sync();
+                        handled = true;
+                        break;
 
-        if (entry.link) {
-            const link = document.createElement('a');
-            link.href = entry.link;
-            link.className = 'entry-link';
-            link.target = '_blank';
-            link.rel = 'noopener noreferrer';
-            link.innerHTML = `
-                <span aria-hidden="true">🔗</span>
-                <span>${this.escapeHtml(entry.link)}</span>
-            `;
-            entryDiv.appendChild(link);
+                    case 'syncDisconnectBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        SyncModal.disconnect();
+                        handled = true;
+                        break;
+
+                    case 'lockNowBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        LockScreen.lock();
+                        handled = true;
+                        break;
+
+                    case 'emptyTrashBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        TrashModal.empty();
+                        handled = true;
+                        break;
+
+                    case 'wipeAllBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        DataManager.clearAll({ permanent: true });
+                        handled = true;
+                        break;
+
+                    case 'clearBtn':
+                    case 'menuClearBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        DataManager.clearAll();
+                        if (id === 'menuClearBtn') MenuManager.close();
+                        handled = true;
+                        break;
+
+                    case 'themeToggle':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        ThemeManager.toggle();
+                        handled = true;
+                        break;
+
+                    case 'keyboardShortcutsBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        ModalManager.open();
+                        handled = true;
+                        break;
+
+                    case 'scrollToTop':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        ScrollToTopManager.scrollToTop();
+                        handled = true;
+                        break;
+
+                    case 'clearSearch':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        this.clearSearch();
+                        handled = true;
+                        break;
+
+                    case 'clearTagFilter':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        TagManager.clearFilter();
+                        handled = true;
+                        break;
+
+                    case 'saveSearchBtn':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        CollectionManager.showForm();
+                        handled = true;
+                        break;
+
+                    case 'cancelSaveSearch':
+                        e.preventDefault();
+                        e.stopPropagation();
+                        CollectionManager.hideForm();
+                        handled = true;
+                        break;
+                }
+
+                if (handled) return;
+            }
+
+            if (element.classList && element.classList.contains('modal-backdrop')) {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                if (DayViewModal.isOpen()) {
+                    DayViewModal.close();
+                } else if (ReviewModal.isOpen()) {
+                    ReviewModal.close();
+                } else if (CalendarModal.isOpen()) {
+                    CalendarModal.close();
+                } else if (GraphModal.isOpen()) {
+                    GraphModal.close();
+                } else if (StatsDashboard.isOpen()) {
+                    StatsDashboard.close();
+                } else if (TrashModal.isOpen()) {
+                    TrashModal.close();
+                } else if (SecurityModal.isOpen()) {
+                    SecurityModal.close();
+                } else if (SyncModal.isOpen()) {
+                    SyncModal.close();
+                } else if (ImportModal.isOpen()) {
+                    ImportModal.close();
+                } else if (ExportModal.isOpen()) {
+                    ExportModal.close();
+                } else if (ModalManager.isOpen()) {
+                    ModalManager.close();
+                }
+                return;
+            }
+
+            // NEW: Handle menu overlay click
+            if (element.classList && element.classList.contains('menu-overlay')) {
+                e.preventDefault();
+                e.stopPropagation();
+                MenuManager.close();
+                return;
+            }
+
+            element = element.parentElement;
+            attempts++;
         }
+    },
 
-        if (entry.imageUrl) {
-            const img = document.createElement('img');
-            img.src = entry.imageUrl;
-            img.alt = `Immagine per ${entry.topic}`;
-            img.className = 'entry-image';
-            img.loading = 'lazy';
-            entryDiv.appendChild(img);
+    handleDateClick(dateString) {
+        const entries = AppState.getEntries();
+        const dateEntries = entries.filter(entry => {
+            return new Date(entry.timestamp).toDateString() === dateString;
+        });
+
+        if (dateEntries.length > 0) {
+            DayViewModal.open(dateString, dateEntries);
         }
+    },
 
-        const actions = document.createElement('div');
-        actions.className = 'entry-actions';
+    handleTagFilter(tag) {
+        if (DayViewModal.isOpen()) {
+            DayViewModal.close();
+        }
+
+        if (ReviewModal.isOpen()) {
+            ReviewModal.close();
+        }
+
+        if (CalendarModal.isOpen()) {
+            CalendarModal.close();
+        }
+
+        if (GraphModal.isOpen()) {
+            GraphModal.close();
+        }
+
+        TagManager.setFilter(TagManager.activeTag === tag ? null : tag);
+    },
+
+    handleEdit(id) {
+        const entry = AppState.getEntryById(id);
+        if (!entry) {
+            ToastManager.show(I18n.t('entry.notFound'), 'error');
+            return;
+        }
+
+        if (DayViewModal.isOpen()) {
+            DayViewModal.close();
+        }
+
+        if (CalendarModal.isOpen()) {
+            CalendarModal.close();
+        }
+
+        if (GraphModal.isOpen()) {
+            GraphModal.close();
+        }
+
+        FormManager.openForEdit(entry);
+    },
+
+    handleDelete(id) {
+        const success = AppState.deleteEntry(id);
+
+        if (success) {
+            const entryElement = document.querySelector(`[data-id="${id}"]`);
+            if (entryElement) {
+                const card = entryElement.closest('.entry-card');
+                if (card) card.classList.add('deleting');
+            }
+
+            if (DayViewModal.isOpen()) {
+                setTimeout(() => {
+                    DayViewModal.close();
+                }, 300);
+            }
+
+            ToastManager.show(I18n.t('entry.trashed'), 'undo', HistoryManager.undoOptions());
+        }
+    },
+
+    dismissKeyboardHint() {
+        const hint = document.getElementById('keyboardHint');
+        if (!hint) return;
+
+        hint.style.opacity = '0';
+        hint.style.transform = 'translateX(100px)';
+        hint.style.transition = 'all 200ms';
+
+        setTimeout(() => {
+            hint.setAttribute('hidden', '');
+            hint.style.display = 'none';
+        }, 200);
+
+        localStorage.setItem(CONFIG.HINT_DISMISSED_KEY, 'true');
+    },
+
+    clearSearch() {
+        const searchInput = document.getElementById('searchInput');
+        const clearBtn = document.getElementById('clearSearch');
+        
+        if (searchInput) {
+            searchInput.value = '';
+            searchInput.focus();
+        }
+        
+        if (clearBtn) {
+            clearBtn.setAttribute('hidden', '');
+        }
+        
+        SearchHandler.currentQuery = '';
+        SearchHandler.performSearch('');
+    }
+};
+
+/* ====================================
+   SEARCH HANDLER WITH DEBOUNCING
+   ==================================== */
+
+const SearchHandler = {
+    debouncedSearch: null,
+    currentQuery: '',
+    currentResults: [],
+
+    init() {
+        this.debouncedSearch = debounce((query) => {
+            this.performSearch(query);
+        }, CONFIG.DEBOUNCE_DELAY);
+
+        const searchInput = document.getElementById('searchInput');
+        const clearBtn = document.getElementById('clearSearch');
+        
+        if (searchInput) {
+            searchInput.addEventListener('input', (e) => {
+                this.currentQuery = e.target.value;
+                this.debouncedSearch(this.currentQuery);
+                
+                if (clearBtn) {
+                    if (this.currentQuery.length > 0) {
+                        clearBtn.removeAttribute('hidden');
+                    } else {
+                        clearBtn.setAttribute('hidden', '');
+                    }
+                }
+            });
+        }
+    },
+
+    performSearch(query) {
+        const entries = AppState.getEntries();
+        const results = TagManager.filter(SearchManager.search(query, entries));
+        this.currentResults = results;
+        RenderManager.render(results, query, {
+            ranked: SearchManager.isRanked(query),
+            filterKey: [query, TagManager.activeTag, SearchManager.sortMode].join('\n')
+        });
+        this.updateSortControl(query);
+        CollectionManager.render();
+    },
+
+    // Replaces what is in the search box, as if it had been typed
+    setQuery(query) {
+        const searchInput = document.getElementById('searchInput');
+        const clearBtn = document.getElementById('clearSearch');
 
-        const editBtn = document.createElement('button');
-        editBtn.className = 'btn btn-secondary';
-        editBtn.setAttribute('data-action', 'edit');
-        editBtn.setAttribute('data-id', entry.id);
-        editBtn.setAttribute('aria-label', `Modifica apprendimento: ${entry.topic}`);
-        editBtn.innerHTML = '<span aria-hidden="true">✏️</span> Modifica';
+        this.currentQuery = query;
+        if (searchInput) searchInput.value = query;
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'btn btn-danger';
-        deleteBtn.setAttribute('data-action', 'delete');
-        deleteBtn.setAttribute('data-id', entry.id);
-        deleteBtn.setAttribute('aria-label', `Elimina apprendimento: ${entry.topic}`);
-        deleteBtn.innerHTML = '<span aria-hidden="true">🗑</span> Elimina';
+        if (clearBtn) {
+            if (query.length > 0) {
+                clearBtn.removeAttribute('hidden');
+            } else {
+                clearBtn.setAttribute('hidden', '');
+            }
+        }
 
-        actions.appendChild(editBtn);
-        actions.appendChild(deleteBtn);
-        entryDiv.appendChild(actions);
+        this.performSearch(query);
+    },
 
-        return entryDiv;
+    isFiltered() {
+        return Boolean(this.currentQuery.trim() || TagManager.activeTag);
     },
 
-    groupByDate(entries) {
-        const groups = {};
+    setSortMode(mode) {
+        SearchManager.setSortMode(mode);
+        this.performSearch(this.currentQuery);
+    },
 
-        entries.forEach(entry => {
-            const date = new Date(entry.timestamp).toDateString();
-            if (!groups[date]) {
-                groups[date] = [];
-            }
-            groups[date].push(entry);
-        });
+    updateSortControl(query) {
+        const control = document.getElementById('searchSort');
+        if (!control) return;
 
-        return groups;
-    },
+        if (query.trim()) {
+            control.removeAttribute('hidden');
+        } else {
+            control.setAttribute('hidden', '');
+        }
 
-    clearEntries() {
-        const container = document.getElementById('entriesContainer');
-        const cards = container.querySelectorAll('.entry-card');
-        cards.forEach(card => card.remove());
+        control.querySelectorAll('[data-sort]').forEach(option => {
+            const selected = option.getAttribute('data-sort') === SearchManager.sortMode;
+            option.classList.toggle('active', selected);
+            option.setAttribute('aria-checked', String(selected));
+        });
     }
 };
 
 /* ====================================
-   DATA MANAGER
+   SAVED SEARCHES (Smart collections)
+   A query kept under a name; its count is worked
+   out again whenever the entries change
    ==================================== */
 
-const DataManager = {
-    export() {
-        const entries = AppState.getEntries();
-        const dataStr = JSON.stringify(entries, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+const CollectionManager = {
+    // { id, name, query, pinned, createdAt }, in the order they were saved
+    collections: [],
+    // Count by query, kept until the entries change: typing in the search box
+    // redraws the bar without running every saved query again
+    counts: new Map(),
+    writing: Promise.resolve(),
+    bar: null,
+    form: null,
 
-        const timestamp = new Date().toISOString().split('T')[0];
-        const filename = `learning-diary-${timestamp}.json`;
+    init() {
+        this.bar = document.getElementById('collectionsBar');
+        this.form = document.getElementById('saveSearchForm');
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitForm();
+            });
+        }
 
-        ToastManager.show(`Esportati ${entries.length} apprendimenti`, 'success');
+        this.render();
     },
 
-    import(file) {
-        const reader = new FileReader();
+    get(id) {
+        return this.collections.find(collection => collection.id === id) || null;
+    },
 
-        reader.onload = (e) => {
-            try {
-                const imported = JSON.parse(e.target.result);
+    findByQuery(query) {
+        const trimmed = query.trim();
+        return this.collections.find(collection => collection.query === trimmed) || null;
+    },
 
-                if (!Array.isArray(imported)) {
-                    throw new Error('Formato file non valido');
-                }
+    // Invalid items are dropped and the rest get fresh ids: used for storage and for imports
+    normalize(list) {
+        if (!Array.isArray(list)) return [];
+
+        return list
+            .filter(item => item && typeof item.name === 'string' && typeof item.query === 'string' &&
+                item.name.trim() && item.query.trim())
+            .map((item, i) => ({
+                id: Number.isSafeInteger(item.id) ? item.id : Date.now() + i,
+                name: item.name.trim().slice(0, CONFIG.COLLECTION_NAME_MAX_LENGTH),
+                query: item.query.trim(),
+                pinned: item.pinned === true,
+                createdAt: Number.isFinite(item.createdAt) ? item.createdAt : Date.now()
+            }));
+    },
 
-                const currentEntries = AppState.getEntries();
-                const currentIds = new Set(currentEntries.map(e => e.id));
+    // Same name or same query as a saved one means it is already there
+    isKnown(item) {
+        const name = item.name.toLowerCase();
+        return this.collections.some(collection =>
+            collection.name.toLowerCase() === name || collection.query === item.query);
+    },
 
-                const newEntries = imported.filter(entry => {
-                    return entry.id &&
-                        entry.topic &&
-                        entry.content &&
-                        entry.timestamp &&
-                        !currentIds.has(entry.id);
-                });
+    // The collections of an import that are not saved yet
+    findNew(list) {
+        const fresh = [];
+        this.normalize(list).forEach(item => {
+            const name = item.name.toLowerCase();
+            if (this.isKnown(item) || fresh.some(other => other.name.toLowerCase() === name || other.query === item.query)) return;
+            fresh.push(item);
+        });
+        return fresh;
+    },
 
-                if (newEntries.length === 0) {
-                    ToastManager.show('Nessun nuovo apprendimento da importare', 'warning');
-                    return;
-                }
+    // Collections are encrypted like the drafts when the diary is
+    async load() {
+        try {
+            let saved = JSON.parse(localStorage.getItem(CONFIG.COLLECTIONS_KEY));
+            if (CryptoManager.isCipher(saved)) {
+                saved = JSON.parse(await CryptoManager.decrypt(saved));
+            }
+            this.collections = this.normalize(saved);
+        } catch (e) {
+            console.error('Failed to load collections:', e);
+            this.collections = [];
+        }
 
-                const merged = [...currentEntries, ...newEntries]
-                    .sort((a, b) => b.timestamp - a.timestamp);
+        this.render();
+    },
 
-                AppState.setEntries(merged);
+    // Locking: the decrypted collections go until the next load()
+    unload() {
+        this.collections = [];
+        this.clearCounts();
+        this.render();
+    },
 
-                ToastManager.show(
-                    `Importati ${newEntries.length} nuovi apprendimenti`,
-                    'success'
-                );
-            } catch (err) {
-                console.error('Import error:', err);
-                ToastManager.show('Errore nell\'importazione del file', 'error');
-            }
-        };
+    save() {
+        const collections = [...this.collections];
+        this.writing = this.writing.then(() => this.write(collections));
 
-        reader.onerror = () => {
-            ToastManager.show('Errore nella lettura del file', 'error');
-        };
+        this.render();
+        return this.writing;
+    },
 
-        reader.readAsText(file);
+    async write(collections) {
+        if (CryptoManager.isLocked()) return;
+
+        try {
+            if (collections.length === 0) {
+                localStorage.removeItem(CONFIG.COLLECTIONS_KEY);
+                return;
+            }
+
+            const json = JSON.stringify(collections);
+            const value = CryptoManager.isUnlocked()
+                ? JSON.stringify(await CryptoManager.encrypt(json))
+                : json;
+            localStorage.setItem(CONFIG.COLLECTIONS_KEY, value);
+        } catch (e) {
+            console.error('Failed to save collections:', e);
+        }
     },
 
-    clearAll() {
-        const confirmed = confirm(
-            'Sei sicuro di voler cancellare TUTTI i dati?\n\n' +
-            'Questa operazione non può essere annullata.\n\n' +
-            'Consiglio: esporta prima i dati come backup.'
-        );
+    add(name, query, pinned = false) {
+        const [collection] = this.normalize([{ name, query, pinned }]);
+        if (!collection) return null;
 
-        if (confirmed) {
-            AppState.clearAll();
-            ToastManager.show('Tutti i dati sono stati cancellati', 'info');
+        if (this.isKnown(collection)) {
+            ToastManager.show(I18n.t(this.findByQuery(collection.query) ? 'collections.queryExists' : 'collections.nameExists'), 'warning');
+            return null;
         }
-    }
-};
 
-/* ====================================
-   FORM HANDLER
-   ==================================== */
+        this.collections.push(collection);
+        this.save();
+        ToastManager.show(I18n.t('collections.saved', { name: collection.name }), 'success');
+        return collection;
+    },
 
-const FormHandler = {
-    init() {
-        const form = document.getElementById('addForm');
-        const contentTextarea = document.getElementById('content');
-        const contentCounter = document.getElementById('contentCounter');
+    // Imported collections have already been checked by findNew
+    addAll(list) {
+        if (list.length === 0) return;
 
-        if (form) {
-            form.addEventListener('submit', (e) => this.handleSubmit(e));
-        }
+        this.collections.push(...list);
+        this.save();
+    },
 
-        if (contentTextarea && contentCounter) {
-            contentTextarea.addEventListener('input', () => {
-                CharacterCounter.update(contentTextarea, contentCounter);
-            });
+    remove(id) {
+        const index = this.collections.findIndex(collection => collection.id === id);
+        if (index === -1) return;
+
+        const [removed] = this.collections.splice(index, 1);
+        this.save();
+
+        ToastManager.show(I18n.t('collections.removed', { name: removed.name }), 'undo', {
+            showUndo: true,
+            onUndo: () => {
+                if (this.isKnown(removed)) return;
+                this.collections.splice(Math.min(index, this.collections.length), 0, removed);
+                this.save();
+            }
+        });
+    },
+
+    togglePin(id) {
+        const collection = this.get(id);
+        if (!collection) return;
+
+        collection.pinned = !collection.pinned;
+        this.save();
+    },
+
+    apply(id) {
+        const collection = this.get(id);
+        if (collection) SearchHandler.setQuery(collection.query);
+    },
+
+    // Counts ignore the tag filter: a collection is its query alone
+    count(collection) {
+        if (!this.counts.has(collection.query)) {
+            this.counts.set(collection.query, SearchManager.search(collection.query, AppState.getEntries()).length);
         }
+        return this.counts.get(collection.query);
     },
 
-    handleSubmit(e) {
-        e.preventDefault();
+    clearCounts() {
+        this.counts.clear();
+    },
 
-        const editId = document.getElementById('editId').value;
-        const isEditMode = editId !== '';
+    isFormOpen() {
+        return Boolean(this.form && !this.form.hasAttribute('hidden'));
+    },
 
-        const formData = {
-            topic: document.getElementById('topic').value.trim(),
-            content: document.getElementById('content').value.trim(),
-            link: document.getElementById('link').value.trim(),
-            imageUrl: document.getElementById('imageUrl').value.trim()
-        };
+    showForm() {
+        if (!this.form || !SearchHandler.currentQuery.trim()) return;
 
-        const validation = Validator.validateEntry(formData);
+        const name = this.form.querySelector('#collectionName');
+        name.value = SearchHandler.currentQuery.trim().slice(0, CONFIG.COLLECTION_NAME_MAX_LENGTH);
+        this.form.querySelector('#collectionPinned').checked = false;
 
-        if (!validation.valid) {
-            validation.errors.forEach(error => {
-                ToastManager.show(error, 'error');
-            });
+        this.form.removeAttribute('hidden');
+        name.focus();
+        name.select();
+    },
+
+    hideForm() {
+        if (!this.form) return;
+
+        this.form.setAttribute('hidden', '');
+        this.form.reset();
+    },
+
+    submitForm() {
+        const name = this.form.querySelector('#collectionName');
+
+        if (!name.value.trim()) {
+            name.focus();
             return;
         }
 
-        if (isEditMode) {
-            const success = AppState.updateEntry(parseInt(editId), formData);
-
-            if (success) {
-                ToastManager.show('Apprendimento modificato con successo!', 'success');
-                FormManager.close();
-            } else {
-                ToastManager.show('Errore nella modifica dell\'apprendimento', 'error');
-            }
+        const saved = this.add(name.value, SearchHandler.currentQuery, this.form.querySelector('#collectionPinned').checked);
+        if (saved) {
+            this.hideForm();
+            document.getElementById('searchInput')?.focus();
         } else {
-            const entry = {
-                id: Date.now(),
-                timestamp: Date.now(),
-                ...formData
-            };
-
-            AppState.addEntry(entry);
-            ToastManager.show('Apprendimento aggiunto con successo!', 'success');
-            FormManager.close();
+            name.focus();
         }
-    }
-};
+    },
 
-/* ====================================
-   EVENT HANDLER - WITH MENU SUPPORT
-   ==================================== */
+    render() {
+        const counts = new Map(this.collections.map(collection => [collection.id, this.count(collection)]));
+        this.renderBar(counts);
+        this.renderMenu(counts);
+    },
 
-const EventHandler = {
-    init() {
-        document.addEventListener('click', (e) => {
-            this.handleClick(e);
-        }, true);
+    // One chip per collection, plus "save" while the current query is not saved yet
+    renderBar(counts) {
+        if (!this.bar) return;
 
-        const importFile = document.getElementById('importFile');
-        if (importFile) {
-            importFile.addEventListener('change', (e) => {
-                if (e.target.files.length > 0) {
-                    DataManager.import(e.target.files[0]);
-                    e.target.value = '';
-                }
-            });
+        const query = SearchHandler.currentQuery.trim();
+        const canSave = query !== '' && !this.findByQuery(query);
+
+        if (this.collections.length === 0 && !canSave) {
+            this.bar.setAttribute('hidden', '');
+            this.bar.innerHTML = '';
+            this.hideForm();
+            return;
         }
-    },
 
-    handleClick(e) {
-        const target = e.target;
+        // Names and queries may come from a backup: they go into attributes too
+        const escape = (value) => MarkdownRenderer.escapeAttribute(value);
+        const chips = this.collections.map(collection => {
+            const name = escape(collection.name);
+            const active = collection.query === query;
+
+            return `
+                <span class="collection-chip${active ? ' active' : ''}">
+                    <button type="button" class="collection-open" data-action="open-collection" data-collection="${collection.id}"
+                        title="${escape(collection.query)}" aria-pressed="${active}">
+                        ${name} <span class="collection-count">${counts.get(collection.id)}</span>
+                    </button>
+                    <button type="button" class="collection-pin${collection.pinned ? ' pinned' : ''}" data-action="pin-collection" data-collection="${collection.id}"
+                        aria-pressed="${collection.pinned}" aria-label="${I18n.t(collection.pinned ? 'collections.unpin' : 'collections.pin', { name })}"
+                        title="${I18n.t(collection.pinned ? 'collections.unpin' : 'collections.pin', { name })}">📌</button>
+                    <button type="button" class="collection-remove" data-action="remove-collection" data-collection="${collection.id}"
+                        aria-label="${I18n.t('collections.remove', { name })}">×</button>
+                </span>
+            `;
+        }).join('');
 
-        let element = target;
-        let attempts = 0;
-        const maxAttempts = 5;
+        this.bar.innerHTML = `
+            ${chips}
+            ${canSave ? `<button type="button" id="saveSearchBtn" class="sort-option save-search-btn"><span aria-hidden="true">☆</span> ${I18n.t('collections.save')}</button>` : ''}
+        `;
+        this.bar.removeAttribute('hidden');
 
-        while (element && attempts < maxAttempts) {
-            const id = element.id;
-            const action = element.getAttribute('data-action');
+        if (!canSave) this.hideForm();
+    },
 
-            // Handle date-header click
-            if (element.classList && element.classList.contains('date-header')) {
-                const date = element.getAttribute('data-date');
-                if (date) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    this.handleDateClick(date);
-                    return;
-                }
-            }
+    // Pinned collections, as menu shortcuts
+    renderMenu(counts) {
+        const container = document.getElementById('menuCollections');
+        if (!container) return;
 
-            if (action === 'delete') {
-                const entryId = element.getAttribute('data-id');
-                if (entryId) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    this.handleDelete(parseInt(entryId));
-                    return;
-                }
-            }
+        const pinned = this.collections.filter(collection => collection.pinned);
 
-            if (action === 'edit') {
-                const entryId = element.getAttribute('data-id');
-                if (entryId) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                    this.handleEdit(parseInt(entryId));
-                    return;
-                }
-            }
+        if (pinned.length === 0) {
+            container.setAttribute('hidden', '');
+            container.innerHTML = '';
+            return;
+        }
 
-            if (id) {
-                let handled = false;
+        container.innerHTML = pinned.map(collection => `
+            <button class="menu-item" role="menuitem" tabindex="-1" data-action="open-collection" data-collection="${collection.id}">
+                <span class="menu-item-icon" aria-hidden="true">🔖</span>
+                <div class="menu-item-content">
+                    <span class="menu-item-title">${RenderManager.escapeHtml(collection.name)}</span>
+                    <span class="menu-item-description">${RenderManager.escapeHtml(collection.query)} · ${I18n.t('entries.count', { count: counts.get(collection.id) })}</span>
+                </div>
+            </button>
+        `).join('');
+        container.removeAttribute('hidden');
+    }
+};
 
-                switch (id) {
-                    case 'dismissHint':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        this.dismissKeyboardHint();
-                        handled = true;
-                        break;
+/* ====================================
+   BULK SELECTION & BATCH ACTIONS
+   Every batch goes through AppState.batch:
+   one undo step, one re-render
+   ==================================== */
 
-                    case 'closeModal':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        ModalManager.close();
-                        handled = true;
-                        break;
+const SelectionManager = {
+    active: false,
+    selected: new Set(),
+    // Last checkbox clicked without Shift: the other end of a Shift+click range
+    anchor: null,
 
-                    case 'closeFormBtn':
-                    case 'cancelBtn':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        FormManager.close();
-                        handled = true;
-                        break;
+    init() {
+        // Entries that left the list (deleted, undone, merged) leave the selection too
+        AppState.subscribe((action) => {
+            if (['delete', 'clear', 'load'].includes(action)) {
+                this.prune();
+            }
+        });
 
-                    case 'toggleFormBtn':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        FormManager.toggle();
-                        handled = true;
-                        break;
+        this.updateToolbar();
+    },
 
-                    case 'exportBtn':
-                    case 'menuExportBtn':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        DataManager.export();
-                        if (id === 'menuExportBtn') MenuManager.close();
-                        handled = true;
-                        break;
+    toggleMode() {
+        if (this.active) {
+            this.exit();
+        } else {
+            this.active = true;
+            this.refresh();
+        }
+    },
 
-                    case 'importBtn':
-                    case 'menuImportBtn':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        const importFile = document.getElementById('importFile');
-                        if (importFile) importFile.click();
-                        if (id === 'menuImportBtn') MenuManager.close();
-                        handled = true;
-                        break;
+    exit() {
+        this.active = false;
+        this.selected.clear();
+        this.anchor = null;
+        this.refresh();
+    },
 
-                    case 'clearBtn':
-                    case 'menuClearBtn':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        DataManager.clearAll();
-                        if (id === 'menuClearBtn') MenuManager.close();
-                        handled = true;
-                        break;
+    isSelected(id) {
+        return this.selected.has(id);
+    },
 
-                    case 'themeToggle':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        ThemeManager.toggle();
-                        handled = true;
-                        break;
+    // Checkboxes only exist while selection mode is on, so toggling it re-renders the list
+    refresh() {
+        SearchHandler.performSearch(SearchHandler.currentQuery);
+        this.updateToolbar();
+    },
 
-                    case 'keyboardShortcutsBtn':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        ModalManager.open();
-                        handled = true;
-                        break;
+    // Ids of the rendered checkboxes, in list order
+    getVisibleIds() {
+        return [...document.querySelectorAll('#entriesContainer [data-action="select-entry"]')]
+            .map(checkbox => parseInt(checkbox.getAttribute('data-id')));
+    },
 
-                    case 'scrollToTop':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        ScrollToTopManager.scrollToTop();
-                        handled = true;
-                        break;
+    // Shift+click applies the clicked checkbox state to the whole range from the anchor
+    toggle(id, checked, range = false) {
+        const visible = this.getVisibleIds();
+        const from = visible.indexOf(this.anchor);
+        const to = visible.indexOf(id);
 
-                    case 'clearSearch':
-                        e.preventDefault();
-                        e.stopPropagation();
-                        this.clearSearch();
-                        handled = true;
-                        break;
-                }
+        const ids = range && from !== -1 && to !== -1
+            ? visible.slice(Math.min(from, to), Math.max(from, to) + 1)
+            : [id];
 
-                if (handled) return;
+        ids.forEach(entryId => {
+            if (checked) {
+                this.selected.add(entryId);
+            } else {
+                this.selected.delete(entryId);
             }
+        });
 
-            if (element.classList && element.classList.contains('modal-backdrop')) {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                if (DayViewModal.isOpen()) {
-                    DayViewModal.close();
-                } else if (ModalManager.isOpen()) {
-                    ModalManager.close();
-                }
-                return;
-            }
+        if (!range) this.anchor = id;
+        this.sync();
+    },
 
-            // NEW: Handle menu overlay click
-            if (element.classList && element.classList.contains('menu-overlay')) {
-                e.preventDefault();
-                e.stopPropagation();
-                MenuManager.close();
-                return;
-            }
+    selectAll() {
+        SearchHandler.currentResults.forEach(entry => this.selected.add(entry.id));
+        this.sync();
+    },
 
-            element = element.parentElement;
-            attempts++;
-        }
+    clear() {
+        this.selected.clear();
+        this.anchor = null;
+        this.sync();
     },
 
-    handleDateClick(dateString) {
-        const entries = AppState.getEntries();
-        const dateEntries = entries.filter(entry => {
-            return new Date(entry.timestamp).toDateString() === dateString;
+    prune() {
+        const existing = new Set(AppState.getEntries().map(entry => entry.id));
+        this.selected.forEach(id => {
+            if (!existing.has(id)) this.selected.delete(id);
         });
+        this.updateToolbar();
+    },
 
-        if (dateEntries.length > 0) {
-            DayViewModal.open(dateString, dateEntries);
-        }
+    // Selected entries in list order (newest first)
+    getSelectedEntries() {
+        return AppState.getEntries().filter(entry => this.selected.has(entry.id));
     },
 
-    handleEdit(id) {
-        const entry = AppState.getEntryById(id);
-        if (!entry) {
-            ToastManager.show('Apprendimento non trovato', 'error');
-            return;
+    // Updates checkboxes and toolbar without re-rendering the list
+    sync() {
+        document.querySelectorAll('#entriesContainer [data-action="select-entry"]').forEach(checkbox => {
+            const checked = this.selected.has(parseInt(checkbox.getAttribute('data-id')));
+            checkbox.checked = checked;
+            checkbox.closest('.entry')?.classList.toggle('selected', checked);
+        });
+
+        this.updateToolbar();
+    },
+
+    updateToolbar() {
+        const toolbar = document.getElementById('bulkBar');
+        const toggle = document.getElementById('selectModeBtn');
+        const count = this.selected.size;
+
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(this.active));
+            toggle.innerHTML = this.active
+                ? `<span aria-hidden="true">✕</span> ${I18n.t('selection.done')}`
+                : `<span aria-hidden="true">☑</span> ${I18n.t('selection.start')}`;
         }
 
-        if (DayViewModal.isOpen()) {
-            DayViewModal.close();
+        if (!toolbar) return;
+
+        if (this.active) {
+            toolbar.removeAttribute('hidden');
+        } else {
+            toolbar.setAttribute('hidden', '');
         }
 
-        FormManager.openForEdit(entry);
+        const label = document.getElementById('bulkCount');
+        if (label) {
+            label.textContent = I18n.t('selection.count', { count });
+        }
+
+        toolbar.querySelectorAll('[data-bulk-min]').forEach(button => {
+            button.disabled = count < parseInt(button.getAttribute('data-bulk-min'));
+        });
     },
 
-    handleDelete(id) {
-        const success = AppState.deleteEntry(id);
+    readTags() {
+        const input = document.getElementById('bulkTagInput');
+        const tags = TagManager.normalize(input ? input.value : '');
 
-        if (success) {
-            const entryElement = document.querySelector(`[data-id="${id}"]`);
-            if (entryElement) {
-                const card = entryElement.closest('.entry-card');
-                if (card) card.classList.add('deleting');
-            }
+        if (tags.length === 0) {
+            ToastManager.show(I18n.t('selection.tagRequired'), 'warning');
+            if (input) input.focus();
+        }
 
-            if (DayViewModal.isOpen()) {
-                setTimeout(() => {
-                    DayViewModal.close();
-                }, 300);
+        return tags;
+    },
+
+    addTags() {
+        const tags = this.readTags();
+        if (tags.length === 0) return;
+
+        let skipped = 0;
+        const updates = [];
+
+        this.getSelectedEntries().forEach(entry => {
+            const current = entry.tags || [];
+            if (tags.every(tag => current.includes(tag))) return;
+
+            const next = TagManager.normalize([...current, ...tags]);
+            if (!Validator.validateEntry({ ...entry, tags: next }).valid) {
+                skipped++;
+                return;
             }
 
-            ToastManager.show('Apprendimento eliminato', 'undo', {
-                showUndo: true,
-                onUndo: () => {
-                    AppState.undoDelete();
-                    ToastManager.show('Eliminazione annullata', 'success');
-                }
-            });
-        }
-    },
+            updates.push({ id: entry.id, data: { tags: next } });
+        });
 
-    dismissKeyboardHint() {
-        const hint = document.getElementById('keyboardHint');
-        if (!hint) return;
+        const changed = AppState.batch({ key: 'history.addTags', params: { tags: tags.map(tag => `#${tag}`).join(' ') } }, { updates });
+        this.reportTags(changed, skipped, 'selection.tagsAdded');
+    },
 
-        hint.style.opacity = '0';
-        hint.style.transform = 'translateX(100px)';
-        hint.style.transition = 'all 200ms';
+    removeTags() {
+        const tags = this.readTags();
+        if (tags.length === 0) return;
 
-        setTimeout(() => {
-            hint.setAttribute('hidden', '');
-            hint.style.display = 'none';
-        }, 200);
+        const updates = this.getSelectedEntries()
+            .filter(entry => (entry.tags || []).some(tag => tags.includes(tag)))
+            .map(entry => ({ id: entry.id, data: { tags: entry.tags.filter(tag => !tags.includes(tag)) } }));
 
-        localStorage.setItem(CONFIG.HINT_DISMISSED_KEY, 'true');
+        const changed = AppState.batch({ key: 'history.removeTags', params: { tags: tags.map(tag => `#${tag}`).join(' ') } }, { updates });
+        this.reportTags(changed, 0, 'selection.tagsRemoved');
     },
 
-    clearSearch() {
-        const searchInput = document.getElementById('searchInput');
-        const clearBtn = document.getElementById('clearSearch');
-        
-        if (searchInput) {
-            searchInput.value = '';
-            searchInput.focus();
+    reportTags(changed, skipped, messageKey) {
+        if (changed === 0 && skipped === 0) {
+            ToastManager.show(I18n.t('selection.nothingToChange'), 'info');
+            return;
         }
-        
-        if (clearBtn) {
-            clearBtn.setAttribute('hidden', '');
+
+        if (changed > 0) {
+            ToastManager.show(I18n.t(messageKey, { count: changed }), 'success', HistoryManager.undoOptions());
         }
-        
-        SearchHandler.performSearch('');
-    }
-};
 
-/* ====================================
-   SEARCH HANDLER WITH DEBOUNCING
-   ==================================== */
+        if (skipped > 0) {
+            ToastManager.show(
+                I18n.t('selection.tagLimit', { count: skipped, max: CONFIG.VALIDATION.tags.maxCount }),
+                'warning'
+            );
+        }
+    },
 
-const SearchHandler = {
-    debouncedSearch: null,
-    currentQuery: '',
+    deleteSelected() {
+        const ids = this.getSelectedEntries().map(entry => entry.id);
+        if (ids.length === 0) return;
 
-    init() {
-        this.debouncedSearch = debounce((query) => {
-            this.performSearch(query);
-        }, CONFIG.DEBOUNCE_DELAY);
+        const changed = AppState.batch({ key: 'history.deleteMany', params: { count: ids.length } }, { deletes: ids });
+        ToastManager.show(
+            I18n.t('selection.trashed', { count: changed }),
+            'undo',
+            HistoryManager.undoOptions()
+        );
+    },
 
-        const searchInput = document.getElementById('searchInput');
-        const clearBtn = document.getElementById('clearSearch');
-        
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                this.currentQuery = e.target.value;
-                this.debouncedSearch(this.currentQuery);
-                
-                if (clearBtn) {
-                    if (this.currentQuery.length > 0) {
-                        clearBtn.removeAttribute('hidden');
-                    } else {
-                        clearBtn.setAttribute('hidden', '');
-                    }
-                }
-            });
-        }
+    exportSelected() {
+        const entries = this.getSelectedEntries();
+        if (entries.length > 0) ExportModal.open(entries);
     },
 
-    performSearch(query) {
-        const entries = AppState.getEntries();
-        const results = SearchManager.search(query, entries);
-        RenderManager.render(results, query);
+    // One entry out of several: the oldest keeps its id, date and review schedule,
+    // the others become "##" sections of its content and go to the trash
+    buildMerged(entries) {
+        const ordered = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+        const [first] = ordered;
+
+        return {
+            id: first.id,
+            data: {
+                topic: first.topic,
+                content: ordered.map(entry => `## ${entry.topic}\n\n${entry.content.trim()}`).join('\n\n'),
+                tags: TagManager.normalize(ordered.flatMap(entry => entry.tags || [])),
+                link: ordered.map(entry => entry.link).find(Boolean) || '',
+                imageUrl: ordered.map(entry => entry.imageUrl).find(Boolean) || ''
+            },
+            others: ordered.slice(1).map(entry => entry.id)
+        };
+    },
+
+    mergeSelected() {
+        const entries = this.getSelectedEntries();
+        if (entries.length < 2) return;
+
+        const merged = this.buildMerged(entries);
+        const validation = Validator.validateEntry(merged.data);
+        if (!validation.valid) {
+            ToastManager.show(I18n.t('selection.mergeFailed', { errors: validation.errors.join('; ') }), 'error');
+            return;
+        }
+
+        AppState.batch({ key: 'history.merge', params: { count: entries.length } }, {
+            updates: [{ id: merged.id, data: merged.data }],
+            deletes: merged.others
+        });
+
+        this.clear();
+        ToastManager.show(I18n.t('selection.merged', { count: entries.length, topic: merged.data.topic }), 'success', HistoryManager.undoOptions());
     }
 };
 
@@ -1954,6 +11116,96 @@ const KeyboardHintManager = {
     }
 };
 
+/* ====================================
+   SERVICE WORKER (Offline / PWA)
+   ==================================== */
+
+const ServiceWorkerManager = {
+    registration: null,
+    updateAccepted: false,
+
+    init() {
+        // Service workers need a secure context (https or localhost)
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                this.registration = registration;
+
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.promptUpdate(registration.waiting);
+                }
+
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    if (!worker) return;
+
+                    worker.addEventListener('statechange', () => {
+                        // Without a controller this is the first install, not an update
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.promptUpdate(worker);
+                        }
+                    });
+                });
+            })
+            .catch(err => console.error('Service worker registration failed:', err));
+
+        // The new worker took over after the user accepted the update
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) window.location.reload();
+        });
+
+        // Long-lived tabs check for a new version when they come back into view
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.registration) {
+                this.registration.update().catch(() => {});
+            }
+        });
+
+        AppState.subscribe((action, data) => {
+            switch (action) {
+                case 'add':
+                case 'update':
+                case 'restore':
+                    this.cacheImages([data]);
+                    break;
+                case 'load':
+                    this.cacheImages(AppState.getEntries());
+                    break;
+            }
+        });
+    },
+
+    promptUpdate(worker) {
+        ToastManager.show(I18n.t('app.updateAvailable'), 'info', {
+            actionLabel: I18n.t('app.update'),
+            duration: 0,
+            onAction: () => {
+                this.updateAccepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+    },
+
+    // Asks the worker to store entry images so they show up offline (those
+    // served with CORS: the others cannot be cached without wasting quota)
+    cacheImages(entries) {
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        const urls = entries
+            .map(entry => entry && entry.imageUrl)
+            .filter(url => url && Validator.isHttpUrl(url));
+
+        if (urls.length === 0) return;
+
+        navigator.serviceWorker.ready.then(registration => {
+            if (registration.active) {
+                registration.active.postMessage({ type: 'CACHE_IMAGES', urls });
+            }
+        });
+    }
+};
+
 /* ====================================
    APP INITIALIZATION
    ==================================== */
@@ -1961,24 +11213,48 @@ const KeyboardHintManager = {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('🚀 Learning Diary v4.2.0 (Hamburger Menu) initializing...');
 
+    I18n.init();
     RenderManager.showSkeleton();
 
     ToastManager.init();
     ThemeManager.init();
     ModalManager.init();
     DayViewModal.init();
+    ReviewModal.init();
+    CalendarModal.init();
+    StatsDashboard.init();
+    GraphModal.init();
+    TrashModal.init();
+    LockScreen.init();
+    SecurityModal.init();
+    SyncModal.init();
+    ExportModal.init();
+    ImportModal.init();
+    HistoryManager.init();
     MenuManager.init(); // NEW
     KeyboardManager.init();
     KeyboardHintManager.init();
     ScrollToTopManager.init();
     FormManager.init();
+    DraftManager.init();
     RippleEffect.initAll();
 
-    AppState.load();
+    SearchManager.init();
+    SearchIndex.init();
+    WikiLinks.init();
+    Attachments.init();
+    TabSync.init();
+    const loaded = LockScreen.unlockAtStartup().then(() => AppState.load());
 
     FormHandler.init();
+    LinkAutocomplete.init();
+    ImageInput.init();
     EventHandler.init();
     SearchHandler.init();
+    CollectionManager.init();
+    SelectionManager.init();
+    SyncManager.init();
+    ServiceWorkerManager.init();
 
     AppState.subscribe((action, data) => {
         const entries = AppState.getEntries();
@@ -1990,22 +11266,49 @@ document.addEventListener('DOMContentLoaded', () => {
             case 'restore':
             case 'clear':
             case 'load':
+                SearchManager.clearCache();
+                CollectionManager.clearCounts();
                 SearchHandler.performSearch(SearchHandler.currentQuery);
                 StatisticsCalculator.update(entries);
-                SearchManager.clearCache();
+                CalendarModal.refresh();
+                DayViewModal.refresh();
+                GraphModal.refresh();
                 break;
 
-            case 'deleteConfirmed':
-                const entryElement = document.querySelector(`[data-id="${data}"]`);
-                if (entryElement) {
-                    const card = entryElement.closest('.entry-card');
-                    if (card) card.classList.remove('deleting');
-                }
+            case 'review':
+                // Cached results still hold the entry as it was before the review
+                SearchManager.clearCache();
+                StatisticsCalculator.update(entries);
                 break;
         }
     });
 
-    setTimeout(() => {
+    // I18n.apply() has already translated the static markup: this redraws
+    // what the modules built themselves
+    I18n.subscribe(() => {
+        RenderManager.clearEntries();
+        SearchHandler.performSearch(SearchHandler.currentQuery);
+        StatisticsCalculator.update(AppState.getEntries());
+        SelectionManager.updateToolbar();
+        HistoryManager.updateMenu();
+        FormManager.updateLabels();
+        DraftManager.renderMenu();
+        if (DraftManager.offered) DraftManager.offer(DraftManager.offered);
+        SyncManager.render();
+        SyncModal.refresh();
+        CalendarModal.refresh();
+        DayViewModal.refresh();
+        GraphModal.refresh();
+        TrashModal.refresh();
+    });
+
+    loaded.then(() => TabSync.start());
+    // The drafts may be the only thing still pointing to an image
+    loaded.then(() => Promise.all([DraftManager.load(), CollectionManager.load()]))
+        .then(() => SecurityModal.resume())
+        .then(() => Attachments.prune());
+
+    loaded.then(() => setTimeout(() => {
         const entries = AppState.getEntries();
         RenderManager.render(entries);
         StatisticsCalculator.update(entries);
@@ -2014,9 +11317,1062 @@ document.addEventListener('DOMContentLoaded', () => {
             appInitialized = true;
             console.log('✅ App initialization complete - DayViewModal enabled');
         }, 100);
-    }, 300);
+
+        SyncManager.start();
+
+        // "Nuovo apprendimento" shortcut of the installed app (manifest.json)
+        if (new URLSearchParams(window.location.search).get('action') === 'new') {
+            FormManager.open();
+        }
+    }, 300));
 
     console.log('✅ Learning Diary v4.2.0 initialized');
     console.log(`✅ OS detected: ${OS.isMac ? 'macOS' : 'Windows/Linux'}`);
     console.log('✅ MenuManager ready - Alt+M to toggle');
-});
\ No newline at end of file
+});
+
+/* ====================================
+   MESSAGES
+   One catalogue per locale, keys grouped by
+   feature. Italian is the reference: a key
+   missing from another locale falls back to it
+   ==================================== */
+
+const MESSAGES = {
+    it: {
+        // Storage and history
+        'storage.saveFailed': 'Impossibile salvare i dati. Storage pieno?',
+        'storage.loadFailed': 'Errore nel caricamento dei dati',
+        'storage.upgradeBlocked': 'Chiudi le altre schede del diario per completare l\'aggiornamento dei dati.',
+        'storage.versionChanged': 'Il diario è stato aggiornato in un\'altra scheda: ricarica la pagina per continuare a salvare.',
+        'storage.reload': 'Ricarica',
+        'history.add': 'aggiunta di «{topic}»',
+        'history.edit': 'modifica di «{topic}»',
+        'history.delete': 'eliminazione di «{topic}»',
+        'history.clear': 'spostamento di tutto nel cestino',
+        'history.restore': 'ripristino di «{topic}»',
+        'history.nothingToUndo': 'Niente da annullare',
+        'history.nothingToRedo': 'Niente da ripetere',
+        'history.undone': 'Annullato: {label}',
+        'history.redone': 'Ripetuto: {label}',
+        'history.redo': 'Ripeti',
+        'history.undoStep': 'Annulla {label}',
+        'history.redoStep': 'Ripeti {label}',
+        'history.notLatest': 'Non è più l\'ultima azione: usa {key}+Z o il menu',
+        'history.import': 'importazione',
+
+        // Validation
+        'validation.topicMin': 'L\'argomento deve avere almeno {count} caratteri',
+        'validation.topicMax': 'L\'argomento non può superare {count} caratteri',
+        'validation.contentMin': 'Il contenuto deve avere almeno {count} caratteri',
+        'validation.contentMax': 'Il contenuto non può superare {count} caratteri',
+        'validation.linkInvalid': 'Il link non è un URL valido',
+        'validation.linkProtocol': 'Il link deve iniziare con http:// o https://',
+        'validation.imageInvalid': 'L\'URL dell\'immagine non è valido',
+        'validation.imageProtocol': 'L\'URL dell\'immagine deve iniziare con http:// o https://',
+        'validation.tagsInvalid': 'I tag non sono in un formato valido',
+        'validation.tagsMax': 'Puoi inserire al massimo {count} tag',
+        'validation.tagLength': 'Ogni tag non può superare {count} caratteri',
+
+        // Common
+        'common.undo': 'Annulla',
+        'common.cancel': 'Annulla',
+        'common.close': 'Chiudi',
+        'toast.close': 'Chiudi notifica',
+        'tags.filterBy': 'Filtra per tag {tag}',
+
+        // Review
+        'review.gradeAgain': 'Non ricordo',
+        'review.gradeHard': 'Difficile',
+        'review.gradeGood': 'Bene',
+        'review.gradeEasy': 'Facile',
+        'review.reveal': 'Mostra contenuto',
+        'keys.space': 'Spazio',
+        'review.done': 'Ripasso completato!',
+        'review.nothingDue': 'Niente da ripassare oggi',
+        'review.reviewed': { one: 'Hai ripassato <strong>{count}</strong> apprendimento.', other: 'Hai ripassato <strong>{count}</strong> apprendimenti.' },
+        'review.comeBack': 'Torna domani per i prossimi ripassi.',
+
+        // Form
+        'form.titleNew': 'Aggiungi nuovo apprendimento',
+        'form.titleEdit': 'Modifica apprendimento',
+        'form.add': 'Aggiungi',
+        'form.saveChanges': 'Salva modifiche',
+        'form.previewEmpty': 'Niente da visualizzare',
+        'form.deletedElsewhere': '«{topic}» è stato eliminato {where}: le modifiche non potranno essere salvate',
+        'form.changedElsewhere': '«{topic}» è stato modificato {where}',
+        'form.loadNewVersion': 'Carica la nuova versione',
+        'tabs.where': 'in un\'altra scheda',
+        'sync.where': 'su un altro dispositivo',
+        'form.edited': 'Apprendimento modificato con successo!',
+        'form.editFailed': 'Errore nella modifica dell\'apprendimento',
+        'form.added': 'Apprendimento aggiunto con successo!',
+        'entry.notFound': 'Apprendimento non trovato',
+        'entry.trashed': 'Apprendimento spostato nel cestino',
+        'form.open': 'Aggiungi Apprendimento',
+        'form.close': 'Chiudi form',
+        'form.required': 'campo obbligatorio',
+        'form.topicHelp': 'Cosa hai imparato? (min 3, max 200 caratteri)',
+        'form.contentMode': 'Modalità contenuto',
+        'form.write': 'Scrivi',
+        'form.preview': 'Anteprima',
+        'form.contentPreview': 'Anteprima contenuto',
+        'form.contentHelp': 'Descrivi in dettaglio, supporta Markdown e [[Argomento]] per collegare un altro apprendimento (min 10, max 10000 caratteri)',
+        'form.optional': 'Campi opzionali',
+        'form.tagsHelp': 'Separa i tag con una virgola (max 10)',
+        'form.link': 'Link di riferimento',
+        'form.linkHelp': 'Aggiungi un link per approfondire',
+        'form.imageUrl': 'URL immagine',
+        'form.imageHelp': 'URL di un\'immagine correlata, oppure incollane o trascinane una nel modulo',
+        'attachments.pick': 'Scegli un\'immagine',
+        'attachments.preview': 'Anteprima immagine',
+        'attachments.remove': 'Rimuovi immagine',
+        'attachments.processing': 'Ridimensionamento immagine…',
+        'attachments.added': 'Immagine allegata',
+        'attachments.failed': 'Impossibile leggere o salvare l\'immagine',
+        'attachments.badType': 'Formato non supportato: usa PNG, JPEG, WebP o GIF',
+        'attachments.tooLarge': 'Immagine troppo grande (max {size} MB)',
+        'attachments.importFailed': 'Alcune immagini del backup non sono state salvate',
+        'attachments.storageFull': 'Spazio esaurito: l\'immagine non è stata salvata. Elimina immagini o apprendimenti che non ti servono più.',
+        'attachments.missing': 'Immagine non presente su questo dispositivo',
+
+        // Drafts
+        'drafts.notice': 'Hai una bozza non salvata ({when}).',
+        'drafts.restore': 'Ripristina',
+        'drafts.discard': 'Scarta',
+        'drafts.restored': 'Bozza ripristinata',
+        'drafts.discarded': 'Bozza scartata',
+        'drafts.newDraftPending': 'L\'apprendimento di questa bozza è stato eliminato. Salva o scarta prima la bozza del nuovo apprendimento.',
+        'drafts.openedAsNew': 'L\'apprendimento è stato eliminato: la bozza è stata aperta come nuovo apprendimento',
+        'drafts.untitled': 'Senza titolo',
+        'drafts.kindNew': 'Nuovo apprendimento',
+        'drafts.kindEdit': 'Modifica',
+        'drafts.menuTitle': 'Bozza: {title}',
+
+        // Entries
+        'entry.edit': 'Modifica',
+        'entry.delete': 'Elimina',
+        'entry.imageAlt': 'Immagine per {topic}',
+        'entries.count': { one: '{count} apprendimento', other: '{count} apprendimenti' },
+        'entry.editLabel': 'Modifica apprendimento: {topic}',
+        'entry.deleteLabel': 'Elimina apprendimento: {topic}',
+        'entries.openDay': 'Clicca per visualizzare la giornata',
+        'entries.showMore': { one: 'Mostra altri {next} ({count} rimanente)', other: 'Mostra altri {next} ({count} rimanenti)' },
+        'search.rankedResults': { one: '{count} risultato per pertinenza', other: '{count} risultati per pertinenza' },
+        'selection.selectEntry': 'Seleziona: {topic}',
+        'links.missing': 'Nessun apprendimento con questo argomento',
+        'links.notFound': 'L\'apprendimento collegato non esiste più',
+        'links.referencedBy': 'Citato da:',
+        'links.suggestions': 'Apprendimenti da collegare',
+
+        // Fields
+        'fields.topic': 'Argomento',
+        'fields.content': 'Contenuto',
+        'fields.link': 'Link',
+        'fields.image': 'Immagine',
+        'fields.tags': 'Tag',
+        'fields.date': 'Data',
+        'fields.id': 'ID',
+        'fields.updatedAt': 'Ultima modifica',
+
+        // Day view and revisions
+        'dayView.count': { one: '<strong>{count}</strong> apprendimento in questo giorno', other: '<strong>{count}</strong> apprendimenti in questo giorno' },
+        'revisions.button': 'Cronologia',
+        'revisions.panelLabel': 'Cronologia di {topic}',
+        'revisions.none': 'Nessuna versione precedente: le modifiche future verranno conservate qui.',
+        'revisions.restore': 'Ripristina',
+        'revisions.from': 'Da',
+        'revisions.to': 'A',
+        'revisions.identical': 'Le due versioni sono identiche.',
+        'revisions.emptyField': 'vuoto',
+        'revisions.current': 'Versione attuale · {when}',
+        'revisions.sameAsCurrent': 'Questa versione è uguale a quella attuale',
+        'revisions.restored': 'Versione ripristinata ({when})',
+
+        // Dates
+        'dates.today': 'Oggi',
+        'dates.yesterday': 'Ieri',
+        'dates.todayInline': 'oggi',
+        'dates.yesterdayInline': 'ieri',
+
+        // Calendar
+        'calendar.activityIn': 'Attività nel {year}',
+        'calendar.less': 'Meno',
+        'calendar.more': 'Più',
+        'calendar.previousMonth': 'Mese precedente',
+        'calendar.nextMonth': 'Mese successivo',
+
+        // Statistics
+        'stats.currentStreak': 'Serie attuale',
+        'stats.longestStreak': 'Serie più lunga',
+        'stats.days': { one: 'giorno', other: 'giorni' },
+        'stats.averageLength': 'Lunghezza media',
+        'stats.characters': 'caratteri',
+        'stats.withLink': 'Con link',
+        'stats.withImage': 'Con immagine',
+        'stats.outOf': '{count} su {total}',
+        'stats.noData': 'Nessun dato',
+        'stats.empty': 'Aggiungi qualche apprendimento per vedere le statistiche.',
+        'stats.perWeek': 'Apprendimenti per settimana (ultime {count})',
+        'stats.perMonth': 'Apprendimenti per mese (ultimi {count})',
+        'stats.perHour': 'Distribuzione per ora del giorno',
+        'stats.topTopics': 'Argomenti più frequenti',
+        'stats.topWords': 'Parole più frequenti',
+
+        // Graph
+        'graph.title': 'Mappa delle conoscenze',
+        'graph.close': 'Chiudi mappa',
+        'graph.search': 'Evidenzia nella mappa',
+        'graph.searchPlaceholder': 'Evidenzia… (es. tag:js)',
+        'graph.matches': { one: '{count} nodo evidenziato', other: '{count} nodi evidenziati' },
+        'graph.zoom': 'Zoom',
+        'graph.zoomIn': 'Ingrandisci',
+        'graph.zoomOut': 'Riduci',
+        'graph.fit': 'Adatta',
+        'graph.legendEntry': 'Apprendimento',
+        'graph.legendTag': 'Tag',
+        'graph.legendDomain': 'Stesso sito',
+        'graph.legendLink': 'Collegamento [[…]]',
+        'graph.empty': 'Nessun apprendimento da mostrare nella mappa',
+        'graph.help': 'Trascina per spostarti, usa la rotella o + e − per lo zoom. Clic su un apprendimento per aprirlo, su un tag per evidenziarne gli apprendimenti.',
+        'graph.entryNode': { one: '{topic}, {count} collegamento: apri', other: '{topic}, {count} collegamenti: apri' },
+        'graph.tagNode': { one: 'Tag {tag}, {count} apprendimento: evidenzia', other: 'Tag {tag}, {count} apprendimenti: evidenzia' },
+
+        // Export
+        'export.documentSubtitle': { one: 'Esportato il {date} · {count} apprendimento', other: 'Esportato il {date} · {count} apprendimenti' },
+        'export.encryptFailed': 'Impossibile cifrare il backup',
+        'export.done': { one: 'Esportato {count} apprendimento', other: 'Esportati {count} apprendimenti' },
+        'export.doneEncrypted': { one: 'Esportato {count} apprendimento (cifrato)', other: 'Esportati {count} apprendimenti (cifrati)' },
+        'export.noSearch': '(nessuna ricerca attiva)',
+        'export.format': 'Formato',
+        'export.formatJson': '<strong>JSON</strong> — backup completo, reimportabile',
+        'export.formatMarkdown': '<strong>Markdown</strong> — un unico documento raggruppato per giorno',
+        'export.formatCsv': '<strong>CSV</strong> — per fogli di calcolo, reimportabile',
+        'export.formatHtml': '<strong>HTML</strong> — pagina autonoma pronta da stampare',
+        'export.onlyResults': 'Solo i risultati della ricerca corrente',
+        'export.onlySelected': 'Solo gli apprendimenti selezionati',
+        'export.encrypt': 'Cifra il backup con la passphrase del diario (solo JSON)',
+        'export.encryptedSuffix': 'cifrato',
+
+        // Import
+        'import.badDate': 'Data non riconosciuta: "{value}"',
+        'import.readFailed': 'Errore nella lettura del file',
+        'import.decryptUnsupported': 'Questo browser non può decifrare il backup',
+        'import.encryptedTitle': 'Backup cifrato',
+        'import.encryptedMessage': '"{name}" è cifrato: inserisci la passphrase con cui è stato esportato.',
+        'import.decrypt': 'Decifra',
+        'import.failed': 'Errore nell\'importazione del file',
+        'import.badFormat': 'Formato file non valido',
+        'import.emptyCSV': 'File CSV vuoto',
+        'import.missingFields': 'Mancano argomento, contenuto, id o data',
+        'import.badId': 'ID non valido: "{id}"',
+        'import.nothingNew': 'Nessun nuovo apprendimento da importare',
+        'import.doneNew': { one: '{count} nuovo apprendimento', other: '{count} nuovi apprendimenti' },
+        'import.doneUpdated': { one: '{count} aggiornato', other: '{count} aggiornati' },
+        'import.done': 'Importati {parts}',
+        'import.row': 'Riga {number}',
+        'import.item': 'Elemento {number}',
+        'import.skipColumn': '— non importare —',
+        'import.column': 'Colonna {number}',
+        'import.mapping': 'Corrispondenza colonne',
+        'import.countNew': { one: '<strong>{count}</strong> nuovo', other: '<strong>{count}</strong> nuovi' },
+        'import.countDuplicate': { one: '<strong>{count}</strong> duplicato', other: '<strong>{count}</strong> duplicati' },
+        'import.countConflict': '<strong>{count}</strong> in conflitto',
+        'import.countInvalid': { one: '<strong>{count}</strong> non valido', other: '<strong>{count}</strong> non validi' },
+        'import.sample': 'Anteprima:',
+        'import.keepLocal': 'Mantieni locale',
+        'import.keepLocalHint': 'ignora le versioni importate',
+        'import.keepImported': 'Mantieni importato',
+        'import.keepImportedHint': 'sovrascrive le versioni locali',
+        'import.keepNewest': 'Mantieni il più recente',
+        'import.keepNewestHint': 'in base all\'ultima modifica',
+        'import.review': 'Scegli uno per uno',
+        'import.reviewHint': 'confronta le due versioni',
+        'import.strategy': 'Stesso ID ma contenuto diverso: come risolvere i conflitti?',
+        'import.rejected': { one: '{count} record scartato dalla validazione', other: '{count} record scartati dalla validazione' },
+        'import.local': 'Locale',
+        'import.imported': 'Importato',
+        'import.modified': 'modificato {date}, {time}',
+        'import.empty': 'vuoto',
+        'import.versionToKeep': 'Versione da mantenere',
+        'import.added': { one: '{count} nuovo', other: '{count} nuovi' },
+        'import.updated': { one: '{count} aggiornato', other: '{count} aggiornati' },
+        'import.confirm': 'Importa ({parts})',
+        'import.doneCollections': { one: '{count} ricerca salvata', other: '{count} ricerche salvate' },
+        'import.collections': { one: '{count} nuova ricerca salvata:', other: '{count} nuove ricerche salvate:' },
+        'import.addedCollections': { one: '{count} ricerca salvata', other: '{count} ricerche salvate' },
+
+        // Clear all
+        'clear.confirmPermanent': 'Sei sicuro di voler eliminare DEFINITIVAMENTE tutti i dati, compreso il cestino?\n\nQuesta operazione non può essere annullata.\n\nConsiglio: esporta prima i dati come backup.',
+        'clear.donePermanent': 'Tutti i dati sono stati eliminati definitivamente',
+        'clear.nothing': 'Nessun apprendimento da spostare nel cestino',
+        'clear.confirm': 'Spostare tutti gli apprendimenti ({count}) nel cestino?\n\nPotrai recuperarli dal Cestino per {days} giorni o annullare con {key}+Z.\n\nPer eliminarli definitivamente usa "Elimina tutto definitivamente" nel Cestino.',
+        'clear.done': 'Tutti gli apprendimenti sono stati spostati nel cestino',
+
+        // Trash
+        'trash.expiresToday': 'eliminazione definitiva oggi',
+        'trash.expiresIn': { one: 'eliminazione definitiva tra {count} giorno', other: 'eliminazione definitiva tra {count} giorni' },
+        'trash.empty': 'Il cestino è vuoto.',
+        'trash.wipeAll': 'Elimina tutto definitivamente',
+        'trash.hint': 'Gli apprendimenti eliminati restano qui per {count} giorni, poi vengono eliminati definitivamente.',
+        'trash.deletedAt': 'Eliminato {when}',
+        'trash.restore': 'Ripristina',
+        'trash.purge': 'Elimina definitivamente',
+        'trash.emptyTrash': 'Svuota cestino ({count})',
+        'trash.restored': 'Apprendimento ripristinato',
+        'trash.confirmPurge': 'Eliminare definitivamente «{topic}»?\n\nNon potrà più essere recuperato.',
+        'trash.purged': 'Apprendimento eliminato definitivamente',
+        'trash.confirmEmpty': { one: 'Eliminare definitivamente l\'apprendimento nel cestino?\n\nNon potrà più essere recuperato.', other: 'Eliminare definitivamente i {count} apprendimenti nel cestino?\n\nNon potranno più essere recuperati.' },
+        'trash.emptied': 'Cestino svuotato',
+
+        // Lock screen and encryption
+        'lock.title': 'Diario bloccato',
+        'lock.message': 'Il diario è cifrato: inserisci la passphrase per aprirlo.',
+        'lock.unsupported': 'Il diario è cifrato, ma questo browser non supporta la cifratura (serve una connessione HTTPS).',
+        'lock.passphrase': 'Passphrase',
+        'lock.wrong': 'Passphrase errata',
+        'lock.unlock': 'Sblocca',
+        'lock.locked': 'Il diario è bloccato: i dati restano cifrati finché non inserisci la passphrase.',
+        'security.unsupported': 'Questo browser non supporta la cifratura: serve una connessione HTTPS (o localhost).',
+        'security.intro': 'Gli apprendimenti, la cronologia e il cestino vengono salvati cifrati (AES-GCM) e all\'avvio il diario chiede la passphrase. Se la dimentichi, i dati non si possono recuperare: tieni un backup.',
+        'security.syncOff': 'La sincronizzazione verrà disattivata: il server riceverebbe gli apprendimenti in chiaro.',
+        'security.passphraseMin': 'Passphrase (almeno {count} caratteri)',
+        'security.repeatPassphrase': 'Ripeti la passphrase',
+        'security.enable': 'Attiva cifratura',
+        'security.status': 'Il diario è cifrato e si blocca dopo {count} minuti di inattività.',
+        'security.lockNow': 'Blocca ora',
+        'security.change': 'Cambia passphrase',
+        'security.currentPassphrase': 'Passphrase attuale',
+        'security.newPassphraseMin': 'Nuova passphrase (almeno {count} caratteri)',
+        'security.repeatNewPassphrase': 'Ripeti la nuova passphrase',
+        'security.disable': 'Disattiva cifratura',
+        'security.disableHint': 'I dati tornano a essere salvati in chiaro in questo browser.',
+        'security.tooShort': 'La passphrase deve avere almeno {count} caratteri',
+        'security.mismatch': 'Le due passphrase non coincidono',
+        'security.wrongCurrent': 'Passphrase attuale errata',
+        'security.failed': 'Operazione non riuscita: i dati sono rimasti come prima',
+        'security.enabled': 'Cifratura attivata',
+        'security.changed': 'Passphrase cambiata',
+        'security.disabled': 'Cifratura disattivata',
+
+        // Sync
+        'common.save': 'Salva',
+        'sync.badToken': 'Token non valido',
+        'sync.serverStatus': 'Il server ha risposto {status}',
+        'sync.invalidChanges': { one: '{count} modifica dal server non valida è stata ignorata', other: '{count} modifiche dal server non valide sono state ignorate' },
+        'sync.waiting': { one: ' · {count} modifica in attesa', other: ' · {count} modifiche in attesa' },
+        'sync.lastSync': 'ultima sincronizzazione {date}, {time}',
+        'sync.neverSynced': 'mai sincronizzato',
+        'sync.pending': '{count} in attesa',
+        'sync.syncingLabel': 'Sincronizzazione…',
+        'sync.syncing': 'Sincronizzazione in corso',
+        'sync.offlineLabel': 'Offline',
+        'sync.offline': 'Server non raggiungibile{waiting} ({last})',
+        'sync.errorLabel': 'Errore',
+        'sync.error': 'Sincronizzazione non riuscita: {error}{waiting}',
+        'sync.syncedLabel': 'Sincronizzato',
+        'sync.active': 'Sincronizzazione attiva{waiting} ({last})',
+        'sync.intro': 'Sincronizza il diario tra più dispositivi tramite un tuo server. Le modifiche fatte offline vengono inviate alla prima connessione utile.',
+        'sync.attachmentsLocal': 'Le immagini allegate da file restano su questo dispositivo: altrove gli apprendimenti arrivano senza. Per portarle su un altro dispositivo usa un backup JSON.',
+        'sync.encrypted': 'Il diario è cifrato: la sincronizzazione non è disponibile, perché il server riceverebbe gli apprendimenti in chiaro. Per spostare il diario su un altro dispositivo usa un backup cifrato.',
+        'sync.now': 'Sincronizza ora',
+        'sync.endpoint': 'Indirizzo del server',
+        'sync.endpointPlaceholder': 'https://esempio.it/api/diario',
+        'sync.token': 'Token di accesso (facoltativo)',
+        'sync.connect': 'Collega',
+        'sync.disconnect': 'Disconnetti',
+        'sync.badEndpoint': 'Indirizzo del server non valido',
+        'sync.enabled': 'Sincronizzazione attivata',
+        'sync.confirmDisconnect': 'Scollegare il diario dal server? Gli apprendimenti restano in questo browser.',
+        'sync.disabled': 'Sincronizzazione disattivata',
+
+        // Selection
+        'selection.done': 'Fine selezione',
+        'selection.start': 'Seleziona',
+        'selection.count': { one: '{count} selezionato', other: '{count} selezionati' },
+        'selection.tagRequired': 'Scrivi almeno un tag',
+        'history.addTags': 'aggiunta del tag {tags}',
+        'history.removeTags': 'rimozione del tag {tags}',
+        'history.deleteMany': { one: 'eliminazione di {count} apprendimento', other: 'eliminazione di {count} apprendimenti' },
+        'history.merge': 'unione di {count} apprendimenti',
+        'selection.nothingToChange': 'Nessun apprendimento da modificare',
+        'selection.tagsAdded': { one: 'Tag aggiunti a {count} apprendimento', other: 'Tag aggiunti a {count} apprendimenti' },
+        'selection.tagsRemoved': { one: 'Tag rimossi da {count} apprendimento', other: 'Tag rimossi da {count} apprendimenti' },
+        'selection.tagLimit': { one: '{count} apprendimento supera il limite di {max} tag', other: '{count} apprendimenti superano il limite di {max} tag' },
+        'selection.trashed': { one: '{count} apprendimento spostato nel cestino', other: '{count} apprendimenti spostati nel cestino' },
+        'selection.mergeFailed': 'Impossibile unire: {errors}',
+        'selection.merged': '{count} apprendimenti uniti in «{topic}»',
+
+        // App
+        'app.updateAvailable': 'È disponibile una nuova versione del diario',
+        'app.update': 'Aggiorna',
+
+        // Page
+        'app.title': 'Diario di Apprendimento',
+        'page.skipContent': 'Vai al contenuto principale',
+        'page.skipSearch': 'Vai alla ricerca',
+        'page.skipForm': 'Vai al form di aggiunta',
+        'page.keyboardHint': '💡 Premi <kbd>?</kbd> per vedere le scorciatoie da tastiera',
+        'page.dismissHint': 'Chiudi suggerimento',
+        'page.scrollToTop': 'Torna in alto',
+        'app.subtitle': 'Traccia e organizza tutto ciò che impari ogni giorno',
+        'header.syncStatus': 'Stato della sincronizzazione',
+        'header.openCalendar': 'Apri calendario',
+        'calendar.title': 'Calendario',
+        'header.theme': 'Cambia tema',
+        'header.themeHint': 'Cambia tema (chiaro/scuro)',
+        'header.shortcuts': 'Mostra scorciatoie da tastiera',
+        'header.shortcutsHint': 'Scorciatoie da tastiera (?)',
+        'header.openMenu': 'Apri menu',
+        'header.menuHint': 'Menu azioni (Alt+M)',
+
+        // Statistics bar
+        'statsBar.label': 'Statistiche apprendimenti',
+        'statsBar.total': 'Totale',
+        'statsBar.today': 'Oggi',
+        'statsBar.week': 'Settimana',
+        'statsBar.due': 'Da ripassare',
+        'statsBar.streak': 'Serie',
+        'statsBar.openStats': 'Apri le statistiche',
+        'statsBar.startReview': 'Inizia il ripasso',
+
+        // Search
+        'search.label': 'Cerca negli apprendimenti',
+        'search.placeholder': '🔍 Cerca negli apprendimenti... (Ctrl+K)',
+        'search.clear': 'Cancella ricerca',
+        'search.help': 'Cerca per argomento, contenuto, link o tag. Supporta <code>tag:</code>, <code>"frasi"</code>, <code>-escludi</code>, <code>OR</code>, <code>after:2026-01-01</code> e <code>has:link</code> (premi <kbd>?</kbd> per la sintassi completa)',
+        'search.sort': 'Ordina risultati',
+        'search.sortBy': 'Ordina per:',
+        'search.relevance': 'Pertinenza',
+        'search.activeFilter': 'Filtro attivo:',
+        'search.clearTag': 'Rimuovi filtro tag',
+        'collections.label': 'Ricerche salvate',
+        'collections.name': 'Nome della ricerca salvata',
+        'collections.pinInMenu': 'Fissa nel menu',
+        'collections.save': 'Salva ricerca',
+        'collections.saved': 'Ricerca salvata come «{name}»',
+        'collections.nameExists': 'Esiste già una ricerca salvata con questo nome',
+        'collections.queryExists': 'Questa ricerca è già salvata',
+        'collections.removed': 'Ricerca «{name}» eliminata',
+        'collections.remove': 'Elimina la ricerca salvata {name}',
+        'collections.pin': 'Fissa {name} nel menu',
+        'collections.unpin': 'Togli {name} dal menu',
+
+        // List
+        'list.title': 'Elenco apprendimenti',
+        'bulk.label': 'Azioni sugli apprendimenti selezionati',
+        'bulk.selectAll': 'Seleziona tutti i risultati',
+        'bulk.clear': 'Deseleziona',
+        'bulk.tagsLabel': 'Tag da aggiungere o rimuovere',
+        'bulk.tagsPlaceholder': 'tag, altro-tag',
+        'bulk.merge': 'Unisci',
+        'bulk.export': 'Esporta',
+        'bulk.delete': 'Elimina',
+        'list.feed': 'Lista degli apprendimenti',
+        'empty.title': 'Nessun apprendimento ancora',
+        'empty.message': 'Inizia ad aggiungere i tuoi apprendimenti usando il bottone qui sotto!',
+        'empty.addFirst': 'Aggiungi il primo',
+        'empty.hint': 'per aprire velocemente il form',
+        'import.fileLabel': 'Seleziona file JSON o CSV da importare',
+        'page.footer': 'Learning Diary v4.2 - Organizza il tuo apprendimento',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'Scorciatoie da tastiera',
+        'shortcuts.close': 'Chiudi finestra scorciatoie',
+        'shortcuts.caption': 'Elenco scorciatoie da tastiera disponibili',
+        'shortcuts.key': 'Tasto',
+        'shortcuts.action': 'Azione',
+        'shortcuts.search': 'Focus sulla ricerca',
+        'shortcuts.toggleForm': 'Apri/chiudi form nuovo apprendimento',
+        'shortcuts.export': 'Esporta backup JSON',
+        'shortcuts.undo': 'Annulla l\'ultima modifica',
+        'shortcuts.redo': 'Ripeti la modifica annullata',
+        'shortcuts.menu': 'Apri/chiudi menu azioni',
+        'shortcuts.calendarDays': 'Calendario: giorno precedente/successivo, settimana precedente/successiva',
+        'shortcuts.calendarWeek': 'Calendario: inizio/fine settimana, oggi',
+        'shortcuts.help': 'Mostra/nascondi questa finestra',
+        'shortcuts.escape': 'Chiudi finestre / Sfoca input',
+        'shortcuts.calendarMonths': 'Calendario: mese precedente/successivo (con <kbd>Shift</kbd>: anno)',
+        'keys.pageUp': 'PagSu',
+        'keys.pageDown': 'PagGiù',
+        'keys.home': 'Home',
+        'keys.end': 'Fine',
+        'syntax.caption': 'Sintassi di ricerca avanzata',
+        'syntax.query': 'Ricerca',
+        'syntax.result': 'Risultato',
+        'syntax.allWords': 'Contiene tutte le parole',
+        'syntax.phrase': 'Contiene la frase esatta',
+        'syntax.exclude': 'Esclude chi contiene la parola',
+        'syntax.either': 'Contiene almeno una delle due',
+        'syntax.field': 'Cerca solo in quel campo',
+        'syntax.dates': 'Dal giorno indicato / prima del giorno indicato',
+        'syntax.has': 'Solo apprendimenti con link, immagine o tag',
+        'shortcuts.macNote': '<strong>Nota:</strong> Su Mac, usa <kbd>Cmd</kbd> invece di <kbd>Ctrl</kbd>',
+
+        // Modals
+        'calendar.close': 'Chiudi calendario',
+        'stats.title': 'Statistiche',
+        'stats.close': 'Chiudi statistiche',
+        'trash.title': 'Cestino',
+        'trash.close': 'Chiudi cestino',
+        'security.title': 'Cifratura',
+        'security.close': 'Chiudi impostazioni cifratura',
+        'sync.title': 'Sincronizzazione',
+        'sync.close': 'Chiudi impostazioni sincronizzazione',
+        'export.title': 'Esporta dati',
+        'export.close': 'Chiudi esportazione',
+        'import.title': 'Anteprima importazione',
+        'import.close': 'Chiudi importazione',
+        'dayView.close': 'Chiudi vista giornaliera',
+        'review.title': 'Ripasso',
+        'review.close': 'Chiudi ripasso',
+        'dayView.title': 'Vista Giornaliera',
+
+        // Menu
+        'menu.title': 'Menu Azioni',
+        'menu.close': 'Chiudi menu',
+        'menu.review': 'Ripasso',
+        'menu.reviewHint': 'Ripassa gli apprendimenti in scadenza come flashcard',
+        'menu.calendar': 'Calendario',
+        'menu.calendarHint': 'Sfoglia il diario per giorno con la mappa di attività',
+        'menu.stats': 'Statistiche',
+        'menu.statsHint': 'Serie di giorni, grafici per settimana e mese, argomenti frequenti',
+        'menu.graph': 'Mappa delle conoscenze',
+        'menu.graphHint': 'Apprendimenti e tag collegati in un grafo navigabile',
+        'menu.export': 'Esporta Dati',
+        'menu.exportHint': 'Scarica gli apprendimenti in JSON, Markdown, CSV o HTML',
+        'menu.import': 'Importa Dati',
+        'menu.importHint': 'Carica apprendimenti da un backup JSON o da un file CSV',
+        'menu.trash': 'Cestino',
+        'menu.trashHint': 'Ripristina o elimina definitivamente gli apprendimenti eliminati',
+        'menu.sync': 'Sincronizzazione',
+        'menu.syncHint': 'Collega il diario a un tuo server per usarlo su più dispositivi',
+        'menu.security': 'Cifratura',
+        'menu.securityHint': 'Proteggi il diario con una passphrase',
+        'menu.clear': 'Cancella Tutto',
+        'menu.clearHint': 'Sposta tutti gli apprendimenti nel cestino',
+        'menu.undo': 'Annulla',
+        'menu.redo': 'Ripeti',
+        'menu.hintToggle': 'per aprire/chiudere questo menu',
+        'menu.hintNavigate': 'per navigare tra le opzioni',
+        'menu.language': 'Lingua'
+    },
+    en: {
+        // Storage and history
+        'storage.saveFailed': 'Could not save your data. Is storage full?',
+        'storage.loadFailed': 'Error while loading your data',
+        'storage.upgradeBlocked': 'Close the other tabs of the diary to finish updating your data.',
+        'storage.versionChanged': 'The diary was updated in another tab: reload the page to keep saving.',
+        'storage.reload': 'Reload',
+        'history.add': 'adding «{topic}»',
+        'history.edit': 'editing «{topic}»',
+        'history.delete': 'deleting «{topic}»',
+        'history.clear': 'moving everything to the trash',
+        'history.restore': 'restoring «{topic}»',
+        'history.nothingToUndo': 'Nothing to undo',
+        'history.nothingToRedo': 'Nothing to redo',
+        'history.undone': 'Undone: {label}',
+        'history.redone': 'Redone: {label}',
+        'history.redo': 'Redo',
+        'history.undoStep': 'Undo {label}',
+        'history.redoStep': 'Redo {label}',
+        'history.notLatest': 'It is no longer the latest action: use {key}+Z or the menu',
+        'history.import': 'import',
+
+        // Validation
+        'validation.topicMin': 'The topic must be at least {count} characters long',
+        'validation.topicMax': 'The topic cannot be longer than {count} characters',
+        'validation.contentMin': 'The content must be at least {count} characters long',
+        'validation.contentMax': 'The content cannot be longer than {count} characters',
+        'validation.linkInvalid': 'The link is not a valid URL',
+        'validation.linkProtocol': 'The link must start with http:// or https://',
+        'validation.imageInvalid': 'The image URL is not valid',
+        'validation.imageProtocol': 'The image URL must start with http:// or https://',
+        'validation.tagsInvalid': 'The tags are not in a valid format',
+        'validation.tagsMax': 'You can add at most {count} tags',
+        'validation.tagLength': 'Each tag can be at most {count} characters long',
+
+        // Common
+        'common.undo': 'Undo',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'toast.close': 'Close notification',
+        'tags.filterBy': 'Filter by tag {tag}',
+
+        // Review
+        'review.gradeAgain': 'Don\'t remember',
+        'review.gradeHard': 'Hard',
+        'review.gradeGood': 'Good',
+        'review.gradeEasy': 'Easy',
+        'review.reveal': 'Show content',
+        'keys.space': 'Space',
+        'review.done': 'Review complete!',
+        'review.nothingDue': 'Nothing to review today',
+        'review.reviewed': { one: 'You reviewed <strong>{count}</strong> entry.', other: 'You reviewed <strong>{count}</strong> entries.' },
+        'review.comeBack': 'Come back tomorrow for the next reviews.',
+
+        // Form
+        'form.titleNew': 'Add a new entry',
+        'form.titleEdit': 'Edit entry',
+        'form.add': 'Add',
+        'form.saveChanges': 'Save changes',
+        'form.previewEmpty': 'Nothing to preview',
+        'form.deletedElsewhere': '«{topic}» was deleted {where}: your changes cannot be saved',
+        'form.changedElsewhere': '«{topic}» was changed {where}',
+        'form.loadNewVersion': 'Load the new version',
+        'tabs.where': 'in another tab',
+        'sync.where': 'on another device',
+        'form.edited': 'Entry updated!',
+        'form.editFailed': 'Could not update the entry',
+        'form.added': 'Entry added!',
+        'entry.notFound': 'Entry not found',
+        'entry.trashed': 'Entry moved to the trash',
+        'form.open': 'Add Entry',
+        'form.close': 'Close form',
+        'form.required': 'required field',
+        'form.topicHelp': 'What did you learn? (3 to 200 characters)',
+        'form.contentMode': 'Content mode',
+        'form.write': 'Write',
+        'form.preview': 'Preview',
+        'form.contentPreview': 'Content preview',
+        'form.contentHelp': 'Describe it in detail, Markdown and [[Topic]] links to other entries supported (10 to 10000 characters)',
+        'form.optional': 'Optional fields',
+        'form.tagsHelp': 'Separate tags with a comma (max 10)',
+        'form.link': 'Reference link',
+        'form.linkHelp': 'Add a link to read more',
+        'form.imageUrl': 'Image URL',
+        'form.imageHelp': 'URL of a related image, or paste or drop one into the form',
+        'attachments.pick': 'Choose an image',
+        'attachments.preview': 'Image preview',
+        'attachments.remove': 'Remove image',
+        'attachments.processing': 'Resizing image…',
+        'attachments.added': 'Image attached',
+        'attachments.failed': 'The image could not be read or saved',
+        'attachments.badType': 'Unsupported format: use PNG, JPEG, WebP or GIF',
+        'attachments.tooLarge': 'Image too large (max {size} MB)',
+        'attachments.importFailed': 'Some images from the backup could not be saved',
+        'attachments.storageFull': 'Storage is full: the image was not saved. Remove images or entries you no longer need.',
+        'attachments.missing': 'Image not stored on this device',
+
+        // Drafts
+        'drafts.notice': 'You have an unsaved draft ({when}).',
+        'drafts.restore': 'Restore',
+        'drafts.discard': 'Discard',
+        'drafts.restored': 'Draft restored',
+        'drafts.discarded': 'Draft discarded',
+        'drafts.newDraftPending': 'The entry of this draft was deleted. Save or discard the new entry draft first.',
+        'drafts.openedAsNew': 'The entry was deleted: the draft was opened as a new entry',
+        'drafts.untitled': 'Untitled',
+        'drafts.kindNew': 'New entry',
+        'drafts.kindEdit': 'Edit',
+        'drafts.menuTitle': 'Draft: {title}',
+
+        // Entries
+        'entry.edit': 'Edit',
+        'entry.delete': 'Delete',
+        'entry.imageAlt': 'Image for {topic}',
+        'entries.count': { one: '{count} entry', other: '{count} entries' },
+        'entry.editLabel': 'Edit entry: {topic}',
+        'entry.deleteLabel': 'Delete entry: {topic}',
+        'entries.openDay': 'Click to open the day',
+        'entries.showMore': { one: 'Show {next} more ({count} left)', other: 'Show {next} more ({count} left)' },
+        'search.rankedResults': { one: '{count} result by relevance', other: '{count} results by relevance' },
+        'selection.selectEntry': 'Select: {topic}',
+        'links.missing': 'No entry with this topic',
+        'links.notFound': 'The linked entry no longer exists',
+        'links.referencedBy': 'Referenced by:',
+        'links.suggestions': 'Entries to link',
+
+        // Fields
+        'fields.topic': 'Topic',
+        'fields.content': 'Content',
+        'fields.link': 'Link',
+        'fields.image': 'Image',
+        'fields.tags': 'Tags',
+        'fields.date': 'Date',
+        'fields.id': 'ID',
+        'fields.updatedAt': 'Last modified',
+
+        // Day view and revisions
+        'dayView.count': { one: '<strong>{count}</strong> entry on this day', other: '<strong>{count}</strong> entries on this day' },
+        'revisions.button': 'History',
+        'revisions.panelLabel': 'History of {topic}',
+        'revisions.none': 'No earlier versions: future changes will be kept here.',
+        'revisions.restore': 'Restore',
+        'revisions.from': 'From',
+        'revisions.to': 'To',
+        'revisions.identical': 'The two versions are identical.',
+        'revisions.emptyField': 'empty',
+        'revisions.current': 'Current version · {when}',
+        'revisions.sameAsCurrent': 'This version is the same as the current one',
+        'revisions.restored': 'Version restored ({when})',
+
+        // Dates
+        'dates.today': 'Today',
+        'dates.yesterday': 'Yesterday',
+        'dates.todayInline': 'today',
+        'dates.yesterdayInline': 'yesterday',
+
+        // Calendar
+        'calendar.activityIn': 'Activity in {year}',
+        'calendar.less': 'Less',
+        'calendar.more': 'More',
+        'calendar.previousMonth': 'Previous month',
+        'calendar.nextMonth': 'Next month',
+
+        // Statistics
+        'stats.currentStreak': 'Current streak',
+        'stats.longestStreak': 'Longest streak',
+        'stats.days': { one: 'day', other: 'days' },
+        'stats.averageLength': 'Average length',
+        'stats.characters': 'characters',
+        'stats.withLink': 'With a link',
+        'stats.withImage': 'With an image',
+        'stats.outOf': '{count} of {total}',
+        'stats.noData': 'No data',
+        'stats.empty': 'Add a few entries to see the statistics.',
+        'stats.perWeek': 'Entries per week (last {count})',
+        'stats.perMonth': 'Entries per month (last {count})',
+        'stats.perHour': 'Distribution by hour of the day',
+        'stats.topTopics': 'Most frequent topics',
+        'stats.topWords': 'Most frequent words',
+
+        // Graph
+        'graph.title': 'Knowledge map',
+        'graph.close': 'Close map',
+        'graph.search': 'Highlight in the map',
+        'graph.searchPlaceholder': 'Highlight… (e.g. tag:js)',
+        'graph.matches': { one: '{count} node highlighted', other: '{count} nodes highlighted' },
+        'graph.zoom': 'Zoom',
+        'graph.zoomIn': 'Zoom in',
+        'graph.zoomOut': 'Zoom out',
+        'graph.fit': 'Fit',
+        'graph.legendEntry': 'Entry',
+        'graph.legendTag': 'Tag',
+        'graph.legendDomain': 'Same website',
+        'graph.legendLink': '[[…]] link',
+        'graph.empty': 'No entries to show in the map',
+        'graph.help': 'Drag to move around, use the wheel or + and − to zoom. Click an entry to open it, a tag to highlight its entries.',
+        'graph.entryNode': { one: '{topic}, {count} connection: open', other: '{topic}, {count} connections: open' },
+        'graph.tagNode': { one: 'Tag {tag}, {count} entry: highlight', other: 'Tag {tag}, {count} entries: highlight' },
+
+        // Export
+        'export.documentSubtitle': { one: 'Exported on {date} · {count} entry', other: 'Exported on {date} · {count} entries' },
+        'export.encryptFailed': 'Could not encrypt the backup',
+        'export.done': { one: 'Exported {count} entry', other: 'Exported {count} entries' },
+        'export.doneEncrypted': { one: 'Exported {count} entry (encrypted)', other: 'Exported {count} entries (encrypted)' },
+        'export.noSearch': '(no active search)',
+        'export.format': 'Format',
+        'export.formatJson': '<strong>JSON</strong> — full backup, can be imported again',
+        'export.formatMarkdown': '<strong>Markdown</strong> — a single document grouped by day',
+        'export.formatCsv': '<strong>CSV</strong> — for spreadsheets, can be imported again',
+        'export.formatHtml': '<strong>HTML</strong> — standalone page ready to print',
+        'export.onlyResults': 'Only the results of the current search',
+        'export.onlySelected': 'Only the selected entries',
+        'export.encrypt': 'Encrypt the backup with the diary\'s passphrase (JSON only)',
+        'export.encryptedSuffix': 'encrypted',
+
+        // Import
+        'import.badDate': 'Unrecognised date: "{value}"',
+        'import.readFailed': 'Error while reading the file',
+        'import.decryptUnsupported': 'This browser cannot decrypt the backup',
+        'import.encryptedTitle': 'Encrypted backup',
+        'import.encryptedMessage': '"{name}" is encrypted: enter the passphrase it was exported with.',
+        'import.decrypt': 'Decrypt',
+        'import.failed': 'Error while importing the file',
+        'import.badFormat': 'Invalid file format',
+        'import.emptyCSV': 'Empty CSV file',
+        'import.missingFields': 'Topic, content, id or date is missing',
+        'import.badId': 'Invalid ID: "{id}"',
+        'import.nothingNew': 'No new entries to import',
+        'import.doneNew': { one: '{count} new entry', other: '{count} new entries' },
+        'import.doneUpdated': { one: '{count} updated', other: '{count} updated' },
+        'import.done': 'Imported {parts}',
+        'import.row': 'Row {number}',
+        'import.item': 'Item {number}',
+        'import.skipColumn': '— do not import —',
+        'import.column': 'Column {number}',
+        'import.mapping': 'Column mapping',
+        'import.countNew': '<strong>{count}</strong> new',
+        'import.countDuplicate': { one: '<strong>{count}</strong> duplicate', other: '<strong>{count}</strong> duplicates' },
+        'import.countConflict': { one: '<strong>{count}</strong> conflict', other: '<strong>{count}</strong> conflicts' },
+        'import.countInvalid': '<strong>{count}</strong> invalid',
+        'import.sample': 'Preview:',
+        'import.keepLocal': 'Keep local',
+        'import.keepLocalHint': 'ignores the imported versions',
+        'import.keepImported': 'Keep imported',
+        'import.keepImportedHint': 'overwrites the local versions',
+        'import.keepNewest': 'Keep the newest',
+        'import.keepNewestHint': 'based on the last change',
+        'import.review': 'Choose one by one',
+        'import.reviewHint': 'compare the two versions',
+        'import.strategy': 'Same ID but different content: how should conflicts be resolved?',
+        'import.rejected': { one: '{count} record rejected by validation', other: '{count} records rejected by validation' },
+        'import.local': 'Local',
+        'import.imported': 'Imported',
+        'import.modified': 'modified {date}, {time}',
+        'import.empty': 'empty',
+        'import.versionToKeep': 'Version to keep',
+        'import.added': '{count} new',
+        'import.updated': '{count} updated',
+        'import.confirm': 'Import ({parts})',
+        'import.doneCollections': { one: '{count} saved search', other: '{count} saved searches' },
+        'import.collections': { one: '{count} new saved search:', other: '{count} new saved searches:' },
+        'import.addedCollections': { one: '{count} saved search', other: '{count} saved searches' },
+
+        // Clear all
+        'clear.confirmPermanent': 'Are you sure you want to PERMANENTLY delete all data, including the trash?\n\nThis cannot be undone.\n\nTip: export your data as a backup first.',
+        'clear.donePermanent': 'All data has been permanently deleted',
+        'clear.nothing': 'No entries to move to the trash',
+        'clear.confirm': 'Move all entries ({count}) to the trash?\n\nYou can get them back from the Trash for {days} days or undo with {key}+Z.\n\nTo delete them permanently use "Delete all permanently" in the Trash.',
+        'clear.done': 'All entries were moved to the trash',
+
+        // Trash
+        'trash.expiresToday': 'deleted permanently today',
+        'trash.expiresIn': { one: 'deleted permanently in {count} day', other: 'deleted permanently in {count} days' },
+        'trash.empty': 'The trash is empty.',
+        'trash.wipeAll': 'Delete all permanently',
+        'trash.hint': 'Deleted entries stay here for {count} days, then they are deleted permanently.',
+        'trash.deletedAt': 'Deleted {when}',
+        'trash.restore': 'Restore',
+        'trash.purge': 'Delete permanently',
+        'trash.emptyTrash': 'Empty trash ({count})',
+        'trash.restored': 'Entry restored',
+        'trash.confirmPurge': 'Delete «{topic}» permanently?\n\nIt can no longer be recovered.',
+        'trash.purged': 'Entry deleted permanently',
+        'trash.confirmEmpty': { one: 'Permanently delete the entry in the trash?\n\nIt can no longer be recovered.', other: 'Permanently delete the {count} entries in the trash?\n\nThey can no longer be recovered.' },
+        'trash.emptied': 'Trash emptied',
+
+        // Lock screen and encryption
+        'lock.title': 'Diary locked',
+        'lock.message': 'The diary is encrypted: enter the passphrase to open it.',
+        'lock.unsupported': 'The diary is encrypted, but this browser does not support encryption (an HTTPS connection is needed).',
+        'lock.passphrase': 'Passphrase',
+        'lock.wrong': 'Wrong passphrase',
+        'lock.unlock': 'Unlock',
+        'lock.locked': 'The diary is locked: its data stays encrypted until you enter the passphrase.',
+        'security.unsupported': 'This browser does not support encryption: an HTTPS connection (or localhost) is needed.',
+        'security.intro': 'Entries, history and trash are stored encrypted (AES-GCM) and the diary asks for the passphrase at startup. If you forget it, the data cannot be recovered: keep a backup.',
+        'security.syncOff': 'Sync will be turned off: the server would receive the entries in clear text.',
+        'security.passphraseMin': 'Passphrase (at least {count} characters)',
+        'security.repeatPassphrase': 'Repeat the passphrase',
+        'security.enable': 'Turn on encryption',
+        'security.status': 'The diary is encrypted and locks after {count} minutes of inactivity.',
+        'security.lockNow': 'Lock now',
+        'security.change': 'Change passphrase',
+        'security.currentPassphrase': 'Current passphrase',
+        'security.newPassphraseMin': 'New passphrase (at least {count} characters)',
+        'security.repeatNewPassphrase': 'Repeat the new passphrase',
+        'security.disable': 'Turn off encryption',
+        'security.disableHint': 'Your data goes back to being stored unencrypted in this browser.',
+        'security.tooShort': 'The passphrase must be at least {count} characters long',
+        'security.mismatch': 'The two passphrases do not match',
+        'security.wrongCurrent': 'Wrong current passphrase',
+        'security.failed': 'The operation failed: your data was left as it was',
+        'security.enabled': 'Encryption turned on',
+        'security.changed': 'Passphrase changed',
+        'security.disabled': 'Encryption turned off',
+
+        // Sync
+        'common.save': 'Save',
+        'sync.badToken': 'Invalid token',
+        'sync.serverStatus': 'The server responded {status}',
+        'sync.invalidChanges': { one: '{count} invalid change from the server was ignored', other: '{count} invalid changes from the server were ignored' },
+        'sync.waiting': { one: ' · {count} change waiting', other: ' · {count} changes waiting' },
+        'sync.lastSync': 'last synced {date}, {time}',
+        'sync.neverSynced': 'never synced',
+        'sync.pending': '{count} waiting',
+        'sync.syncingLabel': 'Syncing…',
+        'sync.syncing': 'Sync in progress',
+        'sync.offlineLabel': 'Offline',
+        'sync.offline': 'Server unreachable{waiting} ({last})',
+        'sync.errorLabel': 'Error',
+        'sync.error': 'Sync failed: {error}{waiting}',
+        'sync.syncedLabel': 'Synced',
+        'sync.active': 'Sync on{waiting} ({last})',
+        'sync.intro': 'Sync the diary across devices through your own server. Changes made offline are sent as soon as a connection is available.',
+        'sync.attachmentsLocal': 'Images attached from files stay on this device: elsewhere those entries arrive without them. Use a JSON backup to bring them to another device.',
+        'sync.encrypted': 'The diary is encrypted: sync is not available, because the server would receive the entries in clear text. To move the diary to another device, use an encrypted backup.',
+        'sync.now': 'Sync now',
+        'sync.endpoint': 'Server address',
+        'sync.endpointPlaceholder': 'https://example.com/api/diary',
+        'sync.token': 'Access token (optional)',
+        'sync.connect': 'Connect',
+        'sync.disconnect': 'Disconnect',
+        'sync.badEndpoint': 'Invalid server address',
+        'sync.enabled': 'Sync turned on',
+        'sync.confirmDisconnect': 'Disconnect the diary from the server? Your entries stay in this browser.',
+        'sync.disabled': 'Sync turned off',
+
+        // Selection
+        'selection.done': 'Done',
+        'selection.start': 'Select',
+        'selection.count': '{count} selected',
+        'selection.tagRequired': 'Type at least one tag',
+        'history.addTags': 'adding tag {tags}',
+        'history.removeTags': 'removing tag {tags}',
+        'history.deleteMany': { one: 'deleting {count} entry', other: 'deleting {count} entries' },
+        'history.merge': 'merging {count} entries',
+        'selection.nothingToChange': 'No entries to change',
+        'selection.tagsAdded': { one: 'Tags added to {count} entry', other: 'Tags added to {count} entries' },
+        'selection.tagsRemoved': { one: 'Tags removed from {count} entry', other: 'Tags removed from {count} entries' },
+        'selection.tagLimit': { one: '{count} entry is over the limit of {max} tags', other: '{count} entries are over the limit of {max} tags' },
+        'selection.trashed': { one: '{count} entry moved to the trash', other: '{count} entries moved to the trash' },
+        'selection.mergeFailed': 'Cannot merge: {errors}',
+        'selection.merged': '{count} entries merged into «{topic}»',
+
+        // App
+        'app.updateAvailable': 'A new version of the diary is available',
+        'app.update': 'Update',
+
+        // Page
+        'app.title': 'Learning Diary',
+        'page.skipContent': 'Skip to main content',
+        'page.skipSearch': 'Skip to search',
+        'page.skipForm': 'Skip to the add form',
+        'page.keyboardHint': '💡 Press <kbd>?</kbd> to see the keyboard shortcuts',
+        'page.dismissHint': 'Dismiss tip',
+        'page.scrollToTop': 'Back to top',
+        'app.subtitle': 'Track and organise everything you learn every day',
+        'header.syncStatus': 'Sync status',
+        'header.openCalendar': 'Open calendar',
+        'calendar.title': 'Calendar',
+        'header.theme': 'Change theme',
+        'header.themeHint': 'Change theme (light/dark)',
+        'header.shortcuts': 'Show keyboard shortcuts',
+        'header.shortcutsHint': 'Keyboard shortcuts (?)',
+        'header.openMenu': 'Open menu',
+        'header.menuHint': 'Actions menu (Alt+M)',
+
+        // Statistics bar
+        'statsBar.label': 'Entry statistics',
+        'statsBar.total': 'Total',
+        'statsBar.today': 'Today',
+        'statsBar.week': 'Week',
+        'statsBar.due': 'Due for review',
+        'statsBar.streak': 'Streak',
+        'statsBar.openStats': 'Open statistics',
+        'statsBar.startReview': 'Start reviewing',
+
+        // Search
+        'search.label': 'Search entries',
+        'search.placeholder': '🔍 Search entries... (Ctrl+K)',
+        'search.clear': 'Clear search',
+        'search.help': 'Search by topic, content, link or tag. Supports <code>tag:</code>, <code>"phrases"</code>, <code>-exclude</code>, <code>OR</code>, <code>after:2026-01-01</code> and <code>has:link</code> (press <kbd>?</kbd> for the full syntax)',
+        'search.sort': 'Sort results',
+        'search.sortBy': 'Sort by:',
+        'search.relevance': 'Relevance',
+        'search.activeFilter': 'Active filter:',
+        'search.clearTag': 'Remove tag filter',
+        'collections.label': 'Saved searches',
+        'collections.name': 'Saved search name',
+        'collections.pinInMenu': 'Pin to the menu',
+        'collections.save': 'Save search',
+        'collections.saved': 'Search saved as "{name}"',
+        'collections.nameExists': 'A saved search with this name already exists',
+        'collections.queryExists': 'This search is already saved',
+        'collections.removed': 'Saved search "{name}" deleted',
+        'collections.remove': 'Delete the saved search {name}',
+        'collections.pin': 'Pin {name} to the menu',
+        'collections.unpin': 'Unpin {name} from the menu',
+
+        // List
+        'list.title': 'Entry list',
+        'bulk.label': 'Actions on the selected entries',
+        'bulk.selectAll': 'Select all results',
+        'bulk.clear': 'Deselect',
+        'bulk.tagsLabel': 'Tags to add or remove',
+        'bulk.tagsPlaceholder': 'tag, another-tag',
+        'bulk.merge': 'Merge',
+        'bulk.export': 'Export',
+        'bulk.delete': 'Delete',
+        'list.feed': 'List of entries',
+        'empty.title': 'No entries yet',
+        'empty.message': 'Start adding what you learn with the button below!',
+        'empty.addFirst': 'Add the first one',
+        'empty.hint': 'to open the form quickly',
+        'import.fileLabel': 'Choose a JSON or CSV file to import',
+        'page.footer': 'Learning Diary v4.2 - Organise your learning',
+
+        // Keyboard shortcuts
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.close': 'Close shortcuts window',
+        'shortcuts.caption': 'Available keyboard shortcuts',
+        'shortcuts.key': 'Key',
+        'shortcuts.action': 'Action',
+        'shortcuts.search': 'Focus the search',
+        'shortcuts.toggleForm': 'Open/close the new entry form',
+        'shortcuts.export': 'Export a JSON backup',
+        'shortcuts.undo': 'Undo the last change',
+        'shortcuts.redo': 'Redo the undone change',
+        'shortcuts.menu': 'Open/close the actions menu',
+        'shortcuts.calendarDays': 'Calendar: previous/next day, previous/next week',
+        'shortcuts.calendarWeek': 'Calendar: start/end of week, today',
+        'shortcuts.help': 'Show/hide this window',
+        'shortcuts.escape': 'Close windows / Leave input',
+        'shortcuts.calendarMonths': 'Calendar: previous/next month (with <kbd>Shift</kbd>: year)',
+        'keys.pageUp': 'PgUp',
+        'keys.pageDown': 'PgDn',
+        'keys.home': 'Home',
+        'keys.end': 'End',
+        'syntax.caption': 'Advanced search syntax',
+        'syntax.query': 'Search',
+        'syntax.result': 'Result',
+        'syntax.allWords': 'Contains all the words',
+        'syntax.phrase': 'Contains the exact phrase',
+        'syntax.exclude': 'Excludes entries containing the word',
+        'syntax.either': 'Contains at least one of the two',
+        'syntax.field': 'Searches only that field',
+        'syntax.dates': 'From the given day / before the given day',
+        'syntax.has': 'Only entries with a link, image or tags',
+        'shortcuts.macNote': '<strong>Note:</strong> On a Mac, use <kbd>Cmd</kbd> instead of <kbd>Ctrl</kbd>',
+
+        // Modals
+        'calendar.close': 'Close calendar',
+        'stats.title': 'Statistics',
+        'stats.close': 'Close statistics',
+        'trash.title': 'Trash',
+        'trash.close': 'Close trash',
+        'security.title': 'Encryption',
+        'security.close': 'Close encryption settings',
+        'sync.title': 'Sync',
+        'sync.close': 'Close sync settings',
+        'export.title': 'Export data',
+        'export.close': 'Close export',
+        'import.title': 'Import preview',
+        'import.close': 'Close import',
+        'dayView.close': 'Close day view',
+        'review.title': 'Review',
+        'review.close': 'Close review',
+        'dayView.title': 'Day View',
+
+        // Menu
+        'menu.title': 'Actions Menu',
+        'menu.close': 'Close menu',
+        'menu.review': 'Review',
+        'menu.reviewHint': 'Review the entries that are due as flashcards',
+        'menu.calendar': 'Calendar',
+        'menu.calendarHint': 'Browse the diary day by day with the activity map',
+        'menu.stats': 'Statistics',
+        'menu.statsHint': 'Day streaks, weekly and monthly charts, frequent topics',
+        'menu.graph': 'Knowledge map',
+        'menu.graphHint': 'Entries and tags connected in a graph you can explore',
+        'menu.export': 'Export Data',
+        'menu.exportHint': 'Download your entries as JSON, Markdown, CSV or HTML',
+        'menu.import': 'Import Data',
+        'menu.importHint': 'Load entries from a JSON backup or a CSV file',
+        'menu.trash': 'Trash',
+        'menu.trashHint': 'Restore or permanently delete removed entries',
+        'menu.sync': 'Sync',
+        'menu.syncHint': 'Connect the diary to your own server to use it on several devices',
+        'menu.security': 'Encryption',
+        'menu.securityHint': 'Protect the diary with a passphrase',
+        'menu.clear': 'Clear All',
+        'menu.clearHint': 'Move all entries to the trash',
+        'menu.undo': 'Undo',
+        'menu.redo': 'Redo',
+        'menu.hintToggle': 'to open/close this menu',
+        'menu.hintNavigate': 'to move between the options',
+        'menu.language': 'Language'
+    }
+};
\ No newline at end of file
@@ -0,0 +1,155 @@
+/* ====================================
+   LEARNING DIARY - SERVICE WORKER
+   App shell precache + offline entry images
+   ==================================== */
+
+// Bump on every deploy: a changed worker is what makes the page show the update toast
+const CACHE_VERSION = 'v4.3.0';
+const STATIC_CACHE = `learning-diary-static-${CACHE_VERSION}`;
+
+// Entry images survive app updates; the oldest are evicted past MAX_IMAGES
+const IMAGE_CACHE = 'learning-diary-images';
+const MAX_IMAGES = 200;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'style.css',
+    'script.js',
+    'manifest.json',
+    'icon.svg',
+    'icon-maskable.svg'
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting here: the page asks for it once the user accepts the update
+    event.waitUntil(
+        caches.open(STATIC_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('learning-diary-static-') && key !== STATIC_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const { type, urls } = event.data || {};
+
+    if (type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    } else if (type === 'CACHE_IMAGES' && Array.isArray(urls)) {
+        event.waitUntil(cacheImages(urls));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image' && url.protocol.startsWith('http')) {
+        event.respondWith(handleImage(request));
+    } else if (isShell(url)) {
+        event.respondWith(handleStatic(request));
+    }
+});
+
+// Other requests to this origin (a sync server, say) are left to the network
+function isShell(url) {
+    return url.origin === self.location.origin &&
+        PRECACHE_URLS.some(path => new URL(path, self.registration.scope).pathname === url.pathname);
+}
+
+// Network first, so a deploy is picked up on the next load; the precache
+// keeps the app working offline
+async function handleNavigation(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && isShell(new URL(request.url))) {
+            const cache = await caches.open(STATIC_CACHE);
+            await cache.put('index.html', response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match('index.html', { cacheName: STATIC_CACHE });
+        return cached || new Response('Offline', { status: 503, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+    }
+}
+
+// Same as the page for the rest of the shell (script.js, style.css...), so
+// the markup and its script come from the same deploy whenever online
+async function handleStatic(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(STATIC_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (err) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        return cached || new Response('', { status: 504 });
+    }
+}
+
+// Images are cached only when readable: an opaque response (a cross-origin
+// image without CORS) still displays, but would take megabytes of quota
+async function handleImage(request) {
+    // The icons are in the static cache
+    const cached = await caches.match(request.url);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(IMAGE_CACHE);
+            await cache.put(request.url, response.clone());
+            trimImageCache(cache);
+        }
+        return response;
+    } catch (err) {
+        return new Response('', { status: 504 });
+    }
+}
+
+// Fetches entry images ahead of time so they are available offline
+// even if they were never scrolled into view
+async function cacheImages(urls) {
+    const cache = await caches.open(IMAGE_CACHE);
+
+    for (const url of urls) {
+        if (await cache.match(url)) continue;
+
+        try {
+            const response = await fetch(url);
+            if (response.ok) {
+                await cache.put(url, response);
+            }
+        } catch (err) {
+            // Unreachable, or served without CORS: it is only shown while online
+        }
+    }
+
+    await trimImageCache(cache);
+}
+
+// Cache keys keep insertion order, so the first ones are the oldest
+async function trimImageCache(cache) {
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_IMAGES;
+
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
@@ -0,0 +1,116 @@
+/* ====================================
+   LEARNING DIARY - MOCK SYNC SERVER
+   In-memory implementation of the sync protocol
+   described above SyncManager in script.js.
+   Usage: node sync-mock-server.js [port]
+   (SYNC_TOKEN=... to require a bearer token)
+   ==================================== */
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const PAGE_SIZE = 200;
+
+// id -> { id, modifiedAt, entry, seq }; `seq` orders the change feed
+const records = new Map();
+let sequence = 0;
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(data || '{}'));
+            } catch (err) {
+                reject(err);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+const toChange = ({ id, modifiedAt, entry }) => ({ id, modifiedAt, entry });
+
+function listChanges(since) {
+    const pending = [...records.values()]
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+    const page = pending.slice(0, PAGE_SIZE);
+
+    return {
+        changes: page.map(toChange),
+        cursor: String(page.length ? page[page.length - 1].seq : since),
+        more: pending.length > page.length
+    };
+}
+
+// Optimistic concurrency: a change only lands on top of the version it was based on
+function applyChanges(changes) {
+    const accepted = [];
+    const conflicts = [];
+
+    changes.forEach(change => {
+        const current = records.get(change.id);
+
+        if (current && current.modifiedAt !== change.base) {
+            conflicts.push(toChange(current));
+            return;
+        }
+
+        records.set(change.id, {
+            id: change.id,
+            modifiedAt: change.modifiedAt,
+            entry: change.entry || null,
+            seq: ++sequence
+        });
+        accepted.push(change.id);
+    });
+
+    return { accepted, conflicts };
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return send(res, 401, { error: 'unauthorized' });
+    }
+
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    if (url.pathname !== '/changes') return send(res, 404, { error: 'not found' });
+
+    if (req.method === 'GET') {
+        return send(res, 200, listChanges(Number(url.searchParams.get('since')) || 0));
+    }
+
+    if (req.method === 'POST') {
+        try {
+            const body = await readBody(req);
+            if (!Array.isArray(body.changes)) return send(res, 400, { error: 'changes must be an array' });
+
+            const result = applyChanges(body.changes);
+            console.log(`${body.deviceId || 'unknown device'}: ${result.accepted.length} accepted, ${result.conflicts.length} conflicts`);
+            return send(res, 200, result);
+        } catch (err) {
+            return send(res, 400, { error: 'invalid JSON' });
+        }
+    }
+
+    return send(res, 405, { error: 'method not allowed' });
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock sync server listening on http://localhost:${PORT}`);
+});